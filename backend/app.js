@@ -15,6 +15,7 @@ import mongoose from "mongoose";
 import corsOptions from "./config/corsOptions.js";
 import globalErrorHandler from "./errorHandler/ErrorController.js";
 import CustomError from "./errorHandler/CustomError.js";
+import { requestContext } from "./utils/RequestContext.js";
 
 // Import routes
 import routes from "./routes/index.js";
@@ -22,6 +23,10 @@ import routes from "./routes/index.js";
 // Initialize express
 const app = express();
 
+// Number of reverse proxies in front of the app, so req.ip (used for
+// per-IP login protection) is the client address rather than the proxy's
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY));
+
 // Security and performance middleware
 app.use(helmet());
 app.use(cors(corsOptions));
@@ -46,6 +51,9 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Request id and per-request context (read by the audit trail)
+app.use("/api", requestContext);
+
 // Main API routes
 app.use("/api", routes); // Existing commented out line
 
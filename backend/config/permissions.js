@@ -0,0 +1,342 @@
+// backend/config/permissions.js
+// Declarative permission policy: who may perform which action on which
+// resource, and how far that reaches. Kept free of Express and database
+// imports so the table and helpers can be used outside a request.
+
+// Scopes from narrowest to widest; a wider scope includes the narrower ones
+export const SCOPES = ["own", "department", "company"];
+
+// Built-in roles every company has; they cannot be renamed or deleted
+export const SYSTEM_ROLES = ["SuperAdmin", "Manager", "User"];
+
+// Roles added to a department's managers as well as its members
+export const DEPARTMENT_MANAGER_ROLES = ["SuperAdmin", "Manager"];
+
+/**
+ * Permission table: resource -> action -> role -> scope.
+ * A role missing from an action has no access to it.
+ */
+export const PERMISSIONS = {
+  company: {
+    read: { SuperAdmin: "company", Manager: "company", User: "company" },
+    create: { SuperAdmin: "company" },
+    update: { SuperAdmin: "company" },
+    delete: { SuperAdmin: "company" },
+    export: { SuperAdmin: "company" },
+  },
+  department: {
+    read: { SuperAdmin: "company", Manager: "department", User: "department" },
+    create: { SuperAdmin: "company" },
+    update: { SuperAdmin: "company" },
+    delete: { SuperAdmin: "company" },
+  },
+  user: {
+    read: { SuperAdmin: "company", Manager: "department", User: "own" },
+    create: { SuperAdmin: "company" },
+    update: { SuperAdmin: "company", Manager: "own", User: "own" },
+    // Role, department and account status changes, lockouts and sessions
+    manage: { SuperAdmin: "company" },
+    // Act as the user to see what they see
+    impersonate: { SuperAdmin: "company" },
+    delete: { SuperAdmin: "company" },
+  },
+  assignedTask: {
+    read: { SuperAdmin: "company", Manager: "department", User: "own" },
+    create: { SuperAdmin: "company", Manager: "department" },
+    update: { SuperAdmin: "company", Manager: "department" },
+    complete: { SuperAdmin: "company", Manager: "department", User: "own" },
+    delete: { SuperAdmin: "company", Manager: "department" },
+  },
+  projectTask: {
+    read: { SuperAdmin: "company", Manager: "department" },
+    create: { SuperAdmin: "company", Manager: "department" },
+    update: { SuperAdmin: "company", Manager: "department" },
+    delete: { SuperAdmin: "company", Manager: "department" },
+  },
+  routineTask: {
+    read: { SuperAdmin: "company", Manager: "department", User: "department" },
+    create: { SuperAdmin: "company", Manager: "department", User: "own" },
+    update: { SuperAdmin: "company", Manager: "department", User: "own" },
+    delete: { SuperAdmin: "company", Manager: "department", User: "own" },
+  },
+  // Recurring series that generate assigned and routine tasks
+  taskTemplate: {
+    read: { SuperAdmin: "company", Manager: "department" },
+    create: { SuperAdmin: "company", Manager: "department" },
+    update: { SuperAdmin: "company", Manager: "department" },
+    delete: { SuperAdmin: "company", Manager: "department" },
+  },
+  taskActivity: {
+    read: { SuperAdmin: "company", Manager: "department", User: "own" },
+    create: { SuperAdmin: "company", Manager: "department", User: "own" },
+    update: { SuperAdmin: "company", Manager: "department", User: "own" },
+    delete: { SuperAdmin: "company", Manager: "department", User: "own" },
+  },
+  notification: {
+    read: { SuperAdmin: "company", Manager: "own", User: "own" },
+    // Notifications are created by the system; this covers broadcasts
+    create: { SuperAdmin: "company" },
+    update: { SuperAdmin: "own", Manager: "own", User: "own" },
+    delete: { SuperAdmin: "own", Manager: "own", User: "own" },
+  },
+  invitation: {
+    read: { SuperAdmin: "company" },
+    create: { SuperAdmin: "company" },
+    update: { SuperAdmin: "company" },
+    delete: { SuperAdmin: "company" },
+  },
+  // Impersonation sessions and the requests made in them
+  impersonation: {
+    read: { SuperAdmin: "company" },
+  },
+  role: {
+    read: { SuperAdmin: "company", Manager: "company", User: "company" },
+    create: { SuperAdmin: "company" },
+    update: { SuperAdmin: "company" },
+    delete: { SuperAdmin: "company" },
+  },
+  // Every create, update and delete made in the company
+  auditLog: {
+    read: { SuperAdmin: "company" },
+  },
+};
+
+// Resources only SuperAdmins can access, whatever a custom role grants
+export const SUPERADMIN_ONLY_RESOURCES = ["auditLog"];
+
+// Actions of other resources only SuperAdmins can perform, whatever a
+// custom role grants, and which custom roles cannot be given. Each of them
+// could otherwise be used to gain SuperAdmin access: managing users includes
+// changing their role, company settings include the SSO provider and the
+// two-factor policy, and roles include the holder's own permission set.
+export const SUPERADMIN_ONLY_ACTIONS = {
+  company: ["create", "update", "delete", "export"],
+  user: ["manage", "impersonate", "delete"],
+  role: ["create", "update", "delete"],
+};
+
+export const isSuperAdminOnly = (action, resource) =>
+  SUPERADMIN_ONLY_RESOURCES.includes(resource) ||
+  Boolean(SUPERADMIN_ONLY_ACTIONS[resource]?.includes(action));
+
+/**
+ * Document fields that tie a resource to a company, a department and an
+ * owning user. Task activities have no department of their own, so their
+ * fields describe the parent task, and own-scope writes are additionally
+ * limited to the activity's author.
+ */
+export const RESOURCE_FIELDS = {
+  company: { company: "_id" },
+  department: { company: "company", department: "_id" },
+  user: { company: "company", department: "department", own: "_id" },
+  assignedTask: { company: "company", department: "department", own: "assignedTo" },
+  projectTask: { company: "company", department: "department" },
+  routineTask: { company: "company", department: "department", own: "performedBy" },
+  taskTemplate: { company: "company", department: "department" },
+  taskActivity: { company: "company", department: "department", own: "assignedTo", author: "performedBy" },
+  notification: { company: "company", department: "department", own: "user" },
+  invitation: { company: "company", department: "department" },
+  impersonation: { company: "company" },
+  role: { company: "company" },
+  auditLog: { company: "company" },
+};
+
+// Task types sharing the Task collection, and the resource governing each
+export const TASK_RESOURCES = {
+  AssignedTask: "assignedTask",
+  ProjectTask: "projectTask",
+};
+
+/**
+ * Permission set of a built-in role: resource -> action -> scope.
+ * This is the shape stored on Role documents.
+ */
+export const rolePermissions = (role) => {
+  const permissions = {};
+  for (const [resource, actions] of Object.entries(PERMISSIONS)) {
+    for (const [action, roles] of Object.entries(actions)) {
+      if (roles[role]) {
+        permissions[resource] ??= {};
+        permissions[resource][action] = roles[role];
+      }
+    }
+  }
+  return permissions;
+};
+
+const SYSTEM_ROLE_PERMISSIONS = Object.fromEntries(
+  SYSTEM_ROLES.map((role) => [role, rolePermissions(role)])
+);
+
+// Read-only access to the whole company, for auditors and inspectors.
+// Notifications stay personal and the own profile stays editable.
+const AUDITOR_PERMISSIONS = {
+  ...Object.fromEntries(
+    Object.keys(PERMISSIONS)
+      .filter((resource) => !SUPERADMIN_ONLY_RESOURCES.includes(resource))
+      .map((resource) => [resource, { read: "company" }])
+  ),
+  user: { read: "company", update: "own" },
+  notification: { read: "own", update: "own", delete: "own" },
+};
+
+// Roles seeded into every company
+export const DEFAULT_ROLES = [
+  {
+    name: "SuperAdmin",
+    description: "Full access to the company",
+    isSystem: true,
+    permissions: SYSTEM_ROLE_PERMISSIONS.SuperAdmin,
+  },
+  {
+    name: "Manager",
+    description: "Manages the tasks and people of their department",
+    isSystem: true,
+    permissions: SYSTEM_ROLE_PERMISSIONS.Manager,
+  },
+  {
+    name: "User",
+    description: "Works on their own and their department's tasks",
+    isSystem: true,
+    permissions: SYSTEM_ROLE_PERMISSIONS.User,
+  },
+  {
+    name: "Auditor",
+    description: "Read-only access to the whole company",
+    isSystem: false,
+    permissions: AUDITOR_PERMISSIONS,
+  },
+];
+
+/**
+ * Check a permission set against the policy: every action must exist in
+ * PERMISSIONS, every scope must be one the resource has fields for, and
+ * only the SuperAdmin role may hold the actions reserved for it.
+ * Returns an error message, or null when the set is valid.
+ */
+export const validatePermissions = (permissions, roleName) => {
+  if (!permissions || typeof permissions !== "object" || Array.isArray(permissions)) {
+    return "Permissions must be an object of resources";
+  }
+
+  for (const [resource, actions] of Object.entries(permissions)) {
+    if (!Object.hasOwn(PERMISSIONS, resource)) return `Unknown resource: ${resource}`;
+    if (!actions || typeof actions !== "object" || Array.isArray(actions)) {
+      return `Permissions for ${resource} must be an object of actions`;
+    }
+
+    for (const [action, scope] of Object.entries(actions)) {
+      if (!Object.hasOwn(PERMISSIONS[resource], action)) return `Unknown action: ${resource}.${action}`;
+      if (isSuperAdminOnly(action, resource) && roleName !== "SuperAdmin") {
+        return `${resource}.${action} is reserved for SuperAdmins`;
+      }
+      if (!SCOPES.includes(scope)) {
+        return `Scope for ${resource}.${action} must be ${SCOPES.join(", ")}`;
+      }
+      if (scope === "department" && !RESOURCE_FIELDS[resource].department) {
+        return `${resource} cannot be scoped to a department`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Populated references and raw ids are both accepted
+const refId = (value) => value?._id ?? value;
+
+const sameId = (a, b) => a != null && b != null && String(refId(a)) === String(refId(b));
+
+/**
+ * Scope a user holds for an action on a resource, or null when denied.
+ * Uses the permission set of the user's company role when it was loaded
+ * (see verifyJWT), otherwise the built-in role of the same name.
+ */
+export const getScope = (user, action, resource) => {
+  if (isSuperAdminOnly(action, resource) && user?.role !== "SuperAdmin") {
+    return null;
+  }
+
+  const permissions = user?.permissions ?? SYSTEM_ROLE_PERMISSIONS[user?.role];
+  return permissions?.[resource]?.[action] ?? null;
+};
+
+/**
+ * Whether a user may perform an action on a resource at least at the given scope.
+ */
+export const can = (user, action, resource, scope = "own") => {
+  const granted = getScope(user, action, resource);
+  return granted !== null && SCOPES.indexOf(granted) >= SCOPES.indexOf(scope);
+};
+
+/**
+ * Whether a permission set grants anything beyond what a user holds, such as
+ * an action the user lacks or a wider scope. SuperAdmins hold everything.
+ */
+export const exceedsPermissions = (user, permissions) =>
+  user?.role !== "SuperAdmin" &&
+  Object.entries(permissions ?? {}).some(([resource, actions]) =>
+    Object.entries(actions).some(([action, scope]) => !can(user, action, resource, scope))
+  );
+
+/**
+ * Whether a user may give a role to someone or take it away from them. Only
+ * SuperAdmins grant or remove SuperAdmin; role names are case-insensitive.
+ */
+export const canAssignRole = (user, role) =>
+  String(role).toLowerCase() !== "superadmin" || user?.role === "SuperAdmin";
+
+/**
+ * Mongo filter limiting a query to the documents a user may act on, merged
+ * into an optional base filter. Returns null when the action is denied.
+ */
+export const scopeQuery = (user, action, resource, filter = {}) => {
+  const scope = getScope(user, action, resource);
+  if (!scope) return null;
+
+  const fields = RESOURCE_FIELDS[resource];
+  const scoped = { [fields.company]: refId(user.company) };
+
+  if (scope === "department") {
+    scoped[fields.department] = refId(user.department);
+  } else if (scope === "own") {
+    // Resources without an owner field are never owned
+    scoped[fields.own ?? "_id"] = fields.own ? refId(user._id) : { $in: [] };
+  }
+
+  const conflicts = Object.keys(scoped).some((key) => Object.hasOwn(filter, key));
+  return conflicts ? { $and: [filter, scoped] } : { ...filter, ...scoped };
+};
+
+/**
+ * Mongo filter limiting a query on the Task collection to the tasks of any
+ * type a user may act on, merged into an optional base filter.
+ */
+export const taskScopeQuery = (user, action, filter = {}) => {
+  const clauses = Object.entries(TASK_RESOURCES)
+    .map(([taskType, resource]) => scopeQuery(user, action, resource, { taskType }))
+    .filter(Boolean);
+
+  return { ...filter, $or: clauses.length ? clauses : [{ _id: { $in: [] } }] };
+};
+
+/**
+ * Extra filter on the resource's own documents for own-scope writes, such as
+ * limiting users to the task activities they wrote. Empty when not needed.
+ */
+export const authorQuery = (user, action, resource) => {
+  const { author } = RESOURCE_FIELDS[resource] ?? {};
+  return author && getScope(user, action, resource) === "own"
+    ? { [author]: refId(user._id) }
+    : {};
+};
+
+/**
+ * Whether a department id is within reach for an action. Used to reject
+ * requests that target another department before any lookup happens.
+ */
+export const canAccessDepartment = (user, action, resource, department) => {
+  const scope = getScope(user, action, resource);
+  if (!scope) return false;
+  return scope === "company" || sameId(department, user.department);
+};
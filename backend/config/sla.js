@@ -0,0 +1,143 @@
+// backend/config/sla.js
+// Service level agreements. A company can set one policy per task type and
+// priority, with a response target (the task leaves its open statuses) and
+// a resolution target (it reaches a done status), in hours. Tasks take the
+// matching policy's targets when they are created or their priority or due
+// date changes; utils/SlaMonitor.js flags and escalates the ones running late.
+// Kept free of database imports, like permissions.js.
+import { TASK_RESOURCES } from "./permissions.js";
+
+// Task types SLA policies apply to
+export const SLA_TASK_TYPES = Object.keys(TASK_RESOURCES);
+
+export const SLA_PRIORITIES = ["Low", "Medium", "High"];
+
+// pending: running, warning: past warningPercent of the target,
+// breached: past the target, met: reached in time
+export const SLA_STATES = ["pending", "warning", "breached", "met"];
+
+// Who is told, one step after the other: the assignees as a target nears,
+// the department's managers once it is breached, and the SuperAdmins once
+// it has stayed breached for escalateAfterHours
+export const ESCALATION_LEVELS = ["assignees", "managers", "superAdmins"];
+
+export const DEFAULT_WARNING_PERCENT = 80;
+export const DEFAULT_ESCALATE_AFTER_HOURS = 24;
+export const MAX_TARGET_HOURS = 24 * 365;
+
+const HOUR = 60 * 60 * 1000;
+
+export const findSlaPolicy = (policies = [], taskType, priority) =>
+  policies.find((policy) => policy.taskType === taskType && policy.priority === priority);
+
+// Target ending at dueAt, warned about once warningPercent of it has passed
+const target = (startedAt, dueAt, warningPercent) => ({
+  dueAt,
+  warnAt: new Date(startedAt.getTime() + ((dueAt - startedAt) * warningPercent) / 100),
+});
+
+/**
+ * Targets of a task under a policy. The clock starts at startedAt, and
+ * resolution is also due by the task's due date when that comes first.
+ * @param {Object} policy
+ * @param {Date} startedAt
+ * @param {Date} [dueDate] - The task's due date
+ */
+export const slaTargets = (policy, startedAt, dueDate) => {
+  const {
+    responseHours,
+    resolutionHours,
+    warningPercent = DEFAULT_WARNING_PERCENT,
+    escalateAfterHours = DEFAULT_ESCALATE_AFTER_HOURS,
+  } = policy;
+
+  const responseDue = new Date(startedAt.getTime() + responseHours * HOUR);
+  let resolutionDue = new Date(startedAt.getTime() + resolutionHours * HOUR);
+  if (dueDate && dueDate < resolutionDue) resolutionDue = new Date(dueDate);
+
+  return {
+    response: target(startedAt, responseDue, warningPercent),
+    resolution: {
+      ...target(startedAt, resolutionDue, warningPercent),
+      escalateAt: new Date(resolutionDue.getTime() + escalateAfterHours * HOUR),
+    },
+  };
+};
+
+// State of a target at the given time; at is when it was reached
+export const targetState = ({ dueAt, warnAt, at }, now = new Date()) => {
+  if (at) return at <= dueAt ? "met" : "breached";
+  if (now >= dueAt) return "breached";
+  if (now >= warnAt) return "warning";
+  return "pending";
+};
+
+/**
+ * Escalation level a task's SLA calls for, an index into ESCALATION_LEVELS
+ * plus one: 0 while on track or resolved, 1 once a target it has not met
+ * yet is in warning, 2 once one is breached, 3 once the resolution target
+ * has stayed breached until escalateAt.
+ */
+export const escalationLevelFor = ({ response, resolution }, now = new Date()) => {
+  if (resolution.at) return 0;
+  if (now >= resolution.escalateAt) return 3;
+
+  const states = [targetState(resolution, now)];
+  if (!response.at) states.push(targetState(response, now));
+
+  if (states.includes("breached")) return 2;
+  if (states.includes("warning")) return 1;
+  return 0;
+};
+
+/**
+ * Check a list of policies: known task types and priorities, one policy
+ * per pair, and targets within range. Returns an error message, or null
+ * when the list is valid.
+ */
+export const validateSlaPolicies = (policies) => {
+  if (!Array.isArray(policies)) return "SLA policies must be a list";
+
+  const keys = new Set();
+  for (const policy of policies) {
+    if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+      return "Every SLA policy must be an object";
+    }
+    const {
+      taskType,
+      priority,
+      responseHours,
+      resolutionHours,
+      warningPercent = DEFAULT_WARNING_PERCENT,
+      escalateAfterHours = DEFAULT_ESCALATE_AFTER_HOURS,
+    } = policy;
+
+    if (!SLA_TASK_TYPES.includes(taskType)) {
+      return `Task type must be one of: ${SLA_TASK_TYPES.join(", ")}`;
+    }
+    if (!SLA_PRIORITIES.includes(priority)) {
+      return `Priority must be one of: ${SLA_PRIORITIES.join(", ")}`;
+    }
+
+    const key = `${taskType}:${priority}`;
+    if (keys.has(key)) return `Duplicate SLA policy for ${priority} ${taskType}`;
+    keys.add(key);
+
+    for (const [name, hours] of [["Response", responseHours], ["Resolution", resolutionHours]]) {
+      if (typeof hours !== "number" || !(hours > 0) || hours > MAX_TARGET_HOURS) {
+        return `${name} target must be more than 0 and at most ${MAX_TARGET_HOURS} hours`;
+      }
+    }
+    if (responseHours > resolutionHours) {
+      return "Response target cannot be longer than the resolution target";
+    }
+    if (!Number.isInteger(warningPercent) || warningPercent < 1 || warningPercent > 99) {
+      return "Warning percent must be a whole number between 1 and 99";
+    }
+    if (typeof escalateAfterHours !== "number" || !(escalateAfterHours >= 0) || escalateAfterHours > MAX_TARGET_HOURS) {
+      return `Escalation delay must be between 0 and ${MAX_TARGET_HOURS} hours`;
+    }
+  }
+
+  return null;
+};
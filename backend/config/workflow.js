@@ -0,0 +1,99 @@
+// backend/config/workflow.js
+// Task status workflow. Each company lists the statuses its tasks move
+// through, in order. Every status has a category the rest of the code
+// reasons about, the statuses it can move to, and what a change into it has
+// to come with. Companies that have not defined their own use
+// DEFAULT_WORKFLOW. Kept free of database imports, like permissions.js.
+
+// open: not started or on hold, active: being worked on, done: finished
+export const STATUS_CATEGORIES = ["open", "active", "done"];
+
+// What a change into a status can be required to come with
+export const STATUS_REQUIREMENTS = ["comment", "attachment"];
+
+export const MAX_STATUSES = 20;
+
+// Status of tasks whose completion waits for a manager's sign-off (see
+// Task.requiresApproval). It is not part of any workflow: only approving or
+// rejecting moves a task out of it, so companies cannot use the name.
+export const AWAITING_APPROVAL = "Awaiting Approval";
+
+// The statuses every company started with
+export const DEFAULT_WORKFLOW = [
+  { name: "To Do", category: "open", transitions: ["In Progress", "Pending"], requires: [] },
+  {
+    name: "In Progress",
+    category: "active",
+    // Activities that log work without changing the status
+    transitions: ["In Progress", "Completed", "Pending"],
+    requires: [],
+  },
+  { name: "Completed", category: "done", transitions: ["Pending", "In Progress"], requires: [] },
+  { name: "Pending", category: "open", transitions: ["In Progress", "Completed"], requires: [] },
+];
+
+export const findStatus = (workflow, name) => workflow.find((status) => status.name === name);
+
+export const categoryOf = (workflow, name) => findStatus(workflow, name)?.category;
+
+export const statusesIn = (workflow, category) =>
+  workflow.filter((status) => status.category === category).map(({ name }) => name);
+
+// Status the system moves a task to when it starts or finishes on its own:
+// the first one of the category
+export const firstStatusIn = (workflow, category) => statusesIn(workflow, category)[0];
+
+// Status new tasks start in
+export const initialStatus = (workflow) => firstStatusIn(workflow, "open");
+
+/**
+ * Check a list of statuses: unique names, known categories and
+ * requirements, transitions to statuses of the list, and at least one
+ * status of every category. Returns an error message, or null when the
+ * workflow is valid.
+ */
+export const validateWorkflow = (statuses) => {
+  if (!Array.isArray(statuses) || !statuses.length) {
+    return "Workflow must be a list of statuses";
+  }
+  if (statuses.length > MAX_STATUSES) {
+    return `A workflow cannot have more than ${MAX_STATUSES} statuses`;
+  }
+
+  const names = new Set();
+  for (const status of statuses) {
+    if (!status || typeof status !== "object" || Array.isArray(status)) {
+      return "Every status must be an object";
+    }
+    const { name, category, transitions = [], requires = [] } = status;
+
+    if (typeof name !== "string" || !name.trim() || name.length > 30 || name !== name.trim()) {
+      return "Status names must be 1 to 30 characters without surrounding spaces";
+    }
+    if (names.has(name)) return `Duplicate status: ${name}`;
+    if (name === AWAITING_APPROVAL) return `"${AWAITING_APPROVAL}" is reserved for tasks waiting for approval`;
+    names.add(name);
+
+    if (!STATUS_CATEGORIES.includes(category)) {
+      return `Category of "${name}" must be one of: ${STATUS_CATEGORIES.join(", ")}`;
+    }
+    if (!Array.isArray(transitions) || !transitions.every((to) => typeof to === "string")) {
+      return `Transitions of "${name}" must be a list of status names`;
+    }
+    if (!Array.isArray(requires) || !requires.every((field) => STATUS_REQUIREMENTS.includes(field))) {
+      return `Requirements of "${name}" can only be: ${STATUS_REQUIREMENTS.join(", ")}`;
+    }
+  }
+
+  for (const { name, transitions = [] } of statuses) {
+    const unknown = transitions.find((to) => !names.has(to));
+    if (unknown) return `"${name}" moves to unknown status "${unknown}"`;
+  }
+
+  const missing = STATUS_CATEGORIES.find(
+    (category) => !statuses.some((status) => status.category === category)
+  );
+  if (missing) return `The workflow needs at least one ${missing} status`;
+
+  return null;
+};
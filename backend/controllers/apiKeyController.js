@@ -0,0 +1,114 @@
+// backend/controllers/apiKeyController.js
+import asyncHandler from "express-async-handler";
+import { ApiKey } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+const DEFAULT_API_KEY_EXPIRY_DAYS = 90;
+const MAX_ACTIVE_API_KEYS = 20;
+
+// Own user keys, plus the company keys for SuperAdmins
+const buildApiKeyQuery = (user) => {
+  const query = {
+    company: user.company._id,
+    $or: [{ type: "user", user: user._id }]
+  };
+
+  if (user.role === "SuperAdmin") {
+    query.$or.push({ type: "company" });
+  }
+
+  return query;
+};
+
+/**
+ * @desc    Get API keys
+ * @route   GET /api/api-keys
+ * @access  Private (All roles: own keys, SuperAdmin: also company keys)
+ */
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find(buildApiKeyQuery(req.user))
+    .populate("user", "firstName lastName email")
+    .sort("-createdAt");
+
+  res.status(200).json({
+    success: true,
+    data: apiKeys
+  });
+});
+
+/**
+ * @desc    Create API key
+ * @route   POST /api/api-keys
+ * @access  Private (All roles: user keys, SuperAdmin: company keys)
+ */
+export const createApiKey = asyncHandler(async (req, res) => {
+  const {
+    name,
+    scopes,
+    type = "user",
+    expiresInDays = DEFAULT_API_KEY_EXPIRY_DAYS
+  } = req.body;
+
+  if (type === "company" && req.user.role !== "SuperAdmin") {
+    throw new CustomError("Only SuperAdmins can create company API keys", 403, "INSUFFICIENT_PERMISSIONS");
+  }
+
+  const activeCount = await ApiKey.countDocuments({
+    user: req.user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (activeCount >= MAX_ACTIVE_API_KEYS) {
+    throw new CustomError(`You can have at most ${MAX_ACTIVE_API_KEYS} active API keys`, 400, "API_KEY_LIMIT_REACHED");
+  }
+
+  const { key, keyHash, keyPreview } = ApiKey.generateKey();
+
+  const apiKey = await ApiKey.create({
+    name,
+    type,
+    scopes: [...new Set(scopes)],
+    keyHash,
+    keyPreview,
+    user: req.user._id,
+    company: req.user.company._id,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  // The raw key is only ever returned here
+  res.status(201).json({
+    success: true,
+    message: "API key created. Copy it now, it will not be shown again",
+    data: { ...apiKey.toJSON(), key }
+  });
+});
+
+/**
+ * @desc    Revoke API key
+ * @route   DELETE /api/api-keys/:id
+ * @access  Private (All roles: own keys, SuperAdmin: also company keys)
+ */
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    {
+      ...buildApiKeyQuery(req.user),
+      _id: id,
+      revokedAt: { $exists: false }
+    },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    throw new CustomError("API key not found", 404, "API_KEY_NOT_FOUND");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "API key revoked successfully",
+    data: apiKey
+  });
+});
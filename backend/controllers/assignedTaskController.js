@@ -1,42 +1,40 @@
 // backend/controllers/assignedTaskController.js
 import asyncHandler from "express-async-handler";
-import { AssignedTask, User, Department, Notification } from "../models/index.js";
+import { AssignedTask, Task, User, Department, Notification } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
+import { scopeQuery, taskScopeQuery } from "../config/permissions.js";
+import { AWAITING_APPROVAL } from "../config/workflow.js";
+import { TRASHED } from "../utils/SoftDelete.js";
+import { TRASH_RETENTION_DAYS } from "../utils/TrashPurge.js";
 import mongoose from "mongoose";
 
 /**
  * @desc    Get all assigned tasks
  * @route   GET /api/assigned-tasks
- * @access  Private (SuperAdmin: all company tasks, Admin/Manager: own department, User: assigned to self)
+ * @access  Private (SuperAdmin: all company tasks, Manager: own department, User: assigned to self)
  */
 export const getAssignedTasks = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, search, sort = "-createdAt", status, priority, department } = req.query;
-
-  // Build query based on user role
-  let query = { company: req.user.company._id };
-
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can see all tasks in company
-    if (department) query.department = department;
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can only see tasks in their department
-    query.department = req.user.department._id;
-  } else {
-    // Users can only see tasks assigned to them
-    query.assignedTo = { $in: [req.user._id] };
-  }
+  const { page = 1, limit = 10, search, sort = "-createdAt", status, priority, department, template, sla } = req.query;
 
   // Add filters
+  const filter = {};
+  if (department) filter.department = department;
+  if (template) filter.template = template;
+  if (sla) filter["sla.resolution.state"] = sla;
+
   if (search) {
-    query.$or = [
+    filter.$or = [
       { title: { $regex: search, $options: "i" } },
       { description: { $regex: search, $options: "i" } },
       { location: { $regex: search, $options: "i" } }
     ];
   }
 
-  if (status) query.status = status;
-  if (priority) query.priority = priority;
+  if (status) filter.status = status;
+  if (priority) filter.priority = priority;
+
+  // Limit to the tasks the user may read
+  const query = scopeQuery(req.user, "read", "assignedTask", filter);
 
   const options = {
     page: parseInt(page),
@@ -61,50 +59,44 @@ export const getAssignedTasks = asyncHandler(async (req, res) => {
 /**
  * @desc    Get single assigned task
  * @route   GET /api/assigned-tasks/:id
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department, User: assigned to self)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: assigned to self)
  */
 export const getAssignedTask = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  let query = { _id: id, company: req.user.company._id };
-
-  const task = await AssignedTask.findOne(query)
+  const task = await AssignedTask.findOne(scopeQuery(req.user, "read", "assignedTask", { _id: id }))
     .populate("assignedTo", "firstName lastName email position")
     .populate("createdBy", "firstName lastName email")
     .populate("department", "name")
     .populate("completedBy.user", "firstName lastName email")
+    .populate("checklist.assignee", "firstName lastName email")
+    .populate("blockedBy", "title status taskType")
+    .populate("blocks", "title status taskType")
     .populate("activities");
 
   if (!task) {
     throw new CustomError("Assigned task not found", 404, "TASK_NOT_FOUND");
   }
 
-  // Authorization check
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can access any task
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can only access tasks in their department
-    if (!task.department._id.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to task outside your department", 403, "TASK_ACCESS_DENIED");
-    }
-  } else {
-    // Users can only access tasks assigned to them
-    const isAssigned = task.assignedTo.some(user => user._id.equals(req.user._id));
-    if (!isAssigned) {
-      throw new CustomError("Access denied to task not assigned to you", 403, "TASK_ACCESS_DENIED");
-    }
-  }
+  // Subtasks of any type, as far as the user may read them
+  const tree = await task.toTree({
+    filter: taskScopeQuery(req.user, "read"),
+    populate: [
+      { path: "assignedTo", select: "firstName lastName email" },
+      { path: "checklist.assignee", select: "firstName lastName email" }
+    ]
+  });
 
   res.status(200).json({
     success: true,
-    data: task
+    data: tree
   });
 });
 
 /**
  * @desc    Create new assigned task
  * @route   POST /api/assigned-tasks
- * @access  Private (SuperAdmin: any department, Admin/Manager: own department only)
+ * @access  Private (SuperAdmin: any department, Manager: own department only)
  */
 export const createAssignedTask = asyncHandler(async (req, res) => {
   const {
@@ -114,10 +106,12 @@ export const createAssignedTask = asyncHandler(async (req, res) => {
     dueDate,
     priority,
     department,
-    assignedTo
+    assignedTo,
+    parentTask,
+    requiresApproval
   } = req.body;
 
-  // Validate department belongs to company and user has access
+  // Validate department belongs to company (department scope is checked by the policy)
   const departmentDoc = await Department.findOne({
     _id: department,
     company: req.user.company._id
@@ -127,11 +121,6 @@ export const createAssignedTask = asyncHandler(async (req, res) => {
     throw new CustomError("Department not found", 404, "DEPARTMENT_NOT_FOUND");
   }
 
-  // Check department access for non-SuperAdmins
-  if (req.user.role !== "SuperAdmin" && !req.user.department._id.equals(department)) {
-    throw new CustomError("Can only create tasks in your own department", 403, "DEPARTMENT_ACCESS_DENIED");
-  }
-
   // Validate assigned users belong to the department and company
   const assignedUsers = await User.find({
     _id: { $in: assignedTo },
@@ -144,10 +133,15 @@ export const createAssignedTask = asyncHandler(async (req, res) => {
     throw new CustomError("One or more assigned users are invalid or not in the specified department", 400, "INVALID_ASSIGNED_USERS");
   }
 
+  if (parentTask) {
+    await Task.assertValidParent(parentTask, { department });
+  }
+
   const session = await mongoose.startSession();
+  let createdTask;
 
   try {
-    await session.withTransaction(async () => {
+    createdTask = await session.withTransaction(async () => {
       // Create the task
       const task = new AssignedTask({
         title,
@@ -158,7 +152,9 @@ export const createAssignedTask = asyncHandler(async (req, res) => {
         department,
         company: req.user.company._id,
         createdBy: req.user._id,
-        assignedTo
+        assignedTo,
+        parentTask,
+        requiresApproval
       });
 
       await task.save({ session });
@@ -184,23 +180,23 @@ export const createAssignedTask = asyncHandler(async (req, res) => {
         { path: "department", select: "name" }
       ]);
 
-      res.status(201).json({
-        success: true,
-        message: "Assigned task created successfully",
-        data: task
-      });
+      return task;
     });
-  } catch (error) {
-    throw error;
   } finally {
     await session.endSession();
   }
+
+  res.status(201).json({
+    success: true,
+    message: "Assigned task created successfully",
+    data: createdTask
+  });
 });
 
 /**
  * @desc    Update assigned task
  * @route   PUT /api/assigned-tasks/:id
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department only)
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
  */
 export const updateAssignedTask = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -211,23 +207,19 @@ export const updateAssignedTask = asyncHandler(async (req, res) => {
     dueDate,
     priority,
     status,
-    assignedTo
+    assignedTo,
+    parentTask,
+    requiresApproval
   } = req.body;
 
-  const task = await AssignedTask.findOne({
-    _id: id,
-    company: req.user.company._id
-  }).populate("department");
+  const task = await AssignedTask.findOne(
+    scopeQuery(req.user, "update", "assignedTask", { _id: id })
+  ).populate("department");
 
   if (!task) {
     throw new CustomError("Assigned task not found", 404, "TASK_NOT_FOUND");
   }
 
-  // Authorization check
-  if (req.user.role !== "SuperAdmin" && !task.department._id.equals(req.user.department._id)) {
-    throw new CustomError("Access denied to task outside your department", 403, "TASK_ACCESS_DENIED");
-  }
-
   // Validate assigned users if provided
   if (assignedTo) {
     const assignedUsers = await User.find({
@@ -242,10 +234,17 @@ export const updateAssignedTask = asyncHandler(async (req, res) => {
     }
   }
 
+  // null makes the task a top-level task again
+  if (parentTask) {
+    await Task.assertValidParent(parentTask, { department: task.department._id, taskId: task._id });
+  }
+
+  const previousStatus = task.status;
   const session = await mongoose.startSession();
+  let savedTask;
 
   try {
-    await session.withTransaction(async () => {
+    savedTask = await session.withTransaction(async () => {
       // Build update data
       const updateData = {};
       if (title) updateData.title = title;
@@ -259,26 +258,26 @@ export const updateAssignedTask = asyncHandler(async (req, res) => {
         // Reset completion tracking if assignees change
         updateData.completedBy = [];
       }
+      if (parentTask !== undefined) updateData.parentTask = parentTask ?? undefined;
+      if (requiresApproval !== undefined) updateData.requiresApproval = requiresApproval;
 
-      const updatedTask = await AssignedTask.findByIdAndUpdate(
-        id,
-        updateData,
-        {
-          new: true,
-          runValidators: true,
-          session
-        }
-      ).populate([
+      // Saved rather than updated in place, so progress and the parent
+      // tasks it rolls up to are kept in sync
+      task.set(updateData);
+      const updatedTask = await task.save({ session });
+
+      await updatedTask.populate([
         { path: "assignedTo", select: "firstName lastName email" },
         { path: "createdBy", select: "firstName lastName email" },
         { path: "department", select: "name" }
       ]);
 
       // Create notifications for status changes or new assignments
-      if (status && status !== task.status) {
+      // The status may have ended up elsewhere, such as awaiting approval
+      if (status && updatedTask.status !== previousStatus) {
         const notifications = updatedTask.assignedTo.map(user => ({
           user: user._id,
-          message: `Task "${updatedTask.title}" status changed to ${status}`,
+          message: `Task "${updatedTask.title}" status changed to ${updatedTask.status}`,
           type: "StatusChange",
           task: updatedTask._id,
           department: updatedTask.department._id,
@@ -290,59 +289,54 @@ export const updateAssignedTask = asyncHandler(async (req, res) => {
         await Notification.insertMany(notifications, { session });
       }
 
-      res.status(200).json({
-        success: true,
-        message: "Assigned task updated successfully",
-        data: updatedTask
-      });
+      return updatedTask;
     });
-  } catch (error) {
-    throw error;
   } finally {
     await session.endSession();
   }
+
+  res.status(200).json({
+    success: true,
+    message: "Assigned task updated successfully",
+    data: savedTask
+  });
 });
 
 /**
  * @desc    Mark task as completed by user
  * @route   PUT /api/assigned-tasks/:id/complete
- * @access  Private (User: assigned tasks only, Admin/Manager: own department, SuperAdmin: any)
+ * @access  Private (User: assigned tasks only, Manager: own department, SuperAdmin: any)
  */
 export const completeTask = asyncHandler(async (req, res) => {
   const { id } = req.params;
-
-  const task = await AssignedTask.findOne({
-    _id: id,
-    company: req.user.company._id
-  });
-
-  if (!task) {
-    throw new CustomError("Assigned task not found", 404, "TASK_NOT_FOUND");
-  }
-
-  // Authorization check for users
-  if (req.user.role === "User") {
-    const isAssigned = task.assignedTo.some(userId => userId.equals(req.user._id));
-    if (!isAssigned) {
-      throw new CustomError("You can only complete tasks assigned to you", 403, "TASK_ACCESS_DENIED");
-    }
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    if (!task.department.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to task outside your department", 403, "TASK_ACCESS_DENIED");
-    }
-  }
+  const { note } = req.body;
 
   const session = await mongoose.startSession();
+  let completedTask;
 
   try {
-    await session.withTransaction(async () => {
-      // Mark task as completed by this user
-      await task.markCompletedByUser(req.user._id);
+    completedTask = await session.withTransaction(async () => {
+      // Loaded within the transaction, so a retry starts from the current
+      // completions rather than the ones an aborted attempt already added
+      const task = await AssignedTask.findOne(
+        scopeQuery(req.user, "complete", "assignedTask", { _id: id })
+      ).session(session);
+
+      if (!task) {
+        throw new CustomError("Assigned task not found", 404, "TASK_NOT_FOUND");
+      }
+
+      // Record this assignee's completion; completes the task once everyone is done
+      await task.markCompletedByUser(req.user._id, note, session);
 
       // Create notification for task completion
       const notification = new Notification({
         user: task.createdBy,
-        message: `${req.user.firstName} ${req.user.lastName} completed task: ${task.title}`,
+        message: task.status === AWAITING_APPROVAL
+          ? `Task submitted for approval: ${task.title}`
+          : (await task.statusCategory(session)) === "done"
+            ? `All assignees completed task: ${task.title}`
+            : `${req.user.firstName} ${req.user.lastName} completed task: ${task.title}`,
         type: "TaskCompletion",
         task: task._id,
         department: task.department,
@@ -358,124 +352,167 @@ export const completeTask = asyncHandler(async (req, res) => {
         { path: "completedBy.user", select: "firstName lastName email" }
       ]);
 
-      res.status(200).json({
-        success: true,
-        message: "Task marked as completed",
-        data: task
-      });
+      return task;
     });
-  } catch (error) {
-    throw error;
   } finally {
     await session.endSession();
   }
+
+  res.status(200).json({
+    success: true,
+    message: "Task marked as completed",
+    data: completedTask
+  });
 });
 
 /**
  * @desc    Unmark task completion
  * @route   PUT /api/assigned-tasks/:id/uncomplete
- * @access  Private (User: assigned tasks only, Admin/Manager: own department, SuperAdmin: any)
+ * @access  Private (User: assigned tasks only, Manager: own department, SuperAdmin: any)
  */
 export const uncompleteTask = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const task = await AssignedTask.findOne({
-    _id: id,
-    company: req.user.company._id
-  });
+  const session = await mongoose.startSession();
+  let uncompletedTask;
 
-  if (!task) {
-    throw new CustomError("Assigned task not found", 404, "TASK_NOT_FOUND");
-  }
+  try {
+    uncompletedTask = await session.withTransaction(async () => {
+      // Loaded within the transaction, as in completeTask
+      const task = await AssignedTask.findOne(
+        scopeQuery(req.user, "complete", "assignedTask", { _id: id })
+      ).session(session);
+
+      if (!task) {
+        throw new CustomError("Assigned task not found", 404, "TASK_NOT_FOUND");
+      }
 
-  // Authorization check
-  if (req.user.role === "User") {
-    const isAssigned = task.assignedTo.some(userId => userId.equals(req.user._id));
-    if (!isAssigned) {
-      throw new CustomError("You can only modify tasks assigned to you", 403, "TASK_ACCESS_DENIED");
-    }
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    if (!task.department.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to task outside your department", 403, "TASK_ACCESS_DENIED");
-    }
-  }
+      // Unmark completion
+      await task.unmarkCompletedByUser(req.user._id, session);
 
-  // Unmark completion
-  await task.unmarkCompletedByUser(req.user._id);
+      await task.populate([
+        { path: "assignedTo", select: "firstName lastName email" },
+        { path: "completedBy.user", select: "firstName lastName email" }
+      ]);
 
-  await task.populate([
-    { path: "assignedTo", select: "firstName lastName email" },
-    { path: "completedBy.user", select: "firstName lastName email" }
-  ]);
+      return task;
+    });
+  } finally {
+    await session.endSession();
+  }
 
   res.status(200).json({
     success: true,
     message: "Task completion unmarked",
-    data: task
+    data: uncompletedTask
   });
 });
 
 /**
- * @desc    Delete assigned task
+ * @desc    Move assigned task to the trash
  * @route   DELETE /api/assigned-tasks/:id
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department only)
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
  */
 export const deleteAssignedTask = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const task = await AssignedTask.findOne({
-    _id: id,
-    company: req.user.company._id
-  }).populate("department");
+  const task = await AssignedTask.findOne(
+    scopeQuery(req.user, "delete", "assignedTask", { _id: id })
+  );
 
   if (!task) {
     throw new CustomError("Assigned task not found", 404, "TASK_NOT_FOUND");
   }
 
-  // Authorization check
-  if (req.user.role !== "SuperAdmin" && !task.department._id.equals(req.user.department._id)) {
-    throw new CustomError("Access denied to task outside your department", 403, "TASK_ACCESS_DENIED");
-  }
-
   const session = await mongoose.startSession();
 
   try {
     await session.withTransaction(async () => {
-      // Delete related notifications
-      await Notification.deleteMany({ task: id }).session(session);
+      // Activities and notifications go to the trash with the task
+      await task.moveToTrash(req.user._id, session);
+    });
+  } finally {
+    await session.endSession();
+  }
 
-      // Delete the task
-      await AssignedTask.findByIdAndDelete(id).session(session);
+  res.status(200).json({
+    success: true,
+    message: "Assigned task moved to trash"
+  });
+});
 
-      res.status(200).json({
-        success: true,
-        message: "Assigned task deleted successfully"
-      });
+/**
+ * @desc    Get trashed assigned tasks
+ * @route   GET /api/assigned-tasks/trash
+ * @access  Private (same scope as deleting)
+ */
+export const getTrashedAssignedTasks = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, sort = "-deletedAt" } = req.query;
+
+  const query = scopeQuery(req.user, "delete", "assignedTask", { ...TRASHED });
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort,
+    populate: [
+      { path: "assignedTo", select: "firstName lastName email" },
+      { path: "createdBy", select: "firstName lastName email" },
+      { path: "department", select: "name" },
+      { path: "completedBy.user", select: "firstName lastName email" },
+      { path: "deletedBy", select: "firstName lastName email" }
+    ]
+  };
+
+  const tasks = await AssignedTask.paginate(query, options);
+
+  res.status(200).json({
+    success: true,
+    data: { ...tasks, retentionDays: TRASH_RETENTION_DAYS }
+  });
+});
+
+/**
+ * @desc    Restore assigned task from the trash, with its activities and notifications
+ * @route   PUT /api/assigned-tasks/:id/restore
+ * @access  Private (same scope as deleting)
+ */
+export const restoreAssignedTask = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const task = await AssignedTask.findOne(
+    scopeQuery(req.user, "delete", "assignedTask", { _id: id, ...TRASHED })
+  );
+
+  if (!task) {
+    throw new CustomError("Assigned task not found in trash", 404, "TASK_NOT_FOUND");
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      await task.restoreFromTrash(session);
     });
-  } catch (error) {
-    throw error;
   } finally {
     await session.endSession();
   }
+
+  res.status(200).json({
+    success: true,
+    message: "Assigned task restored successfully",
+    data: task
+  });
 });
 
 /**
  * @desc    Get assigned task statistics
  * @route   GET /api/assigned-tasks/stats
- * @access  Private (SuperAdmin: company stats, Admin/Manager: department stats, User: personal stats)
+ * @access  Private (SuperAdmin: company stats, Manager: department stats, User: personal stats)
  */
 export const getAssignedTaskStats = asyncHandler(async (req, res) => {
-  let query = { company: req.user.company._id };
-
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can see company-wide stats
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can see department stats
-    query.department = req.user.department._id;
-  } else {
-    // Users can only see their own stats
-    query.assignedTo = { $in: [req.user._id] };
-  }
+  // Company, department or personal stats depending on the read scope
+  const query = scopeQuery(req.user, "read", "assignedTask");
 
   const totalTasks = await AssignedTask.countDocuments(query);
   
@@ -505,12 +542,15 @@ export const getAssignedTaskStats = asyncHandler(async (req, res) => {
     }
   ]);
 
+  const slaStats = await AssignedTask.slaSummary(query);
+
   const stats = {
     overview: {
       total: totalTasks,
       completed: progressStats[0]?.completedTasks || 0,
       avgProgress: Math.round(progressStats[0]?.avgProgress || 0)
     },
+    sla: slaStats,
     byStatus: statusStats.reduce((acc, stat) => {
       acc[stat._id] = stat.count;
       return acc;
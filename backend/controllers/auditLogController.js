@@ -0,0 +1,126 @@
+// backend/controllers/auditLogController.js
+import asyncHandler from "express-async-handler";
+import { AuditLog } from "../models/index.js";
+import { scopeQuery } from "../config/permissions.js";
+import { toCsv } from "../utils/Csv.js";
+
+// Rows in one CSV export; narrow the dates to export more
+const MAX_EXPORT_ROWS = 10000;
+
+const ACTOR_FIELDS = "firstName lastName email";
+
+// Query filter shared by the list and the export
+const buildFilter = (req) => {
+  const {
+    actor,
+    impersonator,
+    action,
+    resourceType,
+    resourceId,
+    requestId,
+    startDate,
+    endDate
+  } = req.query;
+
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (impersonator) filter.impersonator = impersonator;
+  if (action) filter.action = action;
+  if (resourceType) filter.resourceType = resourceType;
+  if (resourceId) filter.resourceId = resourceId;
+  if (requestId) filter.requestId = requestId;
+
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) filter.createdAt.$lte = new Date(endDate);
+  }
+
+  return scopeQuery(req.user, "read", "auditLog", filter);
+};
+
+const formatUser = (user) =>
+  user ? `${user.firstName} ${user.lastName} <${user.email}>` : "";
+
+const formatChanges = (changes) =>
+  changes
+    .map(({ field, before, after }) =>
+      `${field}: ${JSON.stringify(before) ?? "-"} -> ${JSON.stringify(after) ?? "-"}`
+    )
+    .join("; ");
+
+/**
+ * @desc    Get the company audit log
+ * @route   GET /api/audit-logs
+ * @access  Private (SuperAdmin only)
+ */
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, sort = "-createdAt" } = req.query;
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort,
+    populate: [
+      { path: "actor", select: ACTOR_FIELDS },
+      { path: "impersonator", select: ACTOR_FIELDS }
+    ]
+  };
+
+  const logs = await AuditLog.paginate(buildFilter(req), options);
+
+  res.status(200).json({
+    success: true,
+    data: logs
+  });
+});
+
+/**
+ * @desc    Export the company audit log as CSV (same filters as the list)
+ * @route   GET /api/audit-logs/export
+ * @access  Private (SuperAdmin only)
+ */
+export const exportAuditLogs = asyncHandler(async (req, res) => {
+  const { sort = "-createdAt" } = req.query;
+
+  const logs = await AuditLog.find(buildFilter(req))
+    .sort(sort)
+    .limit(MAX_EXPORT_ROWS)
+    .populate("actor", ACTOR_FIELDS)
+    .populate("impersonator", ACTOR_FIELDS)
+    .lean();
+
+  const csv = toCsv([
+    [
+      "date",
+      "actor",
+      "impersonator",
+      "action",
+      "resourceType",
+      "resourceId",
+      "changes",
+      "method",
+      "path",
+      "ip",
+      "requestId"
+    ],
+    ...logs.map((log) => [
+      log.createdAt.toISOString(),
+      formatUser(log.actor),
+      formatUser(log.impersonator),
+      log.action,
+      log.resourceType,
+      log.resourceId,
+      formatChanges(log.changes),
+      log.method,
+      log.path,
+      log.ip,
+      log.requestId
+    ])
+  ]);
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="audit-log-${date}.csv"`);
+  res.status(200).send(csv);
+});
@@ -1,15 +1,235 @@
 // backend/controllers/authController.js
+import crypto from "crypto";
 import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
 import asyncHandler from "express-async-handler";
-import { User, Company, Department } from "../models/index.js";
+import QRCode from "qrcode";
+import {
+  User,
+  Company,
+  Department,
+  Session,
+  LoginAttempt,
+  Notification,
+  Role,
+} from "../models/index.js";
+import { DEPARTMENT_MANAGER_ROLES } from "../config/permissions.js";
 import {
   generateAccessToken,
   generateRefreshToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+  REFRESH_TOKEN_MAX_AGE,
   getAccessTokenCookieOptions,
   getRefreshTokenCookieOptions,
+  getTwoFactorTokenCookieOptions,
+  generateSsoStateToken,
+  verifySsoStateToken,
+  getSsoStateCookieOptions,
 } from "../utils/GenerateTokens.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+} from "../utils/Totp.js";
+import {
+  getProviderConfig,
+  generateRandomToken,
+  generatePkce,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+  getClaim,
+} from "../utils/Oidc.js";
+import { sendEmail } from "../utils/SendEmail.js";
+import { disconnectSession } from "../utils/SocketEmitter.js";
+import {
+  passwordResetEmail,
+  passwordChangedEmail,
+  verificationCodeEmail,
+  accountLockedEmail,
+} from "../utils/EmailTemplates.js";
 import CustomError from "../errorHandler/CustomError.js";
 
+// Email verification limits
+const VERIFICATION_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+const MAX_VERIFICATION_ATTEMPTS = 5;
+
+// Window in which the previous refresh token is still accepted, so parallel
+// requests racing a rotation are not mistaken for token reuse
+const REFRESH_REUSE_GRACE_PERIOD = 10 * 1000; // 10 seconds
+
+// Two-factor login limits
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_DURATION = 15 * 60 * 1000; // 15 minutes
+
+// Two-factor fields that must never be sent to the client
+const TWO_FACTOR_PRIVATE_FIELDS = [
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorRecoveryCodes",
+  "twoFactorLastUsedStep",
+  "twoFactorFailedAttempts",
+  "twoFactorLockedUntil",
+];
+
+// Messages for LoginAttempt blocks
+const LOGIN_BLOCK_MESSAGES = {
+  ACCOUNT_LOCKED_ERROR:
+    "Account is temporarily locked after repeated failed login attempts",
+  IP_BLOCKED_ERROR: "Too many failed login attempts from this network",
+  LOGIN_THROTTLED_ERROR:
+    "Too many failed login attempts. Please wait before trying again",
+};
+
+const loginBlockError = ({ errorCode, retryAfter }) =>
+  new CustomError(LOGIN_BLOCK_MESSAGES[errorCode], 429, errorCode, {
+    retryAfter,
+  });
+
+// SSO accounts sign in through their provider only. A linked account still
+// has the password it had before, which must not get around the provider
+// (and the company's two-factor policy, see User.isTwoFactorRequired).
+const ssoOnlyError = () =>
+  new CustomError(
+    "This account signs in with single sign-on",
+    403,
+    "SSO_LOGIN_REQUIRED_ERROR"
+  );
+
+// An already rotated refresh token was replayed: assume it was stolen,
+// revoke the whole family and sign this client out
+const revokeReusedSession = async (sessionId, res) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "token_reuse" } }
+  );
+
+  res.clearCookie("access_token", {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+  });
+
+  res.clearCookie("refresh_token", {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+  });
+
+  return new CustomError(
+    "Refresh token reuse detected. Please log in again",
+    401,
+    "REFRESH_TOKEN_REUSE_ERROR"
+  );
+};
+
+// Tell the user and their company's SuperAdmins that the account was locked.
+// Failures are logged only: the login response must not depend on them.
+const notifyAccountLocked = async (user, lockedUntil, ip) => {
+  sendEmail({
+    to: user.email,
+    ...accountLockedEmail({ firstName: user.firstName, lockedUntil, ip }),
+  }).catch((error) => console.error("Account locked email error:", error));
+
+  try {
+    const superAdmins = await User.find({
+      company: user.company._id,
+      role: "SuperAdmin",
+      isActive: true,
+    }).select("_id");
+
+    await Notification.insertMany(
+      superAdmins.map((admin) => ({
+        user: admin._id,
+        message: `Login locked for ${user.email} after failed attempts`.slice(
+          0,
+          100
+        ),
+        type: "SecurityAlert",
+        department: user.department?._id,
+        company: user.company._id,
+        linkedDocument: user._id,
+        linkedDocumentType: "User",
+      }))
+    );
+  } catch (error) {
+    console.error("Account locked notification error:", error);
+  }
+};
+
+// Count a failed password login; returns the lock error once a limit is hit
+const recordFailedLogin = async (req, email, user) => {
+  const result = await LoginAttempt.recordFailure({ email, ip: req.ip });
+  const secondsUntil = (date) => Math.ceil((date - Date.now()) / 1000);
+
+  if (result.accountLocked) {
+    if (user) notifyAccountLocked(user, result.account.lockedUntil, req.ip);
+
+    return loginBlockError({
+      errorCode: "ACCOUNT_LOCKED_ERROR",
+      retryAfter: secondsUntil(result.account.lockedUntil),
+    });
+  }
+
+  if (result.ipLocked) {
+    console.warn(`Login blocked for IP ${req.ip} after repeated failures`);
+
+    return loginBlockError({
+      errorCode: "IP_BLOCKED_ERROR",
+      retryAfter: secondsUntil(result.ip.lockedUntil),
+    });
+  }
+
+  return null;
+};
+
+// Mapped SSO roles, most privileged first; custom roles rank below these
+// and above User
+const SSO_ROLE_PRIORITY = ["SuperAdmin", "Manager"];
+
+const getSsoRedirectUri = () =>
+  `${process.env.SERVER_URL || "http://localhost:5000"}/api/auth/sso/callback`;
+
+const getSsoClientUrl = (errorCode) =>
+  `${process.env.CLIENT_URL || "http://localhost:3000"}/sso/callback${
+    errorCode ? `?error=${encodeURIComponent(errorCode)}` : ""
+  }`;
+
+// Start a server-side session (refresh token family) and set the auth cookies
+const startSession = async (req, res, user) => {
+  const session = new Session({
+    user: user._id,
+    company: user.company._id,
+    userAgent: req.get("user-agent")?.slice(0, 500),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE),
+  });
+
+  // Generate tokens
+  const accessToken = generateAccessToken(user._id, session._id);
+  const refreshToken = generateRefreshToken(user._id, session._id);
+
+  session.currentTokenHash = Session.hashToken(refreshToken);
+  await session.save();
+
+  // Set cookies
+  res.cookie("access_token", accessToken, getAccessTokenCookieOptions());
+  res.cookie("refresh_token", refreshToken, getRefreshTokenCookieOptions());
+};
+
+// Build the login response, flagging privileged users who still have to enroll
+const buildLoginResponse = (user) => {
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  TWO_FACTOR_PRIVATE_FIELDS.forEach((field) => delete userResponse[field]);
+
+  userResponse.twoFactorSetupRequired =
+    !user.twoFactorEnabled && user.isTwoFactorRequired(user.company);
+
+  return userResponse;
+};
+
 // @desc    Register a new company and associate department and admin user
 // @route   POST /api/auth/register
 // @access  Public
@@ -80,7 +300,9 @@ export const registerUser = asyncHandler(async (req, res, next) => {
     Company.findOne({ name: name.trim() }).lean(),
     Company.findOne({ email: email.toLowerCase().trim() }).lean(),
     Company.findOne({ phone: phone.trim() }).lean(),
-    User.findOne({ email: adminEmail.toLowerCase().trim() }).lean(),
+    User.findOne({ email: adminEmail.toLowerCase().trim() })
+      .setOptions({ withDeleted: true })
+      .lean(),
   ]);
 
   if (existingCompanyByName) {
@@ -144,6 +366,9 @@ export const registerUser = asyncHandler(async (req, res, next) => {
     });
     await company.save({ session });
 
+    // Built-in and default roles
+    await Role.seedDefaults(company._id, session);
+
     // Check department name uniqueness within company (race condition protection)
     const existingDepartment = await Department.findOne({
       name: departmentName.trim(),
@@ -226,29 +451,46 @@ export const loginUser = asyncHandler(async (req, res, next) => {
       );
     }
 
+    // Locked accounts and IPs are rejected before the password is checked
+    const block = await LoginAttempt.getBlock({ email, ip: req.ip });
+    if (block) return next(loginBlockError(block));
+
     // Find user with company and department details
     const user = await User.findOne({ email: email.toLowerCase() })
-      .populate("company", "name isActive subscription.status")
+      .populate(
+        "company",
+        "name isActive subscription.status security.requireTwoFactor"
+      )
       .populate("department", "name isActive")
       .select("+password");
 
-    if (!user) {
+    // Verify password; unknown emails count as failures too
+    if (!user || !(await user.comparePassword(password))) {
+      const lockError = await recordFailedLogin(req, email, user);
+
       return next(
-        new CustomError(
-          "Invalid email or password",
-          401,
-          "INVALID_CREDENTIALS_ERROR"
-        )
+        lockError ||
+          new CustomError(
+            "Invalid email or password",
+            401,
+            "INVALID_CREDENTIALS_ERROR"
+          )
       );
     }
 
-    // Verify password
-    if (!(await user.comparePassword(password))) {
+    await LoginAttempt.clearAccount(email);
+
+    if (user.authProvider === "oidc") {
+      return next(ssoOnlyError());
+    }
+
+    // Check if user verified their email
+    if (!user.isVerified) {
       return next(
         new CustomError(
-          "Invalid email or password",
+          "User account is not verified",
           401,
-          "INVALID_CREDENTIALS_ERROR"
+          "ACCOUNT_NOT_VERIFIED_ERROR"
         )
       );
     }
@@ -297,22 +539,28 @@ export const loginUser = asyncHandler(async (req, res, next) => {
       );
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Second step: tokens are only issued once the TOTP code is verified
+    if (user.twoFactorEnabled) {
+      res.cookie(
+        "two_factor_token",
+        generateTwoFactorToken(user._id),
+        getTwoFactorTokenCookieOptions()
+      );
 
-    // Set cookies
-    res.cookie("access_token", accessToken, getAccessTokenCookieOptions());
-    res.cookie("refresh_token", refreshToken, getRefreshTokenCookieOptions());
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication code required",
+        data: { twoFactorRequired: true },
+      });
+    }
 
-    // Remove sensitive data from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    // Start a new session for this device and set cookies
+    await startSession(req, res, user);
 
     res.status(200).json({
       success: true,
       message: "Login successful",
-      data: userResponse,
+      data: buildLoginResponse(user),
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -320,11 +568,363 @@ export const loginUser = asyncHandler(async (req, res, next) => {
   }
 });
 
+//@desc    Start an SSO login and get the identity provider URL
+//@route   POST /api/auth/sso/login
+//@access  Public
+export const ssoLogin = asyncHandler(async (req, res, next) => {
+  const email = req.body.email.toLowerCase();
+  const domain = email.split("@")[1];
+
+  const company = await Company.findOne({
+    "sso.enabled": true,
+    "sso.emailDomains": domain,
+    isActive: true,
+  });
+
+  if (!company) {
+    return next(
+      new CustomError(
+        "Single sign-on is not configured for this email domain",
+        404,
+        "SSO_NOT_CONFIGURED_ERROR"
+      )
+    );
+  }
+
+  let config;
+  try {
+    config = await getProviderConfig(company.sso.issuer);
+  } catch (error) {
+    console.error("OIDC discovery error:", error);
+    return next(
+      new CustomError(
+        "Identity provider is unavailable. Please try again later",
+        502,
+        "SSO_PROVIDER_UNAVAILABLE_ERROR"
+      )
+    );
+  }
+
+  const state = generateRandomToken();
+  const nonce = generateRandomToken();
+  const { codeVerifier, codeChallenge } = generatePkce();
+
+  res.cookie(
+    "oidc_state",
+    generateSsoStateToken({
+      companyId: company._id,
+      state,
+      nonce,
+      codeVerifier,
+    }),
+    getSsoStateCookieOptions()
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      authorizationUrl: buildAuthorizationUrl(config, {
+        clientId: company.sso.clientId,
+        redirectUri: getSsoRedirectUri(),
+        state,
+        nonce,
+        codeChallenge,
+        loginHint: email,
+      }),
+    },
+  });
+});
+
+//@desc    Complete an SSO login; the identity provider redirects here
+//@route   GET /api/auth/sso/callback
+//@access  Public (requires the oidc_state cookie from /sso/login)
+export const ssoCallback = asyncHandler(async (req, res) => {
+  const { code, state, error: providerError } = req.query;
+  const stateToken = req.cookies?.oidc_state;
+
+  // The state cookie is single use
+  const { maxAge, ...stateCookieOptions } = getSsoStateCookieOptions();
+  res.clearCookie("oidc_state", stateCookieOptions);
+
+  // This is a browser redirect, so errors go back to the client as a code
+  const fail = (errorCode) => res.redirect(getSsoClientUrl(errorCode));
+
+  if (providerError) return fail("SSO_PROVIDER_ERROR");
+
+  let pending;
+  try {
+    pending = verifySsoStateToken(stateToken);
+  } catch (jwtError) {
+    return fail("SSO_STATE_EXPIRED_ERROR");
+  }
+
+  if (!code || !state || state !== pending.state) {
+    return fail("SSO_STATE_MISMATCH_ERROR");
+  }
+
+  const company = await Company.findOne({
+    _id: pending.companyId,
+    "sso.enabled": true,
+  }).select("+sso.clientSecret");
+
+  if (!company) return fail("SSO_NOT_CONFIGURED_ERROR");
+
+  let claims;
+  try {
+    const config = await getProviderConfig(company.sso.issuer);
+    const tokens = await exchangeAuthorizationCode(config, {
+      clientId: company.sso.clientId,
+      clientSecret: company.sso.clientSecret,
+      redirectUri: getSsoRedirectUri(),
+      code,
+      codeVerifier: pending.codeVerifier,
+    });
+
+    claims = await verifyIdToken(config, tokens.id_token, {
+      clientId: company.sso.clientId,
+      nonce: pending.nonce,
+    });
+  } catch (error) {
+    console.error("OIDC token error:", error);
+    return fail("SSO_TOKEN_ERROR");
+  }
+
+  const email = claims.email?.toLowerCase();
+  if (!email || claims.email_verified === false) {
+    return fail("SSO_EMAIL_NOT_VERIFIED_ERROR");
+  }
+
+  // The provider may only sign in users of the company's own domains
+  if (!company.sso.emailDomains.includes(email.split("@")[1])) {
+    return fail("SSO_DOMAIN_MISMATCH_ERROR");
+  }
+
+  // Most privileged role the claim maps to, if any
+  const claimedRoles = [].concat(getClaim(claims, company.sso.roleClaim) ?? []);
+  const mappedRoles = claimedRoles
+    .map((value) => company.sso.roleMapping.get(String(value)))
+    .filter(Boolean);
+  const mappedRole =
+    SSO_ROLE_PRIORITY.find((role) => mappedRoles.includes(role)) ??
+    mappedRoles.find((role) => role !== "User") ??
+    mappedRoles[0];
+
+  // Department by name (case-insensitive), falling back to the default
+  const departmentName = getClaim(claims, company.sso.departmentClaim);
+  let department = null;
+  if (typeof departmentName === "string" && departmentName.trim()) {
+    department = await Department.findOne({
+      company: company._id,
+      name: departmentName.trim(),
+    }).collation({ locale: "en", strength: 2 });
+
+    // Departments named by the provider are provisioned like users
+    if (!department && company.sso.autoProvision) {
+      try {
+        department = await Department.create({
+          name: departmentName.trim(),
+          company: company._id,
+        });
+        await Company.updateOne(
+          { _id: company._id },
+          { $addToSet: { departments: department._id } }
+        );
+      } catch (error) {
+        console.error("SSO department provisioning error:", error);
+        department = null;
+      }
+    }
+  }
+
+  let user = await User.findOne({
+    company: company._id,
+    ssoSubject: claims.sub,
+  });
+
+  if (!user) {
+    // Trashed accounts still own their email, so they are found and refused
+    user = await User.findOne({ email }).setOptions({ withDeleted: true });
+
+    if (user && !user.company.equals(company._id)) {
+      return fail("SSO_ACCOUNT_CONFLICT_ERROR");
+    }
+    if (user?.deletedAt) return fail("USER_DEACTIVATED_ERROR");
+  }
+
+  const previousDepartment = user?.department;
+
+  try {
+    if (!user) {
+      if (!company.sso.autoProvision) {
+        return fail("SSO_PROVISIONING_DISABLED_ERROR");
+      }
+
+      const departmentId = department?._id || company.sso.defaultDepartment;
+      if (!departmentId) return fail("SSO_DEPARTMENT_REQUIRED_ERROR");
+
+      // Names must satisfy the 2-30 character schema limits
+      const [fallbackFirst, ...fallbackLast] = (
+        claims.name ||
+        email.split("@")[0]
+      ).split(/\s+/);
+      const toName = (value, fallback) =>
+        (value || "").trim().length >= 2
+          ? value.trim().slice(0, 30)
+          : fallback;
+
+      user = new User({
+        firstName: toName(claims.given_name, toName(fallbackFirst, "Sso")),
+        lastName: toName(
+          claims.family_name,
+          toName(fallbackLast.join(" "), "User")
+        ),
+        email,
+        // Never used: SSO users sign in through the provider
+        password: crypto.randomBytes(32).toString("hex"),
+        role: mappedRole || "User",
+        company: company._id,
+        department: departmentId,
+        isVerified: true,
+        authProvider: "oidc",
+        ssoSubject: claims.sub,
+      });
+      await user.save();
+
+      if (user.role === "SuperAdmin") {
+        await Company.updateOne(
+          { _id: company._id },
+          { $addToSet: { superAdmins: user._id } }
+        );
+      }
+    } else {
+      // Link accounts that existed before SSO was enabled
+      user.ssoSubject = claims.sub;
+      user.authProvider = "oidc";
+      user.isVerified = true;
+
+      if (department && !department._id.equals(user.department)) {
+        user.department = department._id;
+      }
+
+      if (mappedRole && mappedRole !== user.role) {
+        // Never demote the company's last SuperAdmin
+        const isLastSuperAdmin =
+          user.role === "SuperAdmin" &&
+          !(await User.exists({
+            _id: { $ne: user._id },
+            company: company._id,
+            role: "SuperAdmin",
+            isActive: true,
+          }));
+
+        if (!isLastSuperAdmin) {
+          await Company.updateOne(
+            { _id: company._id },
+            mappedRole === "SuperAdmin"
+              ? { $addToSet: { superAdmins: user._id } }
+              : { $pull: { superAdmins: user._id } }
+          );
+          user.role = mappedRole;
+        }
+      }
+
+      await user.save();
+    }
+
+    // Keep department membership in step with the user's department
+    if (previousDepartment && !previousDepartment.equals(user.department)) {
+      await Department.updateOne(
+        { _id: previousDepartment },
+        { $pull: { members: user._id, managers: user._id } }
+      );
+    }
+    await Department.updateOne(
+      { _id: user.department },
+      DEPARTMENT_MANAGER_ROLES.includes(user.role)
+        ? { $addToSet: { members: user._id, managers: user._id } }
+        : { $addToSet: { members: user._id }, $pull: { managers: user._id } }
+    );
+  } catch (error) {
+    console.error("SSO provisioning error:", error);
+    return fail("SSO_PROVISIONING_ERROR");
+  }
+
+  await user.populate([
+    {
+      path: "company",
+      select: "name isActive subscription.status security.requireTwoFactor",
+    },
+    { path: "department", select: "name isActive" },
+  ]);
+
+  // Same account checks as a password login
+  if (!user.isActive) return fail("USER_DEACTIVATED_ERROR");
+  if (!user.company.isActive) return fail("COMPANY_DEACTIVATED_ERROR");
+  if (user.company.subscription.status !== "active") {
+    return fail("SUBSCRIPTION_INACTIVE_ERROR");
+  }
+  if (!user.department.isActive) return fail("DEPARTMENT_DEACTIVATED_ERROR");
+
+  // Start a new session for this device and set cookies
+  await startSession(req, res, user);
+
+  res.redirect(getSsoClientUrl());
+});
+
 //@desc    Logout user and clear cookies
 //@route   DELETE /api/auth/logout
 //@access  Public
 export const logoutUser = asyncHandler(async (req, res, next) => {
   try {
+    // Revoke the server-side session so the refresh token cannot be reused
+    const refreshToken = req.cookies?.refresh_token;
+
+    if (refreshToken) {
+      try {
+        const decoded = jwt.verify(
+          refreshToken,
+          process.env.JWT_REFRESH_SECRET,
+          { ignoreExpiration: true }
+        );
+
+        if (decoded.sid) {
+          await Session.updateOne(
+            { _id: decoded.sid, revokedAt: { $exists: false } },
+            { revokedAt: new Date(), revokedReason: "logout" }
+          );
+          disconnectSession(decoded.sid);
+        }
+      } catch (jwtError) {
+        // Invalid token: nothing to revoke, just clear the cookies
+      }
+    }
+
+    // End an impersonation the SuperAdmin left open
+    const impersonationToken = req.cookies?.impersonation_token;
+
+    if (impersonationToken) {
+      try {
+        const decoded = jwt.verify(
+          impersonationToken,
+          process.env.JWT_ACCESS_SECRET,
+          { audience: "impersonation", ignoreExpiration: true }
+        );
+
+        await Session.updateOne(
+          { _id: decoded.sid, revokedAt: { $exists: false } },
+          { revokedAt: new Date(), revokedReason: "impersonation_ended" }
+        );
+      } catch (jwtError) {
+        // Invalid token: nothing to revoke
+      }
+
+      res.clearCookie("impersonation_token", {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "strict",
+      });
+    }
+
     // Clear cookies
     res.clearCookie("access_token", {
       httpOnly: true,
@@ -405,11 +1005,52 @@ export const getRefreshToken = asyncHandler(async (req, res, next) => {
       }
     }
 
+    // Tokens issued before server-side sessions cannot be rotated
+    const session = decoded.sid
+      ? await Session.findOne({ _id: decoded.sid, user: decoded.userId }).select(
+          "+currentTokenHash +previousTokenHash"
+        )
+      : null;
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      res.clearCookie("access_token", {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "strict",
+      });
+
+      res.clearCookie("refresh_token", {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "strict",
+      });
+
+      return next(
+        new CustomError(
+          "Session has been revoked. Please log in again",
+          401,
+          "SESSION_REVOKED_ERROR"
+        )
+      );
+    }
+
+    const presentedHash = Session.hashToken(refreshToken);
+    const isCurrentToken = presentedHash === session.currentTokenHash;
+    // The token was rotated moments ago, by a parallel request of the same client
+    const isGracefulReplay = ({ previousTokenHash, rotatedAt }) =>
+      presentedHash === previousTokenHash &&
+      rotatedAt &&
+      Date.now() - rotatedAt.getTime() < REFRESH_REUSE_GRACE_PERIOD;
+
+    if (!isCurrentToken && !isGracefulReplay(session)) {
+      return next(await revokeReusedSession(session._id, res));
+    }
+
     // Fetch user data with company and department details
     const user = await User.findById(decoded.userId)
       .populate("company", "name isActive subscription.status")
       .populate("department", "name isActive")
-      .select("-password");
+      .select("-password +passwordChangedAt");
 
     if (!user) {
       // Clear cookies if user not found
@@ -424,6 +1065,23 @@ export const getRefreshToken = asyncHandler(async (req, res, next) => {
       );
     }
 
+    // Reject refresh tokens issued before the last password reset
+    if (user.changedPasswordAfter(decoded.iat)) {
+      res.clearCookie("refresh_token", {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "strict",
+      });
+
+      return next(
+        new CustomError(
+          "Password was changed. Please log in again",
+          401,
+          "PASSWORD_CHANGED_ERROR"
+        )
+      );
+    }
+
     // Check if user verified their email
     if (!user.isVerified) {
       // Clear cookies if user is not verified
@@ -514,16 +1172,65 @@ export const getRefreshToken = asyncHandler(async (req, res, next) => {
       );
     }
 
+    const usage = {
+      lastUsedAt: new Date(),
+      ip: req.ip,
+      userAgent: req.get("user-agent")?.slice(0, 500),
+    };
+
+    // Rotate the refresh token; a graceful replay keeps the already rotated one
+    if (isCurrentToken) {
+      const newRefreshToken = generateRefreshToken(user._id, session._id);
+
+      // One atomic update conditional on the presented token still being
+      // current, so of two refreshes racing with the same token only one
+      // rotates
+      const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, currentTokenHash: presentedHash, revokedAt: null },
+        {
+          $set: {
+            previousTokenHash: presentedHash,
+            currentTokenHash: Session.hashToken(newRefreshToken),
+            rotatedAt: new Date(),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE),
+            ...usage,
+          },
+        }
+      );
+
+      if (rotated) {
+        res.cookie(
+          "refresh_token",
+          newRefreshToken,
+          getRefreshTokenCookieOptions()
+        );
+      } else {
+        // Lost the race or the session was revoked meanwhile: only a replay
+        // of the rotation that just won is let through
+        const current = await Session.findById(session._id).select(
+          "+previousTokenHash"
+        );
+        if (!current || current.revokedAt || !isGracefulReplay(current)) {
+          return next(await revokeReusedSession(session._id, res));
+        }
+      }
+    } else {
+      await Session.updateOne({ _id: session._id }, { $set: usage });
+    }
+
     // Generate new access token
-    const newAccessToken = generateAccessToken(user._id);
+    const newAccessToken = generateAccessToken(user._id, session._id);
 
     // Set new access token cookie
     res.cookie("access_token", newAccessToken, getAccessTokenCookieOptions());
 
+    const userResponse = user.toObject();
+    delete userResponse.passwordChangedAt;
+
     res.status(200).json({
       success: true,
       message: "Token refreshed successfully",
-      data: user,
+      data: userResponse,
     });
   } catch (error) {
     console.error("Refresh token error:", error);
@@ -595,12 +1302,802 @@ export const getMe = asyncHandler(async (req, res, next) => {
       );
     }
 
+    // Flag the session when a SuperAdmin is acting as this user
     res.status(200).json({
       success: true,
-      data: user,
+      data: req.impersonation
+        ? { ...user.toObject(), impersonation: req.impersonation }
+        : user,
     });
   } catch (error) {
     console.error("GetMe error:", error);
     next(error);
   }
 });
+
+//@desc    Send a password reset link to the user's email
+//@route   POST /api/auth/forgot-password
+//@access  Public
+export const forgotPassword = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  // Same response whether or not the account exists, to avoid email enumeration
+  const genericResponse = {
+    success: true,
+    message:
+      "If an account with that email exists, a password reset link has been sent",
+  };
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+  if (!user || !user.isActive) {
+    return res.status(200).json(genericResponse);
+  }
+
+  if (user.authProvider === "oidc") {
+    return next(ssoOnlyError());
+  }
+
+  const resetToken = user.generateResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendEmail({
+      to: user.email,
+      ...passwordResetEmail({ firstName: user.firstName, token: resetToken }),
+    });
+  } catch (error) {
+    console.error("Password reset email error:", error);
+
+    // Invalidate the token so an undelivered link can never be used
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpiry = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return next(
+      new CustomError(
+        "Failed to send password reset email. Please try again later",
+        500,
+        "EMAIL_SEND_ERROR"
+      )
+    );
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+//@desc    Reset password using a valid reset token
+//@route   POST /api/auth/reset-password/:token
+//@access  Public
+export const resetPassword = asyncHandler(async (req, res, next) => {
+  const { token } = req.params;
+  const { password } = req.body;
+
+  // Look up by hash; expired tokens never match
+  const user = await User.findOne({
+    resetPasswordToken: User.hashToken(token),
+    resetPasswordExpiry: { $gt: Date.now() },
+  }).select("+resetPasswordToken +resetPasswordExpiry");
+
+  if (!user) {
+    return next(
+      new CustomError(
+        "Password reset token is invalid or has expired",
+        400,
+        "INVALID_RESET_TOKEN_ERROR"
+      )
+    );
+  }
+
+  // The account may have been linked to SSO after the link was sent
+  if (user.authProvider === "oidc") {
+    return next(ssoOnlyError());
+  }
+
+  // Set new password and consume the token (single use)
+  user.password = password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpiry = undefined;
+
+  // Invalidates every access and refresh token issued before now
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  // End every server-side session as well
+  await Session.revokeAllForUser(user._id, "password_reset");
+
+  // Clear this browser's cookies as well
+  res.clearCookie("access_token", {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+  });
+
+  res.clearCookie("refresh_token", {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+  });
+
+  // Notification failure must not undo a completed reset
+  sendEmail({
+    to: user.email,
+    ...passwordChangedEmail({ firstName: user.firstName }),
+  }).catch((error) => console.error("Password changed email error:", error));
+
+  res.status(200).json({
+    success: true,
+    message: "Password has been reset successfully. Please log in",
+  });
+});
+
+//@desc    Verify user email with the 6-character code
+//@route   POST /api/auth/verify-email
+//@access  Public
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  const { email, code } = req.body;
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() }).select(
+    "+verificationToken +verificationTokenExpiry +verificationAttempts"
+  );
+
+  if (!user || !user.verificationToken) {
+    // Already verified accounts have no pending code
+    if (user?.isVerified) {
+      return next(
+        new CustomError(
+          "User account is already verified",
+          400,
+          "ACCOUNT_ALREADY_VERIFIED_ERROR"
+        )
+      );
+    }
+
+    return next(
+      new CustomError(
+        "Invalid or expired verification code",
+        400,
+        "INVALID_VERIFICATION_CODE_ERROR"
+      )
+    );
+  }
+
+  // Too many wrong guesses: the code must be re-sent
+  if (user.verificationAttempts >= MAX_VERIFICATION_ATTEMPTS) {
+    return next(
+      new CustomError(
+        "Too many failed attempts. Please request a new verification code",
+        429,
+        "VERIFICATION_ATTEMPTS_EXCEEDED_ERROR"
+      )
+    );
+  }
+
+  const isExpired = user.verificationTokenExpiry < Date.now();
+  const isMatch =
+    user.verificationToken === User.hashToken(code.trim().toUpperCase());
+
+  if (isExpired || !isMatch) {
+    if (!isExpired) {
+      user.verificationAttempts += 1;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    return next(
+      new CustomError(
+        "Invalid or expired verification code",
+        400,
+        "INVALID_VERIFICATION_CODE_ERROR"
+      )
+    );
+  }
+
+  // Mark verified and consume the code
+  user.isVerified = true;
+  user.verificationToken = undefined;
+  user.verificationTokenExpiry = undefined;
+  user.verificationSentAt = undefined;
+  user.verificationAttempts = 0;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully. You can now log in",
+  });
+});
+
+//@desc    Resend the email verification code
+//@route   POST /api/auth/resend-verification
+//@access  Public
+export const resendVerification = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  // Same response whether or not the account exists, to avoid email enumeration
+  const genericResponse = {
+    success: true,
+    message:
+      "If an unverified account with that email exists, a new verification code has been sent",
+  };
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() }).select(
+    "+verificationSentAt"
+  );
+
+  if (!user || user.isVerified || !user.isActive) {
+    return res.status(200).json(genericResponse);
+  }
+
+  // Throttle resends per account
+  if (
+    user.verificationSentAt &&
+    Date.now() - user.verificationSentAt.getTime() <
+      VERIFICATION_RESEND_COOLDOWN
+  ) {
+    const retryAfter = Math.ceil(
+      (VERIFICATION_RESEND_COOLDOWN -
+        (Date.now() - user.verificationSentAt.getTime())) /
+        1000
+    );
+
+    return next(
+      new CustomError(
+        `Please wait ${retryAfter} seconds before requesting a new code`,
+        429,
+        "VERIFICATION_RESEND_THROTTLED_ERROR",
+        { retryAfter }
+      )
+    );
+  }
+
+  const code = user.generateVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendEmail({
+      to: user.email,
+      ...verificationCodeEmail({ firstName: user.firstName, code }),
+    });
+  } catch (error) {
+    console.error("Verification email error:", error);
+    return next(
+      new CustomError(
+        "Failed to send verification email. Please try again later",
+        500,
+        "EMAIL_SEND_ERROR"
+      )
+    );
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+//@desc    Confirm a pending email change using the emailed token
+//@route   POST /api/auth/confirm-email-change/:token
+//@access  Public
+export const confirmEmailChange = asyncHandler(async (req, res, next) => {
+  const hashedToken = User.hashToken(req.params.token);
+
+  const user = await User.findOne({
+    emailChangeToken: hashedToken,
+    emailChangeTokenExpiry: { $gt: Date.now() },
+    pendingEmail: { $exists: true },
+  });
+
+  if (!user) {
+    return next(
+      new CustomError(
+        "Email change token is invalid or has expired",
+        400,
+        "INVALID_EMAIL_CHANGE_TOKEN_ERROR"
+      )
+    );
+  }
+
+  // The address may have been taken since the change was requested, in any
+  // company and also by a user in the trash (emails are unique across both)
+  const existingUser = await User.findOne({
+    email: user.pendingEmail,
+    _id: { $ne: user._id },
+  })
+    .setOptions({ skipTenant: true, withDeleted: true })
+    .lean();
+
+  if (existingUser) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $unset: {
+          pendingEmail: 1,
+          emailChangeToken: 1,
+          emailChangeTokenExpiry: 1,
+        },
+      }
+    );
+
+    return next(
+      new CustomError(
+        "Email already in use",
+        409,
+        "USER_EMAIL_EXISTS_ERROR"
+      )
+    );
+  }
+
+  // Swap atomically; matching on the token makes it single use.
+  // The unique email index still guards against a concurrent registration.
+  const updatedUser = await User.findOneAndUpdate(
+    { _id: user._id, emailChangeToken: hashedToken },
+    {
+      $set: { email: user.pendingEmail },
+      $unset: {
+        pendingEmail: 1,
+        emailChangeToken: 1,
+        emailChangeTokenExpiry: 1,
+      },
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updatedUser) {
+    return next(
+      new CustomError(
+        "Email change token is invalid or has expired",
+        400,
+        "INVALID_EMAIL_CHANGE_TOKEN_ERROR"
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Email address updated successfully",
+    data: { email: updatedUser.email },
+  });
+});
+
+//@desc    List the current user's active sessions (logged-in devices)
+//@route   GET /api/auth/sessions
+//@access  Private
+export const getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: sessions.map((session) => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      lastUsedAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      isCurrent: session._id.toString() === req.sessionId,
+    })),
+  });
+});
+
+//@desc    Revoke one of the current user's sessions
+//@route   DELETE /api/auth/sessions/:sessionId
+//@access  Private
+export const revokeSession = asyncHandler(async (req, res, next) => {
+  const { sessionId } = req.params;
+
+  if (sessionId === req.sessionId) {
+    return next(
+      new CustomError(
+        "Use logout to end the current session",
+        400,
+        "CURRENT_SESSION_REVOKE_ERROR"
+      )
+    );
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: req.user._id, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: "revoked" },
+    { new: true }
+  );
+
+  if (!session) {
+    return next(
+      new CustomError("Session not found", 404, "SESSION_NOT_FOUND_ERROR")
+    );
+  }
+
+  disconnectSession(session._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked successfully",
+  });
+});
+
+//@desc    Revoke all of the current user's sessions except this one
+//@route   DELETE /api/auth/sessions
+//@access  Private
+export const revokeOtherSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: { $exists: false },
+    _id: { $ne: req.sessionId },
+  })
+    .select("_id")
+    .lean();
+
+  await Session.revokeAllForUser(req.user._id, "revoked", req.sessionId);
+  sessions.forEach((session) => disconnectSession(session._id));
+
+  res.status(200).json({
+    success: true,
+    message: "All other sessions revoked successfully",
+    data: { revokedCount: sessions.length },
+  });
+});
+
+//@desc    Complete a two-factor login with a TOTP or recovery code
+//@route   POST /api/auth/2fa/verify
+//@access  Public (requires the two_factor_token cookie from login)
+export const verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const { code, recoveryCode } = req.body;
+  const twoFactorToken = req.cookies?.two_factor_token;
+
+  if (!twoFactorToken) {
+    return next(
+      new CustomError(
+        "Two-factor session is missing. Please log in again",
+        401,
+        "MISSING_TWO_FACTOR_TOKEN_ERROR"
+      )
+    );
+  }
+
+  let decoded;
+  try {
+    decoded = verifyTwoFactorToken(twoFactorToken);
+  } catch (jwtError) {
+    res.clearCookie("two_factor_token", {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+    });
+
+    return next(
+      new CustomError(
+        "Two-factor session has expired. Please log in again",
+        401,
+        "INVALID_TWO_FACTOR_TOKEN_ERROR"
+      )
+    );
+  }
+
+  const user = await User.findById(decoded.userId)
+    .populate(
+      "company",
+      "name isActive subscription.status security.requireTwoFactor"
+    )
+    .populate("department", "name isActive")
+    .select("+twoFactorSecret");
+
+  if (!user || !user.twoFactorEnabled) {
+    return next(
+      new CustomError(
+        "Two-factor session is invalid. Please log in again",
+        401,
+        "INVALID_TWO_FACTOR_TOKEN_ERROR"
+      )
+    );
+  }
+
+  // The account may have been disabled since the password step
+  if (
+    !user.isActive ||
+    !user.company.isActive ||
+    user.company.subscription.status !== "active" ||
+    !user.department.isActive
+  ) {
+    return next(
+      new CustomError(
+        "Account is not available. Please log in again",
+        401,
+        "ACCOUNT_UNAVAILABLE_ERROR"
+      )
+    );
+  }
+
+  // Count the attempt before checking the code, in one conditional update
+  // that also sets the lock once the limit is reached. Parallel requests
+  // then cannot try more codes than the limit allows: once the account is
+  // locked, the update no longer matches.
+  const now = Date.now();
+  const reachedMax = {
+    $gte: ["$twoFactorFailedAttempts", MAX_TWO_FACTOR_ATTEMPTS],
+  };
+  const attempt = await User.findOneAndUpdate(
+    { _id: user._id, twoFactorLockedUntil: { $not: { $gt: new Date(now) } } },
+    [
+      {
+        $set: {
+          twoFactorFailedAttempts: {
+            $add: [{ $ifNull: ["$twoFactorFailedAttempts", 0] }, 1],
+          },
+        },
+      },
+      {
+        $set: {
+          twoFactorFailedAttempts: {
+            $cond: [reachedMax, 0, "$twoFactorFailedAttempts"],
+          },
+          twoFactorLockedUntil: {
+            $cond: [
+              reachedMax,
+              new Date(now + TWO_FACTOR_LOCK_DURATION),
+              "$twoFactorLockedUntil",
+            ],
+          },
+        },
+      },
+    ],
+    { new: true }
+  ).select("_id");
+
+  if (!attempt) {
+    const { twoFactorLockedUntil } = await User.findById(user._id)
+      .select("+twoFactorLockedUntil")
+      .lean();
+    const retryAfter = Math.max(
+      Math.ceil((twoFactorLockedUntil - Date.now()) / 1000),
+      1
+    );
+
+    return next(
+      new CustomError(
+        "Too many failed attempts. Please try again later",
+        429,
+        "TWO_FACTOR_LOCKED_ERROR",
+        { retryAfter }
+      )
+    );
+  }
+
+  const isValid = code
+    ? await user.verifyTwoFactorCode(code)
+    : await user.useTwoFactorRecoveryCode(recoveryCode);
+
+  if (!isValid) {
+    return next(
+      new CustomError(
+        "Invalid authentication code",
+        401,
+        "INVALID_TWO_FACTOR_CODE_ERROR"
+      )
+    );
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { twoFactorFailedAttempts: 0 },
+      $unset: { twoFactorLockedUntil: 1 },
+    }
+  );
+
+  res.clearCookie("two_factor_token", {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+  });
+
+  // Start a new session for this device and set cookies
+  await startSession(req, res, user);
+
+  const userResponse = buildLoginResponse(user);
+  if (!code) {
+    userResponse.recoveryCodesRemaining = await User.countRecoveryCodes(user._id);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    data: userResponse,
+  });
+});
+
+//@desc    Start two-factor enrollment and get the QR code
+//@route   POST /api/auth/2fa/setup
+//@access  Private
+export const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactorEnabled) {
+    return next(
+      new CustomError(
+        "Two-factor authentication is already enabled",
+        400,
+        "TWO_FACTOR_ALREADY_ENABLED_ERROR"
+      )
+    );
+  }
+
+  // The secret stays pending until a code from the app confirms it
+  const secret = generateTotpSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUri = buildOtpauthUri({ secret, accountName: user.email });
+  const qrCode = await QRCode.toDataURL(otpauthUri);
+
+  res.status(200).json({
+    success: true,
+    message: "Scan the QR code with your authenticator app",
+    data: { secret, otpauthUri, qrCode },
+  });
+});
+
+//@desc    Confirm enrollment with a TOTP code and enable two-factor
+//@route   POST /api/auth/2fa/enable
+//@access  Private
+export const enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorPendingSecret"
+  );
+
+  if (user.twoFactorEnabled) {
+    return next(
+      new CustomError(
+        "Two-factor authentication is already enabled",
+        400,
+        "TWO_FACTOR_ALREADY_ENABLED_ERROR"
+      )
+    );
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    return next(
+      new CustomError(
+        "Start two-factor setup first",
+        400,
+        "TWO_FACTOR_SETUP_NOT_STARTED_ERROR"
+      )
+    );
+  }
+
+  const step = verifyTotp(user.twoFactorPendingSecret, code);
+
+  if (step === null) {
+    return next(
+      new CustomError(
+        "Invalid authentication code",
+        400,
+        "INVALID_TWO_FACTOR_CODE_ERROR"
+      )
+    );
+  }
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorEnabled = true;
+  const recoveryCodes = user.generateTwoFactorRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Two-factor authentication enabled. Store your recovery codes safely",
+    data: { recoveryCodes },
+  });
+});
+
+//@desc    Disable two-factor authentication
+//@route   POST /api/auth/2fa/disable
+//@access  Private
+export const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (req.user.isTwoFactorRequired(req.user.company)) {
+    return next(
+      new CustomError(
+        "Your company requires two-factor authentication for your role",
+        403,
+        "TWO_FACTOR_REQUIRED_BY_POLICY_ERROR"
+      )
+    );
+  }
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes"
+  );
+
+  if (!user.twoFactorEnabled) {
+    return next(
+      new CustomError(
+        "Two-factor authentication is not enabled",
+        400,
+        "TWO_FACTOR_NOT_ENABLED_ERROR"
+      )
+    );
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return next(
+      new CustomError(
+        "Current password is incorrect",
+        400,
+        "INVALID_CURRENT_PASSWORD_ERROR"
+      )
+    );
+  }
+
+  const isValid = code
+    ? await user.verifyTwoFactorCode(code)
+    : await user.useTwoFactorRecoveryCode(recoveryCode);
+
+  if (!isValid) {
+    return next(
+      new CustomError(
+        "Invalid authentication code",
+        400,
+        "INVALID_TWO_FACTOR_CODE_ERROR"
+      )
+    );
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+//@desc    Regenerate two-factor recovery codes
+//@route   POST /api/auth/2fa/recovery-codes
+//@access  Private
+export const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorSecret +twoFactorLastUsedStep"
+  );
+
+  if (!user.twoFactorEnabled) {
+    return next(
+      new CustomError(
+        "Two-factor authentication is not enabled",
+        400,
+        "TWO_FACTOR_NOT_ENABLED_ERROR"
+      )
+    );
+  }
+
+  if (!(await user.verifyTwoFactorCode(code))) {
+    return next(
+      new CustomError(
+        "Invalid authentication code",
+        400,
+        "INVALID_TWO_FACTOR_CODE_ERROR"
+      )
+    );
+  }
+
+  // Previous codes stop working
+  const recoveryCodes = user.generateTwoFactorRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Recovery codes regenerated",
+    data: { recoveryCodes },
+  });
+});
@@ -1,9 +1,22 @@
 // backend/controllers/companyController.js
 import asyncHandler from "express-async-handler";
-import { Company, Department, User } from "../models/index.js";
+import { Company, Department, User, Role, AuditLog, Task } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
+import { getProviderConfig } from "../utils/Oidc.js";
+import { exportCompany, deletionDateFrom } from "../utils/CompanyOffboarding.js";
+import { AWAITING_APPROVAL, DEFAULT_WORKFLOW } from "../config/workflow.js";
+import { once } from "events";
 import mongoose from "mongoose";
 
+// SSO settings without the client secret, which is write-only
+const formatSsoSettings = (company) => {
+  const { sso = {} } = company.toObject({ flattenMaps: true });
+  const hasClientSecret = Boolean(sso.clientSecret);
+  delete sso.clientSecret;
+
+  return { ...sso, hasClientSecret };
+};
+
 /**
  * @desc    Get company information
  * @route   GET /api/companies/:id
@@ -75,7 +88,9 @@ export const createCompany = asyncHandler(async (req, res) => {
       // Check if company with same name or email already exists
       const existingCompany = await Company.findOne({
         $or: [{ name }, { email }]
-      }).session(session);
+      })
+        .session(session)
+        .setOptions({ skipTenant: true });
 
       if (existingCompany) {
         throw new CustomError("Company with this name or email already exists", 400, "COMPANY_ALREADY_EXISTS");
@@ -93,7 +108,8 @@ export const createCompany = asyncHandler(async (req, res) => {
         subscription: subscription || {}
       });
 
-      await company.save({ session });
+      // A new tenant, outside the creator's own company
+      await company.save({ session, skipTenant: true });
 
       res.status(201).json({
         success: true,
@@ -124,6 +140,11 @@ export const updateCompany = asyncHandler(async (req, res) => {
   const updateData = { ...req.body };
   delete updateData.superAdmins; // Prevent updating super admins through this endpoint
   delete updateData.departments; // Prevent updating departments through this endpoint
+  delete updateData.security; // Security policy has its own endpoint
+  delete updateData.sso; // SSO settings have their own endpoint
+  delete updateData.holidays; // Holidays have their own endpoint
+  delete updateData.workflow; // The task workflow has its own endpoint
+  delete updateData.slaPolicies; // SLA policies have their own endpoint
 
   const company = await Company.findByIdAndUpdate(
     id,
@@ -145,6 +166,312 @@ export const updateCompany = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Update company security policy
+ * @route   PUT /api/companies/:id/security
+ * @access  Private (SuperAdmin only)
+ */
+export const updateCompanySecurity = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { requireTwoFactor } = req.body;
+
+  // Ensure user can only update their own company
+  if (!req.user.company._id.equals(id)) {
+    throw new CustomError("Access denied to different company data", 403, "COMPANY_ACCESS_DENIED");
+  }
+
+  // Avoid locking out the SuperAdmin making the change
+  if (requireTwoFactor && !req.user.twoFactorEnabled) {
+    throw new CustomError("Enable two-factor authentication on your own account first", 400, "TWO_FACTOR_NOT_ENABLED");
+  }
+
+  const company = await Company.findByIdAndUpdate(
+    id,
+    { "security.requireTwoFactor": requireTwoFactor },
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!company) {
+    throw new CustomError("Company not found", 404, "COMPANY_NOT_FOUND");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Company security policy updated successfully",
+    data: company
+  });
+});
+
+/**
+ * @desc    Replace company holidays
+ * @route   PUT /api/companies/:id/holidays
+ * @access  Private (SuperAdmin only)
+ */
+export const updateCompanyHolidays = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { holidays } = req.body;
+
+  // Ensure user can only update their own company
+  if (!req.user.company._id.equals(id)) {
+    throw new CustomError("Access denied to different company data", 403, "COMPANY_ACCESS_DENIED");
+  }
+
+  // One entry per day; tasks already generated for a new holiday are kept
+  const company = await Company.findByIdAndUpdate(
+    id,
+    { holidays: [...new Map(holidays.map((holiday) => [holiday.date, holiday])).values()] },
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!company) {
+    throw new CustomError("Company not found", 404, "COMPANY_NOT_FOUND");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Company holidays updated successfully",
+    data: company
+  });
+});
+
+/**
+ * @desc    Get company task workflow
+ * @route   GET /api/companies/:id/workflow
+ * @access  Private (All roles - own company only)
+ */
+export const getCompanyWorkflow = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Ensure user can only read their own company
+  if (!req.user.company._id.equals(id)) {
+    throw new CustomError("Access denied to different company data", 403, "COMPANY_ACCESS_DENIED");
+  }
+
+  const company = await Company.findById(id).select("workflow").lean();
+
+  if (!company) {
+    throw new CustomError("Company not found", 404, "COMPANY_NOT_FOUND");
+  }
+
+  const isDefault = !company.workflow?.length;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      statuses: isDefault ? DEFAULT_WORKFLOW : company.workflow,
+      isDefault
+    }
+  });
+});
+
+/**
+ * @desc    Replace company task workflow
+ * @route   PUT /api/companies/:id/workflow
+ * @access  Private (SuperAdmin only)
+ */
+export const updateCompanyWorkflow = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { statuses } = req.body;
+
+  // Ensure user can only update their own company
+  if (!req.user.company._id.equals(id)) {
+    throw new CustomError("Access denied to different company data", 403, "COMPANY_ACCESS_DENIED");
+  }
+
+  // Statuses can only be removed once no task uses them, trashed ones
+  // included; tasks awaiting approval are outside the workflow
+  const inUse = await Task.distinct("status", {
+    company: id,
+    status: { $nin: [...statuses.map(({ name }) => name), AWAITING_APPROVAL] }
+  }).setOptions({ withDeleted: true });
+
+  if (inUse.length) {
+    const names = inUse.map((name) => `"${name}"`).join(", ");
+    throw new CustomError(`Statuses still used by tasks: ${names}`, 409, "STATUS_IN_USE");
+  }
+
+  const company = await Company.findByIdAndUpdate(
+    id,
+    {
+      workflow: statuses.map(({ name, category, transitions = [], requires = [] }) => ({
+        name,
+        category,
+        transitions,
+        requires
+      }))
+    },
+    {
+      new: true,
+      runValidators: true
+    }
+  ).select("workflow");
+
+  if (!company) {
+    throw new CustomError("Company not found", 404, "COMPANY_NOT_FOUND");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Company workflow updated successfully",
+    data: {
+      statuses: company.workflow,
+      isDefault: false
+    }
+  });
+});
+
+/**
+ * @desc    Replace company SLA policies
+ * @route   PUT /api/companies/:id/sla-policies
+ * @access  Private (SuperAdmin only)
+ */
+export const updateCompanySlaPolicies = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { policies } = req.body;
+
+  // Ensure user can only update their own company
+  if (!req.user.company._id.equals(id)) {
+    throw new CustomError("Access denied to different company data", 403, "COMPANY_ACCESS_DENIED");
+  }
+
+  // Tasks keep the targets they have until their priority or due date changes
+  const company = await Company.findByIdAndUpdate(
+    id,
+    { slaPolicies: policies },
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!company) {
+    throw new CustomError("Company not found", 404, "COMPANY_NOT_FOUND");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Company SLA policies updated successfully",
+    data: company
+  });
+});
+
+/**
+ * @desc    Get company SSO settings
+ * @route   GET /api/companies/:id/sso
+ * @access  Private (SuperAdmin only)
+ */
+export const getCompanySso = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Ensure user can only read their own company
+  if (!req.user.company._id.equals(id)) {
+    throw new CustomError("Access denied to different company data", 403, "COMPANY_ACCESS_DENIED");
+  }
+
+  const company = await Company.findById(id).select("+sso.clientSecret");
+
+  if (!company) {
+    throw new CustomError("Company not found", 404, "COMPANY_NOT_FOUND");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: formatSsoSettings(company)
+  });
+});
+
+/**
+ * @desc    Update company SSO settings
+ * @route   PUT /api/companies/:id/sso
+ * @access  Private (SuperAdmin only)
+ */
+export const updateCompanySso = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Ensure user can only update their own company
+  if (!req.user.company._id.equals(id)) {
+    throw new CustomError("Access denied to different company data", 403, "COMPANY_ACCESS_DENIED");
+  }
+
+  const company = await Company.findById(id).select("+sso.clientSecret");
+
+  if (!company) {
+    throw new CustomError("Company not found", 404, "COMPANY_NOT_FOUND");
+  }
+
+  const fields = [
+    "enabled",
+    "issuer",
+    "clientId",
+    "clientSecret",
+    "emailDomains",
+    "roleClaim",
+    "roleMapping",
+    "departmentClaim",
+    "defaultDepartment",
+    "autoProvision"
+  ];
+
+  fields.forEach((field) => {
+    if (req.body[field] !== undefined) company.sso[field] = req.body[field];
+  });
+
+  const { sso } = company;
+
+  // Store the exact names of the mapped roles
+  if (req.body.roleMapping !== undefined) {
+    for (const [claim, role] of sso.roleMapping) {
+      sso.roleMapping.set(claim, await Role.resolveName(id, role));
+    }
+  }
+
+  if (sso.defaultDepartment) {
+    const department = await Department.findOne({ _id: sso.defaultDepartment, company: id });
+    if (!department) {
+      throw new CustomError("Invalid department or department not found", 400, "INVALID_DEPARTMENT");
+    }
+  }
+
+  if (sso.emailDomains?.length) {
+    // A domain can only route to one company
+    const domainOwner = await Company.findOne({
+      _id: { $ne: id },
+      "sso.emailDomains": { $in: sso.emailDomains }
+    }).setOptions({ skipTenant: true });
+
+    if (domainOwner) {
+      throw new CustomError("An email domain is already used by another company", 409, "SSO_DOMAIN_IN_USE");
+    }
+  }
+
+  if (sso.enabled) {
+    if (!sso.issuer || !sso.clientId || !sso.clientSecret || !sso.emailDomains?.length) {
+      throw new CustomError("Issuer, client id, client secret and email domains are required to enable SSO", 400, "SSO_CONFIGURATION_INCOMPLETE");
+    }
+
+    // Fail early on a wrong issuer instead of at the first login
+    try {
+      await getProviderConfig(sso.issuer);
+    } catch (error) {
+      throw new CustomError(`OIDC discovery failed: ${error.message}`, 400, "SSO_DISCOVERY_FAILED");
+    }
+  }
+
+  await company.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Company SSO settings updated successfully",
+    data: formatSsoSettings(company)
+  });
+});
+
 /**
  * @desc    Update company subscription
  * @route   PUT /api/companies/:id/subscription
@@ -177,6 +504,11 @@ export const updateCompanySubscription = asyncHandler(async (req, res) => {
     throw new CustomError("Company not found", 404, "COMPANY_NOT_FOUND");
   }
 
+  // Audit log retention follows the plan
+  if (plan) {
+    await AuditLog.applyRetention(company._id, company.subscription.plan);
+  }
+
   res.status(200).json({
     success: true,
     message: "Company subscription updated successfully",
@@ -245,11 +577,46 @@ export const activateCompany = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete company (Permanent deletion)
+ * @desc    Download everything the company owns as an NDJSON archive
+ * @route   GET /api/companies/:id/export
+ * @access  Private (SuperAdmin only)
+ */
+export const exportCompanyData = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Ensure user can only export their own company
+  if (!req.user.company._id.equals(id)) {
+    throw new CustomError("Access denied to different company data", 403, "COMPANY_ACCESS_DENIED");
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="company-${id}-${date}.ndjson"`);
+
+  // Respect backpressure and stop when the client goes away
+  const writeLine = async (line) => {
+    if (res.destroyed) throw new Error("Export download aborted");
+    if (!res.write(`${line}\n`)) {
+      await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+  };
+
+  try {
+    await exportCompany(req.user.company._id, writeLine);
+    res.end();
+  } catch (error) {
+    // Headers are already sent, so the error can only end the download
+    console.error("Company export error:", error);
+    res.destroy();
+  }
+});
+
+/**
+ * @desc    Schedule the company for deletion after a grace period
  * @route   DELETE /api/companies/:id
  * @access  Private (SuperAdmin only)
  */
-export const deleteCompany = asyncHandler(async (req, res) => {
+export const scheduleCompanyDeletion = asyncHandler(async (req, res) => {
   const { id } = req.params;
   
   // Ensure user can only delete their own company
@@ -257,33 +624,63 @@ export const deleteCompany = asyncHandler(async (req, res) => {
     throw new CustomError("Access denied to different company data", 403, "COMPANY_ACCESS_DENIED");
   }
 
-  const session = await mongoose.startSession();
-  
-  try {
-    await session.withTransaction(async () => {
-      const company = await Company.findById(id).session(session);
-      
-      if (!company) {
-        throw new CustomError("Company not found", 404, "COMPANY_NOT_FOUND");
-      }
+  const company = await Company.findById(id);
 
-      // Delete all related data
-      await Department.deleteMany({ company: id }).session(session);
-      await User.deleteMany({ company: id }).session(session);
-      
-      // Delete the company
-      await Company.findByIdAndDelete(id).session(session);
+  if (!company) {
+    throw new CustomError("Company not found", 404, "COMPANY_NOT_FOUND");
+  }
 
-      res.status(200).json({
-        success: true,
-        message: "Company and all related data deleted successfully"
-      });
-    });
-  } catch (error) {
-    throw error;
-  } finally {
-    await session.endSession();
+  if (company.deletion?.scheduledFor) {
+    throw new CustomError("Company deletion is already scheduled", 409, "DELETION_ALREADY_SCHEDULED");
   }
+
+  company.deletion = {
+    requestedAt: new Date(),
+    requestedBy: req.user._id,
+    scheduledFor: deletionDateFrom()
+  };
+  await company.save();
+
+  res.status(202).json({
+    success: true,
+    message: `Company and all its data will be deleted on ${company.deletion.scheduledFor.toISOString()}. Export the data before then; the deletion can be cancelled until that date.`,
+    data: company.deletion
+  });
+});
+
+/**
+ * @desc    Cancel a scheduled company deletion
+ * @route   DELETE /api/companies/:id/deletion
+ * @access  Private (SuperAdmin only)
+ */
+export const cancelCompanyDeletion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Ensure user can only manage their own company
+  if (!req.user.company._id.equals(id)) {
+    throw new CustomError("Access denied to different company data", 403, "COMPANY_ACCESS_DENIED");
+  }
+
+  // Once the purge has started it can no longer be stopped
+  const company = await Company.findOneAndUpdate(
+    {
+      _id: id,
+      "deletion.scheduledFor": { $exists: true },
+      "deletion.startedAt": { $exists: false }
+    },
+    { $unset: { deletion: 1 } },
+    { new: true }
+  );
+
+  if (!company) {
+    throw new CustomError("No cancellable deletion is scheduled for this company", 400, "NO_DELETION_SCHEDULED");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Company deletion cancelled",
+    data: company
+  });
 });
 
 /**
@@ -2,6 +2,9 @@
 import asyncHandler from "express-async-handler";
 import { Department, User, Company } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
+import { scopeQuery, DEPARTMENT_MANAGER_ROLES } from "../config/permissions.js";
+import { TRASHED } from "../utils/SoftDelete.js";
+import { TRASH_RETENTION_DAYS } from "../utils/TrashPurge.js";
 import mongoose from "mongoose";
 
 /**
@@ -12,13 +15,8 @@ import mongoose from "mongoose";
 export const getDepartments = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, search, sort = "-createdAt" } = req.query;
 
-  // Build query based on user role
-  let query = { company: req.user.company._id };
-
-  // Non-SuperAdmins can only see their own department
-  if (req.user.role !== "SuperAdmin") {
-    query._id = req.user.department._id;
-  }
+  // SuperAdmins see every department, everyone else their own
+  const query = scopeQuery(req.user, "read", "department");
 
   // Add search functionality
   if (search) {
@@ -54,15 +52,7 @@ export const getDepartments = asyncHandler(async (req, res) => {
 export const getDepartment = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  // Non-SuperAdmins can only access their own department
-  if (req.user.role !== "SuperAdmin" && !req.user.department._id.equals(id)) {
-    throw new CustomError("Access denied to department outside your scope", 403, "DEPARTMENT_ACCESS_DENIED");
-  }
-
-  const department = await Department.findOne({
-    _id: id,
-    company: req.user.company._id
-  })
+  const department = await Department.findOne(scopeQuery(req.user, "read", "department", { _id: id }))
     .populate("managers", "firstName lastName email role position")
     .populate("company", "name")
     .populate({
@@ -116,7 +106,7 @@ export const createDepartment = asyncHandler(async (req, res) => {
     const managerUsers = await User.find({
       _id: { $in: managers },
       company: req.user.company._id,
-      role: { $in: ["Admin", "Manager"] }
+      role: { $in: DEPARTMENT_MANAGER_ROLES }
     });
 
     if (managerUsers.length !== managers.length) {
@@ -184,7 +174,7 @@ export const updateDepartment = asyncHandler(async (req, res) => {
     const managerUsers = await User.find({
       _id: { $in: managers },
       company: req.user.company._id,
-      role: { $in: ["Admin", "Manager"] }
+      role: { $in: DEPARTMENT_MANAGER_ROLES }
     });
 
     if (managerUsers.length !== managers.length) {
@@ -213,7 +203,7 @@ export const updateDepartment = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete department
+ * @desc    Move department to the trash
  * @route   DELETE /api/departments/:id
  * @access  Private (SuperAdmin only)
  */
@@ -249,12 +239,86 @@ export const deleteDepartment = asyncHandler(async (req, res) => {
         { $pull: { departments: id } }
       ).session(session);
 
-      // Delete the department
-      await Department.findByIdAndDelete(id).session(session);
+      await department.softDelete(req.user._id, session);
+
+      res.status(200).json({
+        success: true,
+        message: "Department moved to trash"
+      });
+    });
+  } catch (error) {
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @desc    Get trashed departments
+ * @route   GET /api/departments/trash
+ * @access  Private (SuperAdmin only)
+ */
+export const getTrashedDepartments = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, sort = "-deletedAt" } = req.query;
+
+  const query = scopeQuery(req.user, "delete", "department", { ...TRASHED });
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort,
+    populate: [{ path: "deletedBy", select: "firstName lastName email" }]
+  };
+
+  const departments = await Department.paginate(query, options);
+
+  res.status(200).json({
+    success: true,
+    data: { ...departments, retentionDays: TRASH_RETENTION_DAYS }
+  });
+});
+
+/**
+ * @desc    Restore department from the trash
+ * @route   PUT /api/departments/:id/restore
+ * @access  Private (SuperAdmin only)
+ */
+export const restoreDepartment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const department = await Department.findOne(
+        scopeQuery(req.user, "delete", "department", { _id: id, ...TRASHED })
+      ).session(session);
+
+      if (!department) {
+        throw new CustomError("Department not found in trash", 404, "DEPARTMENT_NOT_FOUND");
+      }
+
+      // The name may have been taken again while it was in the trash
+      const existingDepartment = await Department.findOne({
+        name: department.name,
+        company: req.user.company._id
+      }).session(session);
+
+      if (existingDepartment) {
+        throw new CustomError("An active department already uses this name. Rename it first.", 409, "DEPARTMENT_ALREADY_EXISTS");
+      }
+
+      await department.restore(session);
+
+      await Company.findByIdAndUpdate(
+        req.user.company._id,
+        { $addToSet: { departments: department._id } }
+      ).session(session);
 
       res.status(200).json({
         success: true,
-        message: "Department deleted successfully"
+        message: "Department restored successfully",
+        data: department
       });
     });
   } catch (error) {
@@ -286,7 +350,7 @@ export const addDepartmentManager = asyncHandler(async (req, res) => {
   const manager = await User.findOne({
     _id: managerId,
     company: req.user.company._id,
-    role: { $in: ["Admin", "Manager"] }
+    role: { $in: DEPARTMENT_MANAGER_ROLES }
   });
 
   if (!manager) {
@@ -352,15 +416,7 @@ export const removeDepartmentManager = asyncHandler(async (req, res) => {
 export const getDepartmentStats = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  // Non-SuperAdmins can only access their own department stats
-  if (req.user.role !== "SuperAdmin" && !req.user.department._id.equals(id)) {
-    throw new CustomError("Access denied to department outside your scope", 403, "DEPARTMENT_ACCESS_DENIED");
-  }
-
-  const department = await Department.findOne({
-    _id: id,
-    company: req.user.company._id
-  });
+  const department = await Department.findOne(scopeQuery(req.user, "read", "department", { _id: id }));
 
   if (!department) {
     throw new CustomError("Department not found", 404, "DEPARTMENT_NOT_FOUND");
@@ -407,15 +463,7 @@ export const getDepartmentMembers = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { page = 1, limit = 10, search, sort = "-createdAt", role, isActive } = req.query;
 
-  // Non-SuperAdmins can only access their own department members
-  if (req.user.role !== "SuperAdmin" && !req.user.department._id.equals(id)) {
-    throw new CustomError("Access denied to department outside your scope", 403, "DEPARTMENT_ACCESS_DENIED");
-  }
-
-  const department = await Department.findOne({
-    _id: id,
-    company: req.user.company._id
-  });
+  const department = await Department.findOne(scopeQuery(req.user, "read", "department", { _id: id }));
 
   if (!department) {
     throw new CustomError("Department not found", 404, "DEPARTMENT_NOT_FOUND");
@@ -0,0 +1,201 @@
+// backend/controllers/impersonationController.js
+import asyncHandler from "express-async-handler";
+import { User, Session, ImpersonationLog, Role } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { scopeQuery, rolePermissions, exceedsPermissions } from "../config/permissions.js";
+import {
+  generateImpersonationToken,
+  getImpersonationCookieOptions,
+  IMPERSONATION_TOKEN_MAX_AGE
+} from "../utils/GenerateTokens.js";
+
+const clearImpersonationCookie = (res) =>
+  res.clearCookie("impersonation_token", {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict"
+  });
+
+/**
+ * @desc    Act as another user of the company for a limited time
+ * @route   POST /api/impersonations
+ * @access  Private (SuperAdmin only)
+ */
+export const startImpersonation = asyncHandler(async (req, res) => {
+  const { userId, reason } = req.body;
+
+  if (req.impersonation) {
+    throw new CustomError("Stop the current impersonation first", 400, "ALREADY_IMPERSONATING");
+  }
+
+  if (req.user._id.equals(userId)) {
+    throw new CustomError("You cannot impersonate yourself", 400, "INVALID_IMPERSONATION_TARGET");
+  }
+
+  const user = await User.findOne(scopeQuery(req.user, "impersonate", "user", { _id: userId }))
+    .populate("company", "name")
+    .populate("department", "name");
+
+  if (!user) {
+    throw new CustomError("User not found", 404, "USER_NOT_FOUND");
+  }
+
+  // Impersonating a peer would hand over full company access
+  if (user.role === "SuperAdmin") {
+    throw new CustomError("SuperAdmins cannot be impersonated", 403, "IMPERSONATION_NOT_ALLOWED");
+  }
+
+  // Acting as someone with more access would widen the impersonator's own
+  const targetPermissions = (await Role.permissionsFor(user)) ?? rolePermissions(user.role);
+  if (exceedsPermissions(req.user, targetPermissions)) {
+    throw new CustomError(
+      "You cannot impersonate a user with more access than yours",
+      403,
+      "IMPERSONATION_NOT_ALLOWED"
+    );
+  }
+
+  if (!user.isActive || !user.isVerified) {
+    throw new CustomError("Only active, verified users can be impersonated", 400, "INVALID_IMPERSONATION_TARGET");
+  }
+
+  // One impersonation at a time per SuperAdmin
+  await Session.updateMany(
+    { impersonatedBy: req.user._id, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: "impersonation_ended" }
+  );
+
+  // Flagged, short-lived session without a refresh token
+  const session = new Session({
+    user: user._id,
+    company: user.company._id,
+    userAgent: req.get("user-agent")?.slice(0, 500),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + IMPERSONATION_TOKEN_MAX_AGE),
+    impersonatedBy: req.user._id,
+    impersonationReason: reason
+  });
+
+  const token = generateImpersonationToken(user._id, session._id, req.user._id);
+  session.currentTokenHash = Session.hashToken(token);
+  await session.save();
+
+  await ImpersonationLog.create({
+    session: session._id,
+    company: user.company._id,
+    impersonator: req.user._id,
+    user: user._id,
+    event: "start",
+    reason,
+    ip: req.ip,
+    userAgent: req.get("user-agent")?.slice(0, 500)
+  });
+
+  res.cookie("impersonation_token", token, getImpersonationCookieOptions());
+
+  res.status(201).json({
+    success: true,
+    message: `You are now acting as ${user.firstName} ${user.lastName}`,
+    data: {
+      ...user.toObject(),
+      impersonation: {
+        sessionId: session._id,
+        impersonator: {
+          _id: req.user._id,
+          firstName: req.user.firstName,
+          lastName: req.user.lastName,
+          email: req.user.email
+        },
+        reason,
+        expiresAt: session.expiresAt
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Stop acting as another user and return to the own account
+ * @route   DELETE /api/impersonations/current
+ * @access  Private (while impersonating)
+ */
+export const stopImpersonation = asyncHandler(async (req, res) => {
+  if (!req.impersonation) {
+    throw new CustomError("You are not impersonating anyone", 400, "NOT_IMPERSONATING");
+  }
+
+  await Session.updateOne(
+    { _id: req.impersonation.sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: "impersonation_ended" }
+  );
+
+  await ImpersonationLog.create({
+    session: req.impersonation.sessionId,
+    company: req.user.company._id,
+    impersonator: req.realUser._id,
+    user: req.user._id,
+    event: "stop",
+    ip: req.ip,
+    userAgent: req.get("user-agent")?.slice(0, 500)
+  });
+
+  clearImpersonationCookie(res);
+
+  const userResponse = req.realUser.toObject();
+  delete userResponse.passwordChangedAt;
+
+  res.status(200).json({
+    success: true,
+    message: "Impersonation ended",
+    data: userResponse
+  });
+});
+
+/**
+ * @desc    Get the impersonation audit trail
+ * @route   GET /api/impersonations
+ * @access  Private (SuperAdmin only)
+ */
+export const getImpersonationLogs = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    sort = "-createdAt",
+    event,
+    session,
+    impersonator,
+    user,
+    startDate,
+    endDate
+  } = req.query;
+
+  const filter = {};
+  if (event) filter.event = event;
+  if (session) filter.session = session;
+  if (impersonator) filter.impersonator = impersonator;
+  if (user) filter.user = user;
+
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) filter.createdAt.$lte = new Date(endDate);
+  }
+
+  const query = scopeQuery(req.user, "read", "impersonation", filter);
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort,
+    populate: [
+      { path: "impersonator", select: "firstName lastName email" },
+      { path: "user", select: "firstName lastName email role" }
+    ]
+  };
+
+  const logs = await ImpersonationLog.paginate(query, options);
+
+  res.status(200).json({
+    success: true,
+    data: logs
+  });
+});
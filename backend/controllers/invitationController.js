@@ -0,0 +1,395 @@
+// backend/controllers/invitationController.js
+import asyncHandler from "express-async-handler";
+import { Invitation, User, Department, Company, Role } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { sendEmail } from "../utils/SendEmail.js";
+import { invitationEmail } from "../utils/EmailTemplates.js";
+import { parseCsvRecords } from "../utils/Csv.js";
+import { DEPARTMENT_MANAGER_ROLES, canAssignRole } from "../config/permissions.js";
+
+const INVITATION_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+const MAX_BULK_INVITATIONS = 200;
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+// Email the raw token; returns false instead of throwing so the invitation
+// is kept and can be resent
+const deliverInvitation = async (invitation, token, inviter) => {
+  try {
+    await sendEmail({
+      to: invitation.email,
+      ...invitationEmail({
+        inviterName: `${inviter.firstName} ${inviter.lastName}`,
+        companyName: inviter.company.name,
+        token
+      })
+    });
+    return true;
+  } catch (error) {
+    console.error("Invitation email error:", error);
+    return false;
+  }
+};
+
+// Create and send one invitation; shared by single and bulk invites
+const inviteUser = async ({ email, role, department, firstName, lastName, position }, inviter) => {
+  const normalizedEmail = email.toLowerCase().trim();
+
+  // Emails are unique across all companies
+  if (await User.exists({ email: normalizedEmail }).setOptions({ skipTenant: true, withDeleted: true })) {
+    throw new CustomError("User with this email already exists", 400, "USER_ALREADY_EXISTS");
+  }
+
+  if (await Invitation.exists({ company: inviter.company._id, email: normalizedEmail, status: "pending" })) {
+    throw new CustomError("A pending invitation already exists for this email", 409, "INVITATION_ALREADY_EXISTS");
+  }
+
+  if (!canAssignRole(inviter, role)) {
+    throw new CustomError(
+      "Only SuperAdmins can grant or remove the SuperAdmin role",
+      403,
+      "SUPERADMIN_ROLE_RESTRICTED"
+    );
+  }
+
+  const invitation = new Invitation({
+    email: normalizedEmail,
+    role: await Role.resolveName(inviter.company._id, role),
+    department,
+    firstName,
+    lastName,
+    position,
+    company: inviter.company._id,
+    invitedBy: inviter._id
+  });
+
+  const token = invitation.generateToken();
+  await invitation.save();
+
+  const emailSent = await deliverInvitation(invitation, token, inviter);
+  return { invitation, emailSent };
+};
+
+// Pending invitation for a raw token, or a 400 when it is unusable
+const findPendingInvitation = async (token) => {
+  const invitation = await Invitation.findOne({
+    token: Invitation.hashToken(token),
+    status: "pending",
+    expiresAt: { $gt: new Date() }
+  }).populate([
+    { path: "company", select: "name isActive" },
+    { path: "department", select: "name isActive" }
+  ]);
+
+  if (!invitation) {
+    throw new CustomError("Invitation is invalid or has expired", 400, "INVALID_INVITATION_TOKEN");
+  }
+
+  return invitation;
+};
+
+/**
+ * @desc    Get invitations
+ * @route   GET /api/invitations
+ * @access  Private (SuperAdmin only)
+ */
+export const getInvitations = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, sort = "-createdAt", status, search } = req.query;
+
+  const query = { company: req.user.company._id };
+
+  if (status === "expired") {
+    query.status = "pending";
+    query.expiresAt = { $lte: new Date() };
+  } else if (status === "pending") {
+    query.status = "pending";
+    query.expiresAt = { $gt: new Date() };
+  } else if (status) {
+    query.status = status;
+  }
+
+  if (search) {
+    query.email = { $regex: search, $options: "i" };
+  }
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort,
+    populate: [
+      { path: "department", select: "name" },
+      { path: "invitedBy", select: "firstName lastName email" }
+    ]
+  };
+
+  const invitations = await Invitation.paginate(query, options);
+
+  res.status(200).json({
+    success: true,
+    data: invitations
+  });
+});
+
+/**
+ * @desc    Invite a user by email
+ * @route   POST /api/invitations
+ * @access  Private (SuperAdmin only)
+ */
+export const createInvitation = asyncHandler(async (req, res) => {
+  const { email, role, department, firstName, lastName, position } = req.body;
+
+  // Validate department belongs to the same company
+  const departmentDoc = await Department.findOne({
+    _id: department,
+    company: req.user.company._id
+  });
+
+  if (!departmentDoc) {
+    throw new CustomError("Invalid department or department not found", 400, "INVALID_DEPARTMENT");
+  }
+
+  const { invitation, emailSent } = await inviteUser(
+    { email, role, department, firstName, lastName, position },
+    req.user
+  );
+
+  await invitation.populate({ path: "department", select: "name" });
+
+  res.status(201).json({
+    success: true,
+    message: emailSent
+      ? "Invitation sent successfully"
+      : "Invitation created, but the email could not be sent. Please resend it",
+    data: invitation
+  });
+});
+
+/**
+ * @desc    Invite users from a CSV (header: email,role,department,firstName,lastName,position)
+ * @route   POST /api/invitations/bulk
+ * @access  Private (SuperAdmin only)
+ */
+export const createBulkInvitations = asyncHandler(async (req, res) => {
+  const records = parseCsvRecords(req.body.csv);
+
+  if (!records.length) {
+    throw new CustomError("CSV must have a header row and at least one invitation", 400, "EMPTY_CSV");
+  }
+
+  if (records.length > MAX_BULK_INVITATIONS) {
+    throw new CustomError(`At most ${MAX_BULK_INVITATIONS} invitations can be sent at once`, 400, "TOO_MANY_INVITATIONS");
+  }
+
+  if (!Object.hasOwn(records[0], "email") || !Object.hasOwn(records[0], "department")) {
+    throw new CustomError("CSV header must include email and department columns", 400, "INVALID_CSV_HEADER");
+  }
+
+  // Departments can be referenced by id or by (case-insensitive) name
+  const departments = await Department.find({ company: req.user.company._id }).select("name");
+  const findDepartment = (value) =>
+    departments.find(
+      (dept) => dept._id.toString() === value || dept.name.toLowerCase() === value.toLowerCase()
+    );
+
+  const invited = [];
+  const failed = [];
+  const seenEmails = new Set();
+
+  // Sequential so the per-email duplicate checks see earlier rows
+  for (const [index, record] of records.entries()) {
+    const row = index + 2; // 1-based, after the header
+    const email = record.email.toLowerCase();
+    const role = record.role || "User";
+    const department = findDepartment(record.department);
+
+    try {
+      if (!EMAIL_PATTERN.test(email)) {
+        throw new CustomError("Invalid email", 400, "VALIDATION_ERROR");
+      }
+      if (seenEmails.has(email)) {
+        throw new CustomError("Duplicate email in CSV", 400, "VALIDATION_ERROR");
+      }
+      if (!department) {
+        throw new CustomError("Department not found", 400, "INVALID_DEPARTMENT");
+      }
+
+      seenEmails.add(email);
+
+      const { invitation, emailSent } = await inviteUser(
+        {
+          email,
+          role,
+          department: department._id,
+          firstName: record.firstName || undefined,
+          lastName: record.lastName || undefined,
+          position: record.position || undefined
+        },
+        req.user
+      );
+
+      invited.push({ row, email, invitation: invitation._id, emailSent });
+    } catch (error) {
+      failed.push({ row, email, message: error.message });
+    }
+  }
+
+  res.status(invited.length ? 201 : 400).json({
+    success: invited.length > 0,
+    message: `${invited.length} invitation(s) sent, ${failed.length} failed`,
+    data: { invited, failed }
+  });
+});
+
+/**
+ * @desc    Resend an invitation with a new link
+ * @route   POST /api/invitations/:id/resend
+ * @access  Private (SuperAdmin only)
+ */
+export const resendInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findOne({
+    _id: req.params.id,
+    company: req.user.company._id
+  });
+
+  if (!invitation) {
+    throw new CustomError("Invitation not found", 404, "INVITATION_NOT_FOUND");
+  }
+
+  if (invitation.status !== "pending") {
+    throw new CustomError(`Invitation has already been ${invitation.status}`, 400, "INVITATION_NOT_PENDING");
+  }
+
+  if (invitation.sentAt && Date.now() - invitation.sentAt < INVITATION_RESEND_COOLDOWN) {
+    throw new CustomError("Please wait before resending this invitation", 429, "INVITATION_RESEND_COOLDOWN", {
+      retryAfter: Math.ceil((INVITATION_RESEND_COOLDOWN - (Date.now() - invitation.sentAt)) / 1000)
+    });
+  }
+
+  // A new token invalidates the previously emailed link
+  const token = invitation.generateToken();
+  await invitation.save();
+
+  const emailSent = await deliverInvitation(invitation, token, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: emailSent
+      ? "Invitation resent successfully"
+      : "Invitation renewed, but the email could not be sent",
+    data: invitation
+  });
+});
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/invitations/:id
+ * @access  Private (SuperAdmin only)
+ */
+export const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findOneAndUpdate(
+    { _id: req.params.id, company: req.user.company._id, status: "pending" },
+    { status: "revoked", revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!invitation) {
+    throw new CustomError("Pending invitation not found", 404, "INVITATION_NOT_FOUND");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation revoked successfully",
+    data: invitation
+  });
+});
+
+/**
+ * @desc    Get the details of an invitation to accept
+ * @route   GET /api/invitations/accept/:token
+ * @access  Public
+ */
+export const getInvitationByToken = asyncHandler(async (req, res) => {
+  const invitation = await findPendingInvitation(req.params.token);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      email: invitation.email,
+      firstName: invitation.firstName,
+      lastName: invitation.lastName,
+      role: invitation.role,
+      company: invitation.company.name,
+      department: invitation.department.name,
+      expiresAt: invitation.expiresAt
+    }
+  });
+});
+
+/**
+ * @desc    Accept an invitation and set a password
+ * @route   POST /api/invitations/accept/:token
+ * @access  Public
+ */
+export const acceptInvitation = asyncHandler(async (req, res) => {
+  const { firstName, lastName, password } = req.body;
+  const invitation = await findPendingInvitation(req.params.token);
+
+  if (!invitation.company.isActive || !invitation.department.isActive) {
+    throw new CustomError("This invitation can no longer be accepted", 400, "INVITATION_UNAVAILABLE");
+  }
+
+  if (await User.exists({ email: invitation.email }).setOptions({ withDeleted: true })) {
+    throw new CustomError("User with this email already exists", 400, "USER_ALREADY_EXISTS");
+  }
+
+  // Claim the invitation first so the same link cannot create two accounts
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: "pending" },
+    { status: "accepted", acceptedAt: new Date() }
+  );
+
+  if (!claimed) {
+    throw new CustomError("Invitation is invalid or has expired", 400, "INVALID_INVITATION_TOKEN");
+  }
+
+  let user;
+  try {
+    user = await User.create({
+      firstName: firstName || invitation.firstName,
+      lastName: lastName || invitation.lastName,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      position: invitation.position,
+      company: invitation.company._id,
+      department: invitation.department._id,
+      isVerified: true // Receiving the invitation proves the email address
+    });
+  } catch (error) {
+    await Invitation.updateOne(
+      { _id: invitation._id },
+      { status: "pending", $unset: { acceptedAt: 1 } }
+    );
+    throw error;
+  }
+
+  await Invitation.updateOne({ _id: invitation._id }, { acceptedUser: user._id });
+
+  await Department.updateOne(
+    { _id: invitation.department._id },
+    DEPARTMENT_MANAGER_ROLES.includes(user.role)
+      ? { $addToSet: { members: user._id, managers: user._id } }
+      : { $addToSet: { members: user._id } }
+  );
+
+  if (user.role === "SuperAdmin") {
+    await Company.updateOne(
+      { _id: invitation.company._id },
+      { $addToSet: { superAdmins: user._id } }
+    );
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Invitation accepted. You can now log in"
+  });
+});
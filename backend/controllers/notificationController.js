@@ -1,7 +1,8 @@
 // backend/controllers/notificationController.js
 import asyncHandler from "express-async-handler";
-import { Notification } from "../models/index.js";
+import { Notification, TaskReminder } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
+import { scopeQuery } from "../config/permissions.js";
 
 /**
  * @desc    Get all notifications for user
@@ -11,15 +12,8 @@ import CustomError from "../errorHandler/CustomError.js";
 export const getNotifications = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, sort = "-createdAt", isRead, type } = req.query;
 
-  // Build query based on user role
-  let query = { company: req.user.company._id };
-
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can see all notifications in the company
-  } else {
-    // All other roles can only see their own notifications
-    query.user = req.user._id;
-  }
+  // SuperAdmins read the whole company, everyone else their own
+  const query = scopeQuery(req.user, "read", "notification");
 
   // Add filters
   if (isRead !== undefined) {
@@ -61,12 +55,7 @@ export const getNotifications = asyncHandler(async (req, res) => {
 export const getNotification = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  let query = { _id: id, company: req.user.company._id };
-
-  // Non-SuperAdmins can only access their own notifications
-  if (req.user.role !== "SuperAdmin") {
-    query.user = req.user._id;
-  }
+  const query = scopeQuery(req.user, "read", "notification", { _id: id });
 
   const notification = await Notification.findOne(query)
     .populate("user", "firstName lastName email")
@@ -87,17 +76,12 @@ export const getNotification = asyncHandler(async (req, res) => {
 /**
  * @desc    Mark notification as read
  * @route   PUT /api/notifications/:id/read
- * @access  Private (SuperAdmin: any notification, Others: own notifications only)
+ * @access  Private (All roles: own notifications only)
  */
 export const markNotificationAsRead = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  let query = { _id: id, company: req.user.company._id };
-
-  // Non-SuperAdmins can only update their own notifications
-  if (req.user.role !== "SuperAdmin") {
-    query.user = req.user._id;
-  }
+  const query = scopeQuery(req.user, "update", "notification", { _id: id });
 
   const notification = await Notification.findOneAndUpdate(
     query,
@@ -119,17 +103,12 @@ export const markNotificationAsRead = asyncHandler(async (req, res) => {
 /**
  * @desc    Mark notification as unread
  * @route   PUT /api/notifications/:id/unread
- * @access  Private (SuperAdmin: any notification, Others: own notifications only)
+ * @access  Private (All roles: own notifications only)
  */
 export const markNotificationAsUnread = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  let query = { _id: id, company: req.user.company._id };
-
-  // Non-SuperAdmins can only update their own notifications
-  if (req.user.role !== "SuperAdmin") {
-    query.user = req.user._id;
-  }
+  const query = scopeQuery(req.user, "update", "notification", { _id: id });
 
   const notification = await Notification.findOneAndUpdate(
     query,
@@ -148,18 +127,54 @@ export const markNotificationAsUnread = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Snooze a due date reminder until the given time, when it is sent again
+ * @route   PUT /api/notifications/:id/snooze
+ * @access  Private (All roles: own reminders only)
+ */
+export const snoozeNotification = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { until } = req.body;
+
+  const query = scopeQuery(req.user, "update", "notification", { _id: id, user: req.user._id });
+
+  const notification = await Notification.findOne(query);
+
+  if (!notification) {
+    throw new CustomError("Notification not found", 404, "NOTIFICATION_NOT_FOUND");
+  }
+  if (notification.type !== "TaskReminder") {
+    throw new CustomError("Only due date reminders can be snoozed", 400, "NOT_A_REMINDER");
+  }
+
+  // Only the latest notification of a reminder can be snoozed
+  const reminder = await TaskReminder.findOneAndUpdate(
+    { notification: id, user: req.user._id },
+    { snoozedUntil: new Date(until) },
+    { new: true }
+  );
+
+  if (!reminder) {
+    throw new CustomError("This reminder has already been sent again", 409, "REMINDER_SUPERSEDED");
+  }
+
+  notification.isRead = true;
+  await notification.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Reminder snoozed successfully",
+    data: reminder
+  });
+});
+
 /**
  * @desc    Mark all notifications as read
  * @route   PUT /api/notifications/mark-all-read
- * @access  Private (SuperAdmin: all company notifications, Others: own notifications only)
+ * @access  Private (All roles: own notifications only)
  */
 export const markAllNotificationsAsRead = asyncHandler(async (req, res) => {
-  let query = { company: req.user.company._id, isRead: false };
-
-  // Non-SuperAdmins can only update their own notifications
-  if (req.user.role !== "SuperAdmin") {
-    query.user = req.user._id;
-  }
+  const query = scopeQuery(req.user, "update", "notification", { isRead: false });
 
   const result = await Notification.updateMany(
     query,
@@ -178,17 +193,12 @@ export const markAllNotificationsAsRead = asyncHandler(async (req, res) => {
 /**
  * @desc    Delete notification
  * @route   DELETE /api/notifications/:id
- * @access  Private (SuperAdmin: any notification, Others: own notifications only)
+ * @access  Private (All roles: own notifications only)
  */
 export const deleteNotification = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  let query = { _id: id, company: req.user.company._id };
-
-  // Non-SuperAdmins can only delete their own notifications
-  if (req.user.role !== "SuperAdmin") {
-    query.user = req.user._id;
-  }
+  const query = scopeQuery(req.user, "delete", "notification", { _id: id });
 
   const notification = await Notification.findOneAndDelete(query);
 
@@ -205,15 +215,10 @@ export const deleteNotification = asyncHandler(async (req, res) => {
 /**
  * @desc    Delete all notifications
  * @route   DELETE /api/notifications
- * @access  Private (SuperAdmin: all company notifications, Others: own notifications only)
+ * @access  Private (All roles: own notifications only)
  */
 export const deleteAllNotifications = asyncHandler(async (req, res) => {
-  let query = { company: req.user.company._id };
-
-  // Non-SuperAdmins can only delete their own notifications
-  if (req.user.role !== "SuperAdmin") {
-    query.user = req.user._id;
-  }
+  const query = scopeQuery(req.user, "delete", "notification");
 
   const result = await Notification.deleteMany(query);
 
@@ -276,12 +281,8 @@ export const getMyNotifications = asyncHandler(async (req, res) => {
  * @access  Private (SuperAdmin: company stats, Others: personal stats)
  */
 export const getNotificationStats = asyncHandler(async (req, res) => {
-  let query = { company: req.user.company._id };
-
-  // Non-SuperAdmins can only see their own stats
-  if (req.user.role !== "SuperAdmin") {
-    query.user = req.user._id;
-  }
+  // Company stats for SuperAdmins, personal stats for everyone else
+  const query = scopeQuery(req.user, "read", "notification");
 
   const totalNotifications = await Notification.countDocuments(query);
   const unreadNotifications = await Notification.countDocuments({
@@ -413,15 +414,7 @@ export const getNotificationsByType = asyncHandler(async (req, res) => {
   const { type } = req.params;
   const { page = 1, limit = 10, sort = "-createdAt", isRead } = req.query;
 
-  let query = {
-    type,
-    company: req.user.company._id
-  };
-
-  // Non-SuperAdmins can only see their own notifications
-  if (req.user.role !== "SuperAdmin") {
-    query.user = req.user._id;
-  }
+  const query = scopeQuery(req.user, "read", "notification", { type });
 
   if (isRead !== undefined) {
     query.isRead = isRead === "true";
@@ -1,36 +1,28 @@
 // backend/controllers/projectTaskController.js
 import asyncHandler from "express-async-handler";
-import { ProjectTask, Department, Notification } from "../models/index.js";
+import { ProjectTask, Task, TaskActivity, Company, Department, Notification } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
+import { scopeQuery, taskScopeQuery } from "../config/permissions.js";
+import { categoryOf, statusesIn } from "../config/workflow.js";
+import { TRASHED } from "../utils/SoftDelete.js";
+import { TRASH_RETENTION_DAYS } from "../utils/TrashPurge.js";
 import mongoose from "mongoose";
 
 /**
  * @desc    Get all project tasks
  * @route   GET /api/project-tasks
- * @access  Private (SuperAdmin: all company tasks, Admin/Manager: own department, User: none)
+ * @access  Private (SuperAdmin: all company tasks, Manager: own department, User: none)
  */
 export const getProjectTasks = asyncHandler(async (req, res) => {
-  // Users cannot access project tasks
-  if (req.user.role === "User") {
-    throw new CustomError("Users cannot access project tasks", 403, "PROJECT_TASK_ACCESS_DENIED");
-  }
-
-  const { page = 1, limit = 10, search, sort = "-createdAt", status, priority, department } = req.query;
-
-  // Build query based on user role
-  let query = { company: req.user.company._id };
-
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can see all project tasks in company
-    if (department) query.department = department;
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can only see project tasks in their department
-    query.department = req.user.department._id;
-  }
+  const { page = 1, limit = 10, search, sort = "-createdAt", status, priority, department, sla } = req.query;
 
   // Add filters
+  const filter = {};
+  if (department) filter.department = department;
+  if (sla) filter["sla.resolution.state"] = sla;
+
   if (search) {
-    query.$or = [
+    filter.$or = [
       { title: { $regex: search, $options: "i" } },
       { description: { $regex: search, $options: "i" } },
       { location: { $regex: search, $options: "i" } },
@@ -38,8 +30,11 @@ export const getProjectTasks = asyncHandler(async (req, res) => {
     ];
   }
 
-  if (status) query.status = status;
-  if (priority) query.priority = priority;
+  if (status) filter.status = status;
+  if (priority) filter.priority = priority;
+
+  // Limit to the project tasks the user may read
+  const query = scopeQuery(req.user, "read", "projectTask", filter);
 
   const options = {
     page: parseInt(page),
@@ -62,52 +57,44 @@ export const getProjectTasks = asyncHandler(async (req, res) => {
 /**
  * @desc    Get single project task
  * @route   GET /api/project-tasks/:id
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department, User: none)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: none)
  */
 export const getProjectTask = asyncHandler(async (req, res) => {
-  // Users cannot access project tasks
-  if (req.user.role === "User") {
-    throw new CustomError("Users cannot access project tasks", 403, "PROJECT_TASK_ACCESS_DENIED");
-  }
-
   const { id } = req.params;
 
-  const task = await ProjectTask.findOne({
-    _id: id,
-    company: req.user.company._id
-  })
+  const task = await ProjectTask.findOne(scopeQuery(req.user, "read", "projectTask", { _id: id }))
     .populate("createdBy", "firstName lastName email")
     .populate("department", "name")
+    .populate("checklist.assignee", "firstName lastName email")
+    .populate("blockedBy", "title status taskType")
+    .populate("blocks", "title status taskType")
     .populate("activities");
 
   if (!task) {
     throw new CustomError("Project task not found", 404, "PROJECT_TASK_NOT_FOUND");
   }
 
-  // Authorization check for Admin/Manager
-  if (["Admin", "Manager"].includes(req.user.role)) {
-    if (!task.department._id.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to project task outside your department", 403, "PROJECT_TASK_ACCESS_DENIED");
-    }
-  }
+  // Subtasks of any type, as far as the user may read them
+  const tree = await task.toTree({
+    filter: taskScopeQuery(req.user, "read"),
+    populate: [
+      { path: "assignedTo", select: "firstName lastName email" },
+      { path: "checklist.assignee", select: "firstName lastName email" }
+    ]
+  });
 
   res.status(200).json({
     success: true,
-    data: task
+    data: tree
   });
 });
 
 /**
  * @desc    Create new project task
  * @route   POST /api/project-tasks
- * @access  Private (SuperAdmin: any department, Admin/Manager: own department only)
+ * @access  Private (SuperAdmin: any department, Manager: own department only)
  */
 export const createProjectTask = asyncHandler(async (req, res) => {
-  // Users cannot create project tasks
-  if (req.user.role === "User") {
-    throw new CustomError("Users cannot create project tasks", 403, "PROJECT_TASK_ACCESS_DENIED");
-  }
-
   const {
     title,
     description,
@@ -115,10 +102,12 @@ export const createProjectTask = asyncHandler(async (req, res) => {
     dueDate,
     priority,
     department,
-    clientInfo
+    clientInfo,
+    parentTask,
+    requiresApproval
   } = req.body;
 
-  // Validate department belongs to company and user has access
+  // Validate department belongs to company (department scope is checked by the policy)
   const departmentDoc = await Department.findOne({
     _id: department,
     company: req.user.company._id
@@ -128,9 +117,8 @@ export const createProjectTask = asyncHandler(async (req, res) => {
     throw new CustomError("Department not found", 404, "DEPARTMENT_NOT_FOUND");
   }
 
-  // Check department access for non-SuperAdmins
-  if (req.user.role !== "SuperAdmin" && !req.user.department._id.equals(department)) {
-    throw new CustomError("Can only create project tasks in your own department", 403, "DEPARTMENT_ACCESS_DENIED");
+  if (parentTask) {
+    await Task.assertValidParent(parentTask, { department });
   }
 
   const session = await mongoose.startSession();
@@ -147,7 +135,9 @@ export const createProjectTask = asyncHandler(async (req, res) => {
         department,
         company: req.user.company._id,
         createdBy: req.user._id,
-        clientInfo
+        clientInfo,
+        parentTask,
+        requiresApproval
       });
 
       await task.save({ session });
@@ -174,14 +164,9 @@ export const createProjectTask = asyncHandler(async (req, res) => {
 /**
  * @desc    Update project task
  * @route   PUT /api/project-tasks/:id
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department only)
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
  */
 export const updateProjectTask = asyncHandler(async (req, res) => {
-  // Users cannot update project tasks
-  if (req.user.role === "User") {
-    throw new CustomError("Users cannot update project tasks", 403, "PROJECT_TASK_ACCESS_DENIED");
-  }
-
   const { id } = req.params;
   const {
     title,
@@ -190,23 +175,22 @@ export const updateProjectTask = asyncHandler(async (req, res) => {
     dueDate,
     priority,
     status,
-    clientInfo
+    clientInfo,
+    parentTask,
+    requiresApproval
   } = req.body;
 
-  const task = await ProjectTask.findOne({
-    _id: id,
-    company: req.user.company._id
-  }).populate("department");
+  const task = await ProjectTask.findOne(
+    scopeQuery(req.user, "update", "projectTask", { _id: id })
+  ).populate("department");
 
   if (!task) {
     throw new CustomError("Project task not found", 404, "PROJECT_TASK_NOT_FOUND");
   }
 
-  // Authorization check for Admin/Manager
-  if (["Admin", "Manager"].includes(req.user.role)) {
-    if (!task.department._id.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to project task outside your department", 403, "PROJECT_TASK_ACCESS_DENIED");
-    }
+  // null makes the task a top-level task again
+  if (parentTask) {
+    await Task.assertValidParent(parentTask, { department: task.department._id, taskId: task._id });
   }
 
   const session = await mongoose.startSession();
@@ -221,17 +205,19 @@ export const updateProjectTask = asyncHandler(async (req, res) => {
       if (dueDate) updateData.dueDate = dueDate;
       if (priority) updateData.priority = priority;
       if (status) updateData.status = status;
-      if (clientInfo) updateData.clientInfo = { ...task.clientInfo, ...clientInfo };
-
-      const updatedTask = await ProjectTask.findByIdAndUpdate(
-        id,
-        updateData,
-        {
-          new: true,
-          runValidators: true,
-          session
-        }
-      ).populate([
+      // Only the client fields given are changed
+      for (const [field, value] of Object.entries(clientInfo ?? {})) {
+        updateData[`clientInfo.${field}`] = value;
+      }
+      if (parentTask !== undefined) updateData.parentTask = parentTask ?? undefined;
+      if (requiresApproval !== undefined) updateData.requiresApproval = requiresApproval;
+
+      // Saved rather than updated in place, so progress and the parent
+      // tasks it rolls up to are kept in sync
+      task.set(updateData);
+      const updatedTask = await task.save({ session });
+
+      await updatedTask.populate([
         { path: "createdBy", select: "firstName lastName email" },
         { path: "department", select: "name" }
       ]);
@@ -250,47 +236,31 @@ export const updateProjectTask = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete project task
+ * @desc    Move project task to the trash
  * @route   DELETE /api/project-tasks/:id
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department only)
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
  */
 export const deleteProjectTask = asyncHandler(async (req, res) => {
-  // Users cannot delete project tasks
-  if (req.user.role === "User") {
-    throw new CustomError("Users cannot delete project tasks", 403, "PROJECT_TASK_ACCESS_DENIED");
-  }
-
   const { id } = req.params;
 
-  const task = await ProjectTask.findOne({
-    _id: id,
-    company: req.user.company._id
-  }).populate("department");
+  const task = await ProjectTask.findOne(
+    scopeQuery(req.user, "delete", "projectTask", { _id: id })
+  ).populate("department");
 
   if (!task) {
     throw new CustomError("Project task not found", 404, "PROJECT_TASK_NOT_FOUND");
   }
 
-  // Authorization check for Admin/Manager
-  if (["Admin", "Manager"].includes(req.user.role)) {
-    if (!task.department._id.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to project task outside your department", 403, "PROJECT_TASK_ACCESS_DENIED");
-    }
-  }
-
   const session = await mongoose.startSession();
 
   try {
     await session.withTransaction(async () => {
-      // Delete related notifications
-      await Notification.deleteMany({ task: id }).session(session);
-
-      // Delete the task
-      await ProjectTask.findByIdAndDelete(id).session(session);
+      // Activities and notifications go to the trash with the task
+      await task.moveToTrash(req.user._id, session);
 
       res.status(200).json({
         success: true,
-        message: "Project task deleted successfully"
+        message: "Project task moved to trash"
       });
     });
   } catch (error) {
@@ -301,25 +271,76 @@ export const deleteProjectTask = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get project task statistics
- * @route   GET /api/project-tasks/stats
- * @access  Private (SuperAdmin: company stats, Admin/Manager: department stats, User: none)
+ * @desc    Get trashed project tasks
+ * @route   GET /api/project-tasks/trash
+ * @access  Private (same scope as deleting)
  */
-export const getProjectTaskStats = asyncHandler(async (req, res) => {
-  // Users cannot access project task stats
-  if (req.user.role === "User") {
-    throw new CustomError("Users cannot access project task statistics", 403, "PROJECT_TASK_ACCESS_DENIED");
+export const getTrashedProjectTasks = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, sort = "-deletedAt" } = req.query;
+
+  const query = scopeQuery(req.user, "delete", "projectTask", { ...TRASHED });
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort,
+    populate: [
+      { path: "createdBy", select: "firstName lastName email" },
+      { path: "department", select: "name" },
+      { path: "deletedBy", select: "firstName lastName email" }
+    ]
+  };
+
+  const tasks = await ProjectTask.paginate(query, options);
+
+  res.status(200).json({
+    success: true,
+    data: { ...tasks, retentionDays: TRASH_RETENTION_DAYS }
+  });
+});
+
+/**
+ * @desc    Restore project task from the trash, with its activities and notifications
+ * @route   PUT /api/project-tasks/:id/restore
+ * @access  Private (same scope as deleting)
+ */
+export const restoreProjectTask = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const task = await ProjectTask.findOne(
+    scopeQuery(req.user, "delete", "projectTask", { _id: id, ...TRASHED })
+  );
+
+  if (!task) {
+    throw new CustomError("Project task not found in trash", 404, "PROJECT_TASK_NOT_FOUND");
   }
 
-  let query = { company: req.user.company._id };
+  const session = await mongoose.startSession();
 
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can see company-wide stats
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can see department stats
-    query.department = req.user.department._id;
+  try {
+    await session.withTransaction(async () => {
+      await task.restoreFromTrash(session);
+    });
+  } finally {
+    await session.endSession();
   }
 
+  res.status(200).json({
+    success: true,
+    message: "Project task restored successfully",
+    data: task
+  });
+});
+
+/**
+ * @desc    Get project task statistics
+ * @route   GET /api/project-tasks/stats
+ * @access  Private (SuperAdmin: company stats, Manager: department stats, User: none)
+ */
+export const getProjectTaskStats = asyncHandler(async (req, res) => {
+  // Company or department wide depending on the read scope
+  const query = scopeQuery(req.user, "read", "projectTask");
+
   const totalTasks = await ProjectTask.countDocuments(query);
   
   // Status-based statistics
@@ -351,17 +372,21 @@ export const getProjectTaskStats = asyncHandler(async (req, res) => {
   ]);
 
   // Overdue tasks
+  const workflow = await Company.workflowOf(req.user.company._id);
   const overdueTasks = await ProjectTask.countDocuments({
     ...query,
     dueDate: { $lt: new Date() },
-    status: { $ne: "Completed" }
+    status: { $nin: statusesIn(workflow, "done") }
   });
 
+  const slaStats = await ProjectTask.slaSummary(query);
+
   const stats = {
     overview: {
       total: totalTasks,
       overdue: overdueTasks
     },
+    sla: slaStats,
     byStatus: statusStats.reduce((acc, stat) => {
       acc[stat._id] = stat.count;
       return acc;
@@ -385,22 +410,12 @@ export const getProjectTaskStats = asyncHandler(async (req, res) => {
 /**
  * @desc    Get project tasks by client
  * @route   GET /api/project-tasks/by-client
- * @access  Private (SuperAdmin: company wide, Admin/Manager: own department)
+ * @access  Private (SuperAdmin: company wide, Manager: own department)
  */
 export const getProjectTasksByClient = asyncHandler(async (req, res) => {
-  // Users cannot access project tasks
-  if (req.user.role === "User") {
-    throw new CustomError("Users cannot access project tasks", 403, "PROJECT_TASK_ACCESS_DENIED");
-  }
-
-  let query = { company: req.user.company._id };
-
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can see company-wide stats
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can see department stats
-    query.department = req.user.department._id;
-  }
+  // Company or department wide depending on the read scope
+  const query = scopeQuery(req.user, "read", "projectTask");
+  const doneStatuses = statusesIn(await Company.workflowOf(req.user.company._id), "done");
 
   const clientStats = await ProjectTask.aggregate([
     { $match: query },
@@ -409,10 +424,10 @@ export const getProjectTasksByClient = asyncHandler(async (req, res) => {
         _id: "$clientInfo.name",
         totalTasks: { $sum: 1 },
         completedTasks: {
-          $sum: { $cond: [{ $eq: ["$status", "Completed"] }, 1, 0] }
+          $sum: { $cond: [{ $in: ["$status", doneStatuses] }, 1, 0] }
         },
         pendingTasks: {
-          $sum: { $cond: [{ $ne: ["$status", "Completed"] }, 1, 0] }
+          $sum: { $cond: [{ $in: ["$status", doneStatuses] }, 0, 1] }
         },
         lastTaskDate: { $max: "$createdAt" }
       }
@@ -427,53 +442,62 @@ export const getProjectTasksByClient = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Update project task status
+ * @desc    Update project task status, recorded as a task activity
  * @route   PUT /api/project-tasks/:id/status
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department)
+ * @access  Private (SuperAdmin: any task, Manager: own department)
  */
 export const updateProjectTaskStatus = asyncHandler(async (req, res) => {
-  // Users cannot update project tasks
-  if (req.user.role === "User") {
-    throw new CustomError("Users cannot update project tasks", 403, "PROJECT_TASK_ACCESS_DENIED");
-  }
-
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, comment, attachments } = req.body;
 
-  const task = await ProjectTask.findOne({
-    _id: id,
-    company: req.user.company._id
-  }).populate("department");
+  const task = await ProjectTask.findOne(
+    scopeQuery(req.user, "update", "projectTask", { _id: id })
+  );
 
   if (!task) {
     throw new CustomError("Project task not found", 404, "PROJECT_TASK_NOT_FOUND");
   }
 
-  // Authorization check for Admin/Manager
-  if (["Admin", "Manager"].includes(req.user.role)) {
-    if (!task.department._id.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to project task outside your department", 403, "PROJECT_TASK_ACCESS_DENIED");
-    }
-  }
-
   const oldStatus = task.status;
-  task.status = status;
-  await task.save();
-
-  // Create notification for significant status changes
-  if (status === "Completed" && oldStatus !== "Completed") {
-    const notification = new Notification({
-      user: task.createdBy,
-      message: `Project task "${task.title}" has been completed`,
-      type: "TaskCompletion",
-      task: task._id,
-      department: task.department._id,
-      company: req.user.company._id,
-      linkedDocument: task._id,
-      linkedDocumentType: "Task"
-    });
+  const workflow = await task.workflow();
+  let newStatus = status;
+  const session = await mongoose.startSession();
 
-    await notification.save();
+  try {
+    await session.withTransaction(async () => {
+      // The activity moves the task along the company's workflow
+      const activity = new TaskActivity({
+        task: task._id,
+        company: task.company,
+        performedBy: req.user._id,
+        description: comment || `Status changed from "${oldStatus}" to "${status}"`,
+        statusChange: { from: oldStatus, to: status },
+        attachments: attachments || []
+      });
+      activity.$locals.generatedDescription = !comment;
+
+      await activity.save({ session });
+      // A completion that needs sign-off is awaiting approval instead
+      newStatus = activity.statusChange.to;
+
+      // Create notification when the task is finished
+      if (categoryOf(workflow, newStatus) === "done" && categoryOf(workflow, oldStatus) !== "done") {
+        const notification = new Notification({
+          user: task.createdBy,
+          message: `Project task "${task.title}" has been completed`,
+          type: "TaskCompletion",
+          task: task._id,
+          department: task.department,
+          company: req.user.company._id,
+          linkedDocument: task._id,
+          linkedDocumentType: "Task"
+        });
+
+        await notification.save({ session });
+      }
+    });
+  } finally {
+    await session.endSession();
   }
 
   res.status(200).json({
@@ -482,7 +506,7 @@ export const updateProjectTaskStatus = asyncHandler(async (req, res) => {
     data: {
       taskId: task._id,
       oldStatus,
-      newStatus: status
+      newStatus
     }
   });
 });
@@ -0,0 +1,225 @@
+// backend/controllers/roleController.js
+import asyncHandler from "express-async-handler";
+import { Role, User, Invitation, Company } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { scopeQuery, exceedsPermissions } from "../config/permissions.js";
+
+// Company role by id, limited to what the requester may act on
+const findRole = async (user, action, id) => {
+  const role = await Role.findOne(scopeQuery(user, action, "role", { _id: id }));
+
+  if (!role) {
+    throw new CustomError("Role not found", 404, "ROLE_NOT_FOUND");
+  }
+
+  return role;
+};
+
+// Reject names already taken by another role of the company
+const assertNameAvailable = async (companyId, name, exceptId = null) => {
+  const existing = await Role.findByName(companyId, name);
+
+  if (existing && !existing._id.equals(exceptId)) {
+    throw new CustomError("A role with this name already exists", 409, "ROLE_ALREADY_EXISTS");
+  }
+};
+
+// Claim values of the company's SSO role mapping that point at a role name
+const ssoMappingsFor = (company, roleName) =>
+  [...(company.sso?.roleMapping ?? new Map())]
+    .filter(([, mapped]) => mapped.toLowerCase() === roleName.toLowerCase())
+    .map(([claim]) => claim);
+
+/**
+ * @desc    Get the company's roles with the number of users holding each
+ * @route   GET /api/roles
+ * @access  Private (All roles)
+ */
+export const getRoles = asyncHandler(async (req, res) => {
+  const query = scopeQuery(req.user, "read", "role");
+
+  const [roles, counts] = await Promise.all([
+    Role.find(query).sort({ isSystem: -1, name: 1 }),
+    User.aggregate([
+      { $match: { company: req.user.company._id } },
+      { $group: { _id: "$role", count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const userCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+  res.status(200).json({
+    success: true,
+    data: roles.map((role) => ({
+      ...role.toObject(),
+      userCount: userCounts[role.name] || 0
+    }))
+  });
+});
+
+/**
+ * @desc    Get a single role
+ * @route   GET /api/roles/:id
+ * @access  Private (All roles)
+ */
+export const getRole = asyncHandler(async (req, res) => {
+  const role = await findRole(req.user, "read", req.params.id);
+
+  const userCount = await User.countDocuments({
+    company: req.user.company._id,
+    role: role.name
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { ...role.toObject(), userCount }
+  });
+});
+
+/**
+ * @desc    Create a custom role
+ * @route   POST /api/roles
+ * @access  Private (SuperAdmin only)
+ */
+export const createRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions, basedOn } = req.body;
+
+  await assertNameAvailable(req.user.company._id, name);
+
+  // Start from an existing role's permissions unless a full set is given
+  let basePermissions = {};
+  if (basedOn) {
+    const baseRole = await Role.findByName(req.user.company._id, basedOn);
+    if (!baseRole) {
+      throw new CustomError("Base role not found", 400, "INVALID_ROLE");
+    }
+    basePermissions = baseRole.permissions;
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions: permissions ?? basePermissions,
+    company: req.user.company._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Role created successfully",
+    data: { ...role.toObject(), userCount: 0 }
+  });
+});
+
+/**
+ * @desc    Update a role; renaming moves its users, invitations and SSO mappings along
+ * @route   PUT /api/roles/:id
+ * @access  Private (SuperAdmin only)
+ */
+export const updateRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  const role = await findRole(req.user, "update", req.params.id);
+  const previousName = role.name;
+  const isRename = name !== undefined && name !== previousName;
+
+  if (role.isSystem && isRename) {
+    throw new CustomError("Built-in roles cannot be renamed", 400, "SYSTEM_ROLE");
+  }
+
+  // Editing SuperAdmin could lock every administrator out of the company
+  if (role.name === "SuperAdmin" && permissions !== undefined) {
+    throw new CustomError("SuperAdmin permissions cannot be changed", 400, "SYSTEM_ROLE");
+  }
+
+  // Nobody but a SuperAdmin edits their own role or one with more access
+  // than theirs, which would let them widen their own permissions
+  if (
+    req.user.role !== "SuperAdmin" &&
+    (role.name.toLowerCase() === req.user.role.toLowerCase() ||
+      exceedsPermissions(req.user, role.permissions) ||
+      exceedsPermissions(req.user, permissions))
+  ) {
+    throw new CustomError(
+      "You cannot edit your own role or a role with more access than yours",
+      403,
+      "ROLE_EXCEEDS_PERMISSIONS"
+    );
+  }
+
+  if (isRename) {
+    await assertNameAvailable(req.user.company._id, name, role._id);
+    role.name = name;
+  }
+  if (description !== undefined) role.description = description;
+  if (permissions !== undefined) role.permissions = permissions;
+
+  await role.save();
+
+  if (isRename) {
+    const companyId = req.user.company._id;
+
+    await Promise.all([
+      // Trashed users too, so they come back with a role that exists
+      User.updateMany({ company: companyId, role: previousName }, { role: role.name }).setOptions({
+        withDeleted: true
+      }),
+      Invitation.updateMany(
+        { company: companyId, role: previousName, status: "pending" },
+        { role: role.name }
+      )
+    ]);
+
+    const company = await Company.findById(companyId);
+    const claims = ssoMappingsFor(company, previousName);
+    if (claims.length > 0) {
+      claims.forEach((claim) => company.sso.roleMapping.set(claim, role.name));
+      await company.save();
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Role updated successfully",
+    data: role
+  });
+});
+
+/**
+ * @desc    Delete a custom role that nobody holds
+ * @route   DELETE /api/roles/:id
+ * @access  Private (SuperAdmin only)
+ */
+export const deleteRole = asyncHandler(async (req, res) => {
+  const role = await findRole(req.user, "delete", req.params.id);
+
+  if (role.isSystem) {
+    throw new CustomError("Built-in roles cannot be deleted", 400, "SYSTEM_ROLE");
+  }
+
+  const companyId = req.user.company._id;
+
+  const [userCount, invitationCount, company] = await Promise.all([
+    User.countDocuments({ company: companyId, role: role.name }).setOptions({ withDeleted: true }),
+    Invitation.countDocuments({ company: companyId, role: role.name, status: "pending" }),
+    Company.findById(companyId)
+  ]);
+
+  if (userCount > 0 || invitationCount > 0) {
+    throw new CustomError(
+      `Role is assigned to ${userCount} user(s), counting those in the trash, and ${invitationCount} pending invitation(s). Reassign them first`,
+      409,
+      "ROLE_IN_USE"
+    );
+  }
+
+  if (ssoMappingsFor(company, role.name).length > 0) {
+    throw new CustomError("Role is used by the SSO role mapping. Update the mapping first", 409, "ROLE_IN_USE");
+  }
+
+  await role.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Role deleted successfully"
+  });
+});
@@ -2,6 +2,9 @@
 import asyncHandler from "express-async-handler";
 import { RoutineTask, Department } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
+import { scopeQuery } from "../config/permissions.js";
+import { TRASHED } from "../utils/SoftDelete.js";
+import { TRASH_RETENTION_DAYS } from "../utils/TrashPurge.js";
 import mongoose from "mongoose";
 
 /**
@@ -10,38 +13,37 @@ import mongoose from "mongoose";
  * @access  Private (SuperAdmin: all company tasks, Others: own department only)
  */
 export const getRoutineTasks = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, search, sort = "-createdAt", date, performedBy, progress } = req.query;
-
-  // Build query based on user role
-  let query = { company: req.user.company._id };
-
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can see all routine tasks in company
-  } else {
-    // All other roles can only see routine tasks in their department
-    query.department = req.user.department._id;
-  }
+  const { page = 1, limit = 10, search, sort = "-createdAt", date, performedBy, progress, template } = req.query;
 
   // Add filters
+  const filter = {};
+
   if (search) {
-    query["performedTasks.description"] = { $regex: search, $options: "i" };
+    filter["performedTasks.description"] = { $regex: search, $options: "i" };
   }
 
   if (date) {
     const startDate = new Date(date);
     const endDate = new Date(date);
     endDate.setDate(endDate.getDate() + 1);
-    query.date = { $gte: startDate, $lt: endDate };
+    filter.date = { $gte: startDate, $lt: endDate };
   }
 
   if (performedBy) {
-    query.performedBy = performedBy;
+    filter.performedBy = performedBy;
+  }
+
+  if (template) {
+    filter.template = template;
   }
 
   if (progress !== undefined) {
-    query.progress = { $gte: parseInt(progress) };
+    filter.progress = { $gte: parseInt(progress) };
   }
 
+  // Limit to the routine tasks the user may read
+  const query = scopeQuery(req.user, "read", "routineTask", filter);
+
   const options = {
     page: parseInt(page),
     limit: parseInt(limit),
@@ -68,14 +70,7 @@ export const getRoutineTasks = asyncHandler(async (req, res) => {
 export const getRoutineTask = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  let query = { _id: id, company: req.user.company._id };
-
-  // Non-SuperAdmins can only access tasks in their department
-  if (req.user.role !== "SuperAdmin") {
-    query.department = req.user.department._id;
-  }
-
-  const task = await RoutineTask.findOne(query)
+  const task = await RoutineTask.findOne(scopeQuery(req.user, "read", "routineTask", { _id: id }))
     .populate("performedBy", "firstName lastName email position")
     .populate("department", "name");
 
@@ -92,7 +87,7 @@ export const getRoutineTask = asyncHandler(async (req, res) => {
 /**
  * @desc    Create new routine task
  * @route   POST /api/routine-tasks
- * @access  Private (All roles can create routine tasks in their own department)
+ * @access  Private (All roles can create their own routine tasks in their own department)
  */
 export const createRoutineTask = asyncHandler(async (req, res) => {
   const {
@@ -112,11 +107,8 @@ export const createRoutineTask = asyncHandler(async (req, res) => {
     throw new CustomError("Department not found", 404, "DEPARTMENT_NOT_FOUND");
   }
 
-  // Non-SuperAdmins can only create tasks in their own department
+  // Department scope is checked by the policy; defaults to the user's own
   const taskDepartment = department || req.user.department._id;
-  if (req.user.role !== "SuperAdmin" && !req.user.department._id.equals(taskDepartment)) {
-    throw new CustomError("Can only create routine tasks in your own department", 403, "DEPARTMENT_ACCESS_DENIED");
-  }
 
   // Create the routine task
   const task = new RoutineTask({
@@ -146,7 +138,7 @@ export const createRoutineTask = asyncHandler(async (req, res) => {
 /**
  * @desc    Update routine task
  * @route   PUT /api/routine-tasks/:id
- * @access  Private (All roles can update routine tasks in their own department)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: own tasks)
  */
 export const updateRoutineTask = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -156,14 +148,7 @@ export const updateRoutineTask = asyncHandler(async (req, res) => {
     attachments
   } = req.body;
 
-  let query = { _id: id, company: req.user.company._id };
-
-  // Non-SuperAdmins can only update tasks in their department
-  if (req.user.role !== "SuperAdmin") {
-    query.department = req.user.department._id;
-  }
-
-  const task = await RoutineTask.findOne(query);
+  const task = await RoutineTask.findOne(scopeQuery(req.user, "update", "routineTask", { _id: id }));
 
   if (!task) {
     throw new CustomError("Routine task not found", 404, "ROUTINE_TASK_NOT_FOUND");
@@ -197,20 +182,13 @@ export const updateRoutineTask = asyncHandler(async (req, res) => {
 /**
  * @desc    Update routine task progress
  * @route   PUT /api/routine-tasks/:id/progress
- * @access  Private (All roles can update routine tasks in their own department)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: own tasks)
  */
 export const updateRoutineTaskProgress = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { taskIndex, isCompleted } = req.body;
 
-  let query = { _id: id, company: req.user.company._id };
-
-  // Non-SuperAdmins can only update tasks in their department
-  if (req.user.role !== "SuperAdmin") {
-    query.department = req.user.department._id;
-  }
-
-  const task = await RoutineTask.findOne(query);
+  const task = await RoutineTask.findOne(scopeQuery(req.user, "update", "routineTask", { _id: id }));
 
   if (!task) {
     throw new CustomError("Routine task not found", 404, "ROUTINE_TASK_NOT_FOUND");
@@ -240,20 +218,13 @@ export const updateRoutineTaskProgress = asyncHandler(async (req, res) => {
 /**
  * @desc    Add attachment to routine task
  * @route   PUT /api/routine-tasks/:id/attachments
- * @access  Private (All roles can update routine tasks in their own department)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: own tasks)
  */
 export const addRoutineTaskAttachment = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { url, public_id, type } = req.body;
 
-  let query = { _id: id, company: req.user.company._id };
-
-  // Non-SuperAdmins can only update tasks in their department
-  if (req.user.role !== "SuperAdmin") {
-    query.department = req.user.department._id;
-  }
-
-  const task = await RoutineTask.findOne(query);
+  const task = await RoutineTask.findOne(scopeQuery(req.user, "update", "routineTask", { _id: id }));
 
   if (!task) {
     throw new CustomError("Routine task not found", 404, "ROUTINE_TASK_NOT_FOUND");
@@ -280,19 +251,12 @@ export const addRoutineTaskAttachment = asyncHandler(async (req, res) => {
 /**
  * @desc    Remove attachment from routine task
  * @route   DELETE /api/routine-tasks/:id/attachments/:attachmentIndex
- * @access  Private (All roles can update routine tasks in their own department)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: own tasks)
  */
 export const removeRoutineTaskAttachment = asyncHandler(async (req, res) => {
   const { id, attachmentIndex } = req.params;
 
-  let query = { _id: id, company: req.user.company._id };
-
-  // Non-SuperAdmins can only update tasks in their department
-  if (req.user.role !== "SuperAdmin") {
-    query.department = req.user.department._id;
-  }
-
-  const task = await RoutineTask.findOne(query);
+  const task = await RoutineTask.findOne(scopeQuery(req.user, "update", "routineTask", { _id: id }));
 
   if (!task) {
     throw new CustomError("Routine task not found", 404, "ROUTINE_TASK_NOT_FOUND");
@@ -316,31 +280,78 @@ export const removeRoutineTaskAttachment = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete routine task
+ * @desc    Move routine task to the trash
  * @route   DELETE /api/routine-tasks/:id
- * @access  Private (All roles can delete routine tasks in their own department)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: own tasks)
  */
 export const deleteRoutineTask = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  let query = { _id: id, company: req.user.company._id };
+  const task = await RoutineTask.findOne(scopeQuery(req.user, "delete", "routineTask", { _id: id }));
 
-  // Non-SuperAdmins can only delete tasks in their department
-  if (req.user.role !== "SuperAdmin") {
-    query.department = req.user.department._id;
+  if (!task) {
+    throw new CustomError("Routine task not found", 404, "ROUTINE_TASK_NOT_FOUND");
   }
 
-  const task = await RoutineTask.findOne(query);
+  await task.softDelete(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Routine task moved to trash"
+  });
+});
+
+/**
+ * @desc    Get trashed routine tasks
+ * @route   GET /api/routine-tasks/trash
+ * @access  Private (same scope as deleting)
+ */
+export const getTrashedRoutineTasks = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, sort = "-deletedAt" } = req.query;
+
+  const query = scopeQuery(req.user, "delete", "routineTask", { ...TRASHED });
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort,
+    populate: [
+      { path: "performedBy", select: "firstName lastName email" },
+      { path: "department", select: "name" },
+      { path: "deletedBy", select: "firstName lastName email" }
+    ]
+  };
+
+  const tasks = await RoutineTask.paginate(query, options);
+
+  res.status(200).json({
+    success: true,
+    data: { ...tasks, retentionDays: TRASH_RETENTION_DAYS }
+  });
+});
+
+/**
+ * @desc    Restore routine task from the trash
+ * @route   PUT /api/routine-tasks/:id/restore
+ * @access  Private (same scope as deleting)
+ */
+export const restoreRoutineTask = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const task = await RoutineTask.findOne(
+    scopeQuery(req.user, "delete", "routineTask", { _id: id, ...TRASHED })
+  );
 
   if (!task) {
-    throw new CustomError("Routine task not found", 404, "ROUTINE_TASK_NOT_FOUND");
+    throw new CustomError("Routine task not found in trash", 404, "ROUTINE_TASK_NOT_FOUND");
   }
 
-  await RoutineTask.findByIdAndDelete(id);
+  await task.restore();
 
   res.status(200).json({
     success: true,
-    message: "Routine task deleted successfully"
+    message: "Routine task restored successfully",
+    data: task
   });
 });
 
@@ -352,21 +363,18 @@ export const deleteRoutineTask = asyncHandler(async (req, res) => {
 export const getRoutineTaskStats = asyncHandler(async (req, res) => {
   const { startDate, endDate } = req.query;
 
-  let query = { company: req.user.company._id };
-
-  if (req.user.role !== "SuperAdmin") {
-    // Non-SuperAdmins can only see stats for their department
-    query.department = req.user.department._id;
-  }
-
   // Add date filter if provided
+  const filter = {};
   if (startDate && endDate) {
-    query.date = {
+    filter.date = {
       $gte: new Date(startDate),
       $lte: new Date(endDate)
     };
   }
 
+  // Company or department wide depending on the read scope
+  const query = scopeQuery(req.user, "read", "routineTask", filter);
+
   const totalTasks = await RoutineTask.countDocuments(query);
   
   // Progress-based statistics
@@ -507,23 +515,19 @@ export const getRoutineTasksByDateRange = asyncHandler(async (req, res) => {
     throw new CustomError("Start date and end date are required", 400, "DATE_RANGE_REQUIRED");
   }
 
-  let query = {
-    company: req.user.company._id,
+  const filter = {
     date: {
       $gte: new Date(startDate),
       $lte: new Date(endDate)
     }
   };
 
-  // Role-based filtering
-  if (req.user.role !== "SuperAdmin") {
-    query.department = req.user.department._id;
-  }
-
   if (performedBy) {
-    query.performedBy = performedBy;
+    filter.performedBy = performedBy;
   }
 
+  const query = scopeQuery(req.user, "read", "routineTask", filter);
+
   const tasks = await RoutineTask.find(query)
     .populate("performedBy", "firstName lastName email")
     .populate("department", "name")
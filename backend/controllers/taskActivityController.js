@@ -1,34 +1,37 @@
 // backend/controllers/taskActivityController.js
 import asyncHandler from "express-async-handler";
-import { TaskActivity, Task, AssignedTask, Notification } from "../models/index.js";
+import { TaskActivity, Task, Notification } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
+import { scopeQuery, authorQuery } from "../config/permissions.js";
 import mongoose from "mongoose";
 
+// Activities are scoped through their parent task; at own scope, changes
+// are further limited to the activities the user wrote. Approval records
+// cannot be changed at all.
+const findScopedActivity = async (user, action, id) => {
+  const activity = await TaskActivity.findOne({ _id: id, ...authorQuery(user, action, "taskActivity") });
+  if (!activity) return null;
+
+  const taskInScope = await Task.exists(scopeQuery(user, action, "taskActivity", { _id: activity.task }));
+  if (!taskInScope) return null;
+
+  if (action !== "read" && activity.approval) {
+    throw new CustomError("Approval records cannot be changed", 409, "APPROVAL_ACTIVITY_LOCKED");
+  }
+  return activity;
+};
+
 /**
  * @desc    Get all task activities
  * @route   GET /api/task-activities
- * @access  Private (SuperAdmin: all company activities, Admin/Manager: own department, User: assigned tasks only)
+ * @access  Private (SuperAdmin: all company activities, Manager: own department, User: assigned tasks only)
  */
 export const getTaskActivities = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, search, sort = "-createdAt", taskId, performedBy } = req.query;
-
-  // Build query based on user role and task access
-  let query = {};
-  let taskQuery = { company: req.user.company._id };
-
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can see all activities in company
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can see activities for tasks in their department
-    taskQuery.department = req.user.department._id;
-  } else {
-    // Users can only see activities for tasks assigned to them
-    taskQuery.assignedTo = { $in: [req.user._id] };
-    taskQuery.taskType = "AssignedTask"; // Only assigned tasks for users
-  }
+  const { page = 1, limit = 10, search, sort = "-createdAt", taskId, performedBy, approval } = req.query;
 
   // Get accessible task IDs
-  const accessibleTasks = await Task.find(taskQuery).distinct("_id");
+  const query = {};
+  const accessibleTasks = await Task.find(scopeQuery(req.user, "read", "taskActivity")).distinct("_id");
   query.task = { $in: accessibleTasks };
 
   // Add filters
@@ -49,6 +52,11 @@ export const getTaskActivities = asyncHandler(async (req, res) => {
     query.performedBy = performedBy;
   }
 
+  // Steps of completion sign-offs: requested, approved or rejected
+  if (approval) {
+    query.approval = approval;
+  }
+
   const options = {
     page: parseInt(page),
     limit: parseInt(limit),
@@ -70,37 +78,21 @@ export const getTaskActivities = asyncHandler(async (req, res) => {
 /**
  * @desc    Get single task activity
  * @route   GET /api/task-activities/:id
- * @access  Private (SuperAdmin: any activity, Admin/Manager: own department, User: assigned tasks only)
+ * @access  Private (SuperAdmin: any activity, Manager: own department, User: assigned tasks only)
  */
 export const getTaskActivity = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const activity = await TaskActivity.findById(id)
-    .populate("task", "title description status priority department company")
-    .populate("performedBy", "firstName lastName email");
+  const activity = await findScopedActivity(req.user, "read", id);
 
   if (!activity) {
     throw new CustomError("Task activity not found", 404, "TASK_ACTIVITY_NOT_FOUND");
   }
 
-  // Authorization check
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can access any activity in their company
-    if (!activity.task.company.equals(req.user.company._id)) {
-      throw new CustomError("Access denied to activity from different company", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can access activities for tasks in their department
-    if (!activity.task.department.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to activity outside your department", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  } else {
-    // Users can only access activities for tasks assigned to them
-    const task = await AssignedTask.findById(activity.task._id);
-    if (!task || !task.assignedTo.includes(req.user._id)) {
-      throw new CustomError("Access denied to activity for task not assigned to you", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  }
+  await activity.populate([
+    { path: "task", select: "title description status priority department company" },
+    { path: "performedBy", select: "firstName lastName email" }
+  ]);
 
   res.status(200).json({
     success: true,
@@ -111,7 +103,7 @@ export const getTaskActivity = asyncHandler(async (req, res) => {
 /**
  * @desc    Create task activity
  * @route   POST /api/task-activities
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department, User: assigned tasks only)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: assigned tasks only)
  */
 export const createTaskActivity = asyncHandler(async (req, res) => {
   const {
@@ -122,31 +114,12 @@ export const createTaskActivity = asyncHandler(async (req, res) => {
   } = req.body;
 
   // Get and validate task
-  const task = await Task.findOne({
-    _id: taskId,
-    company: req.user.company._id
-  });
+  const task = await Task.findOne(scopeQuery(req.user, "create", "taskActivity", { _id: taskId }));
 
   if (!task) {
     throw new CustomError("Task not found", 404, "TASK_NOT_FOUND");
   }
 
-  // Authorization check
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can create activities for any task
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can create activities for tasks in their department
-    if (!task.department.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to task outside your department", 403, "TASK_ACCESS_DENIED");
-    }
-  } else {
-    // Users can only create activities for assigned tasks
-    const assignedTask = await AssignedTask.findById(taskId);
-    if (!assignedTask || !assignedTask.assignedTo.includes(req.user._id)) {
-      throw new CustomError("Access denied to task not assigned to you", 403, "TASK_ACCESS_DENIED");
-    }
-  }
-
   const session = await mongoose.startSession();
 
   try {
@@ -154,6 +127,7 @@ export const createTaskActivity = asyncHandler(async (req, res) => {
       // Create the activity
       const activity = new TaskActivity({
         task: taskId,
+        company: task.company,
         performedBy: req.user._id,
         description,
         statusChange,
@@ -200,7 +174,7 @@ export const createTaskActivity = asyncHandler(async (req, res) => {
 /**
  * @desc    Update task activity
  * @route   PUT /api/task-activities/:id
- * @access  Private (SuperAdmin: any activity, Admin/Manager: own department, User: own activities for assigned tasks)
+ * @access  Private (SuperAdmin: any activity, Manager: own department, User: own activities for assigned tasks)
  */
 export const updateTaskActivity = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -209,36 +183,12 @@ export const updateTaskActivity = asyncHandler(async (req, res) => {
     attachments
   } = req.body;
 
-  const activity = await TaskActivity.findById(id)
-    .populate("task", "department company createdBy");
+  const activity = await findScopedActivity(req.user, "update", id);
 
   if (!activity) {
     throw new CustomError("Task activity not found", 404, "TASK_ACTIVITY_NOT_FOUND");
   }
 
-  // Authorization check
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can update any activity in their company
-    if (!activity.task.company.equals(req.user.company._id)) {
-      throw new CustomError("Access denied to activity from different company", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can update activities for tasks in their department
-    if (!activity.task.department.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to activity outside your department", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  } else {
-    // Users can only update their own activities for assigned tasks
-    if (!activity.performedBy.equals(req.user._id)) {
-      throw new CustomError("You can only update your own activities", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-
-    const assignedTask = await AssignedTask.findById(activity.task._id);
-    if (!assignedTask || !assignedTask.assignedTo.includes(req.user._id)) {
-      throw new CustomError("Access denied to activity for task not assigned to you", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  }
-
   // Build update data (statusChange cannot be updated after creation)
   const updateData = {};
   if (description) updateData.description = description;
@@ -266,41 +216,17 @@ export const updateTaskActivity = asyncHandler(async (req, res) => {
 /**
  * @desc    Delete task activity
  * @route   DELETE /api/task-activities/:id
- * @access  Private (SuperAdmin: any activity, Admin/Manager: own department, User: own activities for assigned tasks)
+ * @access  Private (SuperAdmin: any activity, Manager: own department, User: own activities for assigned tasks)
  */
 export const deleteTaskActivity = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const activity = await TaskActivity.findById(id)
-    .populate("task", "department company");
+  const activity = await findScopedActivity(req.user, "delete", id);
 
   if (!activity) {
     throw new CustomError("Task activity not found", 404, "TASK_ACTIVITY_NOT_FOUND");
   }
 
-  // Authorization check
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can delete any activity in their company
-    if (!activity.task.company.equals(req.user.company._id)) {
-      throw new CustomError("Access denied to activity from different company", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can delete activities for tasks in their department
-    if (!activity.task.department.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to activity outside your department", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  } else {
-    // Users can only delete their own activities for assigned tasks
-    if (!activity.performedBy.equals(req.user._id)) {
-      throw new CustomError("You can only delete your own activities", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-
-    const assignedTask = await AssignedTask.findById(activity.task._id);
-    if (!assignedTask || !assignedTask.assignedTo.includes(req.user._id)) {
-      throw new CustomError("Access denied to activity for task not assigned to you", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  }
-
   await TaskActivity.findByIdAndDelete(id);
 
   res.status(200).json({
@@ -312,38 +238,19 @@ export const deleteTaskActivity = asyncHandler(async (req, res) => {
 /**
  * @desc    Get task activities for specific task
  * @route   GET /api/task-activities/task/:taskId
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department, User: assigned tasks only)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: assigned tasks only)
  */
 export const getTaskActivitiesForTask = asyncHandler(async (req, res) => {
   const { taskId } = req.params;
   const { page = 1, limit = 10, sort = "-createdAt" } = req.query;
 
   // Get and validate task
-  const task = await Task.findOne({
-    _id: taskId,
-    company: req.user.company._id
-  });
+  const task = await Task.findOne(scopeQuery(req.user, "read", "taskActivity", { _id: taskId }));
 
   if (!task) {
     throw new CustomError("Task not found", 404, "TASK_NOT_FOUND");
   }
 
-  // Authorization check
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can access any task
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can access tasks in their department
-    if (!task.department.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to task outside your department", 403, "TASK_ACCESS_DENIED");
-    }
-  } else {
-    // Users can only access assigned tasks
-    const assignedTask = await AssignedTask.findById(taskId);
-    if (!assignedTask || !assignedTask.assignedTo.includes(req.user._id)) {
-      throw new CustomError("Access denied to task not assigned to you", 403, "TASK_ACCESS_DENIED");
-    }
-  }
-
   const query = { task: taskId };
 
   const options = {
@@ -373,34 +280,18 @@ export const getTaskActivitiesForTask = asyncHandler(async (req, res) => {
 /**
  * @desc    Add attachment to task activity
  * @route   PUT /api/task-activities/:id/attachments
- * @access  Private (Activity owner, Admin/Manager: own department, SuperAdmin: any)
+ * @access  Private (SuperAdmin: any activity, Manager: own department, User: own activities for assigned tasks)
  */
 export const addTaskActivityAttachment = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { url, public_id, type } = req.body;
 
-  const activity = await TaskActivity.findById(id)
-    .populate("task", "department company");
+  const activity = await findScopedActivity(req.user, "update", id);
 
   if (!activity) {
     throw new CustomError("Task activity not found", 404, "TASK_ACTIVITY_NOT_FOUND");
   }
 
-  // Authorization check (same as update)
-  if (req.user.role === "SuperAdmin") {
-    if (!activity.task.company.equals(req.user.company._id)) {
-      throw new CustomError("Access denied to activity from different company", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    if (!activity.task.department.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to activity outside your department", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  } else {
-    if (!activity.performedBy.equals(req.user._id)) {
-      throw new CustomError("You can only modify your own activities", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  }
-
   // Add attachment
   const attachment = {
     url,
@@ -422,33 +313,17 @@ export const addTaskActivityAttachment = asyncHandler(async (req, res) => {
 /**
  * @desc    Remove attachment from task activity
  * @route   DELETE /api/task-activities/:id/attachments/:attachmentIndex
- * @access  Private (Activity owner, Admin/Manager: own department, SuperAdmin: any)
+ * @access  Private (SuperAdmin: any activity, Manager: own department, User: own activities for assigned tasks)
  */
 export const removeTaskActivityAttachment = asyncHandler(async (req, res) => {
   const { id, attachmentIndex } = req.params;
 
-  const activity = await TaskActivity.findById(id)
-    .populate("task", "department company");
+  const activity = await findScopedActivity(req.user, "update", id);
 
   if (!activity) {
     throw new CustomError("Task activity not found", 404, "TASK_ACTIVITY_NOT_FOUND");
   }
 
-  // Authorization check (same as update)
-  if (req.user.role === "SuperAdmin") {
-    if (!activity.task.company.equals(req.user.company._id)) {
-      throw new CustomError("Access denied to activity from different company", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    if (!activity.task.department.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to activity outside your department", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  } else {
-    if (!activity.performedBy.equals(req.user._id)) {
-      throw new CustomError("You can only modify your own activities", 403, "TASK_ACTIVITY_ACCESS_DENIED");
-    }
-  }
-
   // Validate attachment index
   const index = parseInt(attachmentIndex);
   if (index < 0 || index >= activity.attachments.length) {
@@ -469,25 +344,11 @@ export const removeTaskActivityAttachment = asyncHandler(async (req, res) => {
 /**
  * @desc    Get task activity statistics
  * @route   GET /api/task-activities/stats
- * @access  Private (SuperAdmin: company stats, Admin/Manager: department stats, User: personal stats)
+ * @access  Private (SuperAdmin: company stats, Manager: department stats, User: personal stats)
  */
 export const getTaskActivityStats = asyncHandler(async (req, res) => {
-  // Build task query based on user role
-  let taskQuery = { company: req.user.company._id };
-
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can see company-wide stats
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can see department stats
-    taskQuery.department = req.user.department._id;
-  } else {
-    // Users can only see stats for their assigned tasks
-    taskQuery.assignedTo = { $in: [req.user._id] };
-    taskQuery.taskType = "AssignedTask";
-  }
-
   // Get accessible task IDs
-  const accessibleTasks = await Task.find(taskQuery).distinct("_id");
+  const accessibleTasks = await Task.find(scopeQuery(req.user, "read", "taskActivity")).distinct("_id");
   const activityQuery = { task: { $in: accessibleTasks } };
 
   const totalActivities = await TaskActivity.countDocuments(activityQuery);
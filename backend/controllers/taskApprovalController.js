@@ -0,0 +1,116 @@
+// backend/controllers/taskApprovalController.js
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import { Task, TaskActivity, Notification } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+// Approval handlers are shared by the assigned and project task routes;
+// the resource and action come from the route's authorize()
+const findScopedTask = async (req, session) => {
+  const { action, resource } = req.permission;
+
+  const task = await Task.findInScope(req.user, action, resource, { _id: req.params.id })
+    .session(session);
+
+  if (!task) {
+    throw new CustomError("Task not found", 404, "TASK_NOT_FOUND");
+  }
+  return task;
+};
+
+// Approve or reject the task's completion, record the decision in its
+// activity timeline and tell whoever submitted it. The task is loaded and
+// checked within the transaction: two deciders racing write the same task,
+// so one of them is retried, starts from the stored task and finds it
+// decided. Returns the decided task.
+const decide = async (req, step, description) => {
+  const session = await mongoose.startSession();
+
+  try {
+    return await session.withTransaction(async () => {
+      const task = await findScopedTask(req, session);
+      task.assertAwaitingApproval();
+
+      const from = task.status;
+      const { requestedBy } = task.approvalRequest;
+
+      // Nobody signs off their own work
+      if (requestedBy?.equals(req.user._id)) {
+        throw new CustomError(
+          "You cannot approve or reject a completion you submitted",
+          403,
+          "SELF_APPROVAL_NOT_ALLOWED"
+        );
+      }
+
+      if (step === "approved") {
+        await task.approve(session);
+      } else {
+        await task.reject(session);
+      }
+      await task.save({ session });
+
+      const activity = new TaskActivity({
+        task: task._id,
+        company: task.company,
+        performedBy: req.user._id,
+        description,
+        statusChange: { from, to: task.status },
+        approval: step
+      });
+      activity.$locals.statusApplied = true;
+      await activity.save({ session });
+
+      const notification = new Notification({
+        user: requestedBy,
+        message: `Your completion of "${task.title.slice(0, 50)}" was ${step}`,
+        type: "ApprovalDecision",
+        task: task._id,
+        department: task.department,
+        company: task.company,
+        linkedDocument: task._id,
+        linkedDocumentType: "Task"
+      });
+
+      await notification.save({ session });
+
+      return task;
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Approve the task's completion
+ * @route   PUT /api/{assigned,project}-tasks/:id/approve
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+export const approveTask = asyncHandler(async (req, res) => {
+  const { comment } = req.body;
+
+  const task = await decide(req, "approved", comment || "Completion approved");
+
+  res.status(200).json({
+    success: true,
+    message: "Task approved successfully",
+    data: task
+  });
+});
+
+/**
+ * @desc    Reject the task's completion and reopen it
+ * @route   PUT /api/{assigned,project}-tasks/:id/reject
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+export const rejectTask = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const task = await decide(req, "rejected", reason);
+
+  res.status(200).json({
+    success: true,
+    message: "Task rejected and reopened",
+    data: task
+  });
+});
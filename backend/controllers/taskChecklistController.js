@@ -0,0 +1,170 @@
+// backend/controllers/taskChecklistController.js
+import asyncHandler from "express-async-handler";
+import { Task, User } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import mongoose from "mongoose";
+
+// Checklist handlers are shared by the assigned and project task routes;
+// the resource and action come from the route's authorize()
+const findScopedTask = async (req) => {
+  const { action, resource } = req.permission;
+
+  const task = await Task.findInScope(req.user, action, resource, { _id: req.params.id });
+
+  if (!task) {
+    throw new CustomError("Task not found", 404, "TASK_NOT_FOUND");
+  }
+  return task;
+};
+
+const findItem = (task, itemId) => {
+  const item = task.checklist.id(itemId);
+
+  if (!item) {
+    throw new CustomError("Checklist item not found", 404, "CHECKLIST_ITEM_NOT_FOUND");
+  }
+  return item;
+};
+
+// Checklist assignees come from the task's department
+const assertValidAssignee = async (task, assignee) => {
+  if (!assignee) return;
+
+  const member = await User.exists({
+    _id: assignee,
+    company: task.company,
+    department: task.department,
+    isActive: true
+  });
+
+  if (!member) {
+    throw new CustomError("Checklist assignee must be an active member of the task's department", 400, "INVALID_CHECKLIST_ASSIGNEE");
+  }
+};
+
+// Save the task together with the parent tasks its progress rolls up to
+const saveTask = async (task) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(() => task.save({ session }));
+  } finally {
+    await session.endSession();
+  }
+};
+
+const sendTask = async (res, statusCode, message, task) => {
+  await task.populate([
+    { path: "checklist.assignee", select: "firstName lastName email" },
+    { path: "checklist.completedBy", select: "firstName lastName email" }
+  ]);
+
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data: task
+  });
+};
+
+/**
+ * @desc    Add checklist item
+ * @route   POST /api/{assigned,project}-tasks/:id/checklist
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+export const addChecklistItem = asyncHandler(async (req, res) => {
+  const { title, assignee, dueDate } = req.body;
+
+  const task = await findScopedTask(req);
+  await assertValidAssignee(task, assignee);
+
+  task.checklist.push({ title, assignee, dueDate });
+  await saveTask(task);
+
+  await sendTask(res, 201, "Checklist item added successfully", task);
+});
+
+/**
+ * @desc    Update checklist item
+ * @route   PUT /api/{assigned,project}-tasks/:id/checklist/:itemId
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+export const updateChecklistItem = asyncHandler(async (req, res) => {
+  const { title, assignee, dueDate } = req.body;
+
+  const task = await findScopedTask(req);
+  const item = findItem(task, req.params.itemId);
+
+  // null clears the assignee or due date
+  if (title) item.title = title;
+  if (assignee !== undefined) {
+    await assertValidAssignee(task, assignee);
+    item.assignee = assignee ?? undefined;
+  }
+  if (dueDate !== undefined) item.dueDate = dueDate ?? undefined;
+
+  await saveTask(task);
+
+  await sendTask(res, 200, "Checklist item updated successfully", task);
+});
+
+/**
+ * @desc    Tick or untick checklist item
+ * @route   PUT /api/{assigned,project}-tasks/:id/checklist/:itemId/complete
+ * @access  Private (Assigned tasks: same as completing the task, project tasks: same as updating)
+ */
+export const setChecklistItemCompletion = asyncHandler(async (req, res) => {
+  const { isCompleted } = req.body;
+
+  const task = await findScopedTask(req);
+  const item = findItem(task, req.params.itemId);
+
+  item.isCompleted = isCompleted;
+  item.completedAt = isCompleted ? new Date() : undefined;
+  item.completedBy = isCompleted ? req.user._id : undefined;
+
+  await saveTask(task);
+
+  await sendTask(res, 200, "Checklist item updated successfully", task);
+});
+
+/**
+ * @desc    Reorder checklist
+ * @route   PUT /api/{assigned,project}-tasks/:id/checklist/order
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+export const reorderChecklist = asyncHandler(async (req, res) => {
+  const { items } = req.body;
+
+  const task = await findScopedTask(req);
+
+  // Every item exactly once, in the new order
+  const current = task.checklist.map((item) => String(item._id));
+  const isPermutation =
+    items.length === current.length &&
+    new Set(items).size === items.length &&
+    items.every((id) => current.includes(id));
+
+  if (!isPermutation) {
+    throw new CustomError("Items must list every checklist item exactly once", 400, "INVALID_CHECKLIST_ORDER");
+  }
+
+  task.checklist = items.map((id) => task.checklist.id(id));
+  await saveTask(task);
+
+  await sendTask(res, 200, "Checklist reordered successfully", task);
+});
+
+/**
+ * @desc    Remove checklist item
+ * @route   DELETE /api/{assigned,project}-tasks/:id/checklist/:itemId
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+export const removeChecklistItem = asyncHandler(async (req, res) => {
+  const task = await findScopedTask(req);
+  const item = findItem(task, req.params.itemId);
+
+  task.checklist.pull(item._id);
+  await saveTask(task);
+
+  await sendTask(res, 200, "Checklist item removed successfully", task);
+});
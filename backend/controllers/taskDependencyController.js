@@ -0,0 +1,107 @@
+// backend/controllers/taskDependencyController.js
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import { Task, Company } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+
+// Dependency handlers are shared by the assigned and project task routes;
+// the resource and action come from the route's authorize()
+const findScopedTask = async (req, session) => {
+  const { action, resource } = req.permission;
+
+  const task = await Task.findInScope(req.user, action, resource, { _id: req.params.id })
+    .session(session ?? null);
+
+  if (!task) {
+    throw new CustomError("Task not found", 404, "TASK_NOT_FOUND");
+  }
+  return task;
+};
+
+const sendTask = async (res, statusCode, message, task) => {
+  await task.populate([
+    { path: "blockedBy", select: "title status taskType" },
+    { path: "blocks", select: "title status taskType" }
+  ]);
+
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data: task.toObject({ virtuals: true })
+  });
+};
+
+/**
+ * @desc    Make the task wait for another task of the company
+ * @route   POST /api/{assigned,project}-tasks/:id/dependencies
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+export const addTaskDependency = asyncHandler(async (req, res) => {
+  const { blockedBy } = req.body;
+
+  let task;
+  const session = await mongoose.startSession();
+
+  try {
+    // The cycle check and the write are one transaction that first bumps
+    // the company's dependency counter. Every two additions in a company
+    // then write the same document, however far apart their tasks are, so
+    // they run one after the other: a concurrent one conflicts, is retried
+    // and its cycle check sees the dependency added first.
+    await session.withTransaction(async () => {
+      await Company.updateOne(
+        { _id: req.user.company._id },
+        { $inc: { dependencyVersion: 1 } },
+        { session, timestamps: false }
+      );
+
+      task = await findScopedTask(req, session);
+
+      if (task._id.equals(blockedBy)) {
+        throw new CustomError("A task cannot block itself", 400, "INVALID_DEPENDENCY");
+      }
+
+      // Any task of the same company can block
+      const blocker = await Task.findById(blockedBy).session(session);
+
+      if (!blocker) {
+        throw new CustomError("Blocking task not found", 404, "BLOCKING_TASK_NOT_FOUND");
+      }
+
+      if (task.blockedBy.some((id) => id.equals(blocker._id))) {
+        throw new CustomError("The task already depends on this task", 409, "DEPENDENCY_ALREADY_EXISTS");
+      }
+
+      if (await Task.dependsOn(blocker._id, task._id, session)) {
+        throw new CustomError("This dependency would create a cycle", 400, "DEPENDENCY_CYCLE");
+      }
+
+      task.blockedBy.push(blocker._id);
+      await task.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await sendTask(res, 201, "Task dependency added successfully", task);
+});
+
+/**
+ * @desc    Remove a dependency of the task
+ * @route   DELETE /api/{assigned,project}-tasks/:id/dependencies/:blockerId
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+export const removeTaskDependency = asyncHandler(async (req, res) => {
+  const { blockerId } = req.params;
+
+  const task = await findScopedTask(req);
+
+  if (!task.blockedBy.some((id) => id.equals(blockerId))) {
+    throw new CustomError("The task does not depend on this task", 404, "DEPENDENCY_NOT_FOUND");
+  }
+
+  task.blockedBy.pull(blockerId);
+  await task.save();
+
+  await sendTask(res, 200, "Task dependency removed successfully", task);
+});
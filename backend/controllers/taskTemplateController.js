@@ -0,0 +1,244 @@
+// backend/controllers/taskTemplateController.js
+import asyncHandler from "express-async-handler";
+import { TaskTemplate, Department, User } from "../models/index.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { scopeQuery } from "../config/permissions.js";
+import {
+  generateTemplateTasks,
+  regenerateTemplateTasks,
+  removeUntouchedTasks
+} from "../utils/RecurringTasks.js";
+import { localDate } from "../utils/Recurrence.js";
+
+// Fields of a series that can be edited; its task type and department are fixed
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "location",
+  "priority",
+  "assignedTo",
+  "performedBy",
+  "checklist",
+  "recurrence",
+  "timeZone",
+  "dueTime",
+  "dueAfterDays",
+  "skipHolidays"
+];
+
+const TEMPLATE_POPULATE = [
+  { path: "assignedTo", select: "firstName lastName email" },
+  { path: "performedBy", select: "firstName lastName email" },
+  { path: "createdBy", select: "firstName lastName email" },
+  { path: "department", select: "name" }
+];
+
+const findScopedTemplate = async (req, action) => {
+  const template = await TaskTemplate.findOne(
+    scopeQuery(req.user, action, "taskTemplate", { _id: req.params.id })
+  );
+
+  if (!template) {
+    throw new CustomError("Task template not found", 404, "TASK_TEMPLATE_NOT_FOUND");
+  }
+  return template;
+};
+
+// Assignees and the performer come from the template's department
+const assertValidUsers = async (template) => {
+  const ids =
+    template.taskType === "RoutineTask"
+      ? [String(template.performedBy)]
+      : [...new Set(template.assignedTo.map(String))];
+
+  const count = await User.countDocuments({
+    _id: { $in: ids },
+    company: template.company,
+    department: template.department,
+    isActive: true
+  });
+
+  if (count !== ids.length) {
+    throw new CustomError("One or more assigned users are invalid or not in the template's department", 400, "INVALID_ASSIGNED_USERS");
+  }
+};
+
+const sendTemplate = async (res, statusCode, message, template) => {
+  await template.populate(TEMPLATE_POPULATE);
+
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data: template
+  });
+};
+
+/**
+ * @desc    Get all task templates
+ * @route   GET /api/task-templates
+ * @access  Private (SuperAdmin: all company templates, Manager: own department only)
+ */
+export const getTaskTemplates = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, search, sort = "-createdAt", status, taskType, department } = req.query;
+
+  // Add filters
+  const filter = {};
+  if (department) filter.department = department;
+  if (status) filter.status = status;
+  if (taskType) filter.taskType = taskType;
+
+  if (search) {
+    filter.title = { $regex: search, $options: "i" };
+  }
+
+  // Limit to the templates the user may read
+  const query = scopeQuery(req.user, "read", "taskTemplate", filter);
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort,
+    populate: TEMPLATE_POPULATE
+  };
+
+  const templates = await TaskTemplate.paginate(query, options);
+
+  res.status(200).json({
+    success: true,
+    data: templates
+  });
+});
+
+/**
+ * @desc    Get single task template
+ * @route   GET /api/task-templates/:id
+ * @access  Private (SuperAdmin: any template, Manager: own department only)
+ */
+export const getTaskTemplate = asyncHandler(async (req, res) => {
+  const template = await findScopedTemplate(req, "read");
+  await template.populate(TEMPLATE_POPULATE);
+
+  res.status(200).json({
+    success: true,
+    data: template
+  });
+});
+
+/**
+ * @desc    Create task template and generate its upcoming tasks
+ * @route   POST /api/task-templates
+ * @access  Private (SuperAdmin: any department, Manager: own department only)
+ */
+export const createTaskTemplate = asyncHandler(async (req, res) => {
+  const { taskType, department } = req.body;
+
+  // Validate department belongs to company (department scope is checked by the policy)
+  const departmentDoc = await Department.findOne({
+    _id: department,
+    company: req.user.company._id
+  });
+
+  if (!departmentDoc) {
+    throw new CustomError("Department not found", 404, "DEPARTMENT_NOT_FOUND");
+  }
+
+  const template = new TaskTemplate({
+    taskType,
+    department,
+    company: req.user.company._id,
+    createdBy: req.user._id
+  });
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) template.set(field, req.body[field]);
+  }
+
+  // Routine tasks are performed by the template's author unless named
+  if (taskType === "RoutineTask" && !template.performedBy) {
+    template.performedBy = req.user._id;
+  }
+
+  await assertValidUsers(template);
+  await template.save();
+
+  await generateTemplateTasks(template);
+
+  await sendTemplate(res, 201, "Task template created successfully", template);
+});
+
+/**
+ * @desc    Edit the series; untouched upcoming tasks are generated again
+ * @route   PUT /api/task-templates/:id
+ * @access  Private (SuperAdmin: any template, Manager: own department only)
+ */
+export const updateTaskTemplate = asyncHandler(async (req, res) => {
+  const template = await findScopedTemplate(req, "update");
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) template.set(field, req.body[field]);
+  }
+
+  if (template.isModified("assignedTo") || template.isModified("performedBy")) {
+    await assertValidUsers(template);
+  }
+
+  await template.save();
+  await regenerateTemplateTasks(template);
+
+  await sendTemplate(res, 200, "Task template updated successfully", template);
+});
+
+/**
+ * @desc    Pause the series; its untouched upcoming tasks are removed
+ * @route   PUT /api/task-templates/:id/pause
+ * @access  Private (SuperAdmin: any template, Manager: own department only)
+ */
+export const pauseTaskTemplate = asyncHandler(async (req, res) => {
+  const template = await findScopedTemplate(req, "update");
+
+  if (template.status === "paused") {
+    throw new CustomError("Task template is already paused", 409, "TASK_TEMPLATE_ALREADY_PAUSED");
+  }
+
+  template.status = "paused";
+  await template.save();
+  await regenerateTemplateTasks(template);
+
+  await sendTemplate(res, 200, "Task template paused successfully", template);
+});
+
+/**
+ * @desc    Resume the series from today; paused days are not backfilled
+ * @route   PUT /api/task-templates/:id/resume
+ * @access  Private (SuperAdmin: any template, Manager: own department only)
+ */
+export const resumeTaskTemplate = asyncHandler(async (req, res) => {
+  const template = await findScopedTemplate(req, "update");
+
+  if (template.status === "active") {
+    throw new CustomError("Task template is not paused", 409, "TASK_TEMPLATE_NOT_PAUSED");
+  }
+
+  template.status = "active";
+  await template.save();
+  await regenerateTemplateTasks(template);
+
+  await sendTemplate(res, 200, "Task template resumed successfully", template);
+});
+
+/**
+ * @desc    Delete task template; generated tasks already worked on are kept
+ * @route   DELETE /api/task-templates/:id
+ * @access  Private (SuperAdmin: any template, Manager: own department only)
+ */
+export const deleteTaskTemplate = asyncHandler(async (req, res) => {
+  const template = await findScopedTemplate(req, "delete");
+
+  await removeUntouchedTasks(template, localDate(template.timeZone));
+  await template.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Task template deleted successfully"
+  });
+});
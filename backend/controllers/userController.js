@@ -1,35 +1,30 @@
 // backend/controllers/userController.js
 import asyncHandler from "express-async-handler";
-import { User, Department, Company } from "../models/index.js";
+import { User, Department, Company, Session, LoginAttempt, Role } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
+import { scopeQuery, can, canAssignRole, SYSTEM_ROLES } from "../config/permissions.js";
+import { TRASHED } from "../utils/SoftDelete.js";
+import { TRASH_RETENTION_DAYS } from "../utils/TrashPurge.js";
+import { sendEmail } from "../utils/SendEmail.js";
+import { disconnectUser } from "../utils/SocketEmitter.js";
+import { emailChangeConfirmationEmail, emailChangeAlertEmail } from "../utils/EmailTemplates.js";
 import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
 
 /**
  * @desc    Get all users
  * @route   GET /api/users
- * @access  Private (SuperAdmin: all company users, Admin/Manager: own department, User: self only)
+ * @access  Private (SuperAdmin: all company users, Manager: own department, User: self only)
  */
 export const getUsers = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, search, sort = "-createdAt", role, department, isActive } = req.query;
 
-  // Build query based on user role
-  let query = { company: req.user.company._id };
-
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can see all users in company
-    if (department) query.department = department;
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can only see users in their department
-    query.department = req.user.department._id;
-  } else {
-    // Users can only see themselves
-    query._id = req.user._id;
-  }
-
   // Add filters
+  const filter = {};
+  if (department) filter.department = department;
+
   if (search) {
-    query.$or = [
+    filter.$or = [
       { firstName: { $regex: search, $options: "i" } },
       { lastName: { $regex: search, $options: "i" } },
       { email: { $regex: search, $options: "i" } },
@@ -37,8 +32,11 @@ export const getUsers = asyncHandler(async (req, res) => {
     ];
   }
 
-  if (role) query.role = role;
-  if (isActive !== undefined) query.isActive = isActive === "true";
+  if (role) filter.role = role;
+  if (isActive !== undefined) filter.isActive = isActive === "true";
+
+  // Limit to the users the requester may read
+  const query = scopeQuery(req.user, "read", "user", filter);
 
   const options = {
     page: parseInt(page),
@@ -62,30 +60,12 @@ export const getUsers = asyncHandler(async (req, res) => {
 /**
  * @desc    Get single user
  * @route   GET /api/users/:id
- * @access  Private (SuperAdmin: any company user, Admin/Manager: own department, User: self only)
+ * @access  Private (SuperAdmin: any company user, Manager: own department, User: self only)
  */
 export const getUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  let query = { _id: id, company: req.user.company._id };
-
-  // Authorization check based on role
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can access any user in company
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can only access users in their department
-    const targetUser = await User.findOne(query).select("department");
-    if (!targetUser || !targetUser.department.equals(req.user.department._id)) {
-      throw new CustomError("Access denied to user outside your department", 403, "USER_ACCESS_DENIED");
-    }
-  } else {
-    // Users can only access themselves
-    if (!req.user._id.equals(id)) {
-      throw new CustomError("Users can only access their own profile", 403, "USER_ACCESS_DENIED");
-    }
-  }
-
-  const user = await User.findOne(query)
+  const user = await User.findOne(scopeQuery(req.user, "read", "user", { _id: id }))
     .populate("department", "name description")
     .populate("company", "name")
     .select("-password");
@@ -117,79 +97,6 @@ export const getMyProfile = asyncHandler(async (req, res) => {
   });
 });
 
-/**
- * @desc    Create new user
- * @route   POST /api/users
- * @access  Private (SuperAdmin only)
- */
-export const createUser = asyncHandler(async (req, res) => {
-  const {
-    firstName,
-    lastName,
-    email,
-    password,
-    role,
-    position,
-    department,
-    skills
-  } = req.body;
-
-  // Check if user with email already exists
-  const existingUser = await User.findOne({ email });
-  if (existingUser) {
-    throw new CustomError("User with this email already exists", 400, "USER_ALREADY_EXISTS");
-  }
-
-  // Validate department belongs to the same company
-  const departmentDoc = await Department.findOne({
-    _id: department,
-    company: req.user.company._id
-  });
-
-  if (!departmentDoc) {
-    throw new CustomError("Invalid department or department not found", 400, "INVALID_DEPARTMENT");
-  }
-
-  // Create user
-  const user = new User({
-    firstName,
-    lastName,
-    email,
-    password,
-    role,
-    position,
-    department,
-    company: req.user.company._id,
-    skills: skills || [],
-    isVerified: true // Admin-created users are auto-verified
-  });
-
-  await user.save();
-
-  // If user is SuperAdmin, add to company's superAdmins array
-  if (role === "SuperAdmin") {
-    await Company.findByIdAndUpdate(
-      req.user.company._id,
-      { $push: { superAdmins: user._id } }
-    );
-  }
-
-  // Populate user data for response
-  await user.populate([
-    { path: "department", select: "name" },
-    { path: "company", select: "name" }
-  ]);
-
-  res.status(201).json({
-    success: true,
-    message: "User created successfully",
-    data: {
-      ...user.toObject(),
-      password: undefined
-    }
-  });
-});
-
 /**
  * @desc    Update user
  * @route   PUT /api/users/:id
@@ -208,30 +115,26 @@ export const updateUser = asyncHandler(async (req, res) => {
     isActive
   } = req.body;
 
-  // Authorization check
-  if (req.user.role !== "SuperAdmin" && !req.user._id.equals(id)) {
-    throw new CustomError("You can only update your own profile", 403, "USER_ACCESS_DENIED");
-  }
-
-  const user = await User.findOne({
-    _id: id,
-    company: req.user.company._id
-  });
+  const user = await User.findOne(scopeQuery(req.user, "update", "user", { _id: id }));
 
   if (!user) {
     throw new CustomError("User not found", 404, "USER_NOT_FOUND");
   }
 
-  // Validate email uniqueness if changing
+  // Email changes must be confirmed from the new address
   if (email && email !== user.email) {
-    const existingUser = await User.findOne({ email, _id: { $ne: id } });
-    if (existingUser) {
-      throw new CustomError("Email already in use", 400, "EMAIL_ALREADY_EXISTS");
-    }
+    throw new CustomError(
+      "Email cannot be changed directly. Use PUT /api/users/profile/email to request a confirmed change",
+      400,
+      "EMAIL_CHANGE_REQUIRES_CONFIRMATION"
+    );
   }
 
-  // Validate department if changing (only SuperAdmin can change departments)
-  if (department && req.user.role === "SuperAdmin") {
+  // Role, department and status changes need the manage permission
+  const canManage = can(req.user, "manage", "user", "company");
+
+  // Validate department if changing
+  if (department && canManage) {
     const departmentDoc = await Department.findOne({
       _id: department,
       company: req.user.company._id
@@ -241,30 +144,40 @@ export const updateUser = asyncHandler(async (req, res) => {
     }
   }
 
+  if (role && canManage && !(canAssignRole(req.user, role) && canAssignRole(req.user, user.role))) {
+    throw new CustomError(
+      "Only SuperAdmins can grant or remove the SuperAdmin role",
+      403,
+      "SUPERADMIN_ROLE_RESTRICTED"
+    );
+  }
+
+  const roleName = role && canManage
+    ? await Role.resolveName(req.user.company._id, role)
+    : undefined;
+
   // Build update data
   const updateData = {};
   if (firstName) updateData.firstName = firstName;
   if (lastName) updateData.lastName = lastName;
-  if (email) updateData.email = email;
   if (position !== undefined) updateData.position = position;
   if (skills) updateData.skills = skills;
 
-  // Only SuperAdmin can update these fields
-  if (req.user.role === "SuperAdmin") {
-    if (role) updateData.role = role;
+  if (canManage) {
+    if (roleName) updateData.role = roleName;
     if (department) updateData.department = department;
     if (isActive !== undefined) updateData.isActive = isActive;
   }
 
   // Handle SuperAdmin role changes
-  if (role && req.user.role === "SuperAdmin") {
-    if (role === "SuperAdmin" && user.role !== "SuperAdmin") {
+  if (roleName) {
+    if (roleName === "SuperAdmin" && user.role !== "SuperAdmin") {
       // Adding SuperAdmin role
       await Company.findByIdAndUpdate(
         req.user.company._id,
         { $addToSet: { superAdmins: id } }
       );
-    } else if (role !== "SuperAdmin" && user.role === "SuperAdmin") {
+    } else if (roleName !== "SuperAdmin" && user.role === "SuperAdmin") {
       // Removing SuperAdmin role
       await Company.findByIdAndUpdate(
         req.user.company._id,
@@ -301,23 +214,17 @@ export const updatePassword = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { currentPassword, newPassword } = req.body;
 
-  // Authorization check
-  if (req.user.role !== "SuperAdmin" && !req.user._id.equals(id)) {
-    throw new CustomError("You can only update your own password", 403, "USER_ACCESS_DENIED");
-  }
-
-  const user = await User.findOne({
-    _id: id,
-    company: req.user.company._id
-  }).select("+password");
+  const user = await User.findOne(
+    scopeQuery(req.user, "update", "user", { _id: id })
+  ).select("+password");
 
   if (!user) {
     throw new CustomError("User not found", 404, "USER_NOT_FOUND");
   }
 
-  // Verify current password (not required for SuperAdmin updating others)
-  if (!req.user._id.equals(id) && req.user.role === "SuperAdmin") {
-    // SuperAdmin can update any user's password without current password
+  // Verify current password (not required when resetting another user's)
+  if (!req.user._id.equals(id)) {
+    // Only a company-wide update scope reaches other users
   } else {
     if (!currentPassword) {
       throw new CustomError("Current password is required", 400, "CURRENT_PASSWORD_REQUIRED");
@@ -340,7 +247,90 @@ export const updatePassword = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete user
+ * @desc    Request a change of the current user's email
+ * @route   PUT /api/users/profile/email
+ * @access  Private (All roles - self only)
+ */
+export const requestEmailChange = asyncHandler(async (req, res) => {
+  const { newEmail, currentPassword } = req.body;
+
+  const user = await User.findById(req.user._id);
+
+  if (newEmail === user.email) {
+    throw new CustomError("New email must be different from the current email", 400, "EMAIL_UNCHANGED");
+  }
+
+  // Re-authenticate before touching login credentials
+  const isValidPassword = await user.comparePassword(currentPassword);
+  if (!isValidPassword) {
+    throw new CustomError("Current password is incorrect", 400, "INVALID_CURRENT_PASSWORD");
+  }
+
+  // Emails are unique across all companies
+  const existingUser = await User.findOne({ email: newEmail }).setOptions({ skipTenant: true, withDeleted: true });
+  if (existingUser) {
+    throw new CustomError("Email already in use", 400, "EMAIL_ALREADY_EXISTS");
+  }
+
+  // Replaces any previous pending change
+  const token = user.generateEmailChangeToken(newEmail);
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendEmail({
+      to: newEmail,
+      ...emailChangeConfirmationEmail({ firstName: user.firstName, token })
+    });
+  } catch (error) {
+    console.error("Email change confirmation error:", error);
+
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeTokenExpiry = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    throw new CustomError("Failed to send confirmation email. Please try again later", 500, "EMAIL_SEND_ERROR");
+  }
+
+  // Alert the current address; the change itself does not depend on it
+  sendEmail({
+    to: user.email,
+    ...emailChangeAlertEmail({ firstName: user.firstName, newEmail })
+  }).catch((error) => console.error("Email change alert error:", error));
+
+  res.status(200).json({
+    success: true,
+    message: `A confirmation link has been sent to ${newEmail}`,
+    data: {
+      pendingEmail: newEmail
+    }
+  });
+});
+
+/**
+ * @desc    Cancel the current user's pending email change
+ * @route   DELETE /api/users/profile/email
+ * @access  Private (All roles - self only)
+ */
+export const cancelEmailChange = asyncHandler(async (req, res) => {
+  const user = await User.findOneAndUpdate(
+    { _id: req.user._id, pendingEmail: { $exists: true } },
+    { $unset: { pendingEmail: 1, emailChangeToken: 1, emailChangeTokenExpiry: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new CustomError("No pending email change to cancel", 404, "NO_PENDING_EMAIL_CHANGE");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Pending email change cancelled"
+  });
+});
+
+/**
+ * @desc    Move user to the trash
  * @route   DELETE /api/users/:id
  * @access  Private (SuperAdmin only)
  */
@@ -377,11 +367,89 @@ export const deleteUser = asyncHandler(async (req, res) => {
     );
   }
 
-  await User.findByIdAndDelete(id);
+  await user.softDelete(req.user._id);
+
+  // End all sessions and live sockets so access stops immediately
+  await Session.revokeAllForUser(user._id, "deleted");
+  disconnectUser(user._id);
+
+  res.status(200).json({
+    success: true,
+    message: "User moved to trash"
+  });
+});
+
+/**
+ * @desc    Get trashed users
+ * @route   GET /api/users/trash
+ * @access  Private (SuperAdmin only)
+ */
+export const getTrashedUsers = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, sort = "-deletedAt" } = req.query;
+
+  const query = scopeQuery(req.user, "delete", "user", { ...TRASHED });
+
+  const options = {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort,
+    populate: [
+      { path: "department", select: "name" },
+      { path: "deletedBy", select: "firstName lastName email" }
+    ],
+    select: "-password"
+  };
+
+  const users = await User.paginate(query, options);
+
+  res.status(200).json({
+    success: true,
+    data: { ...users, retentionDays: TRASH_RETENTION_DAYS }
+  });
+});
+
+/**
+ * @desc    Restore user from the trash
+ * @route   PUT /api/users/:id/restore
+ * @access  Private (SuperAdmin only)
+ */
+export const restoreUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findOne(
+    scopeQuery(req.user, "delete", "user", { _id: id, ...TRASHED })
+  );
+
+  if (!user) {
+    throw new CustomError("User not found in trash", 404, "USER_NOT_FOUND");
+  }
+
+  // The department may have been trashed since
+  if (!(await Department.exists({ _id: user.department }))) {
+    throw new CustomError("The user's department is in the trash. Restore it first.", 400, "DEPARTMENT_NOT_FOUND");
+  }
+
+  // Users trashed before their role was deleted come back as plain users
+  const roleExists =
+    SYSTEM_ROLES.includes(user.role) ||
+    (await Role.findByName(user.company, user.role).select("_id").lean());
+  if (!roleExists) {
+    user.role = "User";
+  }
+
+  await user.restore();
+
+  if (user.role === "SuperAdmin") {
+    await Company.findByIdAndUpdate(
+      req.user.company._id,
+      { $addToSet: { superAdmins: user._id } }
+    );
+  }
 
   res.status(200).json({
     success: true,
-    message: "User deleted successfully"
+    message: "User restored successfully",
+    data: user
   });
 });
 
@@ -406,6 +474,10 @@ export const deactivateUser = asyncHandler(async (req, res) => {
     throw new CustomError("User not found", 404, "USER_NOT_FOUND");
   }
 
+  // End all sessions and live sockets so access stops immediately
+  await Session.revokeAllForUser(user._id, "deactivated");
+  disconnectUser(user._id);
+
   res.status(200).json({
     success: true,
     message: "User deactivated successfully",
@@ -413,6 +485,63 @@ export const deactivateUser = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Unlock a user locked out by failed login or two-factor attempts
+ * @route   POST /api/users/:id/unlock
+ * @access  Private (SuperAdmin only)
+ */
+export const unlockUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findOne({
+    _id: id,
+    company: req.user.company._id
+  }).select("email +twoFactorFailedAttempts +twoFactorLockedUntil");
+
+  if (!user) {
+    throw new CustomError("User not found", 404, "USER_NOT_FOUND");
+  }
+
+  const result = await LoginAttempt.clearAccount(user.email);
+
+  user.twoFactorFailedAttempts = 0;
+  user.twoFactorLockedUntil = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "User account unlocked successfully",
+    data: { loginAttemptsCleared: result.deletedCount > 0 }
+  });
+});
+
+/**
+ * @desc    Force logout user from all devices
+ * @route   POST /api/users/:id/force-logout
+ * @access  Private (SuperAdmin only)
+ */
+export const forceLogoutUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findOne({
+    _id: id,
+    company: req.user.company._id
+  }).select("_id");
+
+  if (!user) {
+    throw new CustomError("User not found", 404, "USER_NOT_FOUND");
+  }
+
+  const result = await Session.revokeAllForUser(user._id, "force_logout");
+  disconnectUser(user._id);
+
+  res.status(200).json({
+    success: true,
+    message: "User logged out from all devices",
+    data: { revokedCount: result.modifiedCount }
+  });
+});
+
 /**
  * @desc    Activate user
  * @route   PUT /api/users/:id/activate
@@ -447,17 +576,8 @@ export const activateUser = asyncHandler(async (req, res) => {
  * @access  Private (SuperAdmin: company stats, Others: own stats)
  */
 export const getUserStats = asyncHandler(async (req, res) => {
-  let query = { company: req.user.company._id };
-
-  if (req.user.role === "SuperAdmin") {
-    // SuperAdmin can see company-wide stats
-  } else if (["Admin", "Manager"].includes(req.user.role)) {
-    // Admin/Manager can see department stats
-    query.department = req.user.department._id;
-  } else {
-    // Users can only see their own stats
-    query._id = req.user._id;
-  }
+  // Company, department or personal stats depending on the read scope
+  const query = scopeQuery(req.user, "read", "user");
 
   const totalUsers = await User.countDocuments(query);
   const activeUsers = await User.countDocuments({ ...query, isActive: true });
@@ -469,9 +589,9 @@ export const getUserStats = asyncHandler(async (req, res) => {
     { $group: { _id: "$role", count: { $sum: 1 } } }
   ]);
 
-  // Department-based statistics (only for SuperAdmin)
+  // Department-based statistics (company-wide readers only)
   let departmentStats = [];
-  if (req.user.role === "SuperAdmin") {
+  if (can(req.user, "read", "user", "company")) {
     departmentStats = await User.aggregate([
       { $match: { company: req.user.company._id } },
       {
@@ -521,16 +641,8 @@ export const updateProfilePicture = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { url, public_id } = req.body;
 
-  // Authorization check
-  if (req.user.role !== "SuperAdmin" && !req.user._id.equals(id)) {
-    throw new CustomError("You can only update your own profile picture", 403, "USER_ACCESS_DENIED");
-  }
-
   const user = await User.findOneAndUpdate(
-    {
-      _id: id,
-      company: req.user.company._id
-    },
+    scopeQuery(req.user, "update", "user", { _id: id }),
     {
       profilePicture: { url, public_id }
     },
@@ -50,8 +50,8 @@ const handleSpecificErrors = (error) => {
     );
   }
 
-  // Handle rate limiting errors
-  if (error.statusCode === 429) {
+  // Handle rate limiting errors (keep specific operational 429s as they are)
+  if (error.statusCode === 429 && !error.isOperational) {
     return new CustomError(
       "Too many requests. Please try again later.",
       429,
@@ -84,6 +84,12 @@ const globalErrorHandler = (error, req, res, next) => {
     ...(isDevelopment && { stack: handledError.stack }),
   };
 
+  // Tell clients when a throttled or locked request may be retried
+  if (handledError.context?.retryAfter) {
+    res.set("Retry-After", String(handledError.context.retryAfter));
+    errorResponse.retryAfter = handledError.context.retryAfter;
+  }
+
   // Send error response
   res.status(handledError.statusCode || 500).json(errorResponse);
 };
@@ -1,10 +1,255 @@
 // backend/middlewares/authMiddleware.js
-import jwt from "jsonwebtoken";
-import { User, Department } from "../models/index.js";
+import {
+  User,
+  Department,
+  Session,
+  ApiKey,
+  Role,
+  ImpersonationLog,
+} from "../models/index.js";
+import { API_KEY_PREFIX } from "../models/ApiKey.js";
+import {
+  verifyAccessToken,
+  verifyImpersonationToken,
+} from "../utils/GenerateTokens.js";
 import CustomError from "../errorHandler/CustomError.js";
 
+// Resource each router belongs to, for API key scopes. Routers not listed
+// here (auth, API key management) cannot be called with an API key.
+const API_KEY_RESOURCES = {
+  "/api/companies": "company",
+  "/api/departments": "departments",
+  "/api/users": "users",
+  "/api/assigned-tasks": "tasks",
+  "/api/project-tasks": "tasks",
+  "/api/routine-tasks": "routine-tasks",
+  "/api/task-activities": "task-activities",
+  "/api/notifications": "notifications",
+};
+
+// Account checks shared by cookie sessions and API keys.
+// Returns the error to reject the request with, or null.
+const checkAccountStatus = (user, req) => {
+  // Check if user is verified
+  if (!user.isVerified) {
+    return new CustomError(
+      "User account is not verified",
+      401,
+      "ACCOUNT_NOT_VERIFIED_ERROR"
+    );
+  }
+
+  // Check if user is active
+  if (!user.isActive) {
+    return new CustomError(
+      "User account is deactivated",
+      401,
+      "USER_DEACTIVATED_ERROR"
+    );
+  }
+
+  // Check if company is active
+  if (!user.company.isActive) {
+    return new CustomError(
+      "Company account is deactivated",
+      401,
+      "COMPANY_DEACTIVATED_ERROR"
+    );
+  }
+
+  // Check company subscription status
+  if (user.company.subscription.status !== "active") {
+    return new CustomError(
+      "Company subscription is not active",
+      403,
+      "SUBSCRIPTION_INACTIVE_ERROR"
+    );
+  }
+
+  // Check if department is active
+  if (!user.department.isActive) {
+    return new CustomError(
+      "Department is deactivated",
+      401,
+      "DEPARTMENT_DEACTIVATED_ERROR"
+    );
+  }
+
+  // Privileged users must finish two-factor enrollment before using
+  // anything outside the auth routes (where enrollment happens)
+  if (
+    !user.twoFactorEnabled &&
+    user.isTwoFactorRequired(user.company) &&
+    req.baseUrl !== "/api/auth"
+  ) {
+    return new CustomError(
+      "Two-factor authentication setup is required",
+      403,
+      "TWO_FACTOR_SETUP_REQUIRED_ERROR"
+    );
+  }
+
+  return null;
+};
+
+// Authenticate an integration request made with an API key
+const verifyApiKey = async (req, res, next, rawKey) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawKey) });
+
+  if (!apiKey || !apiKey.isActive) {
+    return next(
+      new CustomError(
+        "API key is invalid, expired or revoked",
+        401,
+        "INVALID_API_KEY_ERROR"
+      )
+    );
+  }
+
+  // GET needs the read scope, every other method the write scope
+  const resource = API_KEY_RESOURCES[req.baseUrl];
+  const requiredScope = `${resource}:${req.method === "GET" ? "read" : "write"}`;
+
+  if (!resource || !apiKey.hasScope(requiredScope)) {
+    return next(
+      new CustomError(
+        resource
+          ? `API key is missing the required scope: ${requiredScope}`
+          : "This endpoint cannot be accessed with an API key",
+        403,
+        "API_KEY_SCOPE_ERROR"
+      )
+    );
+  }
+
+  // The key acts as its user, so the usual authorization applies
+  const user = await User.findById(apiKey.user)
+    .populate(
+      "company",
+      "name subscription.status subscription.plan isActive security.requireTwoFactor"
+    )
+    .populate("department", "name isActive");
+
+  if (!user || !user.company._id.equals(apiKey.company)) {
+    return next(
+      new CustomError(
+        "API key is invalid, expired or revoked",
+        401,
+        "INVALID_API_KEY_ERROR"
+      )
+    );
+  }
+
+  const statusError = checkAccountStatus(user, req);
+  if (statusError) return next(statusError);
+
+  user.permissions = await Role.permissionsFor(user);
+
+  // Record usage without delaying the request
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { lastUsedAt: new Date(), lastUsedIp: req.ip }
+  ).catch((error) => console.error("API key usage update error:", error));
+
+  req.user = user;
+  req.realUser = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Switch the effective identity to the user a SuperAdmin is acting as.
+// req.realUser keeps the SuperAdmin, and every request is logged.
+const applyImpersonation = async (req, res, next, token) => {
+  const endImpersonation = (message) => {
+    res.clearCookie("impersonation_token", {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+    });
+    return next(new CustomError(message, 401, "IMPERSONATION_ENDED_ERROR"));
+  };
+
+  let decoded;
+  try {
+    decoded = verifyImpersonationToken(token);
+  } catch (jwtError) {
+    return endImpersonation("Impersonation session has expired");
+  }
+
+  // The token only works next to the impersonator's own login
+  if (!req.realUser._id.equals(decoded.impersonatorId)) {
+    return endImpersonation("Impersonation session does not belong to you");
+  }
+
+  const session = await Session.findOne({
+    _id: decoded.sid,
+    user: decoded.userId,
+    impersonatedBy: decoded.impersonatorId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!session) {
+    return endImpersonation("Impersonation session has ended");
+  }
+
+  const user = await User.findById(decoded.userId)
+    .populate(
+      "company",
+      "name subscription.status subscription.plan isActive security.requireTwoFactor"
+    )
+    .populate("department", "name isActive");
+
+  if (!user || !user.company._id.equals(req.realUser.company._id)) {
+    return endImpersonation("Impersonated user is no longer available");
+  }
+
+  const statusError = checkAccountStatus(user, req);
+  if (statusError) return next(statusError);
+
+  user.permissions = await Role.permissionsFor(user);
+
+  // Record the request once its outcome is known
+  const startedAt = Date.now();
+  res.on("finish", () => {
+    ImpersonationLog.create({
+      session: session._id,
+      company: user.company._id,
+      impersonator: req.realUser._id,
+      user: user._id,
+      method: req.method,
+      path: req.originalUrl.slice(0, 500),
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ip: req.ip,
+      userAgent: req.get("user-agent")?.slice(0, 500),
+    }).catch((error) => console.error("Impersonation log error:", error));
+  });
+
+  req.user = user;
+  req.sessionId = session._id;
+  req.impersonation = {
+    sessionId: session._id,
+    impersonator: {
+      _id: req.realUser._id,
+      firstName: req.realUser.firstName,
+      lastName: req.realUser.lastName,
+      email: req.realUser.email,
+    },
+    reason: session.impersonationReason,
+    expiresAt: session.expiresAt,
+  };
+  next();
+};
+
 export const verifyJWT = async (req, res, next) => {
   try {
+    // Integrations send an API key as a Bearer token instead of the cookie
+    const authHeader = req.get("authorization");
+    if (authHeader?.startsWith(`Bearer ${API_KEY_PREFIX}`)) {
+      return await verifyApiKey(req, res, next, authHeader.slice(7).trim());
+    }
+
     // Extract token from cookies
     const token = req.cookies?.access_token;
 
@@ -21,7 +266,7 @@ export const verifyJWT = async (req, res, next) => {
     // Verify token
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+      decoded = verifyAccessToken(token);
     } catch (jwtError) {
       if (jwtError.name === "TokenExpiredError") {
         return next(
@@ -48,8 +293,12 @@ export const verifyJWT = async (req, res, next) => {
 
     // Fetch user data with company and department details
     const user = await User.findById(decoded.userId)
-      .populate("company", "name subscription.status isActive")
-      .populate("department", "name isActive");
+      .populate(
+        "company",
+        "name subscription.status subscription.plan isActive security.requireTwoFactor"
+      )
+      .populate("department", "name isActive")
+      .select("+passwordChangedAt");
 
     if (!user) {
       return next(
@@ -57,63 +306,45 @@ export const verifyJWT = async (req, res, next) => {
       );
     }
 
-    // Check if user is verified
-    if (!user.isVerified) {
+    // Reject tokens issued before the last password reset
+    if (user.changedPasswordAfter(decoded.iat)) {
       return next(
         new CustomError(
-          "User account is not verified",
+          "Password was changed. Please log in again",
           401,
-          "ACCOUNT_NOT_VERIFIED_ERROR"
+          "PASSWORD_CHANGED_ERROR"
         )
       );
     }
 
-    // Check if user is active
-    if (!user.isActive) {
+    // Reject tokens whose session was logged out or revoked
+    if (!(await Session.isActiveSession(decoded.sid))) {
       return next(
         new CustomError(
-          "User account is deactivated",
+          "Session has been revoked. Please log in again",
           401,
-          "USER_DEACTIVATED_ERROR"
+          "SESSION_REVOKED_ERROR"
         )
       );
     }
 
-    // Check if company is active
-    if (!user.company.isActive) {
-      return next(
-        new CustomError(
-          "Company account is deactivated",
-          401,
-          "COMPANY_DEACTIVATED_ERROR"
-        )
-      );
-    }
+    const statusError = checkAccountStatus(user, req);
+    if (statusError) return next(statusError);
 
-    // Check company subscription status
-    if (user.company.subscription.status !== "active") {
-      return next(
-        new CustomError(
-          "Company subscription is not active",
-          403,
-          "SUBSCRIPTION_INACTIVE_ERROR"
-        )
-      );
-    }
+    // Permission set of the user's company role, used by authorize()
+    user.permissions = await Role.permissionsFor(user);
 
-    // Check if department is active
-    if (!user.department.isActive) {
-      return next(
-        new CustomError(
-          "Department is deactivated",
-          401,
-          "DEPARTMENT_DEACTIVATED_ERROR"
-        )
-      );
+    // Attach user and session data to request; while impersonating,
+    // req.user becomes the effective identity and req.realUser stays
+    req.user = user;
+    req.realUser = user;
+    req.sessionId = decoded.sid;
+
+    const impersonationToken = req.cookies?.impersonation_token;
+    if (impersonationToken) {
+      return await applyImpersonation(req, res, next, impersonationToken);
     }
 
-    // Attach user data to request
-    req.user = user;
     next();
   } catch (error) {
     console.error("JWT verification error:", error);
@@ -127,6 +358,23 @@ export const verifyJWT = async (req, res, next) => {
   }
 };
 
+/**
+ * Reject actions only the account owner may take, such as changing
+ * credentials or deleting the company, while a SuperAdmin impersonates
+ */
+export const denyImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return next(
+      new CustomError(
+        "This action is not allowed while impersonating a user",
+        403,
+        "IMPERSONATION_FORBIDDEN_ERROR"
+      )
+    );
+  }
+  next();
+};
+
 /**
  * Authorize user roles
  * @param {Array} allowedRoles - Array of allowed roles
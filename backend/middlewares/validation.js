@@ -2,6 +2,13 @@
 import { body, param, query, validationResult } from "express-validator";
 import mongoose from "mongoose";
 import CustomError from "../errorHandler/CustomError.js";
+import { API_KEY_SCOPES } from "../models/ApiKey.js";
+import { validatePermissions } from "../config/permissions.js";
+import { validateWorkflow } from "../config/workflow.js";
+import { validateSlaPolicies } from "../config/sla.js";
+import { TEMPLATE_TASK_TYPES } from "../models/TaskTemplate.js";
+import { MAX_SNOOZE_DAYS } from "../models/TaskReminder.js";
+import { isValidTimeZone, validateRecurrence } from "../utils/Recurrence.js";
 
 // Generic validation error handler
 export const handleValidationErrors = (req, res, next) => {
@@ -28,6 +35,95 @@ export const validateObjectId = (field = "id") => {
     });
 };
 
+// Auth validation rules
+export const validateForgotPassword = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email is required"),
+  handleValidationErrors
+];
+
+export const validateSsoLogin = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Valid email is required"),
+  handleValidationErrors
+];
+
+export const validateResetPassword = [
+  param("token")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid password reset token"),
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters"),
+  handleValidationErrors
+];
+
+export const validateVerifyEmail = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email is required"),
+  body("code")
+    .trim()
+    .matches(/^[0-9a-fA-F]{6}$/)
+    .withMessage("Verification code must be 6 characters"),
+  handleValidationErrors
+];
+
+export const validateResendVerification = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email is required"),
+  handleValidationErrors
+];
+
+export const validateConfirmEmailChange = [
+  param("token")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid email change token"),
+  handleValidationErrors
+];
+
+export const validateTwoFactorCode = [
+  body("code")
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits"),
+  handleValidationErrors
+];
+
+// Either a TOTP code or a recovery code is accepted
+export const validateTwoFactorLogin = [
+  body("code")
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits"),
+  body("recoveryCode")
+    .optional()
+    .trim()
+    .matches(/^[0-9a-fA-F]{5}-[0-9a-fA-F]{5}$/)
+    .withMessage("Invalid recovery code format"),
+  body()
+    .custom((value) => Boolean(value?.code || value?.recoveryCode))
+    .withMessage("Authentication code or recovery code is required"),
+  handleValidationErrors
+];
+
+export const validateTwoFactorDisable = [
+  body("password")
+    .notEmpty()
+    .withMessage("Current password is required"),
+  ...validateTwoFactorLogin
+];
+
 // Company validation rules
 export const validateCompanyCreation = [
   body("name")
@@ -58,6 +154,68 @@ export const validateCompanyCreation = [
   handleValidationErrors
 ];
 
+export const validateCompanySecurityUpdate = [
+  body("requireTwoFactor")
+    .isBoolean()
+    .withMessage("requireTwoFactor must be a boolean"),
+  handleValidationErrors
+];
+
+export const validateCompanySsoUpdate = [
+  body("enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("enabled must be a boolean"),
+  body("issuer")
+    .optional()
+    .isURL({ require_tld: false, protocols: ["http", "https"] })
+    .withMessage("Issuer must be a valid URL"),
+  body("clientId")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Client id cannot be empty"),
+  body("clientSecret")
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("Client secret cannot be empty"),
+  body("emailDomains")
+    .optional()
+    .isArray()
+    .withMessage("Email domains must be an array"),
+  body("emailDomains.*")
+    .isFQDN({ require_tld: false })
+    .withMessage("Each email domain must be a valid domain"),
+  body("roleClaim")
+    .optional()
+    .isString()
+    .withMessage("Role claim must be a string"),
+  body("roleMapping")
+    .optional()
+    .isObject()
+    .withMessage("Role mapping must be an object"),
+  body("roleMapping.*")
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("Mapped role must be between 2 and 30 characters"),
+  body("departmentClaim")
+    .optional()
+    .isString()
+    .withMessage("Department claim must be a string"),
+  body("defaultDepartment")
+    .optional()
+    .isMongoId()
+    .withMessage("Default department must be a valid id"),
+  body("autoProvision")
+    .optional()
+    .isBoolean()
+    .withMessage("autoProvision must be a boolean"),
+  handleValidationErrors
+];
+
 export const validateCompanyUpdate = [
   body("name")
     .optional()
@@ -101,6 +259,39 @@ export const validateCompanyUpdate = [
   handleValidationErrors
 ];
 
+export const validateCompanyHolidays = [
+  body("holidays")
+    .isArray({ max: 366 })
+    .withMessage("Holidays must be a list of at most 366 days"),
+  body("holidays.*.date")
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("Holiday date must be a valid YYYY-MM-DD date"),
+  body("holidays.*.name")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Holiday name cannot exceed 100 characters"),
+  handleValidationErrors
+];
+
+export const validateCompanyWorkflow = [
+  body("statuses").custom((value) => {
+    const error = validateWorkflow(value);
+    if (error) throw new Error(error);
+    return true;
+  }),
+  handleValidationErrors
+];
+
+export const validateCompanySlaPolicies = [
+  body("policies").custom((value) => {
+    const error = validateSlaPolicies(value);
+    if (error) throw new Error(error);
+    return true;
+  }),
+  handleValidationErrors
+];
+
 // Department validation rules
 export const validateDepartmentCreation = [
   body("name")
@@ -158,49 +349,6 @@ export const validateDepartmentUpdate = [
 ];
 
 // User validation rules
-export const validateUserCreation = [
-  body("firstName")
-    .trim()
-    .isLength({ min: 2, max: 30 })
-    .withMessage("First name must be between 2 and 30 characters"),
-  body("lastName")
-    .trim()
-    .isLength({ min: 2, max: 30 })
-    .withMessage("Last name must be between 2 and 30 characters"),
-  body("email")
-    .isEmail()
-    .normalizeEmail()
-    .withMessage("Valid email is required"),
-  body("password")
-    .isLength({ min: 6 })
-    .withMessage("Password must be at least 6 characters"),
-  body("role")
-    .isIn(["SuperAdmin", "Admin", "Manager", "User"])
-    .withMessage("Invalid role specified"),
-  body("position")
-    .optional()
-    .trim()
-    .isLength({ max: 50 })
-    .withMessage("Position cannot exceed 50 characters"),
-  body("department")
-    .custom((value) => {
-      if (!mongoose.Types.ObjectId.isValid(value)) {
-        throw new Error("Invalid department ID format");
-      }
-      return true;
-    }),
-  body("skills")
-    .optional()
-    .isArray()
-    .withMessage("Skills must be an array"),
-  body("skills.*")
-    .optional()
-    .trim()
-    .isLength({ max: 30 })
-    .withMessage("Each skill cannot exceed 30 characters"),
-  handleValidationErrors
-];
-
 export const validateUserUpdate = [
   body("firstName")
     .optional()
@@ -219,8 +367,10 @@ export const validateUserUpdate = [
     .withMessage("Valid email is required"),
   body("role")
     .optional()
-    .isIn(["SuperAdmin", "Admin", "Manager", "User"])
-    .withMessage("Invalid role specified"),
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("Role must be between 2 and 30 characters"),
   body("position")
     .optional()
     .trim()
@@ -250,6 +400,17 @@ export const validateUserUpdate = [
   handleValidationErrors
 ];
 
+export const validateEmailChangeRequest = [
+  body("newEmail")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email is required"),
+  body("currentPassword")
+    .notEmpty()
+    .withMessage("Current password is required"),
+  handleValidationErrors
+];
+
 // Task validation rules
 export const validateTaskCreation = [
   body("title")
@@ -277,6 +438,14 @@ export const validateTaskCreation = [
       }
       return true;
     }),
+  body("parentTask")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid parent task ID format"),
+  body("requiresApproval")
+    .optional()
+    .isBoolean()
+    .withMessage("requiresApproval must be true or false"),
   handleValidationErrors
 ];
 
@@ -306,8 +475,19 @@ export const validateTaskUpdate = [
     .withMessage("Priority must be Low, Medium, or High"),
   body("status")
     .optional()
-    .isIn(["To Do", "In Progress", "Completed", "Pending"])
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
     .withMessage("Invalid status specified"),
+  body("requiresApproval")
+    .optional()
+    .isBoolean()
+    .withMessage("requiresApproval must be true or false"),
+  // null detaches a subtask from its parent
+  body("parentTask")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid parent task ID format"),
   handleValidationErrors
 ];
 
@@ -326,7 +506,111 @@ export const validateAssignedTaskCreation = [
     }),
 ];
 
+export const validateTaskCompletion = [
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Completion note cannot exceed 500 characters"),
+  handleValidationErrors
+];
+
+// Approval validation rules
+export const validateTaskApproval = [
+  body("comment")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Comment cannot exceed 200 characters"),
+  handleValidationErrors
+];
+
+export const validateTaskRejection = [
+  body("reason")
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("A rejection reason of up to 200 characters is required"),
+  handleValidationErrors
+];
+
+// Checklist validation rules
+export const validateChecklistItem = [
+  body("title")
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Checklist item title must be between 1 and 200 characters"),
+  body("assignee")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid assignee ID format"),
+  body("dueDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid due date is required"),
+  handleValidationErrors
+];
+
+export const validateChecklistItemUpdate = [
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Checklist item title must be between 1 and 200 characters"),
+  // null clears the assignee or due date
+  body("assignee")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid assignee ID format"),
+  body("dueDate")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Valid due date is required"),
+  handleValidationErrors
+];
+
+export const validateChecklistCompletion = [
+  body("isCompleted")
+    .isBoolean({ strict: true })
+    .withMessage("isCompleted must be true or false"),
+  handleValidationErrors
+];
+
+export const validateChecklistOrder = [
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("Items must be a list of checklist item IDs"),
+  body("items.*")
+    .isMongoId()
+    .withMessage("Invalid checklist item ID format"),
+  handleValidationErrors
+];
+
+export const validateTaskDependency = [
+  body("blockedBy")
+    .isMongoId()
+    .withMessage("Invalid blocking task ID format"),
+  handleValidationErrors
+];
+
 // ProjectTask validation rules
+export const validateProjectTaskStatus = [
+  body("status")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage("Invalid status specified"),
+  body("comment")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Comment cannot exceed 200 characters"),
+  body("attachments")
+    .optional()
+    .isArray()
+    .withMessage("Attachments must be a list"),
+  handleValidationErrors
+];
+
 export const validateProjectTaskCreation = [
   ...validateTaskCreation,
   body("clientInfo.name")
@@ -368,6 +652,117 @@ export const validateRoutineTaskCreation = [
   handleValidationErrors
 ];
 
+// TaskTemplate validation rules
+const isAssignedTaskTemplate = body("taskType").equals("AssignedTask");
+const isRoutineTaskTemplate = body("taskType").equals("RoutineTask");
+
+const recurrenceRule = () =>
+  body("recurrence").custom((value) => {
+    const error = validateRecurrence(value);
+    if (error) throw new Error(error);
+    return true;
+  });
+
+// Fields shared by new and edited templates, all optional
+const taskTemplateRules = [
+  body("priority")
+    .optional()
+    .isIn(["Low", "Medium", "High"])
+    .withMessage("Priority must be Low, Medium, or High"),
+  body("assignedTo.*")
+    .isMongoId()
+    .withMessage("Invalid assigned user ID format"),
+  body("performedBy")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid performer ID format"),
+  body("checklist")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Checklist cannot have more than 50 items"),
+  body("checklist.*.title")
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Checklist item title must be between 1 and 200 characters"),
+  body("timeZone")
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage("Invalid time zone"),
+  body("dueTime")
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage("Due time must be HH:mm"),
+  body("dueAfterDays")
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage("Due days must be between 0 and 365"),
+  body("skipHolidays")
+    .optional()
+    .isBoolean()
+    .withMessage("skipHolidays must be a boolean"),
+];
+
+export const validateTaskTemplateCreation = [
+  body("taskType")
+    .isIn(TEMPLATE_TASK_TYPES)
+    .withMessage(`Task type must be one of: ${TEMPLATE_TASK_TYPES.join(", ")}`),
+  body("department")
+    .isMongoId()
+    .withMessage("Invalid department ID format"),
+  body("title")
+    .if(isAssignedTaskTemplate)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Task title must be between 2 and 100 characters"),
+  body("description")
+    .if(isAssignedTaskTemplate)
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage("Task description must be between 2 and 500 characters"),
+  body("location")
+    .if(isAssignedTaskTemplate)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Task location must be between 2 and 100 characters"),
+  body("assignedTo")
+    .if(isAssignedTaskTemplate)
+    .isArray({ min: 1 })
+    .withMessage("At least one user must be assigned"),
+  body("checklist")
+    .if(isRoutineTaskTemplate)
+    .isArray({ min: 1 })
+    .withMessage("At least one performed task is required"),
+  recurrenceRule(),
+  ...taskTemplateRules,
+  handleValidationErrors
+];
+
+// The task type and department of a series cannot change
+export const validateTaskTemplateUpdate = [
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Task title must be between 2 and 100 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage("Task description must be between 2 and 500 characters"),
+  body("location")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Task location must be between 2 and 100 characters"),
+  body("assignedTo")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("At least one user must be assigned"),
+  recurrenceRule().optional(),
+  ...taskTemplateRules,
+  handleValidationErrors
+];
+
 // TaskActivity validation rules
 export const validateTaskActivityCreation = [
   body("task")
@@ -382,7 +777,9 @@ export const validateTaskActivityCreation = [
     .isLength({ min: 1, max: 200 })
     .withMessage("Description must be between 1 and 200 characters"),
   body("statusChange.to")
-    .isIn(["To Do", "In Progress", "Completed", "Pending"])
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
     .withMessage("Invalid status specified"),
   handleValidationErrors
 ];
@@ -396,6 +793,223 @@ export const validateNotificationUpdate = [
   handleValidationErrors
 ];
 
+export const validateNotificationSnooze = [
+  body("until")
+    .isISO8601()
+    .withMessage("Valid snooze end time is required")
+    .bail()
+    .custom((value) => {
+      const until = new Date(value).getTime();
+      if (until <= Date.now()) {
+        throw new Error("Snooze end time must be in the future");
+      }
+      if (until - Date.now() > MAX_SNOOZE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`A reminder cannot be snoozed for more than ${MAX_SNOOZE_DAYS} days`);
+      }
+      return true;
+    }),
+  handleValidationErrors
+];
+
+// API key validation rules
+export const validateApiKeyCreation = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("API key name must be between 2 and 50 characters"),
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("At least one scope is required"),
+  body("scopes.*")
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(", ")}`),
+  body("type")
+    .optional()
+    .isIn(["user", "company"])
+    .withMessage("Type must be user or company"),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Expiry must be between 1 and 365 days"),
+  handleValidationErrors
+];
+
+export const validateInvitationCreation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email is required"),
+  body("role")
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("Role must be between 2 and 30 characters"),
+  body("department")
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error("Invalid department ID format");
+      }
+      return true;
+    }),
+  body("firstName")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("First name must be between 2 and 30 characters"),
+  body("lastName")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("Last name must be between 2 and 30 characters"),
+  body("position")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Position cannot exceed 50 characters"),
+  handleValidationErrors
+];
+
+export const validateBulkInvitations = [
+  body("csv")
+    .isString()
+    .isLength({ min: 1, max: 100000 })
+    .withMessage("CSV content is required (max 100KB)"),
+  handleValidationErrors
+];
+
+export const validateInvitationToken = [
+  param("token")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid invitation token"),
+  handleValidationErrors
+];
+
+export const validateInvitationAccept = [
+  param("token")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid invitation token"),
+  body("firstName")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("First name must be between 2 and 30 characters"),
+  body("lastName")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("Last name must be between 2 and 30 characters"),
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters"),
+  handleValidationErrors
+];
+
+// Role validation rules
+const rolePermissionsRule = body("permissions")
+  .optional()
+  .custom((value) => {
+    const error = validatePermissions(value);
+    if (error) throw new Error(error);
+    return true;
+  });
+
+export const validateRoleCreation = [
+  body("name")
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("Role name must be between 2 and 30 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters"),
+  rolePermissionsRule,
+  body("basedOn")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("Base role must be between 2 and 30 characters"),
+  handleValidationErrors
+];
+
+export const validateRoleUpdate = [
+  body("name")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage("Role name must be between 2 and 30 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters"),
+  rolePermissionsRule,
+  handleValidationErrors
+];
+
+// Impersonation validation rules
+export const validateImpersonationStart = [
+  body("userId")
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error("Invalid user ID format");
+      }
+      return true;
+    }),
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage("Reason must be between 5 and 200 characters"),
+  handleValidationErrors
+];
+
+export const validateImpersonationLogQuery = [
+  query("event")
+    .optional()
+    .isIn(["start", "request", "stop"])
+    .withMessage("Event must be start, request, or stop"),
+  query(["session", "impersonator", "user"])
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid ID format"),
+  query(["startDate", "endDate"])
+    .optional()
+    .isISO8601()
+    .withMessage("Dates must be in ISO 8601 format"),
+  handleValidationErrors
+];
+
+export const validateAuditLogQuery = [
+  query("action")
+    .optional()
+    .isIn(["create", "update", "delete"])
+    .withMessage("Action must be create, update, or delete"),
+  query(["actor", "impersonator", "resourceId"])
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid ID format"),
+  query("resourceType")
+    .optional()
+    .isAlpha()
+    .isLength({ max: 50 })
+    .withMessage("Resource type must be a model name such as AssignedTask"),
+  query("requestId")
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage("Request ID cannot exceed 100 characters"),
+  query(["startDate", "endDate"])
+    .optional()
+    .isISO8601()
+    .withMessage("Dates must be in ISO 8601 format"),
+  handleValidationErrors
+];
+
 // Query validation for pagination and filtering
 export const validatePaginationQuery = [
   query("page")
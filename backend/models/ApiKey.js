@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import crypto from "crypto";
+import { auditTrail } from "../utils/AuditTrail.js";
+import { tenantScope } from "../utils/TenantScope.js";
+
+// Scopes are "<resource>:<action>"; read covers GET, write covers everything else
+export const API_KEY_SCOPES = [
+  "company:read",
+  "departments:read",
+  "users:read",
+  "tasks:read",
+  "tasks:write",
+  "routine-tasks:read",
+  "routine-tasks:write",
+  "task-activities:read",
+  "task-activities:write",
+  "notifications:read",
+  "notifications:write",
+];
+
+// Every key starts with this prefix so it can be told apart from JWTs
+export const API_KEY_PREFIX = "tmk_";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      minlength: [2, "API key name must be at least 2 characters"],
+      maxlength: [50, "API key name cannot exceed 50 characters"],
+    },
+    // user: owned and managed by the creator
+    // company: shared integration key, managed by any SuperAdmin
+    type: {
+      type: String,
+      enum: ["user", "company"],
+      default: "user",
+    },
+    keyHash: {
+      type: String,
+      required: [true, "API key hash is required"],
+      unique: true,
+      select: false,
+    },
+    // First characters of the key, shown so users can recognize it
+    keyPreview: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    // Requests made with the key act as this user
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "API key user is required"],
+      index: true,
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "API key expiry is required"],
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+      trim: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.keyHash;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Virtual for active state
+apiKeySchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Generate a new raw key; only its hash is stored
+apiKeySchema.statics.generateKey = function () {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return {
+    key,
+    keyHash: this.hashKey(key),
+    keyPreview: key.slice(0, API_KEY_PREFIX.length + 6),
+  };
+};
+
+apiKeySchema.statics.hashKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+apiKeySchema.plugin(mongoosePaginate);
+apiKeySchema.plugin(tenantScope);
+apiKeySchema.plugin(auditTrail, { ignore: ["lastUsedAt", "lastUsedIp"] });
+
+export default mongoose.model("ApiKey", apiKeySchema);
@@ -1,6 +1,8 @@
 // backend/models/AssignedTaskModel.js
 import mongoose from "mongoose";
 import Task from "./Task.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { AWAITING_APPROVAL, categoryOf, firstStatusIn, initialStatus } from "../config/workflow.js";
 
 const assignedTaskSchema = new mongoose.Schema(
   {
@@ -11,6 +13,26 @@ const assignedTaskSchema = new mongoose.Schema(
         required: [true, "Assigned user is required"],
       },
     ],
+    // One record per assignee who has completed their part
+    completedBy: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: [true, "Completing user is required"],
+        },
+        completedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        note: {
+          type: String,
+          trim: true,
+          maxlength: [500, "Completion note cannot exceed 500 characters"],
+        },
+      },
+    ],
   },
   {
     toJSON: Task.schema.options.toJSON,
@@ -18,4 +40,66 @@ const assignedTaskSchema = new mongoose.Schema(
   }
 );
 
+const refId = (value) => value?._id ?? value;
+
+assignedTaskSchema.methods.isAssignedTo = function (userId) {
+  return this.assignedTo.some((user) => refId(user).equals(userId));
+};
+
+assignedTaskSchema.methods.hasCompleted = function (userId) {
+  return this.completedBy.some(({ user }) => refId(user).equals(userId));
+};
+
+// One unit of work per assignee, done once they have completed
+assignedTaskSchema.methods.completionUnits = function () {
+  const done = this.completedBy.filter(({ user }) => this.isAssignedTo(refId(user)));
+  return { done: done.length, total: this.assignedTo.length };
+};
+
+// Complete the task once everything is done, start it once anything is,
+// and reopen it when an assignee takes their completion back. The first
+// done and active statuses of the workflow are used. A task awaiting
+// approval is left to the approver.
+assignedTaskSchema.methods.syncStatusWithProgress = function (workflow) {
+  if (this.status === AWAITING_APPROVAL) return;
+
+  const category = categoryOf(workflow, this.status);
+
+  if (this.progress === 100) {
+    if (category !== "done") this.status = firstStatusIn(workflow, "done");
+  } else if (category === "done" || (this.status === initialStatus(workflow) && this.progress > 0)) {
+    this.status = firstStatusIn(workflow, "active");
+  }
+};
+
+// Record the assignee's completion; saves within the given transaction
+assignedTaskSchema.methods.markCompletedByUser = function (userId, note, session) {
+  if (!this.isAssignedTo(userId)) {
+    throw new CustomError("You are not assigned to this task", 403, "TASK_NOT_ASSIGNED");
+  }
+  if (this.hasCompleted(userId)) {
+    throw new CustomError("You have already completed this task", 409, "TASK_ALREADY_COMPLETED");
+  }
+
+  this.completedBy.push({ user: userId, note });
+  return this.save({ session });
+};
+
+assignedTaskSchema.methods.unmarkCompletedByUser = function (userId, session) {
+  if (!this.hasCompleted(userId)) {
+    throw new CustomError("You have not completed this task", 400, "TASK_NOT_COMPLETED");
+  }
+  if (this.status === AWAITING_APPROVAL) {
+    throw new CustomError("Task is awaiting approval; ask a manager to reject it instead", 409, "TASK_AWAITING_APPROVAL");
+  }
+
+  this.completedBy = this.completedBy.filter(({ user }) => !refId(user).equals(userId));
+  return this.save({ session });
+};
+
+// A rejected completion has to be done again by every assignee
+assignedTaskSchema.methods.resetCompletion = function () {
+  this.completedBy = [];
+};
+
 export default Task.discriminator("AssignedTask", assignedTaskSchema);
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { tenantScope } from "../utils/TenantScope.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days an entry is kept, by the company's subscription plan
+export const AUDIT_RETENTION_DAYS = {
+  basic: 30,
+  premium: 180,
+  enterprise: 730,
+};
+
+// One entry per document created, updated or deleted by a signed-in user
+// (or an API key acting as one). Written by the auditTrail plugin.
+const auditLogSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+    },
+    // The effective identity
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Actor is required"],
+    },
+    // The SuperAdmin behind the actor, while impersonating
+    impersonator: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },
+    action: {
+      type: String,
+      enum: ["create", "update", "delete"],
+      required: [true, "Action is required"],
+    },
+    resourceType: {
+      type: String,
+      required: [true, "Resource type is required"],
+    },
+    resourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Resource ID is required"],
+    },
+    // Changed fields (dot notation) with their value before and after.
+    // Creates have no "before", deletes no "after".
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    method: { type: String },
+    path: { type: String, maxlength: 500 },
+    ip: { type: String },
+    requestId: { type: String, index: true },
+    // Set from the retention of the company's plan
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+auditLogSchema.index({ company: 1, createdAt: -1 });
+auditLogSchema.index({ company: 1, resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Expiry of an entry written now for a company on the given plan
+auditLogSchema.statics.expiryFor = function (plan, from = new Date()) {
+  const days = AUDIT_RETENTION_DAYS[plan] ?? AUDIT_RETENTION_DAYS.basic;
+  return new Date(from.getTime() + days * DAY);
+};
+
+// Re-apply retention to the entries a company already has, after its plan changed
+auditLogSchema.statics.applyRetention = function (companyId, plan) {
+  const days = AUDIT_RETENTION_DAYS[plan] ?? AUDIT_RETENTION_DAYS.basic;
+  return this.updateMany({ company: companyId }, [
+    { $set: { expiresAt: { $add: ["$createdAt", days * DAY] } } },
+  ]);
+};
+
+auditLogSchema.plugin(mongoosePaginate);
+auditLogSchema.plugin(tenantScope);
+
+export default mongoose.model("AuditLog", auditLogSchema);
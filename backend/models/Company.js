@@ -1,5 +1,23 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import { auditTrail } from "../utils/AuditTrail.js";
+import { tenantScope } from "../utils/TenantScope.js";
+import {
+  DEFAULT_WORKFLOW,
+  STATUS_CATEGORIES,
+  STATUS_REQUIREMENTS,
+  validateWorkflow,
+} from "../config/workflow.js";
+import {
+  DEFAULT_ESCALATE_AFTER_HOURS,
+  DEFAULT_WARNING_PERCENT,
+  SLA_PRIORITIES,
+  SLA_TASK_TYPES,
+  validateSlaPolicies,
+} from "../config/sla.js";
+
+// Stored arrays, whether from a document or an update
+const toPlain = (value) => (typeof value?.toObject === "function" ? value.toObject() : value);
 
 const companySchema = new mongoose.Schema(
   {
@@ -73,9 +91,100 @@ const companySchema = new mongoose.Schema(
         default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
       },
     },
+    security: {
+      // Privileged roles must enroll in two-factor authentication
+      requireTwoFactor: { type: Boolean, default: false },
+    },
+    // OpenID Connect single sign-on
+    sso: {
+      enabled: { type: Boolean, default: false },
+      issuer: { type: String, trim: true },
+      clientId: { type: String, trim: true },
+      clientSecret: { type: String, select: false },
+      // Users with these email domains are sent to this company's provider
+      emailDomains: [{ type: String, trim: true, lowercase: true }],
+      // ID token claims used for just-in-time provisioning
+      roleClaim: { type: String, trim: true, default: "role" },
+      // Claim value -> name of one of the company's roles
+      roleMapping: {
+        type: Map,
+        of: { type: String, trim: true },
+        default: {},
+      },
+      departmentClaim: { type: String, trim: true, default: "department" },
+      defaultDepartment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Department",
+      },
+      autoProvision: { type: Boolean, default: true },
+    },
+    // Days off as YYYY-MM-DD; recurring task templates skip them
+    // (see utils/RecurringTasks.js)
+    holidays: [
+      {
+        _id: false,
+        date: {
+          type: String,
+          required: [true, "Holiday date is required"],
+          match: [/^\d{4}-\d{2}-\d{2}$/, "Holiday date must be YYYY-MM-DD"],
+        },
+        name: {
+          type: String,
+          trim: true,
+          maxlength: [100, "Holiday name cannot exceed 100 characters"],
+        },
+      },
+    ],
+    // Task statuses in order; DEFAULT_WORKFLOW applies while the company
+    // has not defined its own (see config/workflow.js)
+    workflow: {
+      type: [
+        {
+          _id: false,
+          name: { type: String, required: true },
+          category: { type: String, enum: STATUS_CATEGORIES, required: true },
+          transitions: [{ type: String }],
+          requires: [{ type: String, enum: STATUS_REQUIREMENTS }],
+        },
+      ],
+      validate: {
+        validator: (value) => !value.length || validateWorkflow(toPlain(value)) === null,
+        message: (props) => validateWorkflow(toPlain(props.value)),
+      },
+    },
+    // Response and resolution targets per task type and priority, in hours
+    // (see config/sla.js)
+    slaPolicies: {
+      type: [
+        {
+          _id: false,
+          taskType: { type: String, enum: SLA_TASK_TYPES, required: true },
+          priority: { type: String, enum: SLA_PRIORITIES, required: true },
+          responseHours: { type: Number, required: true },
+          resolutionHours: { type: Number, required: true },
+          warningPercent: { type: Number, default: DEFAULT_WARNING_PERCENT },
+          escalateAfterHours: { type: Number, default: DEFAULT_ESCALATE_AFTER_HOURS },
+        },
+      ],
+      validate: {
+        validator: (value) => validateSlaPolicies(toPlain(value)) === null,
+        message: (props) => validateSlaPolicies(toPlain(props.value)),
+      },
+    },
     isActive: { type: Boolean, default: true, index: true },
+    // Set while the company is scheduled for deletion; it is purged once
+    // scheduledFor has passed (see utils/CompanyOffboarding.js)
+    deletion: {
+      requestedAt: { type: Date },
+      requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      scheduledFor: { type: Date, index: true },
+      startedAt: { type: Date },
+    },
     superAdmins: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     departments: [{ type: mongoose.Schema.Types.ObjectId, ref: "Department" }],
+    // Bumped by every task dependency added in the company, so concurrent
+    // additions conflict and run one after the other (see addTaskDependency)
+    dependencyVersion: { type: Number, default: 0, select: false },
   },
   {
     timestamps: true,
@@ -97,6 +206,9 @@ const companySchema = new mongoose.Schema(
   }
 );
 
+// SSO discovery by email domain
+companySchema.index({ "sso.emailDomains": 1 });
+
 companySchema.virtual("departmentCount", {
   ref: "Department",
   localField: "_id",
@@ -127,6 +239,14 @@ companySchema.pre("save", function (next) {
   next();
 });
 
+// Task statuses of a company, the default ones until it defines its own
+companySchema.statics.workflowOf = async function (companyId, session = null) {
+  const company = await this.findById(companyId).select("workflow").session(session).lean();
+  return company?.workflow?.length ? company.workflow : DEFAULT_WORKFLOW;
+};
+
 companySchema.plugin(mongoosePaginate);
+companySchema.plugin(tenantScope, { field: "_id" });
+companySchema.plugin(auditTrail);
 
 export default mongoose.model("Company", companySchema);
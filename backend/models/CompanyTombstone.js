@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// What is kept of a deleted company: that it existed, who asked for the
+// deletion and when, and how many documents were removed per collection.
+// Not tenant-scoped, since the tenant no longer exists.
+const companyTombstoneSchema = new mongoose.Schema(
+  {
+    // _id of the deleted company
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Company reference is required"],
+      unique: true,
+    },
+    name: { type: String, required: [true, "Company name is required"] },
+    email: { type: String },
+    requestedAt: { type: Date },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId },
+    requestedByEmail: { type: String },
+    scheduledFor: { type: Date },
+    startedAt: { type: Date },
+    // Set once the company document itself is gone
+    deletedAt: { type: Date },
+    documentCounts: { type: Map, of: Number, default: {} },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+export default mongoose.model("CompanyTombstone", companyTombstoneSchema);
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import { auditTrail } from "../utils/AuditTrail.js";
+import { tenantScope } from "../utils/TenantScope.js";
+import { softDelete } from "../utils/SoftDelete.js";
 
 const departmentSchema = new mongoose.Schema(
   {
@@ -87,6 +90,21 @@ departmentSchema.pre("save", function (next) {
   next();
 });
 
+// Ids of the department's managers whose accounts are active
+departmentSchema.statics.activeManagers = async function (departmentId, session = null) {
+  const department = await this.findById(departmentId).select("managers").session(session).lean();
+  if (!department?.managers.length) return [];
+
+  return mongoose
+    .model("User")
+    .find({ _id: { $in: department.managers }, isActive: true })
+    .session(session)
+    .distinct("_id");
+};
+
 departmentSchema.plugin(mongoosePaginate);
+departmentSchema.plugin(softDelete);
+departmentSchema.plugin(tenantScope);
+departmentSchema.plugin(auditTrail);
 
 export default mongoose.model("Department", departmentSchema);
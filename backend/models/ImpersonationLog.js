@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { tenantScope } from "../utils/TenantScope.js";
+
+// One entry per request made while a SuperAdmin acts as another user,
+// plus the start and end of every impersonation session. Sessions expire
+// and are removed, so this is the lasting record.
+const impersonationLogSchema = new mongoose.Schema(
+  {
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: [true, "Session reference is required"],
+      index: true,
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+      index: true,
+    },
+    // The real identity
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Impersonator is required"],
+    },
+    // The effective identity
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Impersonated user is required"],
+    },
+    event: {
+      type: String,
+      enum: ["start", "request", "stop"],
+      default: "request",
+    },
+    // Why the SuperAdmin started the session; set on "start" entries
+    reason: { type: String, trim: true, maxlength: 200 },
+    method: { type: String },
+    path: { type: String, maxlength: 500 },
+    statusCode: { type: Number },
+    durationMs: { type: Number },
+    ip: { type: String },
+    userAgent: { type: String, maxlength: 500 },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+impersonationLogSchema.index({ company: 1, createdAt: -1 });
+
+impersonationLogSchema.plugin(mongoosePaginate);
+impersonationLogSchema.plugin(tenantScope);
+
+export default mongoose.model("ImpersonationLog", impersonationLogSchema);
@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import crypto from "crypto";
+import { auditTrail } from "../utils/AuditTrail.js";
+import { tenantScope } from "../utils/TenantScope.js";
+
+export const INVITATION_EXPIRY = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please enter a valid email",
+      ],
+    },
+    // Optional, prefilled on the accept page
+    firstName: {
+      type: String,
+      trim: true,
+      maxlength: [30, "First name cannot exceed 30 characters"],
+    },
+    lastName: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Last name cannot exceed 30 characters"],
+    },
+    position: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Position cannot exceed 50 characters"],
+    },
+    // Name of one of the company's roles, see Role
+    role: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Role cannot exceed 30 characters"],
+      default: "User",
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department reference is required"],
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+      index: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Inviter is required"],
+    },
+    // Only the hash is stored, the raw token is emailed
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked"],
+      default: "pending",
+      index: true,
+    },
+    sentAt: { type: Date },
+    sendCount: { type: Number, default: 0 },
+    acceptedAt: { type: Date },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.token;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// One open invitation per email and company
+invitationSchema.index(
+  { company: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+invitationSchema.virtual("isExpired").get(function () {
+  return this.status === "pending" && this.expiresAt <= new Date();
+});
+
+invitationSchema.statics.hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Issue a fresh token and expiry; returns the raw token for the email
+invitationSchema.methods.generateToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.token = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + INVITATION_EXPIRY);
+  this.sentAt = new Date();
+  this.sendCount += 1;
+  return token;
+};
+
+invitationSchema.plugin(mongoosePaginate);
+invitationSchema.plugin(tenantScope);
+invitationSchema.plugin(auditTrail);
+
+export default mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// State of a background job run by utils/Scheduler.js: when it runs next,
+// which process is running it, and how its last run went. Kept in the
+// database so the schedule survives restarts and is shared by every API
+// process. Not tenant-scoped, jobs work across companies.
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Job name is required"],
+      unique: true,
+      trim: true,
+    },
+    // Milliseconds between the starts of two runs
+    interval: {
+      type: Number,
+      required: [true, "Job interval is required"],
+      min: [1000, "Job interval must be at least a second"],
+    },
+    nextRunAt: {
+      type: Date,
+      required: [true, "Next run time is required"],
+      index: true,
+    },
+    // Process running the job, until the run ends or the lock expires
+    lockedBy: { type: String },
+    lockedUntil: { type: Date },
+    lastRunAt: { type: Date },
+    lastDurationMs: { type: Number },
+    // Message of the error that ended the last run, null when it succeeded
+    lastError: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+export default mongoose.model("Job", jobSchema);
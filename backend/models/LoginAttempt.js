@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+
+// Brute-force limits. Failures beyond freeFailures delay the next attempt
+// (doubling, capped at maxDelay); maxFailures locks the key, with each
+// repeated lockout lasting twice as long (capped at maxLockDuration).
+export const LOGIN_ATTEMPT_LIMITS = {
+  account: {
+    freeFailures: 3,
+    maxFailures: 5,
+    maxDelay: 30 * 1000, // 30 seconds
+    lockDuration: 15 * 60 * 1000, // 15 minutes
+    maxLockDuration: 24 * 60 * 60 * 1000, // 24 hours
+  },
+  ip: {
+    freeFailures: 10,
+    maxFailures: 30,
+    maxDelay: 30 * 1000, // 30 seconds
+    lockDuration: 15 * 60 * 1000, // 15 minutes
+    maxLockDuration: 24 * 60 * 60 * 1000, // 24 hours
+  },
+};
+
+// Counters are forgotten this long after the last failure
+const ATTEMPT_RESET_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // account: keyed by login email (also for unknown emails, so lockout
+    // does not reveal which accounts exist); ip: keyed by client IP
+    kind: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    failures: { type: Number, default: 0 },
+    lockouts: { type: Number, default: 0 },
+    lastFailureAt: { type: Date },
+    lastFailureIp: { type: String },
+    nextAttemptAt: { type: Date },
+    lockedUntil: { type: Date },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 }, // TTL: MongoDB removes stale counters
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+loginAttemptSchema.index({ kind: 1, key: 1 }, { unique: true });
+
+// Returns the active block for this login, or null when it may proceed
+loginAttemptSchema.statics.getBlock = async function ({ email, ip }) {
+  const now = new Date();
+  const attempts = await this.find({
+    $or: [
+      { kind: "account", key: email.toLowerCase() },
+      { kind: "ip", key: ip },
+    ],
+  });
+
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil > now) {
+      return {
+        errorCode:
+          attempt.kind === "account"
+            ? "ACCOUNT_LOCKED_ERROR"
+            : "IP_BLOCKED_ERROR",
+        retryAfter: Math.ceil((attempt.lockedUntil - now) / 1000),
+      };
+    }
+  }
+
+  for (const attempt of attempts) {
+    if (attempt.nextAttemptAt > now) {
+      return {
+        errorCode: "LOGIN_THROTTLED_ERROR",
+        retryAfter: Math.ceil((attempt.nextAttemptAt - now) / 1000),
+      };
+    }
+  }
+
+  return null;
+};
+
+// Count a failure against one key and apply its delay or lockout. The
+// count and what it leads to are computed in one update pipeline, so
+// concurrent failures cannot lose an increment or skip a lockout.
+loginAttemptSchema.statics.recordFailureFor = async function (kind, key, ip) {
+  const limits = LOGIN_ATTEMPT_LIMITS[kind];
+  const now = Date.now();
+
+  // The second stage sees the incremented failures and the lockouts before
+  // this failure, so a lockout lasts lockDuration * 2^(previous lockouts)
+  const reachedMax = { $gte: ["$failures", limits.maxFailures] };
+  const lockedUntil = {
+    $add: [
+      new Date(now),
+      { $min: [{ $multiply: [limits.lockDuration, { $pow: [2, "$lockouts"] }] }, limits.maxLockDuration] },
+    ],
+  };
+  const nextAttemptAt = {
+    $add: [
+      new Date(now),
+      {
+        $min: [
+          { $multiply: [1000, { $pow: [2, { $subtract: ["$failures", limits.freeFailures + 1] }] }] },
+          limits.maxDelay,
+        ],
+      },
+    ],
+  };
+
+  const attempt = await this.findOneAndUpdate(
+    { kind, key },
+    [
+      {
+        $set: {
+          failures: { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+          lockouts: { $ifNull: ["$lockouts", 0] },
+          lastFailureAt: new Date(now),
+          lastFailureIp: ip,
+          expiresAt: new Date(now + ATTEMPT_RESET_WINDOW),
+          createdAt: { $ifNull: ["$createdAt", new Date(now)] },
+        },
+      },
+      {
+        $set: {
+          failures: { $cond: [reachedMax, 0, "$failures"] },
+          lockouts: { $cond: [reachedMax, { $add: ["$lockouts", 1] }, "$lockouts"] },
+          lockedUntil: { $cond: [reachedMax, lockedUntil, "$lockedUntil"] },
+          nextAttemptAt: {
+            $cond: [
+              reachedMax,
+              "$$REMOVE",
+              { $cond: [{ $gt: ["$failures", limits.freeFailures] }, nextAttemptAt, "$nextAttemptAt"] },
+            ],
+          },
+          expiresAt: { $cond: [reachedMax, { $max: ["$expiresAt", lockedUntil] }, "$expiresAt"] },
+        },
+      },
+    ],
+    { upsert: true, new: true }
+  );
+
+  // The counter only starts over at zero when this failure locked the key
+  return { attempt, locked: attempt.failures === 0 };
+};
+
+// Record a failed login for both the account and the IP
+loginAttemptSchema.statics.recordFailure = async function ({ email, ip }) {
+  const [account, address] = await Promise.all([
+    this.recordFailureFor("account", email.toLowerCase(), ip),
+    this.recordFailureFor("ip", ip, ip),
+  ]);
+
+  return {
+    account: account.attempt,
+    accountLocked: account.locked,
+    ip: address.attempt,
+    ipLocked: address.locked,
+  };
+};
+
+// A successful login or an admin unlock resets the account's counters
+loginAttemptSchema.statics.clearAccount = function (email) {
+  return this.deleteOne({ kind: "account", key: email.toLowerCase() });
+};
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import { tenantScope } from "../utils/TenantScope.js";
+import { softDelete } from "../utils/SoftDelete.js";
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -22,7 +24,13 @@ const notificationSchema = new mongoose.Schema(
         "TaskCompletion", // When task is completed
         "TaskUpdate", // When task details change
         "StatusChange", // When task status changes
+        "TaskUnblocked", // When the last open blocker of a task is completed
+        "ApprovalRequest", // When a completion waits for a manager's sign-off
+        "ApprovalDecision", // When a completion is approved or rejected
+        "SlaAlert", // When a task's SLA target nears, is breached or is escalated
+        "TaskReminder", // When a task is due within 24 hours, due today or overdue
         "CompanyAlert", // When user is assigned to task
+        "SecurityAlert", // Suspicious activity such as an account lockout
       ],
       required: [true, "Notification type/category is required"],
       index: true,
@@ -98,5 +106,7 @@ notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2592000 });
 notificationSchema.index({ user: 1, isRead: 1 });
 
 notificationSchema.plugin(mongoosePaginate);
+notificationSchema.plugin(softDelete);
+notificationSchema.plugin(tenantScope);
 
 export default mongoose.model("Notification", notificationSchema);
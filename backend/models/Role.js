@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  DEFAULT_ROLES,
+  SYSTEM_ROLES,
+  validatePermissions,
+} from "../config/permissions.js";
+import { auditTrail } from "../utils/AuditTrail.js";
+import { tenantScope } from "../utils/TenantScope.js";
+
+const roleSchema = new mongoose.Schema(
+  {
+    // Users reference their role by name, see User.role
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      trim: true,
+      minlength: [2, "Role name must be at least 2 characters"],
+      maxlength: [30, "Role name cannot exceed 30 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+    },
+    // resource -> action -> scope, see config/permissions.js
+    permissions: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+      validate: {
+        // Only the SuperAdmin role may hold the actions reserved for it
+        validator: function (value) {
+          const error = validatePermissions(value, this.name);
+          if (error) throw new Error(error);
+          return true;
+        },
+      },
+    },
+    // Built-in roles cannot be renamed or deleted
+    isSystem: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    minimize: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Role names are unique within a company (case-insensitive)
+roleSchema.index(
+  { company: 1, name: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+
+// Create any default roles the company is missing and bring SuperAdmin's
+// fixed permissions up to date; safe to run repeatedly. The other default
+// roles may have been edited, so they only receive the resources they have
+// no entry for at all, such as ones added after the company was seeded.
+roleSchema.statics.seedDefaults = async function (companyId, session = null) {
+  const newResources = DEFAULT_ROLES.filter(({ name }) => name !== "SuperAdmin").flatMap(
+    ({ name, permissions }) =>
+      Object.entries(permissions).map(([resource, actions]) => ({
+        updateOne: {
+          filter: {
+            company: companyId,
+            name,
+            [`permissions.${resource}`]: { $exists: false },
+          },
+          update: { $set: { [`permissions.${resource}`]: actions } },
+          collation: { locale: "en", strength: 2 },
+        },
+      }))
+  );
+
+  await this.bulkWrite(
+    [
+      ...DEFAULT_ROLES.map(({ permissions, ...role }) => ({
+        updateOne: {
+          filter: { company: companyId, name: role.name },
+          update:
+            role.name === "SuperAdmin"
+              ? { $setOnInsert: { ...role, company: companyId }, $set: { permissions } }
+              : { $setOnInsert: { ...role, permissions, company: companyId } },
+          upsert: true,
+          collation: { locale: "en", strength: 2 },
+        },
+      })),
+      ...newResources,
+    ],
+    { session }
+  );
+};
+
+// A company's role by name (case-insensitive), or null
+roleSchema.statics.findByName = function (companyId, name) {
+  return this.findOne({ company: companyId, name }).collation({
+    locale: "en",
+    strength: 2,
+  });
+};
+
+// Exact name of a company role, for storing on users and invitations.
+// Built-in roles are accepted for companies that were not seeded yet.
+roleSchema.statics.resolveName = async function (companyId, name) {
+  const role = await this.findByName(companyId, name).select("name").lean();
+  if (role) return role.name;
+  if (SYSTEM_ROLES.includes(name)) return name;
+  throw new CustomError(`Role not found: ${name}`, 400, "INVALID_ROLE");
+};
+
+// Permission set for a user's role, or null when the role is not defined.
+// SuperAdmin always gets the built-in set, which grows with new actions.
+roleSchema.statics.permissionsFor = async function (user) {
+  if (user.role === "SuperAdmin") return null;
+
+  const role = await this.findByName(user.company._id ?? user.company, user.role)
+    .select("permissions")
+    .lean();
+
+  return role?.permissions ?? null;
+};
+
+roleSchema.plugin(mongoosePaginate);
+roleSchema.plugin(tenantScope);
+roleSchema.plugin(auditTrail);
+
+export default mongoose.model("Role", roleSchema);
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import { auditTrail } from "../utils/AuditTrail.js";
+import { tenantScope } from "../utils/TenantScope.js";
+import { softDelete } from "../utils/SoftDelete.js";
 
 const routineTaskSchema = new mongoose.Schema(
   {
@@ -41,6 +44,15 @@ const routineTaskSchema = new mongoose.Schema(
       min: [0, "Task progress cannot be less than 0"],
       max: [100, "Task progress cannot exceed 100"],
     },
+    // Recurring series this task was generated from, and the day of the
+    // series it stands for (YYYY-MM-DD in the template's time zone)
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskTemplate",
+    },
+    occurrenceDate: {
+      type: String,
+    },
     attachments: [
       {
         _id: false,
@@ -76,6 +88,12 @@ const routineTaskSchema = new mongoose.Schema(
   }
 );
 
+// One task per day of a recurring series, so generating it twice is harmless
+routineTaskSchema.index(
+  { template: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { template: { $exists: true } } }
+);
+
 // Auto-calculate progress
 routineTaskSchema.pre("save", function (next) {
   if (this.isModified("performedTasks")) {
@@ -87,5 +105,8 @@ routineTaskSchema.pre("save", function (next) {
 });
 
 routineTaskSchema.plugin(mongoosePaginate);
+routineTaskSchema.plugin(softDelete);
+routineTaskSchema.plugin(tenantScope);
+routineTaskSchema.plugin(auditTrail);
 
 export default mongoose.model("RoutineTask", routineTaskSchema);
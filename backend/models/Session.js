@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import crypto from "crypto";
+import { tenantScope } from "../utils/TenantScope.js";
+
+// Each session is one refresh-token family: it starts at login and every
+// rotation replaces its current token hash until it is revoked or expires.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Session user is required"],
+      index: true,
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+      index: true,
+    },
+    currentTokenHash: {
+      type: String,
+      required: [true, "Refresh token hash is required"],
+      select: false,
+    },
+    previousTokenHash: {
+      type: String,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [500, "User agent cannot exceed 500 characters"],
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Session expiry is required"],
+    },
+    // Set on sessions a SuperAdmin opened to act as this user
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    impersonationReason: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Reason cannot exceed 200 characters"],
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "token_reuse",
+        "password_reset",
+        "revoked",
+        "force_logout",
+        "deactivated",
+        "impersonation_ended",
+        "deleted",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        delete ret.currentTokenHash;
+        delete ret.previousTokenHash;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// Remove sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for active state
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Hash refresh tokens before they are stored or compared
+sessionSchema.statics.hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Check that a session referenced by a token is still usable
+sessionSchema.statics.isActiveSession = function (sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return Promise.resolve(false);
+
+  return this.exists({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).then(Boolean);
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function (
+  userId,
+  reason,
+  exceptSessionId = null
+) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+};
+
+sessionSchema.plugin(mongoosePaginate);
+sessionSchema.plugin(tenantScope);
+
+export default mongoose.model("Session", sessionSchema);
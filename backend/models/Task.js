@@ -1,5 +1,77 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import { auditTrail } from "../utils/AuditTrail.js";
+import { tenantScope } from "../utils/TenantScope.js";
+import { softDelete } from "../utils/SoftDelete.js";
+import CustomError from "../errorHandler/CustomError.js";
+import { scopeQuery, TASK_RESOURCES } from "../config/permissions.js";
+import { getRequest } from "../utils/RequestContext.js";
+import {
+  AWAITING_APPROVAL,
+  categoryOf,
+  findStatus,
+  firstStatusIn,
+  initialStatus,
+  statusesIn,
+} from "../config/workflow.js";
+import {
+  SLA_STATES,
+  escalationLevelFor,
+  findSlaPolicy,
+  slaTargets,
+  targetState,
+} from "../config/sla.js";
+
+// Levels a task tree may have, counting the top-level task
+export const MAX_TASK_DEPTH = 4;
+
+// Fields that change how much of a task is done; assignedTo and completedBy
+// belong to AssignedTask
+const PROGRESS_FIELDS = ["status", "checklist", "assignedTo", "completedBy"];
+
+// Status categories a task cannot move to while one of its blockers is open
+const BLOCKED_CATEGORIES = ["active", "done"];
+
+// One SLA target: due and warned about at, reached at, and its state
+const slaTarget = (fields = {}) => ({
+  dueAt: { type: Date },
+  warnAt: { type: Date },
+  ...fields,
+  at: { type: Date },
+  state: { type: String, enum: SLA_STATES },
+});
+
+const TASK_TYPES = Object.fromEntries(
+  Object.entries(TASK_RESOURCES).map(([taskType, resource]) => [resource, taskType])
+);
+
+// Ordered checklist item, ticked off independently of the task
+const checklistItemSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, "Checklist item title is required"],
+    trim: true,
+    maxlength: [200, "Checklist item title cannot exceed 200 characters"],
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  dueDate: {
+    type: Date,
+  },
+  isCompleted: {
+    type: Boolean,
+    default: false,
+  },
+  completedAt: {
+    type: Date,
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
 
 const taskSchema = new mongoose.Schema(
   {
@@ -17,10 +89,12 @@ const taskSchema = new mongoose.Schema(
       minlength: [2, "Description must be at least 2 characters"],
       maxlength: [500, "Description cannot exceed 500 characters"],
     },
+    // One of the company's workflow statuses (see config/workflow.js); new
+    // tasks start in its first open status
     status: {
       type: String,
-      enum: ["To Do", "In Progress", "Completed", "Pending"],
-      default: "To Do",
+      trim: true,
+      maxlength: [30, "Status cannot exceed 30 characters"],
     },
     location: {
       type: String,
@@ -53,6 +127,71 @@ const taskSchema = new mongoose.Schema(
       ref: "Company",
       required: [true, "Company reference is required"],
     },
+    // Task this one is a subtask of, in the same department
+    parentTask: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      index: true,
+    },
+    checklist: [checklistItemSchema],
+    // Tasks in the same company that have to be completed before this one
+    // can start; the other direction is the "blocks" virtual
+    blockedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task",
+        index: true,
+      },
+    ],
+    // Completing the task needs a department manager's sign-off: it waits
+    // in AWAITING_APPROVAL until approved or rejected
+    requiresApproval: {
+      type: Boolean,
+      default: false,
+    },
+    // The completion waiting for sign-off; the decisions are recorded as
+    // task activities
+    approvalRequest: {
+      // Done status the task moves to once approved
+      status: {
+        type: String,
+      },
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      requestedAt: {
+        type: Date,
+      },
+    },
+    // Targets of the company's SLA policy for the task's type and priority
+    // (see config/sla.js); unset when no policy applies
+    sla: {
+      // When the clock started: creation, or the day of a recurring task
+      startedAt: { type: Date },
+      // Met once the task leaves its open statuses
+      response: slaTarget(),
+      // Met once the task reaches a done status
+      resolution: slaTarget({ escalateAt: { type: Date } }),
+      // Escalation steps already notified (see ESCALATION_LEVELS)
+      escalationLevel: { type: Number },
+    },
+    // Recurring series this task was generated from, and the day of the
+    // series it stands for (YYYY-MM-DD in the template's time zone)
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskTemplate",
+    },
+    occurrenceDate: {
+      type: String,
+    },
+    // Percentage done, kept in sync on save (see calculateProgress)
+    progress: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
   },
   {
     discriminatorKey: "taskType",
@@ -73,6 +212,12 @@ const taskSchema = new mongoose.Schema(
   }
 );
 
+// One task per day of a recurring series, so generating it twice is harmless
+taskSchema.index(
+  { template: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { template: { $exists: true } } }
+);
+
 // Virtual for task activities
 taskSchema.virtual("activities", {
   ref: "TaskActivity",
@@ -81,17 +226,619 @@ taskSchema.virtual("activities", {
   options: { sort: { createdAt: -1 } },
 });
 
-// Auto-update status when activities exist
-taskSchema.pre("save", async function (next) {
-  if (this.status === "To Do" && this.isModified("status")) {
-    const activityCount = await mongoose
-      .model("TaskActivity")
-      .countDocuments({ task: this._id });
-    if (activityCount > 0) this.status = "In Progress";
+// Virtual for direct subtasks
+taskSchema.virtual("subtasks", {
+  ref: "Task",
+  localField: "_id",
+  foreignField: "parentTask",
+  options: { sort: { createdAt: 1 } },
+});
+
+// Virtual for the tasks waiting on this one
+taskSchema.virtual("blocks", {
+  ref: "Task",
+  localField: "_id",
+  foreignField: "blockedBy",
+});
+
+// Explicit status changes must follow the company's workflow, see
+// assertTransition. Changes made through changeStatus are already checked.
+// Runs before the status follows progress, so automatic changes are not
+// checked.
+taskSchema.pre("save", async function () {
+  if (!this.isNew && !this.isModified("status")) return;
+
+  const workflow = await this.workflow();
+
+  if (this.isNew) {
+    if (!this.status) {
+      this.status = initialStatus(workflow);
+    } else if (!findStatus(workflow, this.status)) {
+      throw new CustomError(`Unknown status "${this.status}"`, 400, "INVALID_STATUS");
+    }
+  } else if (this.$locals.statusChecked) {
+    this.$locals.statusChecked = false;
+  } else {
+    await this.assertTransition(this.$locals.loadedStatus, this.status, {}, this.$session());
   }
-  next();
 });
 
+// Back to the initial status, a task that has activities is in progress
+taskSchema.pre("save", async function () {
+  if (!this.isModified("status")) return;
+
+  const workflow = await this.workflow();
+  if (this.status !== initialStatus(workflow)) return;
+
+  const activityCount = await mongoose
+    .model("TaskActivity")
+    .countDocuments({ task: this._id });
+  if (activityCount > 0) this.status = firstStatusIn(workflow, "active");
+});
+
+// Remember the parent and status a task was loaded with, to update the
+// parent when the task moves and to check status transitions
+taskSchema.post("init", function () {
+  this.$locals.loadedParentTask = this.parentTask;
+  this.$locals.loadedStatus = this.status;
+});
+
+// Progress is the share of the work that is done: the task's own units (see
+// completionUnits), each checklist item, and each subtask weighted by its
+// own progress. A completed task is always at 100.
+taskSchema.pre("save", async function () {
+  const changed =
+    this.isNew ||
+    this.$locals.recalculateProgress ||
+    PROGRESS_FIELDS.some((field) => this.isModified(field));
+
+  const workflow = changed || this.isModified("status") ? await this.workflow() : null;
+
+  if (changed) {
+    this.$locals.recalculateProgress = false;
+    this.progress = await this.calculateProgress();
+
+    // An explicit status change in the same save wins
+    if (!this.isNew && !this.isModified("status")) this.syncStatusWithProgress(workflow);
+    if (categoryOf(workflow, this.status) === "done") this.progress = 100;
+  }
+
+  // A completion that needs sign-off waits for it instead; approving is
+  // the only way out of AWAITING_APPROVAL into a done status
+  if (
+    this.requiresApproval &&
+    this.isModified("status") &&
+    categoryOf(workflow, this.status) === "done" &&
+    this.$locals.loadedStatus !== AWAITING_APPROVAL
+  ) {
+    this.approvalRequest = {
+      status: this.status,
+      requestedBy: getRequest()?.user?._id ?? this.createdBy,
+      requestedAt: new Date(),
+    };
+    this.$locals.approvalRequestedFrom = this.$locals.loadedStatus ?? null;
+    this.status = AWAITING_APPROVAL;
+  }
+
+  this.$locals.justCompleted =
+    !this.isNew &&
+    this.isModified("status") &&
+    categoryOf(workflow, this.status) === "done" &&
+    categoryOf(workflow, this.$locals.loadedStatus) !== "done";
+
+  // Parents whose progress depends on this task
+  const parents = [];
+  if (this.isNew || ["progress", "parentTask", "deletedAt"].some((field) => this.isModified(field))) {
+    parents.push(this.parentTask);
+  }
+  if (this.isModified("parentTask")) parents.push(this.$locals.loadedParentTask);
+  this.$locals.parentsToRefresh = parents.filter(Boolean);
+});
+
+// SLA targets follow the company's policy as of creation, or of the last
+// change of priority or due date; the status then meets them
+taskSchema.pre("save", async function () {
+  const applied =
+    (this.isNew || this.isModified("priority") || this.isModified("dueDate")) &&
+    (await this.applySlaPolicy());
+
+  if (this.sla?.resolution?.dueAt && (applied || this.isModified("status"))) {
+    await this.trackSla();
+  }
+});
+
+taskSchema.post("save", async function () {
+  const parents = this.$locals.parentsToRefresh ?? [];
+  const approvalRequestedFrom = this.$locals.approvalRequestedFrom;
+  this.$locals.parentsToRefresh = [];
+  this.$locals.approvalRequestedFrom = undefined;
+  this.$locals.loadedParentTask = this.parentTask;
+  this.$locals.loadedStatus = this.status;
+
+  for (const parentId of parents) {
+    await mongoose.model("Task").refreshProgress(parentId, this.$session());
+  }
+
+  if (this.$locals.justCompleted) {
+    this.$locals.justCompleted = false;
+    await this.notifyUnblockedTasks(this.$session());
+  }
+
+  if (approvalRequestedFrom !== undefined) {
+    await this.recordApprovalRequest(approvalRequestedFrom, this.$session());
+  }
+});
+
+// The task of the type a permission resource governs, within the user's
+// scope for the action
+taskSchema.statics.findInScope = function (user, action, resource, filter = {}) {
+  return this.findOne(
+    scopeQuery(user, action, resource, { ...filter, taskType: TASK_TYPES[resource] })
+  );
+};
+
+// The company's workflow statuses, loaded once per document
+taskSchema.methods.workflow = async function (session) {
+  this.$locals.workflow ??= await mongoose
+    .model("Company")
+    .workflowOf(this.company, session ?? this.$session());
+  return this.$locals.workflow;
+};
+
+// Category of the task's status: open, active or done
+taskSchema.methods.statusCategory = async function (session) {
+  return categoryOf(await this.workflow(session), this.status);
+};
+
+/**
+ * Check a status change against the company's workflow: the target status
+ * must exist and be reachable from the current one, the change must come
+ * with what the target status requires, and a blocked task cannot become
+ * active or done.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Object} [context] - What the change comes with
+ * @param {string} [context.comment]
+ * @param {Object[]} [context.attachments]
+ */
+taskSchema.methods.assertTransition = async function (from, to, { comment, attachments = [] } = {}, session) {
+  if (from === AWAITING_APPROVAL) {
+    throw new CustomError("Task is awaiting approval; approve or reject it first", 409, "TASK_AWAITING_APPROVAL");
+  }
+
+  const workflow = await this.workflow(session);
+  const target = findStatus(workflow, to);
+
+  if (!target) {
+    throw new CustomError(`Unknown status "${to}"`, 400, "INVALID_STATUS");
+  }
+
+  // A status the workflow no longer has can move anywhere
+  const source = findStatus(workflow, from);
+  if (source && !source.transitions.includes(to)) {
+    throw new CustomError(`A task cannot move from "${from}" to "${to}"`, 400, "INVALID_STATUS_TRANSITION_ERROR");
+  }
+
+  const missing = [];
+  if (target.requires.includes("comment") && !comment?.trim()) missing.push("a comment");
+  if (target.requires.includes("attachment") && !attachments.length) missing.push("an attachment");
+
+  if (missing.length) {
+    throw new CustomError(`Moving a task to "${to}" requires ${missing.join(" and ")}`, 400, "STATUS_REQUIREMENTS_NOT_MET");
+  }
+
+  if (BLOCKED_CATEGORIES.includes(target.category)) {
+    await this.assertUnblocked(session);
+  }
+};
+
+// Move the task to a status someone asked for, with what the change comes
+// with; saving it is left to the caller
+taskSchema.methods.changeStatus = async function (to, context = {}, session) {
+  await this.assertTransition(this.status, to, context, session);
+
+  if (to !== this.status) {
+    this.status = to;
+    this.$locals.statusChecked = true;
+  }
+};
+
+// Record a completion that now waits for sign-off as a task activity, unless
+// an activity is already recording the change (see TaskActivity), and ask
+// the department's managers to decide: the task's creator when it has none
+taskSchema.methods.recordApprovalRequest = async function (from, session) {
+  const { requestedBy } = this.approvalRequest;
+
+  if (this.$locals.statusActivity) {
+    this.$locals.statusActivity = undefined;
+  } else {
+    const TaskActivity = mongoose.model("TaskActivity");
+    const activity = new TaskActivity({
+      task: this._id,
+      company: this.company,
+      performedBy: requestedBy,
+      description: "Completion submitted for approval",
+      statusChange: { from: from ?? undefined, to: AWAITING_APPROVAL },
+      approval: "requested",
+    });
+    activity.$locals.statusApplied = true;
+    await activity.save({ session });
+  }
+
+  const managers = await mongoose.model("Department").activeManagers(this.department, session ?? null);
+  const recipients = managers.length ? managers : [this.createdBy];
+
+  await mongoose.model("Notification").insertMany(
+    recipients.map((user) => ({
+      user,
+      message: `"${this.title.slice(0, 60)}" is awaiting your approval`,
+      type: "ApprovalRequest",
+      task: this._id,
+      department: this.department,
+      company: this.company,
+      linkedDocument: this._id,
+      linkedDocumentType: "Task",
+    })),
+    { session }
+  );
+};
+
+taskSchema.methods.assertAwaitingApproval = function () {
+  if (this.status !== AWAITING_APPROVAL) {
+    throw new CustomError("Task is not awaiting approval", 409, "TASK_NOT_AWAITING_APPROVAL");
+  }
+};
+
+// Sign off the completion: the task moves to the done status that was
+// asked for, or the workflow's first one if that status is gone. Saving it
+// is left to the caller.
+taskSchema.methods.approve = async function (session) {
+  this.assertAwaitingApproval();
+
+  const workflow = await this.workflow(session);
+  const { status } = this.approvalRequest;
+
+  this.status = categoryOf(workflow, status) === "done" ? status : firstStatusIn(workflow, "done");
+  this.approvalRequest = undefined;
+  this.$locals.statusChecked = true;
+};
+
+// Send the completion back: the task reopens in the workflow's first active
+// status and has to be completed again. Saving it is left to the caller.
+taskSchema.methods.reject = async function (session) {
+  this.assertAwaitingApproval();
+
+  const workflow = await this.workflow(session);
+
+  this.status = firstStatusIn(workflow, "active");
+  this.approvalRequest = undefined;
+  this.$locals.statusChecked = true;
+  this.resetCompletion();
+};
+
+// Set the targets of the company's SLA policy for the task's type and
+// priority, keeping when they were met; returns whether a policy applies
+taskSchema.methods.applySlaPolicy = async function () {
+  const company = await mongoose
+    .model("Company")
+    .findById(this.company)
+    .select("slaPolicies")
+    .session(this.$session())
+    .lean();
+  const policy = findSlaPolicy(company?.slaPolicies, this.taskType, this.priority);
+
+  if (!policy) {
+    this.sla = undefined;
+    return false;
+  }
+
+  const startedAt = this.sla?.startedAt ?? this.createdAt ?? new Date();
+  const { response, resolution } = slaTargets(policy, startedAt, this.dueDate);
+
+  this.sla = {
+    startedAt,
+    response: { ...response, at: this.sla?.response?.at },
+    resolution: { ...resolution, at: this.sla?.resolution?.at },
+    escalationLevel: this.sla?.escalationLevel ?? 0,
+  };
+  return true;
+};
+
+// Meet the SLA targets the status reaches: leaving the open statuses
+// (awaiting approval included) is the response, a done status the
+// resolution, which reopening takes back. Escalation is kept while it
+// still applies.
+taskSchema.methods.trackSla = async function () {
+  const category = categoryOf(await this.workflow(), this.status);
+  const { response, resolution } = this.sla;
+  const now = new Date();
+
+  if (category !== "open" && !response.at) response.at = now;
+  if (category === "done") {
+    resolution.at ??= now;
+  } else {
+    resolution.at = undefined;
+  }
+
+  response.state = targetState(response, now);
+  resolution.state = targetState(resolution, now);
+  if (!resolution.at) {
+    this.sla.escalationLevel = Math.min(this.sla.escalationLevel ?? 0, escalationLevelFor(this.sla, now));
+  }
+};
+
+// Number of tasks in each SLA state, per target, among those matching the
+// query; tasks without an SLA are left out
+taskSchema.statics.slaSummary = async function (query) {
+  const summary = {};
+
+  for (const target of ["response", "resolution"]) {
+    const counts = await this.aggregate([
+      { $match: { ...query, [`sla.${target}.state`]: { $exists: true } } },
+      { $group: { _id: `$sla.${target}.state`, count: { $sum: 1 } } },
+    ]);
+    summary[target] = Object.fromEntries(
+      SLA_STATES.map((state) => [state, counts.find(({ _id }) => _id === state)?.count ?? 0])
+    );
+  }
+  return summary;
+};
+
+// Blockers that are not done yet; trashed ones no longer block
+taskSchema.methods.openBlockers = async function (session) {
+  const workflow = await this.workflow(session);
+
+  return mongoose
+    .model("Task")
+    .find({ _id: { $in: this.blockedBy }, status: { $nin: statusesIn(workflow, "done") } })
+    .select("title status")
+    .session(session ?? null)
+    .lean();
+};
+
+taskSchema.methods.assertUnblocked = async function (session) {
+  if (!this.blockedBy.length) return;
+
+  const blockers = await this.openBlockers(session);
+  if (blockers.length) {
+    const titles = blockers.map((blocker) => `"${blocker.title}"`).join(", ");
+    throw new CustomError(`Task is blocked by ${titles}`, 409, "TASK_BLOCKED");
+  }
+};
+
+/**
+ * Whether a task depends on another, directly or through other tasks, by
+ * following blockedBy links. Adding "task blocked by X" closes a cycle
+ * exactly when X already depends on the task.
+ * @param {mongoose.Types.ObjectId} taskId - Task to start from
+ * @param {mongoose.Types.ObjectId} otherId - Task looked for among its blockers
+ */
+taskSchema.statics.dependsOn = async function (taskId, otherId, session) {
+  const seen = new Set([String(taskId)]);
+  let level = [taskId];
+
+  while (level.length) {
+    const blockers = await this.find({ _id: { $in: level } })
+      .setOptions({ withDeleted: true })
+      .session(session ?? null)
+      .distinct("blockedBy");
+
+    if (blockers.some((id) => id.equals(otherId))) return true;
+    level = blockers.filter((id) => !seen.has(String(id)));
+    level.forEach((id) => seen.add(String(id)));
+  }
+  return false;
+};
+
+// Tell the people working on tasks this one was the last open blocker of
+// that they can start: assignees, or the creator when there are none
+taskSchema.methods.notifyUnblockedTasks = async function (session) {
+  const Task = mongoose.model("Task");
+  const doneStatuses = statusesIn(await this.workflow(session), "done");
+  const waiting = await Task.find({ blockedBy: this._id, status: { $nin: doneStatuses } })
+    .session(session ?? null)
+    .lean();
+
+  const notifications = [];
+  for (const task of waiting) {
+    const stillBlocked = await Task.exists({
+      _id: { $in: task.blockedBy },
+      status: { $nin: doneStatuses },
+    }).session(session ?? null);
+    if (stillBlocked) continue;
+
+    const recipients = task.assignedTo?.length ? task.assignedTo : [task.createdBy];
+    for (const user of recipients) {
+      notifications.push({
+        user,
+        message: `"${task.title.slice(0, 60)}" is no longer blocked`,
+        type: "TaskUnblocked",
+        task: task._id,
+        department: task.department,
+        company: task.company,
+        linkedDocument: task._id,
+        linkedDocumentType: "Task",
+      });
+    }
+  }
+
+  if (notifications.length) {
+    await mongoose.model("Notification").insertMany(notifications, { session });
+  }
+};
+
+// The task's own units of work apart from checklist and subtasks. Plain
+// tasks have none; AssignedTask counts one per assignee.
+taskSchema.methods.completionUnits = function () {
+  return { done: 0, total: 0 };
+};
+
+// Status changes that follow from progress; none by default
+taskSchema.methods.syncStatusWithProgress = function () {};
+
+// Undo the task's own completions when it is reopened; none by default
+taskSchema.methods.resetCompletion = function () {};
+
+taskSchema.methods.calculateProgress = async function () {
+  const subtasks = this.isNew
+    ? []
+    : await mongoose
+        .model("Task")
+        .find({ parentTask: this._id })
+        .select("progress")
+        .session(this.$session())
+        .lean();
+
+  const own = this.completionUnits();
+  const done =
+    own.done +
+    this.checklist.filter((item) => item.isCompleted).length +
+    subtasks.reduce((sum, subtask) => sum + subtask.progress / 100, 0);
+  const total = own.total + this.checklist.length + subtasks.length;
+
+  return total > 0 ? Math.round((done / total) * 100) : 0;
+};
+
+// Recalculate progress after something outside the document changed, such
+// as one of its subtasks; the change then rolls up to its own parent
+taskSchema.methods.refreshProgress = function (session) {
+  this.$locals.recalculateProgress = true;
+  return this.save({ session });
+};
+
+taskSchema.statics.refreshProgress = async function (taskId, session) {
+  const task = await this.findById(taskId).session(session ?? null);
+  if (task) await task.refreshProgress(session);
+};
+
+// Ids of every task below the given one, matching an optional filter
+taskSchema.statics.descendantIds = async function (taskId, filter = {}, session) {
+  const ids = [];
+  let level = [taskId];
+
+  while (level.length) {
+    level = await this.find({ ...filter, parentTask: { $in: level } })
+      .session(session ?? null)
+      .distinct("_id");
+    ids.push(...level);
+  }
+  return ids;
+};
+
+/**
+ * Check that a task may become a subtask of the given parent: same
+ * department, no cycle, and a tree no deeper than MAX_TASK_DEPTH.
+ * @param {mongoose.Types.ObjectId} parentId
+ * @param {Object} options
+ * @param {mongoose.Types.ObjectId} options.department - Department of the subtask
+ * @param {mongoose.Types.ObjectId} [options.taskId] - The subtask, when it already exists
+ */
+taskSchema.statics.assertValidParent = async function (parentId, { department, taskId, session }) {
+  const parent = await this.findById(parentId).session(session ?? null).lean();
+
+  if (!parent) {
+    throw new CustomError("Parent task not found", 404, "PARENT_TASK_NOT_FOUND");
+  }
+  if (String(parent.department) !== String(department?._id ?? department)) {
+    throw new CustomError("A subtask must be in the same department as its parent", 400, "INVALID_PARENT_TASK");
+  }
+
+  // Levels above the subtask, walking up from the parent
+  let levels = 1;
+  for (let ancestor = parent; ; levels++) {
+    if (taskId && ancestor._id.equals(taskId)) {
+      throw new CustomError("A task cannot be a subtask of itself or of its own subtasks", 400, "INVALID_PARENT_TASK");
+    }
+    if (!ancestor.parentTask) break;
+    ancestor = await this.findById(ancestor.parentTask).session(session ?? null).lean();
+    if (!ancestor) break;
+  }
+
+  // Levels of the subtask's own tree
+  let height = 1;
+  for (let level = taskId ? [taskId] : []; ; height++) {
+    level = await this.find({ parentTask: { $in: level } }).session(session ?? null).distinct("_id");
+    if (!level.length) break;
+  }
+
+  if (levels + height > MAX_TASK_DEPTH) {
+    throw new CustomError(`Task trees cannot be deeper than ${MAX_TASK_DEPTH} levels`, 400, "TASK_TREE_TOO_DEEP");
+  }
+};
+
+/**
+ * The task as a plain object with its subtasks nested under "subtasks",
+ * level by level.
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - Limits the subtasks included, such as to the user's scope
+ * @param {Array} [options.populate] - Populate paths for every subtask
+ */
+taskSchema.methods.toTree = async function ({ filter = {}, populate = [] } = {}) {
+  const root = this.toObject({ virtuals: true });
+  let level = [root];
+
+  while (level.length) {
+    const subtasks = await mongoose
+      .model("Task")
+      .find({ ...filter, parentTask: { $in: level.map((task) => task._id) } })
+      .sort({ createdAt: 1 })
+      .populate(populate)
+      .lean();
+
+    for (const task of level) {
+      task.subtasks = subtasks.filter((subtask) => subtask.parentTask.equals(task._id));
+    }
+    level = subtasks;
+  }
+  return root;
+};
+
+// Trash the task with its subtasks and their activities and notifications,
+// all stamped with the same time so restoring brings back exactly those
+taskSchema.methods.moveToTrash = async function (userId, session) {
+  const Task = mongoose.model("Task");
+  const subtaskIds = await Task.descendantIds(this._id, {}, session);
+
+  await this.softDelete(userId, session);
+
+  const trash = { deletedAt: this.deletedAt, deletedBy: userId };
+  if (subtaskIds.length) {
+    await Task.updateMany({ _id: { $in: subtaskIds } }, trash).session(session);
+  }
+
+  const taskIds = [this._id, ...subtaskIds];
+  for (const modelName of ["TaskActivity", "Notification"]) {
+    await mongoose
+      .model(modelName)
+      .updateMany({ task: { $in: taskIds }, deletedAt: null }, trash)
+      .session(session);
+  }
+};
+
+taskSchema.methods.restoreFromTrash = async function (session) {
+  const Task = mongoose.model("Task");
+  const { deletedAt } = this;
+  const restore = { $unset: { deletedAt: 1, deletedBy: 1 } };
+
+  const subtaskIds = await Task.descendantIds(this._id, { deletedAt }, session);
+  if (subtaskIds.length) {
+    await Task.updateMany({ _id: { $in: subtaskIds }, deletedAt }, restore).session(session);
+  }
+
+  const taskIds = [this._id, ...subtaskIds];
+  for (const modelName of ["TaskActivity", "Notification"]) {
+    await mongoose
+      .model(modelName)
+      .updateMany({ task: { $in: taskIds }, deletedAt }, restore)
+      .session(session);
+  }
+
+  await this.restore(session);
+};
+
 taskSchema.plugin(mongoosePaginate);
+taskSchema.plugin(softDelete);
+taskSchema.plugin(tenantScope);
+taskSchema.plugin(auditTrail);
 
 export default mongoose.model("Task", taskSchema);
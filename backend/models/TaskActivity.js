@@ -1,13 +1,13 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import CustomError from "../errorHandler/CustomError.js";
+import { auditTrail } from "../utils/AuditTrail.js";
+import { tenantScope } from "../utils/TenantScope.js";
+import { softDelete } from "../utils/SoftDelete.js";
+import { AWAITING_APPROVAL } from "../config/workflow.js";
 
-// Status transition rules
-const validTransitions = {
-  "To Do": ["In Progress", "Pending"],
-  "In Progress": ["In Progress", "Completed", "Pending"], // Allow self-transition
-  Completed: ["Pending", "In Progress"],
-  Pending: ["In Progress", "Completed"],
-};
+// Steps of a completion sign-off an activity can record
+const APPROVAL_STEPS = ["requested", "approved", "rejected"];
 
 const taskActivitySchema = new mongoose.Schema(
   {
@@ -16,6 +16,13 @@ const taskActivitySchema = new mongoose.Schema(
       ref: "Task",
       required: [true, "Task reference is required"],
     },
+    // The task's company, so activities can be scoped to a tenant directly
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+      index: true,
+    },
     performedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -27,17 +34,24 @@ const taskActivitySchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, "Description cannot exceed 200 characters"],
     },
+    // Statuses of the company's workflow (see config/workflow.js)
     statusChange: {
       from: {
         type: String,
-        enum: Object.keys(validTransitions),
+        trim: true,
       },
       to: {
         type: String,
-        enum: Object.keys(validTransitions),
+        trim: true,
         required: [true, "Status change is required"],
       },
     },
+    // Set on the activities of a completion sign-off (see Task.requiresApproval),
+    // which are kept as they were recorded
+    approval: {
+      type: String,
+      enum: APPROVAL_STEPS,
+    },
     attachments: [
       {
         _id: false,
@@ -73,49 +87,55 @@ const taskActivitySchema = new mongoose.Schema(
   }
 );
 
-// Status transition validation
-taskActivitySchema.pre("save", async function (next) {
+// Status transition validation. Only new activities change the task's
+// status, following the company's workflow (see Task.changeStatus). The
+// description is the comment a status may require, unless the activity was
+// recorded with a generated one ($locals.generatedDescription). Activities
+// recording a change already made ($locals.statusApplied) are saved as is.
+taskActivitySchema.pre("save", async function () {
+  if (!this.isNew || !this.statusChange || this.$locals.statusApplied) return;
+
   const session = this.$session();
   const task = await mongoose
     .model("Task")
     .findById(this.task)
     .session(session);
 
-  if (this.statusChange) {
-    // Auto-fill 'from' status
-    if (!this.statusChange.from) this.statusChange.from = task.status;
+  // Auto-fill 'from' status
+  if (!this.statusChange.from) this.statusChange.from = task.status;
 
-    // Validate current task status
-    if (this.statusChange.from !== task.status) {
-      return next(
-        new CustomError(
-          "Status transition mismatch",
-          400,
-          "STATUS_TRANSITION_MISMATCH_ERROR"
-        )
-      );
-    }
+  // Validate current task status
+  if (this.statusChange.from !== task.status) {
+    throw new CustomError(
+      "Status transition mismatch",
+      400,
+      "STATUS_TRANSITION_MISMATCH_ERROR"
+    );
+  }
 
-    // Validate transition rules
-    if (
-      !validTransitions[this.statusChange.from]?.includes(this.statusChange.to)
-    ) {
-      return next(
-        new CustomError(
-          "Invalid status transition",
-          400,
-          "INVALID_STATUS_TRANSITION_ERROR"
-        )
-      );
-    }
+  // Update parent task
+  await task.changeStatus(
+    this.statusChange.to,
+    {
+      comment: this.$locals.generatedDescription ? undefined : this.description,
+      attachments: this.attachments,
+    },
+    session
+  );
+  task.$locals.statusActivity = this;
+  await task.save({ session });
+  task.$locals.statusActivity = undefined;
 
-    // Update parent task
-    task.status = this.statusChange.to;
-    await task.save({ session });
+  // A completion that needs sign-off ends up waiting for it instead
+  if (task.status === AWAITING_APPROVAL) {
+    this.statusChange.to = AWAITING_APPROVAL;
+    this.approval = "requested";
   }
-  next();
 });
 
 taskActivitySchema.plugin(mongoosePaginate);
+taskActivitySchema.plugin(softDelete);
+taskActivitySchema.plugin(tenantScope);
+taskActivitySchema.plugin(auditTrail);
 
 export default mongoose.model("TaskActivity", taskActivitySchema);
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+import { tenantScope } from "../utils/TenantScope.js";
+
+// Reminders of a task's due date, in the order they come: due within 24
+// hours, due today, overdue (see utils/DueReminders.js)
+export const REMINDER_KINDS = ["dueSoon", "dueToday", "overdue"];
+
+export const MAX_SNOOZE_DAYS = 7;
+
+// A due date reminder sent to one user. There is one per task, user and
+// kind, so every reminder is sent once; a snoozed one is sent again once
+// snoozedUntil has passed.
+const taskReminderSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task reference is required"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Reminder recipient is required"],
+    },
+    kind: {
+      type: String,
+      enum: REMINDER_KINDS,
+      required: [true, "Reminder kind is required"],
+    },
+    // Latest notification the reminder was sent as
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+    },
+    sentAt: {
+      type: Date,
+    },
+    snoozedUntil: {
+      type: Date,
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+taskReminderSchema.index({ task: 1, user: 1, kind: 1 }, { unique: true });
+taskReminderSchema.index({ notification: 1 });
+taskReminderSchema.index({ snoozedUntil: 1 }, { sparse: true });
+// Tasks stop getting reminders a week after their due date, so reminders
+// expire with the notifications
+taskReminderSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2592000 });
+
+taskReminderSchema.plugin(tenantScope);
+
+export default mongoose.model("TaskReminder", taskReminderSchema);
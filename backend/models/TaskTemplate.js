@@ -0,0 +1,214 @@
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { auditTrail } from "../utils/AuditTrail.js";
+import { tenantScope } from "../utils/TenantScope.js";
+import { FREQUENCIES, isValidTimeZone, validateRecurrence } from "../utils/Recurrence.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Task types a template can generate
+export const TEMPLATE_TASK_TYPES = ["AssignedTask", "RoutineTask"];
+
+// Fields only the generated assigned tasks have
+function isAssignedTaskTemplate() {
+  return this.taskType === "AssignedTask";
+}
+
+// When the series happens, see utils/Recurrence.js
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: [true, "Recurrence frequency is required"],
+    },
+    interval: {
+      type: Number,
+      min: [1, "Recurrence interval must be at least 1"],
+      max: [365, "Recurrence interval cannot exceed 365"],
+      default: 1,
+    },
+    // 0 = Sunday; the days of a weekly series, or the weekday of a
+    // monthly series on the nth weekday
+    weekdays: [
+      {
+        type: Number,
+        min: [0, "Weekday must be between 0 and 6"],
+        max: [6, "Weekday must be between 0 and 6"],
+      },
+    ],
+    // Day of a monthly series, -1 for the last day of the month
+    monthDay: {
+      type: Number,
+      min: [-1, "Month day must be between 1 and 31, or -1"],
+      max: [31, "Month day must be between 1 and 31, or -1"],
+    },
+    // Which of the month's weekdays a monthly series falls on, -1 for the last
+    setPosition: {
+      type: Number,
+      enum: [1, 2, 3, 4, 5, -1],
+    },
+    startDate: {
+      type: String,
+      required: [true, "Recurrence start date is required"],
+      match: [DATE_PATTERN, "Start date must be YYYY-MM-DD"],
+    },
+    endDate: {
+      type: String,
+      match: [DATE_PATTERN, "End date must be YYYY-MM-DD"],
+    },
+  },
+  { _id: false }
+);
+
+const taskTemplateSchema = new mongoose.Schema(
+  {
+    taskType: {
+      type: String,
+      enum: TEMPLATE_TASK_TYPES,
+      required: [true, "Task type is required"],
+    },
+    title: {
+      type: String,
+      required: [isAssignedTaskTemplate, "Task title is required"],
+      trim: true,
+      minlength: [2, "Title must be at least 2 characters"],
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      required: [isAssignedTaskTemplate, "Task description is required"],
+      trim: true,
+      minlength: [2, "Description must be at least 2 characters"],
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    location: {
+      type: String,
+      required: [isAssignedTaskTemplate, "Task location is required"],
+      trim: true,
+      minlength: [2, "Location must be at least 2 characters"],
+      maxlength: [100, "Location cannot exceed 100 characters"],
+    },
+    priority: {
+      type: String,
+      enum: ["Low", "Medium", "High"],
+      default: "Medium",
+    },
+    // Default assignees of generated assigned tasks
+    assignedTo: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Performer of generated routine tasks
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [
+        function () {
+          return this.taskType === "RoutineTask";
+        },
+        "Task performer is required",
+      ],
+    },
+    // Checklist of generated assigned tasks, or the performed tasks of
+    // generated routine tasks
+    checklist: [
+      {
+        _id: false,
+        title: {
+          type: String,
+          required: [true, "Checklist item title is required"],
+          trim: true,
+          maxlength: [200, "Checklist item title cannot exceed 200 characters"],
+        },
+      },
+    ],
+    recurrence: {
+      type: recurrenceSchema,
+      required: [true, "Recurrence is required"],
+      validate: {
+        validator: (value) => validateRecurrence(value?.toObject()) === null,
+        message: (props) => validateRecurrence(props.value?.toObject()),
+      },
+    },
+    // Time zone the series' days and due time are in
+    timeZone: {
+      type: String,
+      default: "UTC",
+      validate: {
+        validator: isValidTimeZone,
+        message: "Invalid time zone",
+      },
+    },
+    // Generated assigned tasks are due dueAfterDays after their day, at dueTime
+    dueTime: {
+      type: String,
+      match: [TIME_PATTERN, "Due time must be HH:mm"],
+      default: "17:00",
+    },
+    dueAfterDays: {
+      type: Number,
+      min: [0, "Due days cannot be negative"],
+      max: [365, "Due days cannot exceed 365"],
+      default: 0,
+    },
+    // Leave out days listed in the company's holidays
+    skipHolidays: {
+      type: Boolean,
+      default: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "paused"],
+      default: "active",
+      index: true,
+    },
+    // Last day tasks have been generated for (YYYY-MM-DD); the next run
+    // continues from the day after
+    generatedThrough: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Template created by is required"],
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Template department is required"],
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+      required: [true, "Company reference is required"],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+taskTemplateSchema.index({ company: 1, department: 1 });
+
+taskTemplateSchema.plugin(mongoosePaginate);
+taskTemplateSchema.plugin(tenantScope);
+taskTemplateSchema.plugin(auditTrail, { ignore: ["generatedThrough"] });
+
+export default mongoose.model("TaskTemplate", taskTemplateSchema);
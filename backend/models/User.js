@@ -1,7 +1,12 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import { verifyTotp, generateRecoveryCodes } from "../utils/Totp.js";
 import CustomError from "../errorHandler/CustomError.js";
+import { auditTrail } from "../utils/AuditTrail.js";
+import { tenantScope } from "../utils/TenantScope.js";
+import { softDelete } from "../utils/SoftDelete.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -24,12 +29,11 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: [50, "Position cannot exceed 50 characters"],
     },
+    // Name of one of the company's roles, see Role
     role: {
       type: String,
-      enum: {
-        values: ["SuperAdmin", "Manager", "User"],
-        message: "Role must be SuperAdmin, Manager, or User",
-      },
+      trim: true,
+      maxlength: [30, "Role cannot exceed 30 characters"],
       required: [true, "Role is required"],
       default: "User",
       index: true,
@@ -73,8 +77,20 @@ const userSchema = new mongoose.Schema(
     emailChangeTokenExpiry: { type: Date, select: false },
     verificationToken: { type: String, select: false },
     verificationTokenExpiry: { type: Date, select: false },
+    verificationSentAt: { type: Date, select: false },
+    verificationAttempts: { type: Number, default: 0, select: false },
     resetPasswordToken: { type: String, select: false },
     resetPasswordExpiry: { type: Date, select: false },
+    passwordChangedAt: { type: Date, select: false },
+    authProvider: { type: String, enum: ["local", "oidc"], default: "local" },
+    ssoSubject: { type: String, select: false },
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorSecret: { type: String, select: false },
+    twoFactorPendingSecret: { type: String, select: false },
+    twoFactorRecoveryCodes: { type: [String], select: false },
+    twoFactorLastUsedStep: { type: Number, select: false },
+    twoFactorFailedAttempts: { type: Number, default: 0, select: false },
+    twoFactorLockedUntil: { type: Date, select: false },
   },
   {
     timestamps: true,
@@ -96,10 +112,15 @@ const userSchema = new mongoose.Schema(
   }
 );
 
-// Indexes
-userSchema.index({ verificationTokenExpiry: 1 }, { expireAfterSeconds: 900 });
-userSchema.index({ emailChangeTokenExpiry: 1 }, { expireAfterSeconds: 900 });
-userSchema.index({ resetPasswordExpiry: 1 }, { expireAfterSeconds: 3600 });
+// One account per identity provider subject within a company
+userSchema.index(
+  { company: 1, ssoSubject: 1 },
+  { unique: true, partialFilterExpression: { ssoSubject: { $exists: true } } }
+);
+
+// Hash one-time tokens before they are stored or looked up
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
 
 // Virtuals
 userSchema.virtual("fullName").get(function () {
@@ -173,22 +194,100 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, user.password);
 };
 
-// Generate verification token
+// Generate 6-character verification code (only the hash is stored)
 userSchema.methods.generateVerificationToken = function () {
   const token = crypto.randomBytes(3).toString("hex").toUpperCase();
-  this.verificationToken = token;
+  this.verificationToken = hashToken(token);
   this.verificationTokenExpiry = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.verificationSentAt = Date.now();
+  this.verificationAttempts = 0;
   return token;
 };
 
-// Password reset token
+// Password reset token (only the hash is stored, the raw token is emailed)
 userSchema.methods.generateResetPasswordToken = function () {
   const token = crypto.randomBytes(32).toString("hex");
-  this.resetPasswordToken = token;
+  this.resetPasswordToken = hashToken(token);
   this.resetPasswordExpiry = Date.now() + 15 * 60 * 1000; // 15 minutes
   return token;
 };
 
+// Email change token (only the hash is stored, the raw token is emailed)
+userSchema.methods.generateEmailChangeToken = function (newEmail) {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = hashToken(token);
+  this.emailChangeTokenExpiry = Date.now() + 60 * 60 * 1000; // 1 hour
+  return token;
+};
+
+// Check whether a token issued at `issuedAt` (JWT iat, seconds) predates a password change.
+// iat is in whole seconds, so compare against the second of the change: a
+// token issued right after the change in the same second stays valid.
+userSchema.methods.changedPasswordAfter = function (issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return issuedAt < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
+// Roles that must use two-factor authentication when the company requires it
+const TWO_FACTOR_ROLES = ["SuperAdmin", "Manager"];
+
+// SSO users are exempt: they can only sign in through the identity
+// provider, which enforces their second factor (password login and reset
+// are refused for them)
+userSchema.methods.isTwoFactorRequired = function (company) {
+  return (
+    this.authProvider !== "oidc" &&
+    Boolean(company?.security?.requireTwoFactor) &&
+    TWO_FACTOR_ROLES.includes(this.role)
+  );
+};
+
+// Verify a TOTP code; requires +twoFactorSecret. A code is accepted once,
+// so an observed code cannot be replayed: its step is recorded with a
+// conditional update, which only one of several concurrent requests wins
+// ($not/$gte rather than $lt, which would miss a user with no step yet).
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+  const step = verifyTotp(this.twoFactorSecret, code);
+  if (step === null) return false;
+
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, twoFactorLastUsedStep: { $not: { $gte: step } } },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return modifiedCount === 1;
+};
+
+// Generate recovery codes (only the hashes are stored, raw codes shown once)
+userSchema.methods.generateTwoFactorRecoveryCodes = function () {
+  const codes = generateRecoveryCodes();
+  this.twoFactorRecoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Consume a recovery code. Removed with a conditional update, so a code
+// used by concurrent requests is only accepted once.
+userSchema.methods.useTwoFactorRecoveryCode = async function (code) {
+  const hashed = hashToken(String(code || "").trim().toUpperCase());
+
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, twoFactorRecoveryCodes: hashed },
+    { $pull: { twoFactorRecoveryCodes: hashed } }
+  );
+  return modifiedCount === 1;
+};
+
+// Number of recovery codes the user has left
+userSchema.statics.countRecoveryCodes = async function (userId) {
+  const user = await this.findById(userId).select("+twoFactorRecoveryCodes").lean();
+  return user?.twoFactorRecoveryCodes?.length ?? 0;
+};
+
+userSchema.statics.hashToken = hashToken;
+
 userSchema.plugin(mongoosePaginate);
+userSchema.plugin(softDelete);
+userSchema.plugin(tenantScope);
+userSchema.plugin(auditTrail);
 
 export default mongoose.model("User", userSchema);
@@ -6,5 +6,16 @@ export { default as Task } from "./Task.js";
 export { default as AssignedTask } from "./AssignedTask.js";
 export { default as ProjectTask } from "./ProjectTask.js";
 export { default as RoutineTask } from "./RoutineTask.js";
+export { default as TaskTemplate } from "./TaskTemplate.js";
 export { default as TaskActivity } from "./TaskActivity.js";
+export { default as TaskReminder } from "./TaskReminder.js";
 export { default as Notification } from "./Notification.js";
+export { default as Session } from "./Session.js";
+export { default as ApiKey } from "./ApiKey.js";
+export { default as LoginAttempt } from "./LoginAttempt.js";
+export { default as Invitation } from "./Invitation.js";
+export { default as Role } from "./Role.js";
+export { default as ImpersonationLog } from "./ImpersonationLog.js";
+export { default as AuditLog } from "./AuditLog.js";
+export { default as CompanyTombstone } from "./CompanyTombstone.js";
+export { default as Job } from "./Job.js";
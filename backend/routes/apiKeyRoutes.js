@@ -0,0 +1,47 @@
+// backend/routes/apiKeyRoutes.js
+import express from "express";
+import {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} from "../controllers/apiKeyController.js";
+import { verifyJWT, denyImpersonation } from "../middlewares/authMiddleware.js";
+import {
+  validateApiKeyCreation,
+  validateObjectId,
+  handleValidationErrors
+} from "../middlewares/validation.js";
+
+const router = express.Router();
+
+// Apply authentication to all routes (API keys cannot manage API keys)
+router.use(verifyJWT);
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    Get API keys
+ * @access  Private (All roles: own keys, SuperAdmin: also company keys)
+ */
+router.get("/", getApiKeys);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create API key
+ * @access  Private (All roles: user keys, SuperAdmin: company keys)
+ */
+router.post("/", denyImpersonation, validateApiKeyCreation, createApiKey);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke API key
+ * @access  Private (All roles: own keys, SuperAdmin: also company keys)
+ */
+router.delete(
+  "/:id",
+  denyImpersonation,
+  validateObjectId("id"),
+  handleValidationErrors,
+  revokeApiKey
+);
+
+export default router;
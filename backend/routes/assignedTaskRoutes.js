@@ -8,15 +8,37 @@ import {
   completeTask,
   uncompleteTask,
   deleteAssignedTask,
+  getTrashedAssignedTasks,
+  restoreAssignedTask,
   getAssignedTaskStats,
   getMyAssignedTasks
 } from "../controllers/assignedTaskController.js";
+import {
+  addChecklistItem,
+  updateChecklistItem,
+  setChecklistItemCompletion,
+  reorderChecklist,
+  removeChecklistItem
+} from "../controllers/taskChecklistController.js";
+import {
+  addTaskDependency,
+  removeTaskDependency
+} from "../controllers/taskDependencyController.js";
+import { approveTask, rejectTask } from "../controllers/taskApprovalController.js";
 import { verifyJWT } from "../middlewares/authMiddleware.js";
-import { authorizeTaskAccess } from "../middlewares/authorization.js";
+import { authorize } from "../middlewares/authorization.js";
 import {
   validateAssignedTaskCreation,
   validateTaskUpdate,
+  validateTaskCompletion,
   validateObjectId,
+  validateChecklistItem,
+  validateChecklistItemUpdate,
+  validateChecklistCompletion,
+  validateChecklistOrder,
+  validateTaskDependency,
+  validateTaskApproval,
+  validateTaskRejection,
   validatePaginationQuery,
   handleValidationErrors
 } from "../middlewares/validation.js";
@@ -34,99 +56,244 @@ router.use(verifyJWT);
 router.get(
   "/my-tasks",
   validatePaginationQuery,
+  authorize("read", "assignedTask"),
   getMyAssignedTasks
 );
 
 /**
  * @route   GET /api/assigned-tasks/stats
  * @desc    Get assigned task statistics
- * @access  Private (SuperAdmin: company stats, Admin/Manager: department stats, User: personal stats)
+ * @access  Private (SuperAdmin: company stats, Manager: department stats, User: personal stats)
  */
-router.get("/stats", getAssignedTaskStats);
+router.get("/stats", authorize("read", "assignedTask"), getAssignedTaskStats);
 
 /**
  * @route   GET /api/assigned-tasks
  * @desc    Get all assigned tasks
- * @access  Private (SuperAdmin: all company tasks, Admin/Manager: own department, User: assigned to self)
+ * @access  Private (SuperAdmin: all company tasks, Manager: own department, User: assigned to self)
  */
 router.get(
   "/",
   validatePaginationQuery,
-  authorizeTaskAccess(["read"], "AssignedTask"),
+  authorize("read", "assignedTask"),
   getAssignedTasks
 );
 
 /**
  * @route   POST /api/assigned-tasks
  * @desc    Create new assigned task
- * @access  Private (SuperAdmin: any department, Admin/Manager: own department only)
+ * @access  Private (SuperAdmin: any department, Manager: own department only)
  */
 router.post(
   "/",
-  authorizeTaskAccess(["create"], "AssignedTask"),
+  authorize("create", "assignedTask"),
   validateAssignedTaskCreation,
   createAssignedTask
 );
 
+/**
+ * @route   GET /api/assigned-tasks/trash
+ * @desc    Get assigned tasks in the trash
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.get(
+  "/trash",
+  validatePaginationQuery,
+  authorize("delete", "assignedTask"),
+  getTrashedAssignedTasks
+);
+
 /**
  * @route   GET /api/assigned-tasks/:id
  * @desc    Get single assigned task
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department, User: assigned to self)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: assigned to self)
  */
 router.get(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskAccess(["read"], "AssignedTask"),
+  authorize("read", "assignedTask"),
   getAssignedTask
 );
 
 /**
  * @route   PUT /api/assigned-tasks/:id
  * @desc    Update assigned task
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department only)
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
  */
 router.put(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskAccess(["update"], "AssignedTask"),
+  authorize("update", "assignedTask"),
   validateTaskUpdate,
   updateAssignedTask
 );
 
 /**
  * @route   PUT /api/assigned-tasks/:id/complete
- * @desc    Mark task as completed by user
- * @access  Private (User: assigned tasks only, Admin/Manager: own department, SuperAdmin: any)
+ * @desc    Record the signed-in assignee's completion, with an optional note
+ * @access  Private (User: assigned tasks only, Manager: own department, SuperAdmin: any)
  */
 router.put(
   "/:id/complete",
   validateObjectId("id"),
-  authorizeTaskAccess(["update"], "AssignedTask"),
+  authorize("complete", "assignedTask"),
+  validateTaskCompletion,
   completeTask
 );
 
 /**
  * @route   PUT /api/assigned-tasks/:id/uncomplete
  * @desc    Unmark task completion
- * @access  Private (User: assigned tasks only, Admin/Manager: own department, SuperAdmin: any)
+ * @access  Private (User: assigned tasks only, Manager: own department, SuperAdmin: any)
  */
 router.put(
   "/:id/uncomplete",
   validateObjectId("id"),
-  authorizeTaskAccess(["update"], "AssignedTask"),
+  authorize("complete", "assignedTask"),
   uncompleteTask
 );
 
+/**
+ * @route   PUT /api/assigned-tasks/:id/approve
+ * @desc    Approve the task's completion
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/approve",
+  validateObjectId("id"),
+  authorize("update", "assignedTask"),
+  validateTaskApproval,
+  approveTask
+);
+
+/**
+ * @route   PUT /api/assigned-tasks/:id/reject
+ * @desc    Reject the task's completion with a reason and reopen it
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/reject",
+  validateObjectId("id"),
+  authorize("update", "assignedTask"),
+  validateTaskRejection,
+  rejectTask
+);
+
+/**
+ * @route   POST /api/assigned-tasks/:id/checklist
+ * @desc    Add checklist item
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.post(
+  "/:id/checklist",
+  validateObjectId("id"),
+  authorize("update", "assignedTask"),
+  validateChecklistItem,
+  addChecklistItem
+);
+
+/**
+ * @route   PUT /api/assigned-tasks/:id/checklist/order
+ * @desc    Reorder checklist items
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/checklist/order",
+  validateObjectId("id"),
+  authorize("update", "assignedTask"),
+  validateChecklistOrder,
+  reorderChecklist
+);
+
+/**
+ * @route   PUT /api/assigned-tasks/:id/checklist/:itemId
+ * @desc    Update checklist item
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/checklist/:itemId",
+  validateObjectId("id"),
+  validateObjectId("itemId"),
+  authorize("update", "assignedTask"),
+  validateChecklistItemUpdate,
+  updateChecklistItem
+);
+
+/**
+ * @route   PUT /api/assigned-tasks/:id/checklist/:itemId/complete
+ * @desc    Tick or untick checklist item
+ * @access  Private (User: assigned tasks only, Manager: own department, SuperAdmin: any)
+ */
+router.put(
+  "/:id/checklist/:itemId/complete",
+  validateObjectId("id"),
+  validateObjectId("itemId"),
+  authorize("complete", "assignedTask"),
+  validateChecklistCompletion,
+  setChecklistItemCompletion
+);
+
+/**
+ * @route   DELETE /api/assigned-tasks/:id/checklist/:itemId
+ * @desc    Remove checklist item
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.delete(
+  "/:id/checklist/:itemId",
+  validateObjectId("id"),
+  validateObjectId("itemId"),
+  authorize("update", "assignedTask"),
+  removeChecklistItem
+);
+
+/**
+ * @route   POST /api/assigned-tasks/:id/dependencies
+ * @desc    Make the task wait for another task
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.post(
+  "/:id/dependencies",
+  validateObjectId("id"),
+  authorize("update", "assignedTask"),
+  validateTaskDependency,
+  addTaskDependency
+);
+
+/**
+ * @route   DELETE /api/assigned-tasks/:id/dependencies/:blockerId
+ * @desc    Remove a dependency of the task
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.delete(
+  "/:id/dependencies/:blockerId",
+  validateObjectId("id"),
+  validateObjectId("blockerId"),
+  authorize("update", "assignedTask"),
+  removeTaskDependency
+);
+
 /**
  * @route   DELETE /api/assigned-tasks/:id
- * @desc    Delete assigned task
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department only)
+ * @desc    Move assigned task to the trash
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
  */
 router.delete(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskAccess(["delete"], "AssignedTask"),
+  authorize("delete", "assignedTask"),
   deleteAssignedTask
 );
 
+/**
+ * @route   PUT /api/assigned-tasks/:id/restore
+ * @desc    Restore assigned task from the trash
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/restore",
+  validateObjectId("id"),
+  authorize("delete", "assignedTask"),
+  restoreAssignedTask
+);
+
 export default router;
@@ -0,0 +1,45 @@
+// backend/routes/auditLogRoutes.js
+import express from "express";
+import {
+  getAuditLogs,
+  exportAuditLogs
+} from "../controllers/auditLogController.js";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  validateAuditLogQuery,
+  validatePaginationQuery
+} from "../middlewares/validation.js";
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyJWT);
+
+/**
+ * @route   GET /api/audit-logs
+ * @desc    Get the company audit log (filter by actor, impersonator, action, resource, request id, dates)
+ * @access  Private (SuperAdmin only)
+ */
+router.get(
+  "/",
+  validatePaginationQuery,
+  validateAuditLogQuery,
+  authorize("read", "auditLog"),
+  getAuditLogs
+);
+
+/**
+ * @route   GET /api/audit-logs/export
+ * @desc    Export the filtered audit log as CSV
+ * @access  Private (SuperAdmin only)
+ */
+router.get(
+  "/export",
+  validatePaginationQuery,
+  validateAuditLogQuery,
+  authorize("read", "auditLog"),
+  exportAuditLogs
+);
+
+export default router;
@@ -4,13 +4,41 @@ import express from "express";
 import {
   registerUser,
   loginUser,
+  ssoLogin,
+  ssoCallback,
   logoutUser,
   getRefreshToken,
   getMe,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  confirmEmailChange,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 } from "../controllers/authController.js";
 
 import rateLimiter from "../middlewares/rateLimiter.js";
-import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { verifyJWT, denyImpersonation } from "../middlewares/authMiddleware.js";
+import {
+  validateForgotPassword,
+  validateSsoLogin,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateResendVerification,
+  validateConfirmEmailChange,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateObjectId,
+  handleValidationErrors,
+} from "../middlewares/validation.js";
 
 const router = express.Router();
 
@@ -24,6 +52,16 @@ router.route("/register").post(rateLimiter, registerUser);
 // @access  Public
 router.route("/login").post(rateLimiter, loginUser);
 
+// @route   POST /api/auth/sso/login
+// @desc    Start an OpenID Connect login for the email's company
+// @access  Public
+router.route("/sso/login").post(rateLimiter, validateSsoLogin, ssoLogin);
+
+// @route   GET /api/auth/sso/callback
+// @desc    Identity provider redirect target; completes the SSO login
+// @access  Public
+router.route("/sso/callback").get(rateLimiter, ssoCallback);
+
 // @route   POST /api/auth/logout
 // @desc    Logout user
 // @access  Public
@@ -34,9 +72,111 @@ router.route("/logout").delete(rateLimiter, logoutUser);
 // @access  Public
 router.route("/refresh-token").get(rateLimiter, getRefreshToken);
 
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link to the user's email
+// @access  Public
+router
+  .route("/forgot-password")
+  .post(rateLimiter, validateForgotPassword, forgotPassword);
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password using the emailed token
+// @access  Public
+router
+  .route("/reset-password/:token")
+  .post(rateLimiter, validateResetPassword, resetPassword);
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email with the 6-character code
+// @access  Public
+router
+  .route("/verify-email")
+  .post(rateLimiter, validateVerifyEmail, verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification code
+// @access  Public
+router
+  .route("/resend-verification")
+  .post(rateLimiter, validateResendVerification, resendVerification);
+
+// @route   POST /api/auth/confirm-email-change/:token
+// @desc    Confirm a pending email change
+// @access  Public
+router
+  .route("/confirm-email-change/:token")
+  .post(rateLimiter, validateConfirmEmailChange, confirmEmailChange);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public (after the password step)
+router
+  .route("/2fa/verify")
+  .post(rateLimiter, validateTwoFactorLogin, verifyTwoFactorLogin);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment
+// @access  Private
+router.post("/2fa/setup", verifyJWT, denyImpersonation, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment and enable two-factor
+// @access  Private
+router.post(
+  "/2fa/enable",
+  verifyJWT,
+  denyImpersonation,
+  validateTwoFactorCode,
+  enableTwoFactor
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post(
+  "/2fa/disable",
+  verifyJWT,
+  denyImpersonation,
+  validateTwoFactorDisable,
+  disableTwoFactor
+);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate two-factor recovery codes
+// @access  Private
+router.post(
+  "/2fa/recovery-codes",
+  verifyJWT,
+  denyImpersonation,
+  validateTwoFactorCode,
+  regenerateRecoveryCodes
+);
+
 // @route   GET /api/auth/me
 // @desc    Get the current authenticated user
 // @access  Private
 router.get("/me", verifyJWT, getMe);
 
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get("/sessions", verifyJWT, getSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete("/sessions", verifyJWT, denyImpersonation, revokeOtherSessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete(
+  "/sessions/:sessionId",
+  verifyJWT,
+  denyImpersonation,
+  validateObjectId("sessionId"),
+  handleValidationErrors,
+  revokeSession
+);
+
 export default router;
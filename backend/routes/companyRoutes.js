@@ -6,16 +6,30 @@ import {
   createCompany,
   updateCompany,
   updateCompanySubscription,
+  updateCompanySecurity,
+  updateCompanyHolidays,
+  getCompanyWorkflow,
+  updateCompanyWorkflow,
+  updateCompanySlaPolicies,
+  getCompanySso,
+  updateCompanySso,
   deactivateCompany,
   activateCompany,
-  deleteCompany,
+  exportCompanyData,
+  scheduleCompanyDeletion,
+  cancelCompanyDeletion,
   getCompanyStats
 } from "../controllers/companyController.js";
-import { verifyJWT } from "../middlewares/authMiddleware.js";
-import { authorizeCompanyAccess } from "../middlewares/authorization.js";
+import { verifyJWT, denyImpersonation } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
 import {
   validateCompanyCreation,
   validateCompanyUpdate,
+  validateCompanySecurityUpdate,
+  validateCompanyHolidays,
+  validateCompanyWorkflow,
+  validateCompanySlaPolicies,
+  validateCompanySsoUpdate,
   validateObjectId,
   handleValidationErrors
 } from "../middlewares/validation.js";
@@ -30,7 +44,7 @@ router.use(verifyJWT);
  * @desc    Get current user's company
  * @access  Private (All roles)
  */
-router.get("/my-company", getMyCompany);
+router.get("/my-company", authorize("read", "company"), getMyCompany);
 
 /**
  * @route   POST /api/companies
@@ -39,7 +53,7 @@ router.get("/my-company", getMyCompany);
  */
 router.post(
   "/",
-  authorizeCompanyAccess(["create"]),
+  authorize("create", "company"),
   validateCompanyCreation,
   createCompany
 );
@@ -52,7 +66,7 @@ router.post(
 router.get(
   "/:id",
   validateObjectId("id"),
-  authorizeCompanyAccess(["read"]),
+  authorize("read", "company"),
   getCompany
 );
 
@@ -64,7 +78,7 @@ router.get(
 router.put(
   "/:id",
   validateObjectId("id"),
-  authorizeCompanyAccess(["update"]),
+  authorize("update", "company"),
   validateCompanyUpdate,
   updateCompany
 );
@@ -77,10 +91,101 @@ router.put(
 router.put(
   "/:id/subscription",
   validateObjectId("id"),
-  authorizeCompanyAccess(["update"]),
+  authorize("update", "company"),
   updateCompanySubscription
 );
 
+/**
+ * @route   PUT /api/companies/:id/security
+ * @desc    Update company security policy (mandatory two-factor)
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/:id/security",
+  validateObjectId("id"),
+  authorize("update", "company"),
+  validateCompanySecurityUpdate,
+  updateCompanySecurity
+);
+
+/**
+ * @route   PUT /api/companies/:id/holidays
+ * @desc    Replace the company holidays skipped by recurring task templates
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/:id/holidays",
+  validateObjectId("id"),
+  authorize("update", "company"),
+  validateCompanyHolidays,
+  updateCompanyHolidays
+);
+
+/**
+ * @route   GET /api/companies/:id/workflow
+ * @desc    Get the company's task statuses
+ * @access  Private (All roles - own company only)
+ */
+router.get(
+  "/:id/workflow",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("read", "company"),
+  getCompanyWorkflow
+);
+
+/**
+ * @route   PUT /api/companies/:id/workflow
+ * @desc    Replace the company's task statuses
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/:id/workflow",
+  validateObjectId("id"),
+  authorize("update", "company"),
+  validateCompanyWorkflow,
+  updateCompanyWorkflow
+);
+
+/**
+ * @route   PUT /api/companies/:id/sla-policies
+ * @desc    Replace the company's SLA policies
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/:id/sla-policies",
+  validateObjectId("id"),
+  authorize("update", "company"),
+  validateCompanySlaPolicies,
+  updateCompanySlaPolicies
+);
+
+/**
+ * @route   GET /api/companies/:id/sso
+ * @desc    Get company SSO settings (client secret is never returned)
+ * @access  Private (SuperAdmin only)
+ */
+router.get(
+  "/:id/sso",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("update", "company"),
+  getCompanySso
+);
+
+/**
+ * @route   PUT /api/companies/:id/sso
+ * @desc    Update company SSO settings
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/:id/sso",
+  validateObjectId("id"),
+  authorize("update", "company"),
+  validateCompanySsoUpdate,
+  updateCompanySso
+);
+
 /**
  * @route   PUT /api/companies/:id/deactivate
  * @desc    Deactivate company
@@ -89,7 +194,7 @@ router.put(
 router.put(
   "/:id/deactivate",
   validateObjectId("id"),
-  authorizeCompanyAccess(["update"]),
+  authorize("update", "company"),
   deactivateCompany
 );
 
@@ -101,20 +206,46 @@ router.put(
 router.put(
   "/:id/activate",
   validateObjectId("id"),
-  authorizeCompanyAccess(["update"]),
+  authorize("update", "company"),
   activateCompany
 );
 
+/**
+ * @route   GET /api/companies/:id/export
+ * @desc    Download all company data as an NDJSON archive
+ * @access  Private (SuperAdmin only)
+ */
+router.get(
+  "/:id/export",
+  validateObjectId("id"),
+  authorize("export", "company"),
+  exportCompanyData
+);
+
 /**
  * @route   DELETE /api/companies/:id
- * @desc    Delete company (Permanent deletion)
+ * @desc    Schedule the company and all its data for deletion after a grace period
  * @access  Private (SuperAdmin only)
  */
 router.delete(
   "/:id",
+  denyImpersonation,
+  validateObjectId("id"),
+  authorize("delete", "company"),
+  scheduleCompanyDeletion
+);
+
+/**
+ * @route   DELETE /api/companies/:id/deletion
+ * @desc    Cancel a scheduled company deletion
+ * @access  Private (SuperAdmin only)
+ */
+router.delete(
+  "/:id/deletion",
+  denyImpersonation,
   validateObjectId("id"),
-  authorizeCompanyAccess(["delete"]),
-  deleteCompany
+  authorize("delete", "company"),
+  cancelCompanyDeletion
 );
 
 /**
@@ -125,7 +256,7 @@ router.delete(
 router.get(
   "/:id/stats",
   validateObjectId("id"),
-  authorizeCompanyAccess(["read"]),
+  authorize("read", "company"),
   getCompanyStats
 );
 
@@ -6,13 +6,15 @@ import {
   createDepartment,
   updateDepartment,
   deleteDepartment,
+  getTrashedDepartments,
+  restoreDepartment,
   addDepartmentManager,
   removeDepartmentManager,
   getDepartmentStats,
   getDepartmentMembers
 } from "../controllers/departmentController.js";
 import { verifyJWT } from "../middlewares/authMiddleware.js";
-import { authorizeDepartmentAccess } from "../middlewares/authorization.js";
+import { authorize } from "../middlewares/authorization.js";
 import {
   validateDepartmentCreation,
   validateDepartmentUpdate,
@@ -34,7 +36,7 @@ router.use(verifyJWT);
 router.get(
   "/",
   validatePaginationQuery,
-  authorizeDepartmentAccess(["read"]),
+  authorize("read", "department"),
   getDepartments
 );
 
@@ -45,11 +47,23 @@ router.get(
  */
 router.post(
   "/",
-  authorizeDepartmentAccess(["create"]),
+  authorize("create", "department"),
   validateDepartmentCreation,
   createDepartment
 );
 
+/**
+ * @route   GET /api/departments/trash
+ * @desc    Get departments in the trash
+ * @access  Private (SuperAdmin only)
+ */
+router.get(
+  "/trash",
+  validatePaginationQuery,
+  authorize("delete", "department"),
+  getTrashedDepartments
+);
+
 /**
  * @route   GET /api/departments/:id
  * @desc    Get single department
@@ -58,7 +72,7 @@ router.post(
 router.get(
   "/:id",
   validateObjectId("id"),
-  authorizeDepartmentAccess(["read"]),
+  authorize("read", "department"),
   getDepartment
 );
 
@@ -70,20 +84,20 @@ router.get(
 router.put(
   "/:id",
   validateObjectId("id"),
-  authorizeDepartmentAccess(["update"]),
+  authorize("update", "department"),
   validateDepartmentUpdate,
   updateDepartment
 );
 
 /**
  * @route   DELETE /api/departments/:id
- * @desc    Delete department
+ * @desc    Move department to the trash
  * @access  Private (SuperAdmin only)
  */
 router.delete(
   "/:id",
   validateObjectId("id"),
-  authorizeDepartmentAccess(["delete"]),
+  authorize("delete", "department"),
   deleteDepartment
 );
 
@@ -95,7 +109,7 @@ router.delete(
 router.put(
   "/:id/managers",
   validateObjectId("id"),
-  authorizeDepartmentAccess(["update"]),
+  authorize("update", "department"),
   addDepartmentManager
 );
 
@@ -108,7 +122,7 @@ router.delete(
   "/:id/managers/:managerId",
   validateObjectId("id"),
   validateObjectId("managerId"),
-  authorizeDepartmentAccess(["update"]),
+  authorize("update", "department"),
   removeDepartmentManager
 );
 
@@ -120,7 +134,7 @@ router.delete(
 router.get(
   "/:id/stats",
   validateObjectId("id"),
-  authorizeDepartmentAccess(["read"]),
+  authorize("read", "department"),
   getDepartmentStats
 );
 
@@ -133,8 +147,20 @@ router.get(
   "/:id/members",
   validateObjectId("id"),
   validatePaginationQuery,
-  authorizeDepartmentAccess(["read"]),
+  authorize("read", "department"),
   getDepartmentMembers
 );
 
+/**
+ * @route   PUT /api/departments/:id/restore
+ * @desc    Restore department from the trash
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/:id/restore",
+  validateObjectId("id"),
+  authorize("delete", "department"),
+  restoreDepartment
+);
+
 export default router;
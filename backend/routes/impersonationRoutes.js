@@ -0,0 +1,53 @@
+// backend/routes/impersonationRoutes.js
+import express from "express";
+import {
+  startImpersonation,
+  stopImpersonation,
+  getImpersonationLogs
+} from "../controllers/impersonationController.js";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  validateImpersonationStart,
+  validateImpersonationLogQuery,
+  validatePaginationQuery
+} from "../middlewares/validation.js";
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyJWT);
+
+/**
+ * @route   GET /api/impersonations
+ * @desc    Get the impersonation audit trail (filter by event, session, impersonator, user, dates)
+ * @access  Private (SuperAdmin only)
+ */
+router.get(
+  "/",
+  validatePaginationQuery,
+  validateImpersonationLogQuery,
+  authorize("read", "impersonation"),
+  getImpersonationLogs
+);
+
+/**
+ * @route   POST /api/impersonations
+ * @desc    Start acting as another user of the company
+ * @access  Private (SuperAdmin only)
+ */
+router.post(
+  "/",
+  authorize("impersonate", "user"),
+  validateImpersonationStart,
+  startImpersonation
+);
+
+/**
+ * @route   DELETE /api/impersonations/current
+ * @desc    Stop the current impersonation
+ * @access  Private (while impersonating)
+ */
+router.delete("/current", stopImpersonation);
+
+export default router;
@@ -9,7 +9,13 @@ import assignedTaskRoutes from "./assignedTaskRoutes.js";
 import projectTaskRoutes from "./projectTaskRoutes.js";
 import routineTaskRoutes from "./routineTaskRoutes.js";
 import taskActivityRoutes from "./taskActivityRoutes.js";
+import taskTemplateRoutes from "./taskTemplateRoutes.js";
 import notificationRoutes from "./notificationRoutes.js";
+import apiKeyRoutes from "./apiKeyRoutes.js";
+import invitationRoutes from "./invitationRoutes.js";
+import roleRoutes from "./roleRoutes.js";
+import impersonationRoutes from "./impersonationRoutes.js";
+import auditLogRoutes from "./auditLogRoutes.js";
 
 const router = express.Router();
 
@@ -30,10 +36,28 @@ router.use("/assigned-tasks", assignedTaskRoutes);
 router.use("/project-tasks", projectTaskRoutes);
 router.use("/routine-tasks", routineTaskRoutes);
 
+// Recurring task template routes
+router.use("/task-templates", taskTemplateRoutes);
+
 // Task activity routes
 router.use("/task-activities", taskActivityRoutes);
 
 // Notification routes
 router.use("/notifications", notificationRoutes);
 
+// API key management routes
+router.use("/api-keys", apiKeyRoutes);
+
+// User invitation routes
+router.use("/invitations", invitationRoutes);
+
+// Role and permission set routes
+router.use("/roles", roleRoutes);
+
+// Impersonation routes
+router.use("/impersonations", impersonationRoutes);
+
+// Audit log routes
+router.use("/audit-logs", auditLogRoutes);
+
 export default router;
@@ -0,0 +1,101 @@
+// backend/routes/invitationRoutes.js
+import express from "express";
+import {
+  getInvitations,
+  createInvitation,
+  createBulkInvitations,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation
+} from "../controllers/invitationController.js";
+import rateLimiter from "../middlewares/rateLimiter.js";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  validateInvitationCreation,
+  validateBulkInvitations,
+  validateInvitationToken,
+  validateInvitationAccept,
+  validatePaginationQuery,
+  validateObjectId,
+  handleValidationErrors
+} from "../middlewares/validation.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/invitations/accept/:token
+ * @desc    Get the details of an invitation to accept
+ * @access  Public
+ */
+router.get(
+  "/accept/:token",
+  rateLimiter,
+  validateInvitationToken,
+  getInvitationByToken
+);
+
+/**
+ * @route   POST /api/invitations/accept/:token
+ * @desc    Accept an invitation and set a password
+ * @access  Public
+ */
+router.post(
+  "/accept/:token",
+  rateLimiter,
+  validateInvitationAccept,
+  acceptInvitation
+);
+
+// Apply authentication to the remaining routes
+router.use(verifyJWT);
+
+/**
+ * @route   GET /api/invitations
+ * @desc    Get invitations (filter by status: pending, expired, accepted, revoked)
+ * @access  Private (SuperAdmin only)
+ */
+router.get("/", validatePaginationQuery, authorize("read", "invitation"), getInvitations);
+
+/**
+ * @route   POST /api/invitations
+ * @desc    Invite a user by email
+ * @access  Private (SuperAdmin only)
+ */
+router.post("/", authorize("create", "invitation"), validateInvitationCreation, createInvitation);
+
+/**
+ * @route   POST /api/invitations/bulk
+ * @desc    Invite users from CSV content
+ * @access  Private (SuperAdmin only)
+ */
+router.post("/bulk", authorize("create", "invitation"), validateBulkInvitations, createBulkInvitations);
+
+/**
+ * @route   POST /api/invitations/:id/resend
+ * @desc    Resend an invitation with a new link
+ * @access  Private (SuperAdmin only)
+ */
+router.post(
+  "/:id/resend",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("update", "invitation"),
+  resendInvitation
+);
+
+/**
+ * @route   DELETE /api/invitations/:id
+ * @desc    Revoke a pending invitation
+ * @access  Private (SuperAdmin only)
+ */
+router.delete(
+  "/:id",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("delete", "invitation"),
+  revokeInvitation
+);
+
+export default router;
@@ -5,6 +5,7 @@ import {
   getNotification,
   markNotificationAsRead,
   markNotificationAsUnread,
+  snoozeNotification,
   markAllNotificationsAsRead,
   deleteNotification,
   deleteAllNotifications,
@@ -15,9 +16,10 @@ import {
   getNotificationsByType
 } from "../controllers/notificationController.js";
 import { verifyJWT } from "../middlewares/authMiddleware.js";
-import { authorizeNotificationAccess, authorizeRoles } from "../middlewares/authorization.js";
+import { authorize } from "../middlewares/authorization.js";
 import {
   validateNotificationUpdate,
+  validateNotificationSnooze,
   validateObjectId,
   validatePaginationQuery,
   handleValidationErrors
@@ -36,6 +38,7 @@ router.use(verifyJWT);
 router.get(
   "/my-notifications",
   validatePaginationQuery,
+  authorize("read", "notification"),
   getMyNotifications
 );
 
@@ -44,34 +47,34 @@ router.get(
  * @desc    Get notification statistics
  * @access  Private (SuperAdmin: company stats, Others: personal stats)
  */
-router.get("/stats", getNotificationStats);
+router.get("/stats", authorize("read", "notification"), getNotificationStats);
 
 /**
  * @route   GET /api/notifications/unread-count
  * @desc    Get unread notification count
  * @access  Private (All roles)
  */
-router.get("/unread-count", getUnreadNotificationCount);
+router.get("/unread-count", authorize("read", "notification"), getUnreadNotificationCount);
 
 /**
  * @route   PUT /api/notifications/mark-all-read
  * @desc    Mark all notifications as read
- * @access  Private (SuperAdmin: all company notifications, Others: own notifications only)
+ * @access  Private (All roles: own notifications only)
  */
 router.put(
   "/mark-all-read",
-  authorizeNotificationAccess(["update"]),
+  authorize("update", "notification"),
   markAllNotificationsAsRead
 );
 
 /**
  * @route   DELETE /api/notifications
  * @desc    Delete all notifications
- * @access  Private (SuperAdmin: all company notifications, Others: own notifications only)
+ * @access  Private (All roles: own notifications only)
  */
 router.delete(
   "/",
-  authorizeNotificationAccess(["delete"]),
+  authorize("delete", "notification"),
   deleteAllNotifications
 );
 
@@ -82,7 +85,7 @@ router.delete(
  */
 router.post(
   "/system",
-  authorizeRoles(["SuperAdmin"]),
+  authorize("create", "notification"),
   createSystemNotification
 );
 
@@ -94,7 +97,7 @@ router.post(
 router.get(
   "/by-type/:type",
   validatePaginationQuery,
-  authorizeNotificationAccess(["read"]),
+  authorize("read", "notification"),
   getNotificationsByType
 );
 
@@ -106,7 +109,7 @@ router.get(
 router.get(
   "/",
   validatePaginationQuery,
-  authorizeNotificationAccess(["read"]),
+  authorize("read", "notification"),
   getNotifications
 );
 
@@ -118,43 +121,56 @@ router.get(
 router.get(
   "/:id",
   validateObjectId("id"),
-  authorizeNotificationAccess(["read"]),
+  authorize("read", "notification"),
   getNotification
 );
 
 /**
  * @route   PUT /api/notifications/:id/read
  * @desc    Mark notification as read
- * @access  Private (SuperAdmin: any notification, Others: own notifications only)
+ * @access  Private (All roles: own notifications only)
  */
 router.put(
   "/:id/read",
   validateObjectId("id"),
-  authorizeNotificationAccess(["update"]),
+  authorize("update", "notification"),
   markNotificationAsRead
 );
 
 /**
  * @route   PUT /api/notifications/:id/unread
  * @desc    Mark notification as unread
- * @access  Private (SuperAdmin: any notification, Others: own notifications only)
+ * @access  Private (All roles: own notifications only)
  */
 router.put(
   "/:id/unread",
   validateObjectId("id"),
-  authorizeNotificationAccess(["update"]),
+  authorize("update", "notification"),
   markNotificationAsUnread
 );
 
+/**
+ * @route   PUT /api/notifications/:id/snooze
+ * @desc    Snooze a due date reminder
+ * @access  Private (All roles: own reminders only)
+ */
+router.put(
+  "/:id/snooze",
+  validateObjectId("id"),
+  validateNotificationSnooze,
+  authorize("update", "notification"),
+  snoozeNotification
+);
+
 /**
  * @route   DELETE /api/notifications/:id
  * @desc    Delete notification
- * @access  Private (SuperAdmin: any notification, Others: own notifications only)
+ * @access  Private (All roles: own notifications only)
  */
 router.delete(
   "/:id",
   validateObjectId("id"),
-  authorizeNotificationAccess(["delete"]),
+  authorize("delete", "notification"),
   deleteNotification
 );
 
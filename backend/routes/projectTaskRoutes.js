@@ -6,16 +6,38 @@ import {
   createProjectTask,
   updateProjectTask,
   deleteProjectTask,
+  getTrashedProjectTasks,
+  restoreProjectTask,
   getProjectTaskStats,
   getProjectTasksByClient,
   updateProjectTaskStatus
 } from "../controllers/projectTaskController.js";
+import {
+  addChecklistItem,
+  updateChecklistItem,
+  setChecklistItemCompletion,
+  reorderChecklist,
+  removeChecklistItem
+} from "../controllers/taskChecklistController.js";
+import {
+  addTaskDependency,
+  removeTaskDependency
+} from "../controllers/taskDependencyController.js";
+import { approveTask, rejectTask } from "../controllers/taskApprovalController.js";
 import { verifyJWT } from "../middlewares/authMiddleware.js";
-import { authorizeTaskAccess } from "../middlewares/authorization.js";
+import { authorize } from "../middlewares/authorization.js";
 import {
   validateProjectTaskCreation,
   validateTaskUpdate,
+  validateProjectTaskStatus,
   validateObjectId,
+  validateChecklistItem,
+  validateChecklistItemUpdate,
+  validateChecklistCompletion,
+  validateChecklistOrder,
+  validateTaskDependency,
+  validateTaskApproval,
+  validateTaskRejection,
   validatePaginationQuery,
   handleValidationErrors
 } from "../middlewares/validation.js";
@@ -28,88 +50,232 @@ router.use(verifyJWT);
 /**
  * @route   GET /api/project-tasks/stats
  * @desc    Get project task statistics
- * @access  Private (SuperAdmin: company stats, Admin/Manager: department stats, User: none)
+ * @access  Private (SuperAdmin: company stats, Manager: department stats, User: none)
  */
-router.get("/stats", getProjectTaskStats);
+router.get("/stats", authorize("read", "projectTask"), getProjectTaskStats);
 
 /**
  * @route   GET /api/project-tasks/by-client
  * @desc    Get project tasks by client
- * @access  Private (SuperAdmin: company wide, Admin/Manager: own department)
+ * @access  Private (SuperAdmin: company wide, Manager: own department)
  */
-router.get("/by-client", getProjectTasksByClient);
+router.get("/by-client", authorize("read", "projectTask"), getProjectTasksByClient);
 
 /**
  * @route   GET /api/project-tasks
  * @desc    Get all project tasks
- * @access  Private (SuperAdmin: all company tasks, Admin/Manager: own department, User: none)
+ * @access  Private (SuperAdmin: all company tasks, Manager: own department, User: none)
  */
 router.get(
   "/",
   validatePaginationQuery,
-  authorizeTaskAccess(["read"], "ProjectTask"),
+  authorize("read", "projectTask"),
   getProjectTasks
 );
 
 /**
  * @route   POST /api/project-tasks
  * @desc    Create new project task
- * @access  Private (SuperAdmin: any department, Admin/Manager: own department only)
+ * @access  Private (SuperAdmin: any department, Manager: own department only)
  */
 router.post(
   "/",
-  authorizeTaskAccess(["create"], "ProjectTask"),
+  authorize("create", "projectTask"),
   validateProjectTaskCreation,
   createProjectTask
 );
 
+/**
+ * @route   GET /api/project-tasks/trash
+ * @desc    Get project tasks in the trash
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.get(
+  "/trash",
+  validatePaginationQuery,
+  authorize("delete", "projectTask"),
+  getTrashedProjectTasks
+);
+
 /**
  * @route   GET /api/project-tasks/:id
  * @desc    Get single project task
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department, User: none)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: none)
  */
 router.get(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskAccess(["read"], "ProjectTask"),
+  authorize("read", "projectTask"),
   getProjectTask
 );
 
 /**
  * @route   PUT /api/project-tasks/:id
  * @desc    Update project task
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department only)
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
  */
 router.put(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskAccess(["update"], "ProjectTask"),
+  authorize("update", "projectTask"),
   validateTaskUpdate,
   updateProjectTask
 );
 
 /**
  * @route   PUT /api/project-tasks/:id/status
- * @desc    Update project task status
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department)
+ * @desc    Move project task along the company's workflow, recorded as a task activity
+ * @access  Private (SuperAdmin: any task, Manager: own department)
  */
 router.put(
   "/:id/status",
   validateObjectId("id"),
-  authorizeTaskAccess(["update"], "ProjectTask"),
+  authorize("update", "projectTask"),
+  validateProjectTaskStatus,
   updateProjectTaskStatus
 );
 
+/**
+ * @route   PUT /api/project-tasks/:id/approve
+ * @desc    Approve the task's completion
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/approve",
+  validateObjectId("id"),
+  authorize("update", "projectTask"),
+  validateTaskApproval,
+  approveTask
+);
+
+/**
+ * @route   PUT /api/project-tasks/:id/reject
+ * @desc    Reject the task's completion with a reason and reopen it
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/reject",
+  validateObjectId("id"),
+  authorize("update", "projectTask"),
+  validateTaskRejection,
+  rejectTask
+);
+
+/**
+ * @route   POST /api/project-tasks/:id/checklist
+ * @desc    Add checklist item
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.post(
+  "/:id/checklist",
+  validateObjectId("id"),
+  authorize("update", "projectTask"),
+  validateChecklistItem,
+  addChecklistItem
+);
+
+/**
+ * @route   PUT /api/project-tasks/:id/checklist/order
+ * @desc    Reorder checklist items
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/checklist/order",
+  validateObjectId("id"),
+  authorize("update", "projectTask"),
+  validateChecklistOrder,
+  reorderChecklist
+);
+
+/**
+ * @route   PUT /api/project-tasks/:id/checklist/:itemId
+ * @desc    Update checklist item
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/checklist/:itemId",
+  validateObjectId("id"),
+  validateObjectId("itemId"),
+  authorize("update", "projectTask"),
+  validateChecklistItemUpdate,
+  updateChecklistItem
+);
+
+/**
+ * @route   PUT /api/project-tasks/:id/checklist/:itemId/complete
+ * @desc    Tick or untick checklist item
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/checklist/:itemId/complete",
+  validateObjectId("id"),
+  validateObjectId("itemId"),
+  authorize("update", "projectTask"),
+  validateChecklistCompletion,
+  setChecklistItemCompletion
+);
+
+/**
+ * @route   DELETE /api/project-tasks/:id/checklist/:itemId
+ * @desc    Remove checklist item
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.delete(
+  "/:id/checklist/:itemId",
+  validateObjectId("id"),
+  validateObjectId("itemId"),
+  authorize("update", "projectTask"),
+  removeChecklistItem
+);
+
+/**
+ * @route   POST /api/project-tasks/:id/dependencies
+ * @desc    Make the task wait for another task
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.post(
+  "/:id/dependencies",
+  validateObjectId("id"),
+  authorize("update", "projectTask"),
+  validateTaskDependency,
+  addTaskDependency
+);
+
+/**
+ * @route   DELETE /api/project-tasks/:id/dependencies/:blockerId
+ * @desc    Remove a dependency of the task
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.delete(
+  "/:id/dependencies/:blockerId",
+  validateObjectId("id"),
+  validateObjectId("blockerId"),
+  authorize("update", "projectTask"),
+  removeTaskDependency
+);
+
 /**
  * @route   DELETE /api/project-tasks/:id
- * @desc    Delete project task
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department only)
+ * @desc    Move project task to the trash
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
  */
 router.delete(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskAccess(["delete"], "ProjectTask"),
+  authorize("delete", "projectTask"),
   deleteProjectTask
 );
 
+/**
+ * @route   PUT /api/project-tasks/:id/restore
+ * @desc    Restore project task from the trash
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/restore",
+  validateObjectId("id"),
+  authorize("delete", "projectTask"),
+  restoreProjectTask
+);
+
 export default router;
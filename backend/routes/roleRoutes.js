@@ -0,0 +1,77 @@
+// backend/routes/roleRoutes.js
+import express from "express";
+import {
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+} from "../controllers/roleController.js";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  validateRoleCreation,
+  validateRoleUpdate,
+  validateObjectId,
+  handleValidationErrors
+} from "../middlewares/validation.js";
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyJWT);
+
+/**
+ * @route   GET /api/roles
+ * @desc    Get the company's roles
+ * @access  Private (All roles)
+ */
+router.get("/", authorize("read", "role"), getRoles);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a custom role
+ * @access  Private (SuperAdmin only)
+ */
+router.post("/", authorize("create", "role"), validateRoleCreation, createRole);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    Get a single role
+ * @access  Private (All roles)
+ */
+router.get(
+  "/:id",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("read", "role"),
+  getRole
+);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Update a role's name, description or permissions
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/:id",
+  validateObjectId("id"),
+  authorize("update", "role"),
+  validateRoleUpdate,
+  updateRole
+);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete a custom role
+ * @access  Private (SuperAdmin only)
+ */
+router.delete(
+  "/:id",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("delete", "role"),
+  deleteRole
+);
+
+export default router;
@@ -9,12 +9,14 @@ import {
   addRoutineTaskAttachment,
   removeRoutineTaskAttachment,
   deleteRoutineTask,
+  getTrashedRoutineTasks,
+  restoreRoutineTask,
   getRoutineTaskStats,
   getMyRoutineTasks,
   getRoutineTasksByDateRange
 } from "../controllers/routineTaskController.js";
 import { verifyJWT } from "../middlewares/authMiddleware.js";
-import { authorizeTaskAccess } from "../middlewares/authorization.js";
+import { authorize } from "../middlewares/authorization.js";
 import {
   validateRoutineTaskCreation,
   validateObjectId,
@@ -35,6 +37,7 @@ router.use(verifyJWT);
 router.get(
   "/my-tasks",
   validatePaginationQuery,
+  authorize("read", "routineTask"),
   getMyRoutineTasks
 );
 
@@ -43,14 +46,14 @@ router.get(
  * @desc    Get routine task statistics
  * @access  Private (SuperAdmin: company stats, Others: department stats)
  */
-router.get("/stats", getRoutineTaskStats);
+router.get("/stats", authorize("read", "routineTask"), getRoutineTaskStats);
 
 /**
  * @route   GET /api/routine-tasks/date-range
  * @desc    Get routine tasks by date range
  * @access  Private (SuperAdmin: company wide, Others: own department)
  */
-router.get("/date-range", getRoutineTasksByDateRange);
+router.get("/date-range", authorize("read", "routineTask"), getRoutineTasksByDateRange);
 
 /**
  * @route   GET /api/routine-tasks
@@ -60,22 +63,34 @@ router.get("/date-range", getRoutineTasksByDateRange);
 router.get(
   "/",
   validatePaginationQuery,
-  authorizeTaskAccess(["read"], "RoutineTask"),
+  authorize("read", "routineTask"),
   getRoutineTasks
 );
 
 /**
  * @route   POST /api/routine-tasks
  * @desc    Create new routine task
- * @access  Private (All roles can create routine tasks in their own department)
+ * @access  Private (All roles can create their own routine tasks in their own department)
  */
 router.post(
   "/",
-  authorizeTaskAccess(["create"], "RoutineTask"),
+  authorize("create", "routineTask"),
   validateRoutineTaskCreation,
   createRoutineTask
 );
 
+/**
+ * @route   GET /api/routine-tasks/trash
+ * @desc    Get routine tasks in the trash
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.get(
+  "/trash",
+  validatePaginationQuery,
+  authorize("delete", "routineTask"),
+  getTrashedRoutineTasks
+);
+
 /**
  * @route   GET /api/routine-tasks/:id
  * @desc    Get single routine task
@@ -84,68 +99,80 @@ router.post(
 router.get(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskAccess(["read"], "RoutineTask"),
+  authorize("read", "routineTask"),
   getRoutineTask
 );
 
 /**
  * @route   PUT /api/routine-tasks/:id
  * @desc    Update routine task
- * @access  Private (All roles can update routine tasks in their own department)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: own tasks)
  */
 router.put(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskAccess(["update"], "RoutineTask"),
+  authorize("update", "routineTask"),
   updateRoutineTask
 );
 
 /**
  * @route   PUT /api/routine-tasks/:id/progress
  * @desc    Update routine task progress
- * @access  Private (All roles can update routine tasks in their own department)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: own tasks)
  */
 router.put(
   "/:id/progress",
   validateObjectId("id"),
-  authorizeTaskAccess(["update"], "RoutineTask"),
+  authorize("update", "routineTask"),
   updateRoutineTaskProgress
 );
 
 /**
  * @route   PUT /api/routine-tasks/:id/attachments
  * @desc    Add attachment to routine task
- * @access  Private (All roles can update routine tasks in their own department)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: own tasks)
  */
 router.put(
   "/:id/attachments",
   validateObjectId("id"),
-  authorizeTaskAccess(["update"], "RoutineTask"),
+  authorize("update", "routineTask"),
   addRoutineTaskAttachment
 );
 
 /**
  * @route   DELETE /api/routine-tasks/:id/attachments/:attachmentIndex
  * @desc    Remove attachment from routine task
- * @access  Private (All roles can update routine tasks in their own department)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: own tasks)
  */
 router.delete(
   "/:id/attachments/:attachmentIndex",
   validateObjectId("id"),
-  authorizeTaskAccess(["update"], "RoutineTask"),
+  authorize("update", "routineTask"),
   removeRoutineTaskAttachment
 );
 
 /**
  * @route   DELETE /api/routine-tasks/:id
- * @desc    Delete routine task
- * @access  Private (All roles can delete routine tasks in their own department)
+ * @desc    Move routine task to the trash
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: own tasks)
  */
 router.delete(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskAccess(["delete"], "RoutineTask"),
+  authorize("delete", "routineTask"),
   deleteRoutineTask
 );
 
+/**
+ * @route   PUT /api/routine-tasks/:id/restore
+ * @desc    Restore routine task from the trash
+ * @access  Private (SuperAdmin: any task, Manager: own department only)
+ */
+router.put(
+  "/:id/restore",
+  validateObjectId("id"),
+  authorize("delete", "routineTask"),
+  restoreRoutineTask
+);
+
 export default router;
@@ -12,7 +12,7 @@ import {
   getTaskActivityStats
 } from "../controllers/taskActivityController.js";
 import { verifyJWT } from "../middlewares/authMiddleware.js";
-import { authorizeTaskActivityAccess } from "../middlewares/authorization.js";
+import { authorize } from "../middlewares/authorization.js";
 import {
   validateTaskActivityCreation,
   validateObjectId,
@@ -28,43 +28,43 @@ router.use(verifyJWT);
 /**
  * @route   GET /api/task-activities/stats
  * @desc    Get task activity statistics
- * @access  Private (SuperAdmin: company stats, Admin/Manager: department stats, User: personal stats)
+ * @access  Private (SuperAdmin: company stats, Manager: department stats, User: personal stats)
  */
-router.get("/stats", getTaskActivityStats);
+router.get("/stats", authorize("read", "taskActivity"), getTaskActivityStats);
 
 /**
  * @route   GET /api/task-activities/task/:taskId
  * @desc    Get task activities for specific task
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department, User: assigned tasks only)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: assigned tasks only)
  */
 router.get(
   "/task/:taskId",
   validateObjectId("taskId"),
   validatePaginationQuery,
-  authorizeTaskActivityAccess(["read"]),
+  authorize("read", "taskActivity"),
   getTaskActivitiesForTask
 );
 
 /**
  * @route   GET /api/task-activities
  * @desc    Get all task activities
- * @access  Private (SuperAdmin: all company activities, Admin/Manager: own department, User: assigned tasks only)
+ * @access  Private (SuperAdmin: all company activities, Manager: own department, User: assigned tasks only)
  */
 router.get(
   "/",
   validatePaginationQuery,
-  authorizeTaskActivityAccess(["read"]),
+  authorize("read", "taskActivity"),
   getTaskActivities
 );
 
 /**
  * @route   POST /api/task-activities
  * @desc    Create task activity
- * @access  Private (SuperAdmin: any task, Admin/Manager: own department, User: assigned tasks only)
+ * @access  Private (SuperAdmin: any task, Manager: own department, User: assigned tasks only)
  */
 router.post(
   "/",
-  authorizeTaskActivityAccess(["create"]),
+  authorize("create", "taskActivity"),
   validateTaskActivityCreation,
   createTaskActivity
 );
@@ -72,60 +72,60 @@ router.post(
 /**
  * @route   GET /api/task-activities/:id
  * @desc    Get single task activity
- * @access  Private (SuperAdmin: any activity, Admin/Manager: own department, User: assigned tasks only)
+ * @access  Private (SuperAdmin: any activity, Manager: own department, User: assigned tasks only)
  */
 router.get(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskActivityAccess(["read"]),
+  authorize("read", "taskActivity"),
   getTaskActivity
 );
 
 /**
  * @route   PUT /api/task-activities/:id
  * @desc    Update task activity
- * @access  Private (SuperAdmin: any activity, Admin/Manager: own department, User: own activities for assigned tasks)
+ * @access  Private (SuperAdmin: any activity, Manager: own department, User: own activities for assigned tasks)
  */
 router.put(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskActivityAccess(["update"]),
+  authorize("update", "taskActivity"),
   updateTaskActivity
 );
 
 /**
  * @route   PUT /api/task-activities/:id/attachments
  * @desc    Add attachment to task activity
- * @access  Private (Activity owner, Admin/Manager: own department, SuperAdmin: any)
+ * @access  Private (SuperAdmin: any activity, Manager: own department, User: own activities for assigned tasks)
  */
 router.put(
   "/:id/attachments",
   validateObjectId("id"),
-  authorizeTaskActivityAccess(["update"]),
+  authorize("update", "taskActivity"),
   addTaskActivityAttachment
 );
 
 /**
  * @route   DELETE /api/task-activities/:id/attachments/:attachmentIndex
  * @desc    Remove attachment from task activity
- * @access  Private (Activity owner, Admin/Manager: own department, SuperAdmin: any)
+ * @access  Private (SuperAdmin: any activity, Manager: own department, User: own activities for assigned tasks)
  */
 router.delete(
   "/:id/attachments/:attachmentIndex",
   validateObjectId("id"),
-  authorizeTaskActivityAccess(["update"]),
+  authorize("update", "taskActivity"),
   removeTaskActivityAttachment
 );
 
 /**
  * @route   DELETE /api/task-activities/:id
  * @desc    Delete task activity
- * @access  Private (SuperAdmin: any activity, Admin/Manager: own department, User: own activities for assigned tasks)
+ * @access  Private (SuperAdmin: any activity, Manager: own department, User: own activities for assigned tasks)
  */
 router.delete(
   "/:id",
   validateObjectId("id"),
-  authorizeTaskActivityAccess(["delete"]),
+  authorize("delete", "taskActivity"),
   deleteTaskActivity
 );
 
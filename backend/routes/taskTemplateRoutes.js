@@ -0,0 +1,116 @@
+// backend/routes/taskTemplateRoutes.js
+import express from "express";
+import {
+  getTaskTemplates,
+  getTaskTemplate,
+  createTaskTemplate,
+  updateTaskTemplate,
+  pauseTaskTemplate,
+  resumeTaskTemplate,
+  deleteTaskTemplate
+} from "../controllers/taskTemplateController.js";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  validateTaskTemplateCreation,
+  validateTaskTemplateUpdate,
+  validateObjectId,
+  validatePaginationQuery,
+  handleValidationErrors
+} from "../middlewares/validation.js";
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyJWT);
+
+/**
+ * @route   GET /api/task-templates
+ * @desc    Get all recurring task templates
+ * @access  Private (SuperAdmin: all company templates, Manager: own department only)
+ */
+router.get(
+  "/",
+  validatePaginationQuery,
+  authorize("read", "taskTemplate"),
+  getTaskTemplates
+);
+
+/**
+ * @route   POST /api/task-templates
+ * @desc    Create recurring task template and generate its upcoming tasks
+ * @access  Private (SuperAdmin: any department, Manager: own department only)
+ */
+router.post(
+  "/",
+  authorize("create", "taskTemplate"),
+  validateTaskTemplateCreation,
+  createTaskTemplate
+);
+
+/**
+ * @route   GET /api/task-templates/:id
+ * @desc    Get single task template
+ * @access  Private (SuperAdmin: any template, Manager: own department only)
+ */
+router.get(
+  "/:id",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("read", "taskTemplate"),
+  getTaskTemplate
+);
+
+/**
+ * @route   PUT /api/task-templates/:id
+ * @desc    Edit the series; untouched upcoming tasks are generated again
+ * @access  Private (SuperAdmin: any template, Manager: own department only)
+ */
+router.put(
+  "/:id",
+  validateObjectId("id"),
+  authorize("update", "taskTemplate"),
+  validateTaskTemplateUpdate,
+  updateTaskTemplate
+);
+
+/**
+ * @route   PUT /api/task-templates/:id/pause
+ * @desc    Pause the series and remove its untouched upcoming tasks
+ * @access  Private (SuperAdmin: any template, Manager: own department only)
+ */
+router.put(
+  "/:id/pause",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("update", "taskTemplate"),
+  pauseTaskTemplate
+);
+
+/**
+ * @route   PUT /api/task-templates/:id/resume
+ * @desc    Resume the series from today
+ * @access  Private (SuperAdmin: any template, Manager: own department only)
+ */
+router.put(
+  "/:id/resume",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("update", "taskTemplate"),
+  resumeTaskTemplate
+);
+
+/**
+ * @route   DELETE /api/task-templates/:id
+ * @desc    Delete task template and its untouched upcoming tasks
+ * @access  Private (SuperAdmin: any template, Manager: own department only)
+ */
+router.delete(
+  "/:id",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("delete", "taskTemplate"),
+  deleteTaskTemplate
+);
+
+export default router;
@@ -4,20 +4,25 @@ import {
   getUsers,
   getUser,
   getMyProfile,
-  createUser,
   updateUser,
   updatePassword,
   deleteUser,
+  getTrashedUsers,
+  restoreUser,
   deactivateUser,
   activateUser,
+  forceLogoutUser,
+  unlockUser,
   getUserStats,
-  updateProfilePicture
+  updateProfilePicture,
+  requestEmailChange,
+  cancelEmailChange
 } from "../controllers/userController.js";
-import { verifyJWT } from "../middlewares/authMiddleware.js";
-import { authorizeUserAccess } from "../middlewares/authorization.js";
+import { verifyJWT, denyImpersonation } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
 import {
-  validateUserCreation,
   validateUserUpdate,
+  validateEmailChangeRequest,
   validateObjectId,
   validatePaginationQuery,
   handleValidationErrors
@@ -35,46 +40,60 @@ router.use(verifyJWT);
  */
 router.get("/profile", getMyProfile);
 
+/**
+ * @route   PUT /api/users/profile/email
+ * @desc    Request a change of the current user's email
+ * @access  Private (All roles - self only)
+ */
+router.put("/profile/email", denyImpersonation, validateEmailChangeRequest, requestEmailChange);
+
+/**
+ * @route   DELETE /api/users/profile/email
+ * @desc    Cancel the current user's pending email change
+ * @access  Private (All roles - self only)
+ */
+router.delete("/profile/email", denyImpersonation, cancelEmailChange);
+
 /**
  * @route   GET /api/users/stats
  * @desc    Get user statistics
  * @access  Private (SuperAdmin: company stats, Others: own stats)
  */
-router.get("/stats", getUserStats);
+router.get("/stats", authorize("read", "user"), getUserStats);
 
 /**
  * @route   GET /api/users
  * @desc    Get all users
- * @access  Private (SuperAdmin: all company users, Admin/Manager: own department, User: self only)
+ * @access  Private (SuperAdmin: all company users, Manager: own department, User: self only)
  */
 router.get(
   "/",
   validatePaginationQuery,
-  authorizeUserAccess(["read"]),
+  authorize("read", "user"),
   getUsers
 );
 
 /**
- * @route   POST /api/users
- * @desc    Create new user
+ * @route   GET /api/users/trash
+ * @desc    Get users in the trash
  * @access  Private (SuperAdmin only)
  */
-router.post(
-  "/",
-  authorizeUserAccess(["create"]),
-  validateUserCreation,
-  createUser
+router.get(
+  "/trash",
+  validatePaginationQuery,
+  authorize("delete", "user"),
+  getTrashedUsers
 );
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get single user
- * @access  Private (SuperAdmin: any company user, Admin/Manager: own department, User: self only)
+ * @access  Private (SuperAdmin: any company user, Manager: own department, User: self only)
  */
 router.get(
   "/:id",
   validateObjectId("id"),
-  authorizeUserAccess(["read"]),
+  authorize("read", "user"),
   getUser
 );
 
@@ -86,7 +105,7 @@ router.get(
 router.put(
   "/:id",
   validateObjectId("id"),
-  authorizeUserAccess(["update"]),
+  authorize("update", "user"),
   validateUserUpdate,
   updateUser
 );
@@ -98,8 +117,9 @@ router.put(
  */
 router.put(
   "/:id/password",
+  denyImpersonation,
   validateObjectId("id"),
-  authorizeUserAccess(["update"]),
+  authorize("update", "user"),
   updatePassword
 );
 
@@ -111,7 +131,7 @@ router.put(
 router.put(
   "/:id/profile-picture",
   validateObjectId("id"),
-  authorizeUserAccess(["update"]),
+  authorize("update", "user"),
   updateProfilePicture
 );
 
@@ -123,10 +143,36 @@ router.put(
 router.put(
   "/:id/deactivate",
   validateObjectId("id"),
-  authorizeUserAccess(["update"]),
+  authorize("manage", "user"),
   deactivateUser
 );
 
+/**
+ * @route   POST /api/users/:id/force-logout
+ * @desc    Revoke all sessions of a user and disconnect their sockets
+ * @access  Private (SuperAdmin only)
+ */
+router.post(
+  "/:id/force-logout",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("manage", "user"),
+  forceLogoutUser
+);
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Clear a user's failed login and two-factor lockouts
+ * @access  Private (SuperAdmin only)
+ */
+router.post(
+  "/:id/unlock",
+  validateObjectId("id"),
+  handleValidationErrors,
+  authorize("manage", "user"),
+  unlockUser
+);
+
 /**
  * @route   PUT /api/users/:id/activate
  * @desc    Activate user
@@ -135,20 +181,32 @@ router.put(
 router.put(
   "/:id/activate",
   validateObjectId("id"),
-  authorizeUserAccess(["update"]),
+  authorize("manage", "user"),
   activateUser
 );
 
 /**
  * @route   DELETE /api/users/:id
- * @desc    Delete user
+ * @desc    Move user to the trash
  * @access  Private (SuperAdmin only)
  */
 router.delete(
   "/:id",
   validateObjectId("id"),
-  authorizeUserAccess(["delete"]),
+  authorize("delete", "user"),
   deleteUser
 );
 
+/**
+ * @route   PUT /api/users/:id/restore
+ * @desc    Restore user from the trash
+ * @access  Private (SuperAdmin only)
+ */
+router.put(
+  "/:id/restore",
+  validateObjectId("id"),
+  authorize("delete", "user"),
+  restoreUser
+);
+
 export default router;
@@ -0,0 +1,68 @@
+// backend/scripts/migrateRoles.js
+// Seeds the default roles into every company and moves users and pending
+// invitations whose role the company does not define (such as the legacy
+// "Admin") onto one it does. Safe to run more than once.
+//
+//   npm run migrate:roles
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { Company, Role, User, Invitation } from "../models/index.js";
+
+dotenv.config();
+
+// Legacy role names and the role that replaces them
+const LEGACY_ROLES = { Admin: "Manager" };
+const FALLBACK_ROLE = "User";
+
+const migrateCompany = async (company) => {
+  await Role.seedDefaults(company._id);
+
+  const roles = await Role.find({ company: company._id }).select("name").lean();
+  const roleNames = new Map(roles.map(({ name }) => [name.toLowerCase(), name]));
+  const replacementFor = (name) =>
+    roleNames.get(String(name).toLowerCase()) ??
+    roleNames.get(LEGACY_ROLES[name]?.toLowerCase()) ??
+    FALLBACK_ROLE;
+
+  const collections = [
+    { Model: User, filter: { company: company._id } },
+    { Model: Invitation, filter: { company: company._id, status: "pending" } },
+  ];
+
+  for (const { Model, filter } of collections) {
+    for (const name of await Model.distinct("role", filter)) {
+      const replacement = replacementFor(name);
+      if (replacement === name) continue;
+
+      const { modifiedCount } = await Model.updateMany(
+        { ...filter, role: name },
+        { role: replacement }
+      );
+      console.log(
+        `${company.name}: ${modifiedCount} ${Model.modelName.toLowerCase()}(s) moved from "${name}" to "${replacement}"`
+      );
+    }
+  }
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error("MONGODB_URI environment variable not defined");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const companies = await Company.find().select("name").lean();
+  for (const company of companies) {
+    await migrateCompany(company);
+  }
+
+  console.log(`Roles migrated for ${companies.length} company(ies)`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Role migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
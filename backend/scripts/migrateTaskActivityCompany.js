@@ -0,0 +1,45 @@
+// backend/scripts/migrateTaskActivityCompany.js
+// Copies each task's company onto its activities. Activities are scoped to
+// a tenant by their own company field, so ones without it are invisible to
+// every company until this has run. Safe to run more than once.
+//
+//   npm run migrate:activities
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { Task, TaskActivity } from "../models/index.js";
+
+dotenv.config();
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error("MONGODB_URI environment variable not defined");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const missing = { company: { $exists: false } };
+  const taskIds = await TaskActivity.distinct("task", missing);
+  const tasks = await Task.find({ _id: { $in: taskIds } }).select("company").lean();
+
+  let updated = 0;
+  for (const task of tasks) {
+    const { modifiedCount } = await TaskActivity.updateMany(
+      { ...missing, task: task._id },
+      { company: task.company }
+    );
+    updated += modifiedCount;
+  }
+
+  const orphaned = await TaskActivity.countDocuments(missing);
+  console.log(`Company set on ${updated} task activity(ies)`);
+  if (orphaned) {
+    console.log(`${orphaned} activity(ies) belong to deleted tasks and were left unchanged`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("Task activity migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+// backend/scripts/migrateUserTokenIndexes.js
+// Drops the TTL indexes the User model used to declare on its token expiry
+// fields. The model no longer declares them, but databases created before
+// keep them, and MongoDB then deletes every user whose verification, email
+// change or password reset token has expired. Safe to run more than once.
+//
+//   npm run migrate:user-indexes
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { User } from "../models/index.js";
+
+dotenv.config();
+
+const TTL_INDEXES = [
+  "verificationTokenExpiry_1",
+  "emailChangeTokenExpiry_1",
+  "resetPasswordExpiry_1"
+];
+
+// The index, or the whole collection, may not exist
+const NOT_FOUND_CODES = ["IndexNotFound", "NamespaceNotFound"];
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error("MONGODB_URI environment variable not defined");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let dropped = 0;
+  for (const name of TTL_INDEXES) {
+    try {
+      await User.collection.dropIndex(name);
+      dropped += 1;
+    } catch (error) {
+      if (!NOT_FOUND_CODES.includes(error.codeName)) throw error;
+    }
+  }
+
+  console.log(`Dropped ${dropped} user token TTL index(es)`);
+};
+
+run()
+  .catch((error) => {
+    console.error("User index migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,6 +7,11 @@ import connectDB from "./config/db.js";
 import { corsSocketOptions } from "./config/corsOptions.js";
 import setupSocketIO from "./socket.js";
 import { getIO } from "./utils/SocketInstance.js";
+import { startDeletionScheduler } from "./utils/CompanyOffboarding.js";
+import { startTrashPurgeScheduler } from "./utils/TrashPurge.js";
+import { startRecurringTaskScheduler } from "./utils/RecurringTasks.js";
+import { startSlaScheduler } from "./utils/SlaMonitor.js";
+import { startDueReminderScheduler } from "./utils/DueReminders.js";
 
 const PORT = parseInt(process.env.PORT || "5000", 10);
 const GRACEFUL_SHUTDOWN_TIMEOUT = 10000;
@@ -18,6 +23,23 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Background jobs, scheduled in the database (see utils/Scheduler.js)
+
+    // Purge companies whose deletion grace period is over
+    await startDeletionScheduler();
+
+    // Purge documents that have been in the trash too long
+    await startTrashPurgeScheduler();
+
+    // Generate the upcoming tasks of recurring task templates
+    await startRecurringTaskScheduler();
+
+    // Flag and escalate tasks running late on their SLA
+    await startSlaScheduler();
+
+    // Remind assignees of tasks that are due soon or overdue
+    await startDueReminderScheduler();
+
     // Initialize Socket.IO
     setupSocketIO(server, corsSocketOptions);
 
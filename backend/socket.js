@@ -1,10 +1,11 @@
 // backend/socket.js
-import jwt from "jsonwebtoken";
 import User from "./models/User.js";
+import Session from "./models/Session.js";
 import { Server as SocketIOServer } from "socket.io";
 import { joinDepartmentRooms } from "./utils/SocketEmitter.js";
 import { setIO } from "./utils/SocketInstance.js";
 import CustomError from "./errorHandler/CustomError.js";
+import { verifyAccessToken } from "./utils/GenerateTokens.js";
 
 const extractToken = (cookieHeader) => {
   if (!cookieHeader) return null;
@@ -30,7 +31,7 @@ const socketAuth = async (socket, next) => {
     // Verify token
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+      decoded = verifyAccessToken(token);
     } catch (jwtError) {
       if (jwtError.name === "TokenExpiredError") {
         return next(
@@ -58,7 +59,8 @@ const socketAuth = async (socket, next) => {
     // Fetch user data with company and department details
     const user = await User.findById(decoded.userId)
       .populate("company", "name subscription.status isActive")
-      .populate("department", "name isActive");
+      .populate("department", "name isActive")
+      .select("+passwordChangedAt");
 
     if (!user) {
       return next(
@@ -66,6 +68,28 @@ const socketAuth = async (socket, next) => {
       );
     }
 
+    // Reject tokens issued before the last password reset
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return next(
+        new CustomError(
+          "Password was changed. Please log in again",
+          401,
+          "PASSWORD_CHANGED_ERROR"
+        )
+      );
+    }
+
+    // Reject tokens whose session was logged out or revoked
+    if (!(await Session.isActiveSession(decoded.sid))) {
+      return next(
+        new CustomError(
+          "Session has been revoked. Please log in again",
+          401,
+          "SESSION_REVOKED_ERROR"
+        )
+      );
+    }
+
     // Check if user is verified
     if (!user.isVerified) {
       return next(
@@ -90,7 +114,6 @@ const socketAuth = async (socket, next) => {
 
     // Check if company is active
     if (!user.company.isActive) {
-      res.clearCookie("refresh_token");
       return next(
         new CustomError(
           "Company account is deactivated",
@@ -122,8 +145,9 @@ const socketAuth = async (socket, next) => {
       );
     }
 
-    // Attach user data to request
-    req.user = user;
+    // Attach user and session data to the socket
+    socket.user = user;
+    socket.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error("JWT verification error:", error);
@@ -154,9 +178,12 @@ const setupSocketIO = (server, corsSocketOptions) => {
     io.on("connection", (socket) => {
       console.log(`Socket connected: ${socket.id} | User: ${socket.user._id}`);
 
+      // Session room lets a revoked session's sockets be disconnected
+      socket.join(`session_${socket.sessionId}`);
+
       // Non-blocking room join
       setTimeout(() => {
-        joinDepartmentRooms(socket.user._id).catch((err) =>
+        joinDepartmentRooms(socket).catch((err) =>
           console.error(`Room join error: ${err.message}`)
         );
       }, 0);
@@ -0,0 +1,49 @@
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { resetDb } from "./helpers/memoryDb.js";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import {
+  generateAccessToken,
+  generateTwoFactorToken,
+  generateImpersonationToken,
+  generateSsoStateToken
+} from "../utils/GenerateTokens.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Run verifyJWT with the token as the access cookie; resolves to the error
+// it passed on, or undefined when it let the request through
+const authenticate = (token) =>
+  new Promise((resolve) => {
+    const req = { cookies: { access_token: token }, get: () => undefined };
+    verifyJWT(req, {}, resolve);
+  });
+
+describe("verifyJWT", () => {
+  before(() => {
+    process.env.JWT_ACCESS_SECRET ??= "test-access-secret";
+  });
+
+  beforeEach(() => resetDb());
+
+  it("accepts an access token", async () => {
+    // Verified, then rejected only because the user does not exist
+    const error = await authenticate(generateAccessToken(id(), id()));
+    assert.equal(error.errorCode, "USER_NOT_FOUND_ERROR");
+  });
+
+  it("rejects other tokens signed with the access secret", async () => {
+    const tokens = {
+      impersonation: generateImpersonationToken(id(), id(), id()),
+      twoFactor: generateTwoFactorToken(id()),
+      ssoState: generateSsoStateToken({ userId: id() })
+    };
+
+    for (const [name, token] of Object.entries(tokens)) {
+      const error = await authenticate(token);
+      assert.equal(error.errorCode, "INVALID_TOKEN_ERROR", name);
+      assert.equal(error.statusCode, 401, name);
+    }
+  });
+});
@@ -0,0 +1,17 @@
+// Run code as if inside a request made by the given user, the way
+// requestContext and the authentication middleware set it up
+import { requestContext } from "../../utils/RequestContext.js";
+
+/**
+ * @param {Object} user - Needs _id and company._id
+ * @param {() => Promise<any>} fn
+ * @returns {Promise<any>} What fn resolves to
+ */
+export const asUser = (user, fn) => {
+  const req = { user, method: "POST", originalUrl: "/api/test", ip: "127.0.0.1", get: () => undefined };
+  const res = { set: () => {} };
+
+  return new Promise((resolve, reject) => {
+    requestContext(req, res, () => fn().then(resolve, reject));
+  });
+};
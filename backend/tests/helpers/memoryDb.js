@@ -0,0 +1,129 @@
+// In-memory stand-in for the MongoDB collections behind the models, so the
+// model middleware (tenant scope, soft delete, hooks) runs for real without
+// a database server. Filters are matched with sift, which implements the
+// MongoDB query language; updates support the operators the tests use.
+import mongoose from "mongoose";
+import sift from "sift";
+import "../../models/index.js";
+
+const collections = new Map();
+
+// Deep copy that keeps ObjectIds, so stored documents cannot be changed
+// through what a query returned
+const copy = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value;
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  }
+  return value;
+};
+
+// Aggregation pipelines made of $match and $count stages
+const runPipeline = (docs, pipeline) =>
+  pipeline.reduce((result, stage) => {
+    if (stage.$match) return result.filter(sift(stage.$match));
+    if (stage.$count) return [{ [stage.$count]: result.length }];
+    throw new Error(`Unsupported stage: ${Object.keys(stage)[0]}`);
+  }, docs);
+
+// Updates of top-level fields
+const applyUpdate = (doc, update, isInsert = false) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      if (operator === "$set" || (operator === "$setOnInsert" && isInsert)) doc[path] = copy(value);
+      else if (operator === "$unset") delete doc[path];
+      else if (operator === "$inc") doc[path] = (doc[path] ?? 0) + value;
+      else if (operator === "$pull") doc[path] = (doc[path] ?? []).filter((item) => String(item) !== String(value));
+      else if (operator === "$push") doc[path] = [...(doc[path] ?? []), ...copy(value.$each ?? [value])];
+      else if (operator !== "$setOnInsert") throw new Error(`Unsupported update: ${operator}`);
+    }
+  }
+};
+
+const cursorOf = (docs) => ({ toArray: async () => docs.map(copy) });
+
+const createCollection = () => {
+  const docs = [];
+  const matching = (filter = {}) => docs.filter(sift(filter));
+
+  const update = (filter, changes, options, many) => {
+    const matched = many ? matching(filter) : matching(filter).slice(0, 1);
+    matched.forEach((doc) => applyUpdate(doc, changes));
+
+    if (!matched.length && options?.upsert) {
+      const doc = { _id: new mongoose.Types.ObjectId(), ...copy(filter) };
+      applyUpdate(doc, changes, true);
+      docs.push(doc);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: doc._id, upsertedCount: 1 };
+    }
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length, upsertedCount: 0 };
+  };
+
+  return {
+    docs,
+    find: async (filter) => cursorOf(matching(filter)),
+    findOne: async (filter) => {
+      const [doc] = matching(filter);
+      return doc ? copy(doc) : null;
+    },
+    countDocuments: async (filter) => matching(filter).length,
+    // Array fields contribute each of their elements, as in MongoDB
+    distinct: async (field, filter) => [
+      ...new Map(
+        matching(filter)
+          .flatMap((doc) => doc[field] ?? [])
+          .map((value) => [String(value), value])
+      ).values()
+    ],
+    aggregate: async (pipeline) => cursorOf(runPipeline(docs, pipeline)),
+    insertOne: async (doc) => {
+      docs.push(copy(doc));
+      return { acknowledged: true, insertedId: doc._id };
+    },
+    insertMany: async (list) => {
+      list.forEach((doc) => docs.push(copy(doc)));
+      return { acknowledged: true, insertedCount: list.length };
+    },
+    updateOne: async (filter, changes, options) => update(filter, changes, options, false),
+    updateMany: async (filter, changes, options) => update(filter, changes, options, true),
+    findOneAndUpdate: async (filter, changes, options) => {
+      const [doc] = matching(filter);
+      if (!doc) return null;
+      const before = copy(doc);
+      applyUpdate(doc, changes);
+      return options?.returnDocument === "after" ? copy(doc) : before;
+    },
+    deleteOne: async (filter) => {
+      const [doc] = matching(filter);
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    },
+    deleteMany: async (filter) => {
+      const removed = matching(filter);
+      removed.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+      return { acknowledged: true, deletedCount: removed.length };
+    }
+  };
+};
+
+// Point every model's collection at an in-memory one, shared by the
+// models (such as discriminators) that share a collection
+for (const model of Object.values(mongoose.models)) {
+  const { name } = model.collection;
+  if (!collections.has(name)) collections.set(name, createCollection());
+  Object.assign(model.collection, collections.get(name));
+}
+
+/**
+ * Documents stored in a model's collection, to seed or inspect
+ * @param {mongoose.Model} model
+ * @returns {Object[]}
+ */
+export const storedDocs = (model) => collections.get(model.collection.name).docs;
+
+// Empty every collection
+export const resetDb = () => {
+  for (const { docs } of collections.values()) docs.length = 0;
+};
@@ -0,0 +1,274 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  PERMISSIONS,
+  SCOPES,
+  SYSTEM_ROLES,
+  DEFAULT_ROLES,
+  SUPERADMIN_ONLY_ACTIONS,
+  rolePermissions,
+  validatePermissions,
+  getScope,
+  can,
+  scopeQuery,
+  taskScopeQuery,
+  authorQuery,
+  canAccessDepartment,
+  canAssignRole,
+  exceedsPermissions
+} from "../config/permissions.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const company = id();
+const department = id();
+
+const userWith = (role, permissions) => ({
+  _id: id(),
+  role,
+  company: { _id: company },
+  department: { _id: department },
+  ...(permissions && { permissions })
+});
+
+const superAdmin = userWith("SuperAdmin");
+const manager = userWith("Manager");
+const member = userWith("User");
+
+describe("getScope", () => {
+  it("follows the permission table for every built-in role", () => {
+    for (const [resource, actions] of Object.entries(PERMISSIONS)) {
+      for (const [action, roles] of Object.entries(actions)) {
+        for (const role of SYSTEM_ROLES) {
+          assert.equal(
+            getScope(userWith(role), action, resource),
+            roles[role] ?? null,
+            `${role} ${resource}.${action}`
+          );
+        }
+      }
+    }
+  });
+
+  it("denies unknown roles, resources and actions", () => {
+    assert.equal(getScope(userWith("Intern"), "read", "assignedTask"), null);
+    assert.equal(getScope(superAdmin, "read", "spaceship"), null);
+    assert.equal(getScope(superAdmin, "launch", "assignedTask"), null);
+    assert.equal(getScope(undefined, "read", "assignedTask"), null);
+  });
+
+  describe("custom roles", () => {
+    it("use the role's permission set instead of the built-in one", () => {
+      const lead = userWith("User", { assignedTask: { read: "department", create: "department" } });
+      assert.equal(getScope(lead, "read", "assignedTask"), "department");
+      assert.equal(getScope(lead, "create", "assignedTask"), "department");
+      // Not granted by the set, even though the built-in User role has it
+      assert.equal(getScope(lead, "complete", "assignedTask"), null);
+    });
+
+    it("deny resources their set has no entry for", () => {
+      const auditor = userWith("Auditor", DEFAULT_ROLES.find(({ name }) => name === "Auditor").permissions);
+      assert.equal(getScope(auditor, "read", "routineTask"), "company");
+      assert.equal(getScope(auditor, "update", "routineTask"), null);
+      assert.equal(getScope(auditor, "update", "user"), "own");
+    });
+
+    it("cannot reach SuperAdmin-only resources", () => {
+      const inspector = userWith("Inspector", { auditLog: { read: "company" } });
+      assert.equal(getScope(inspector, "read", "auditLog"), null);
+      assert.equal(getScope(superAdmin, "read", "auditLog"), "company");
+    });
+
+    it("cannot perform SuperAdmin-only actions", () => {
+      const hr = userWith("HR", {
+        user: { read: "company", manage: "company", impersonate: "company", delete: "company" },
+        company: { read: "company", update: "company", delete: "company", export: "company" },
+        role: { read: "company", create: "company", update: "company", delete: "company" }
+      });
+      for (const [resource, actions] of Object.entries(SUPERADMIN_ONLY_ACTIONS)) {
+        for (const action of actions) {
+          assert.equal(getScope(hr, action, resource), null, `${resource}.${action}`);
+          assert.equal(can(superAdmin, action, resource, "company"), true, `${resource}.${action}`);
+        }
+      }
+      assert.equal(getScope(hr, "read", "user"), "company");
+      assert.equal(getScope(hr, "read", "role"), "company");
+    });
+  });
+});
+
+describe("can", () => {
+  it("allows a scope up to the one granted", () => {
+    assert.equal(can(manager, "update", "assignedTask"), true);
+    assert.equal(can(manager, "update", "assignedTask", "department"), true);
+    assert.equal(can(manager, "update", "assignedTask", "company"), false);
+    assert.equal(can(superAdmin, "update", "assignedTask", "company"), true);
+  });
+
+  it("denies actions that are not granted at all", () => {
+    assert.equal(can(member, "read", "projectTask"), false);
+    assert.equal(can(member, "create", "company"), false);
+  });
+});
+
+describe("scopeQuery", () => {
+  it("limits company scope to the user's company", () => {
+    assert.deepEqual(scopeQuery(superAdmin, "read", "assignedTask"), { company });
+  });
+
+  it("limits department scope to the user's department", () => {
+    assert.deepEqual(scopeQuery(manager, "read", "assignedTask"), { company, department });
+  });
+
+  it("limits own scope to the resource's owner field", () => {
+    assert.deepEqual(scopeQuery(member, "read", "assignedTask"), { company, assignedTo: member._id });
+    assert.deepEqual(scopeQuery(member, "create", "routineTask"), { company, performedBy: member._id });
+    assert.deepEqual(scopeQuery(member, "read", "user"), { company, _id: member._id });
+  });
+
+  it("matches nothing for own scope on resources without owners", () => {
+    const custom = userWith("Clerk", { projectTask: { read: "own" } });
+    assert.deepEqual(scopeQuery(custom, "read", "projectTask"), { company, _id: { $in: [] } });
+  });
+
+  it("merges the base filter, or combines it when it names a scoped field", () => {
+    assert.deepEqual(scopeQuery(manager, "read", "assignedTask", { status: "To Do" }), {
+      status: "To Do",
+      company,
+      department
+    });
+
+    const other = id();
+    assert.deepEqual(scopeQuery(manager, "read", "assignedTask", { department: other }), {
+      $and: [{ department: other }, { company, department }]
+    });
+  });
+
+  it("returns null when the action is denied", () => {
+    assert.equal(scopeQuery(member, "read", "projectTask"), null);
+  });
+});
+
+describe("taskScopeQuery", () => {
+  it("combines the scopes of every task type the user can act on", () => {
+    assert.deepEqual(taskScopeQuery(manager, "read", { priority: "High" }), {
+      priority: "High",
+      $or: [
+        { taskType: "AssignedTask", company, department },
+        { taskType: "ProjectTask", company, department }
+      ]
+    });
+  });
+
+  it("leaves out task types the user cannot act on", () => {
+    assert.deepEqual(taskScopeQuery(member, "read"), {
+      $or: [{ taskType: "AssignedTask", company, assignedTo: member._id }]
+    });
+  });
+
+  it("matches nothing when no task type is allowed", () => {
+    assert.deepEqual(taskScopeQuery(userWith("Guest", {}), "read"), { $or: [{ _id: { $in: [] } }] });
+  });
+});
+
+describe("authorQuery", () => {
+  it("limits own-scope writes on task activities to their author", () => {
+    assert.deepEqual(authorQuery(member, "update", "taskActivity"), { performedBy: member._id });
+  });
+
+  it("adds nothing at wider scopes or for resources without authors", () => {
+    assert.deepEqual(authorQuery(manager, "update", "taskActivity"), {});
+    assert.deepEqual(authorQuery(member, "update", "routineTask"), {});
+  });
+});
+
+describe("canAccessDepartment", () => {
+  it("allows any department at company scope and the own one at narrower scopes", () => {
+    const other = id();
+    assert.equal(canAccessDepartment(superAdmin, "create", "assignedTask", other), true);
+    assert.equal(canAccessDepartment(manager, "create", "assignedTask", department), true);
+    assert.equal(canAccessDepartment(manager, "create", "assignedTask", other), false);
+    assert.equal(canAccessDepartment(member, "create", "assignedTask", department), false);
+  });
+});
+
+describe("canAssignRole", () => {
+  it("lets only SuperAdmins grant or remove SuperAdmin", () => {
+    assert.equal(canAssignRole(superAdmin, "SuperAdmin"), true);
+    assert.equal(canAssignRole(manager, "SuperAdmin"), false);
+    assert.equal(canAssignRole(manager, "superadmin"), false);
+    assert.equal(canAssignRole(manager, "Manager"), true);
+    assert.equal(canAssignRole(userWith("HR", {}), "Auditor"), true);
+  });
+});
+
+describe("exceedsPermissions", () => {
+  it("flags actions the user lacks or holds at a narrower scope", () => {
+    assert.equal(exceedsPermissions(manager, { assignedTask: { read: "department" } }), false);
+    assert.equal(exceedsPermissions(manager, { assignedTask: { read: "company" } }), true);
+    assert.equal(exceedsPermissions(manager, { invitation: { read: "company" } }), true);
+    assert.equal(exceedsPermissions(manager, undefined), false);
+  });
+
+  it("never flags anything for SuperAdmins", () => {
+    assert.equal(exceedsPermissions(superAdmin, { notification: { read: "company" }, user: { manage: "company" } }), false);
+  });
+});
+
+describe("rolePermissions", () => {
+  it("lists every action a built-in role has", () => {
+    const permissions = rolePermissions("User");
+    assert.equal(permissions.assignedTask.complete, "own");
+    assert.equal(permissions.projectTask, undefined);
+    assert.equal(permissions.user.manage, undefined);
+  });
+});
+
+describe("validatePermissions", () => {
+  it("accepts the default roles", () => {
+    for (const { name, permissions } of DEFAULT_ROLES) {
+      assert.equal(validatePermissions(permissions, name), null, name);
+    }
+  });
+
+  it("rejects SuperAdmin-only actions and resources outside the SuperAdmin role", () => {
+    const reserved = [
+      { company: { update: "company" } },
+      { company: { delete: "company" } },
+      { company: { export: "company" } },
+      { role: { create: "company" } },
+      { role: { update: "company" } },
+      { user: { impersonate: "company" } },
+      { user: { delete: "company" } },
+      { user: { manage: "company" } },
+      { auditLog: { read: "company" } }
+    ];
+    for (const permissions of reserved) {
+      assert.match(validatePermissions(permissions, "HR"), /reserved for SuperAdmins/);
+      assert.equal(validatePermissions(permissions, "SuperAdmin"), null);
+    }
+  });
+
+  it("accepts every scope the resource has fields for", () => {
+    for (const scope of SCOPES) {
+      assert.equal(validatePermissions({ assignedTask: { read: scope } }), null);
+    }
+  });
+
+  it("rejects malformed sets", () => {
+    assert.match(validatePermissions(null), /must be an object/);
+    assert.match(validatePermissions([]), /must be an object/);
+    assert.match(validatePermissions({ assignedTask: ["read"] }), /must be an object of actions/);
+  });
+
+  it("rejects unknown resources, actions and scopes", () => {
+    assert.match(validatePermissions({ spaceship: { read: "own" } }), /Unknown resource/);
+    assert.match(validatePermissions({ assignedTask: { launch: "own" } }), /Unknown action/);
+    assert.match(validatePermissions({ assignedTask: { read: "galaxy" } }), /Scope for/);
+  });
+
+  it("rejects department scope on resources without a department", () => {
+    assert.match(validatePermissions({ role: { read: "department" } }), /cannot be scoped to a department/);
+  });
+});
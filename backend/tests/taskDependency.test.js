@@ -0,0 +1,107 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { resetDb, storedDocs } from "./helpers/memoryDb.js";
+import { asUser } from "./helpers/context.js";
+import { Company, Task } from "../models/index.js";
+import { addTaskDependency } from "../controllers/taskDependencyController.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const company = id();
+const department = id();
+const manager = {
+  _id: id(),
+  role: "SuperAdmin",
+  company: { _id: company },
+  department: { _id: department }
+};
+
+const seedTask = (title, blockedBy = []) => ({
+  _id: id(),
+  __t: "AssignedTask",
+  taskType: "AssignedTask",
+  title,
+  description: "Part of the rollout",
+  location: "Site 1",
+  status: "To Do",
+  dueDate: new Date(),
+  priority: "Medium",
+  createdBy: manager._id,
+  department,
+  assignedTo: [manager._id],
+  blockedBy,
+  company
+});
+
+// Run addTaskDependency as the manager; resolves to the response body, or
+// rejects with the error it passed on
+const addDependency = (task, blocker) =>
+  asUser(manager, () => {
+    const req = {
+      user: manager,
+      permission: { action: "update", resource: "assignedTask" },
+      params: { id: String(task._id) },
+      body: { blockedBy: String(blocker._id) }
+    };
+
+    return new Promise((resolve, reject) => {
+      const res = {
+        status: () => res,
+        json: resolve
+      };
+      addTaskDependency(req, res, reject);
+    });
+  });
+
+describe("addTaskDependency", () => {
+  const startSession = mongoose.startSession;
+  let tasks;
+
+  before(() => {
+    // The in-memory collections have no transactions; run the callback once
+    mongoose.startSession = async () => ({
+      withTransaction: async (fn) => fn(),
+      endSession: async () => {}
+    });
+  });
+
+  after(() => {
+    mongoose.startSession = startSession;
+  });
+
+  beforeEach(() => {
+    resetDb();
+    storedDocs(Company).push({ _id: company, name: "Acme", dependencyVersion: 0 });
+
+    // Q blocked by R, and S blocked by P, are already stored
+    const p = seedTask("Task P");
+    const r = seedTask("Task R");
+    const q = seedTask("Task Q", [r._id]);
+    const s = seedTask("Task S", [p._id]);
+    storedDocs(Task).push(p, q, r, s);
+    tasks = { p, q, r, s };
+  });
+
+  it("refuses the dependency that closes a cycle through four tasks", async () => {
+    const { p, q, r, s } = tasks;
+
+    await addDependency(p, q);
+    await assert.rejects(addDependency(r, s), (error) => error.errorCode === "DEPENDENCY_CYCLE");
+
+    assert.deepEqual(storedDocs(Task).find(({ _id }) => _id.equals(r._id)).blockedBy, []);
+  });
+
+  it("bumps the company's dependency counter with every addition", async () => {
+    // Concurrent additions in the company all write this document, so
+    // MongoDB lets only one of them commit at a time, however disjoint
+    // their tasks are (such as P blocked by Q and R blocked by S)
+    const { p, q, r, s } = tasks;
+
+    await addDependency(p, q);
+    await addDependency(s, r);
+
+    const [stored] = storedDocs(Company);
+    assert.equal(stored.dependencyVersion, 2);
+  });
+});
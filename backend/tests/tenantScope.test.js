@@ -0,0 +1,192 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { resetDb, storedDocs } from "./helpers/memoryDb.js";
+import { asUser } from "./helpers/context.js";
+import { Task, AssignedTask, RoutineTask, TaskActivity, Notification } from "../models/index.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const companyA = id();
+const companyB = id();
+const userA = { _id: id(), company: { _id: companyA } };
+
+const ids = (docs) => docs.map((doc) => String(doc._id)).sort();
+
+const isCrossTenant = (error) => error.errorCode === "CROSS_TENANT_ACCESS" && error.statusCode === 403;
+
+// A stored document of each tenant-owned task model, as the server returns it
+const seeds = {
+  Task: (company) => ({
+    _id: id(),
+    __t: "AssignedTask",
+    title: "Fix the pump",
+    description: "Replace the seal",
+    location: "Site 1",
+    status: "To Do",
+    dueDate: new Date(),
+    priority: "Medium",
+    createdBy: id(),
+    department: id(),
+    assignedTo: [id()],
+    company
+  }),
+  RoutineTask: (company) => ({
+    _id: id(),
+    date: new Date(),
+    performedBy: id(),
+    department: id(),
+    performedTasks: [{ description: "Checked the boiler", isCompleted: true }],
+    company
+  }),
+  TaskActivity: (company) => ({
+    _id: id(),
+    task: id(),
+    performedBy: id(),
+    description: "Started the work",
+    statusChange: { from: "To Do", to: "In Progress" },
+    company
+  }),
+  Notification: (company) => ({
+    _id: id(),
+    user: id(),
+    message: "You have been assigned a new task",
+    type: "TaskAssignment",
+    isRead: false,
+    company
+  })
+};
+
+const MODELS = { Task, RoutineTask, TaskActivity, Notification };
+
+describe("tenantScope", () => {
+  let stored;
+
+  beforeEach(() => {
+    resetDb();
+    stored = {};
+    for (const [name, model] of Object.entries(MODELS)) {
+      const a = seeds[name](companyA);
+      const b = seeds[name](companyB);
+      storedDocs(model).push(a, b);
+      stored[name] = { a, b };
+    }
+  });
+
+  for (const [name, model] of Object.entries(MODELS)) {
+    describe(name, () => {
+      it("finds only the documents of the user's company", async () => {
+        const docs = await asUser(userA, () => model.find());
+        assert.deepEqual(ids(docs), [String(stored[name].a._id)]);
+      });
+
+      it("does not find another company's document by id", async () => {
+        const doc = await asUser(userA, () => model.findById(stored[name].b._id));
+        assert.equal(doc, null);
+      });
+
+      it("counts and lists distinct values of the user's company only", async () => {
+        const [count, companies] = await asUser(userA, () =>
+          Promise.all([model.countDocuments(), model.distinct("company")])
+        );
+        assert.equal(count, 1);
+        assert.deepEqual(companies.map(String), [String(companyA)]);
+      });
+
+      it("confines aggregations to the user's company", async () => {
+        const docs = await asUser(userA, () => model.aggregate([{ $match: {} }]));
+        assert.deepEqual(ids(docs), [String(stored[name].a._id)]);
+      });
+
+      it("narrows a condition on several companies to the user's", async () => {
+        const docs = await asUser(userA, () => model.find({ company: { $in: [companyA, companyB] } }));
+        assert.deepEqual(ids(docs), [String(stored[name].a._id)]);
+      });
+
+      it("throws CROSS_TENANT_ACCESS for a query naming another company", async () => {
+        await assert.rejects(asUser(userA, () => model.find({ company: companyB })), isCrossTenant);
+      });
+
+      it("updates only the documents of the user's company", async () => {
+        const { matchedCount } = await asUser(userA, () =>
+          model.updateMany({}, { $set: { updatedAt: new Date(0) } }, { timestamps: false })
+        );
+        assert.equal(matchedCount, 1);
+        const [a, b] = storedDocs(model);
+        assert.deepEqual(a.updatedAt, new Date(0));
+        assert.equal(b.updatedAt, undefined);
+      });
+
+      it("refuses to save another company's document", async () => {
+        const doc = await model.findById(stored[name].b._id);
+        doc.set("createdAt", new Date());
+        await assert.rejects(asUser(userA, () => doc.save()), isCrossTenant);
+      });
+
+      it("sees every company with skipTenant", async () => {
+        const [docs, aggregated] = await asUser(userA, () =>
+          Promise.all([
+            model.find().setOptions({ skipTenant: true }),
+            model.aggregate([{ $match: {} }]).option({ skipTenant: true })
+          ])
+        );
+        const both = ids([stored[name].a, stored[name].b]);
+        assert.deepEqual(ids(docs), both);
+        assert.deepEqual(ids(aggregated), both);
+      });
+
+      it("adds nothing outside a signed-in request", async () => {
+        const docs = await model.find();
+        assert.equal(docs.length, 2);
+      });
+    });
+  }
+
+  describe("new documents", () => {
+    const notification = (company) => ({
+      user: userA._id,
+      message: "Task updated",
+      type: "TaskUpdate",
+      linkedDocument: id(),
+      linkedDocumentType: "Task",
+      company
+    });
+
+    it("saves a document of the user's company", async () => {
+      await asUser(userA, () => new Notification(notification(companyA)).save());
+      assert.equal(storedDocs(Notification).length, 3);
+    });
+
+    it("refuses to save a document of another company", async () => {
+      await assert.rejects(
+        asUser(userA, () => new Notification(notification(companyB)).save()),
+        isCrossTenant
+      );
+      await assert.rejects(
+        asUser(userA, () =>
+          new AssignedTask({ ...seeds.Task(companyB), _id: undefined, __t: undefined }).save()
+        ),
+        isCrossTenant
+      );
+      assert.equal(storedDocs(Notification).length, 2);
+    });
+
+    it("refuses insertMany when any document belongs to another company", async () => {
+      await assert.rejects(
+        asUser(userA, () =>
+          Notification.insertMany([notification(companyA), notification(companyB)])
+        ),
+        isCrossTenant
+      );
+      assert.equal(storedDocs(Notification).length, 2);
+    });
+
+    it("inserts documents of another company with skipTenant", async () => {
+      await asUser(userA, () =>
+        Notification.insertMany([notification(companyB)], { skipTenant: true })
+      );
+      await asUser(userA, () => new Notification(notification(companyB)).save({ skipTenant: true }));
+      assert.equal(storedDocs(Notification).length, 4);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { resetDb, storedDocs } from "./helpers/memoryDb.js";
+import { User } from "../models/index.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe("useTwoFactorRecoveryCode", () => {
+  let user;
+
+  beforeEach(() => {
+    resetDb();
+    user = new User({
+      _id: id(),
+      firstName: "Jane",
+      lastName: "Smith",
+      email: "jane@company.com",
+      password: "password123",
+      role: "Manager",
+      department: id(),
+      company: id(),
+      twoFactorEnabled: true,
+      twoFactorRecoveryCodes: [User.hashToken("AAAA-BBBB"), User.hashToken("CCCC-DDDD")]
+    });
+    storedDocs(User).push(user.toObject({ transform: false }));
+  });
+
+  it("accepts a code once, also when used by concurrent requests", async () => {
+    const results = await Promise.all([
+      user.useTwoFactorRecoveryCode("aaaa-bbbb"),
+      user.useTwoFactorRecoveryCode("AAAA-BBBB")
+    ]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+    assert.equal(await User.countRecoveryCodes(user._id), 1);
+  });
+
+  it("rejects codes the user does not have", async () => {
+    assert.equal(await user.useTwoFactorRecoveryCode("EEEE-FFFF"), false);
+    assert.equal(await User.countRecoveryCodes(user._id), 2);
+  });
+});
@@ -0,0 +1,225 @@
+// Mongoose plugin recording every create, update and delete made while
+// handling a signed-in request into the AuditLog collection, with the
+// changed fields before and after. Fields hidden with select: false
+// (passwords, token hashes, secrets) are never copied into the log.
+import AuditLog from "../models/AuditLog.js";
+import { getRequest } from "./RequestContext.js";
+
+// Upper bound of documents recorded for one updateMany/deleteMany
+const MAX_BULK_ENTRIES = 1000;
+
+const UPDATE_QUERIES = ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"];
+const DELETE_QUERIES = ["deleteOne", "deleteMany", "findOneAndDelete"];
+
+// Who is writing, taken from the request; null outside a signed-in request
+// (registration, login, scripts), which have their own trails
+const auditContext = () => {
+  const req = getRequest();
+  if (!req?.user) return null;
+
+  return {
+    company: req.user.company._id,
+    plan: req.user.company.subscription?.plan,
+    actor: req.user._id,
+    impersonator: req.impersonation?.impersonator._id,
+    apiKey: req.apiKey?._id,
+    method: req.method,
+    path: req.originalUrl.slice(0, 500),
+    ip: req.ip,
+    requestId: req.id,
+  };
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Flatten a document into { "dot.path": value }, keeping arrays whole
+const flatten = (value, prefix = "", fields = {}) => {
+  for (const [key, child] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length) {
+      flatten(child, path, fields);
+    } else {
+      fields[path] = child;
+    }
+  }
+  return fields;
+};
+
+const snapshot = (doc, excluded) => {
+  const object =
+    typeof doc.toObject === "function"
+      ? doc.toObject({
+          depopulate: true,
+          flattenMaps: true,
+          virtuals: false,
+          transform: false,
+        })
+      : doc;
+
+  const fields = flatten(object);
+  for (const path of Object.keys(fields)) {
+    if (excluded.some((field) => path === field || path.startsWith(`${field}.`))) {
+      delete fields[path];
+    }
+  }
+  return fields;
+};
+
+const diff = (before, after) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+
+// Entries without changes (a save that changed nothing, or only ignored
+// fields) are dropped. Written in the caller's transaction, if any, so
+// they are rolled back with it.
+const record = async (context, entries, session) => {
+  const changed = entries.filter(({ changes }) => changes.length);
+  if (!changed.length) return;
+
+  const { plan, ...fields } = context;
+  const expiresAt = AuditLog.expiryFor(plan);
+
+  try {
+    await AuditLog.insertMany(
+      changed.map((entry) => ({ ...fields, ...entry, expiresAt })),
+      { session }
+    );
+  } catch (error) {
+    console.error("Audit log error:", error);
+  }
+};
+
+/**
+ * @param {mongoose.Schema} schema
+ * @param {Object} [options]
+ * @param {string[]} [options.ignore] - Bookkeeping fields whose changes are not recorded
+ */
+export const auditTrail = (schema, { ignore = [] } = {}) => {
+  const excluded = ["__v", "updatedAt", ...ignore];
+  schema.eachPath((path, type) => {
+    if (type.options?.select === false) excluded.push(path);
+  });
+
+  // Query middleware has no $locals, so its state is kept here
+  const queryState = new WeakMap();
+
+  // Remember the stored state of loaded documents to diff them on save.
+  // Reads don't write, so GET requests skip the copy.
+  schema.post("init", function () {
+    if (["GET", "HEAD"].includes(getRequest()?.method)) return;
+    this.$locals.auditSnapshot = snapshot(this, excluded);
+  });
+
+  schema.pre("save", function () {
+    this.$locals.auditContext = auditContext();
+    this.$locals.auditAction = this.isNew ? "create" : "update";
+  });
+
+  schema.post("save", async function () {
+    const { auditContext: context, auditAction: action } = this.$locals;
+    const before = action === "create" ? {} : this.$locals.auditSnapshot ?? {};
+    const after = snapshot(this, excluded);
+    this.$locals.auditSnapshot = after;
+
+    if (!context) return;
+    await record(
+      context,
+      [
+        {
+          action,
+          resourceType: this.constructor.modelName,
+          resourceId: this._id,
+          changes: diff(before, after),
+        },
+      ],
+      this.$session()
+    );
+  });
+
+  schema.pre("deleteOne", { document: true, query: false }, function () {
+    this.$locals.auditContext = auditContext();
+  });
+
+  schema.post("deleteOne", { document: true, query: false }, async function () {
+    const context = this.$locals.auditContext;
+    if (!context) return;
+
+    await record(
+      context,
+      [
+        {
+          action: "delete",
+          resourceType: this.constructor.modelName,
+          resourceId: this._id,
+          changes: diff(snapshot(this, excluded), {}),
+        },
+      ],
+      this.$session()
+    );
+  });
+
+  // Query writes don't load documents, so look up the matched ones first.
+  // The write's own filter already says whether trashed documents match.
+  schema.pre(
+    [...UPDATE_QUERIES, ...DELETE_QUERIES],
+    { document: false, query: true },
+    async function () {
+      const context = auditContext();
+      if (!context) return;
+
+      const documents = await this.model
+        .find(this.getFilter())
+        .session(this.getOptions().session ?? null)
+        .limit(this.op.endsWith("Many") ? MAX_BULK_ENTRIES : 1)
+        .setOptions({ withDeleted: true })
+        .lean();
+
+      queryState.set(this, { context, documents });
+    }
+  );
+
+  schema.post(
+    [...UPDATE_QUERIES, ...DELETE_QUERIES],
+    { document: false, query: true },
+    async function () {
+      const state = queryState.get(this);
+      if (!state?.documents.length) return;
+
+      const session = this.getOptions().session ?? null;
+      const resourceType = this.model.modelName;
+      let entries;
+
+      if (DELETE_QUERIES.includes(this.op)) {
+        entries = state.documents.map((doc) => ({
+          action: "delete",
+          resourceType,
+          resourceId: doc._id,
+          changes: diff(snapshot(doc, excluded), {}),
+        }));
+      } else {
+        const updated = await this.model
+          .find({ _id: { $in: state.documents.map(({ _id }) => _id) } })
+          .session(session)
+          .setOptions({ withDeleted: true })
+          .lean();
+        const updatedById = new Map(updated.map((doc) => [String(doc._id), doc]));
+
+        entries = state.documents.map((doc) => ({
+          action: "update",
+          resourceType,
+          resourceId: doc._id,
+          changes: diff(
+            snapshot(doc, excluded),
+            snapshot(updatedById.get(String(doc._id)) ?? {}, excluded)
+          ),
+        }));
+      }
+
+      await record(state.context, entries, session ?? undefined);
+    }
+  );
+};
@@ -0,0 +1,22 @@
+// Hard-delete every matching document in fixed-size batches, so large
+// collections are never removed in one huge operation. Trashed documents
+// are included. Returns the number deleted.
+const BATCH_SIZE = 500;
+
+export const deleteInBatches = async (Model, filter) => {
+  let deleted = 0;
+
+  for (;;) {
+    const batch = await Model.find(filter)
+      .select("_id")
+      .limit(BATCH_SIZE)
+      .setOptions({ withDeleted: true })
+      .lean();
+    if (!batch.length) return deleted;
+
+    const { deletedCount } = await Model.deleteMany({
+      _id: { $in: batch.map(({ _id }) => _id) }
+    });
+    deleted += deletedCount;
+  }
+};
@@ -0,0 +1,155 @@
+// Tenant offboarding: export of everything a company owns, and the purge
+// of companies whose scheduled deletion date has passed
+import {
+  Company,
+  Department,
+  User,
+  Task,
+  RoutineTask,
+  TaskTemplate,
+  TaskActivity,
+  TaskReminder,
+  Notification,
+  Invitation,
+  ApiKey,
+  Role,
+  Session,
+  AuditLog,
+  ImpersonationLog,
+  CompanyTombstone
+} from "../models/index.js";
+import { deleteInBatches } from "./BatchDelete.js";
+import { scheduleJob } from "./Scheduler.js";
+
+// Days between the deletion request and the purge, during which it can be cancelled
+export const DELETION_GRACE_DAYS = parseInt(process.env.COMPANY_DELETION_GRACE_DAYS || "30", 10);
+
+const DAY = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL = 60 * 60 * 1000;
+// A purge that has not finished by then is assumed to have died and is resumed
+const STALE_PURGE_AGE = 6 * 60 * 60 * 1000;
+
+// Collections owned by a company through their company field, children
+// before their parents. Task covers every task type.
+const COMPANY_COLLECTIONS = [
+  TaskReminder,
+  TaskActivity,
+  Task,
+  RoutineTask,
+  TaskTemplate,
+  Notification,
+  Invitation,
+  ApiKey,
+  Role,
+  Session,
+  AuditLog,
+  ImpersonationLog,
+  Department,
+  User
+];
+
+export const deletionDateFrom = (from = new Date()) =>
+  new Date(from.getTime() + DELETION_GRACE_DAYS * DAY);
+
+/**
+ * Write the company and every document it owns as NDJSON, one
+ * { collection, document } object per line, after a header line.
+ * Trashed documents are included; fields hidden with select: false
+ * (password hashes, secrets) are left out.
+ * @param {mongoose.Types.ObjectId} companyId
+ * @param {(line: string) => Promise<void>} writeLine
+ */
+export const exportCompany = async (companyId, writeLine) => {
+  const company = await Company.findById(companyId).lean();
+
+  await writeLine(
+    JSON.stringify({
+      format: "task-manager-export",
+      version: 1,
+      company: companyId,
+      exportedAt: new Date()
+    })
+  );
+  await writeLine(JSON.stringify({ collection: Company.collection.collectionName, document: company }));
+
+  for (const Model of COMPANY_COLLECTIONS) {
+    const collection = Model.collection.collectionName;
+    const cursor = Model.find({ company: companyId })
+      .setOptions({ withDeleted: true })
+      .lean()
+      .cursor();
+
+    for await (const document of cursor) {
+      await writeLine(JSON.stringify({ collection, document }));
+    }
+  }
+};
+
+// Remove a claimed company and everything it owns, keeping a tombstone.
+// The tombstone is written first and counts are added as each collection
+// is emptied, so a purge that dies halfway is resumed without losing them.
+const purgeCompany = async (company) => {
+  const requester = company.deletion.requestedBy
+    ? await User.findById(company.deletion.requestedBy)
+        .select("email")
+        .setOptions({ withDeleted: true })
+        .lean()
+    : null;
+
+  await CompanyTombstone.updateOne(
+    { company: company._id },
+    {
+      $setOnInsert: {
+        name: company.name,
+        email: company.email,
+        requestedAt: company.deletion.requestedAt,
+        requestedBy: company.deletion.requestedBy,
+        requestedByEmail: requester?.email,
+        scheduledFor: company.deletion.scheduledFor,
+        startedAt: company.deletion.startedAt
+      }
+    },
+    { upsert: true }
+  );
+
+  for (const Model of COMPANY_COLLECTIONS) {
+    const deleted = await deleteInBatches(Model, { company: company._id });
+    await CompanyTombstone.updateOne(
+      { company: company._id },
+      { $inc: { [`documentCounts.${Model.collection.collectionName}`]: deleted } }
+    );
+  }
+
+  await Company.deleteOne({ _id: company._id });
+  await CompanyTombstone.updateOne({ company: company._id }, { deletedAt: new Date() });
+
+  console.log(`Company ${company._id} (${company.name}) deleted`);
+};
+
+/**
+ * Purge every company whose deletion date has passed. Each company is
+ * claimed first, so several server instances never purge the same one.
+ */
+export const processScheduledDeletions = async () => {
+  for (;;) {
+    const now = new Date();
+    const company = await Company.findOneAndUpdate(
+      {
+        "deletion.scheduledFor": { $lte: now },
+        $or: [
+          { "deletion.startedAt": { $exists: false } },
+          { "deletion.startedAt": { $lt: new Date(now.getTime() - STALE_PURGE_AGE) } }
+        ]
+      },
+      { "deletion.startedAt": now },
+      { new: true }
+    ).lean();
+
+    if (!company) return;
+    await purgeCompany(company);
+  }
+};
+
+// Check for due deletions every hour
+export const startDeletionScheduler = () =>
+  scheduleJob("Scheduled company deletion", processScheduledDeletions, CHECK_INTERVAL);
@@ -0,0 +1,68 @@
+// backend/utils/Csv.js
+// RFC 4180 CSV parsing and writing: quoted fields, escaped quotes ("") and
+// CRLF line breaks
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+// Parse CSV with a header row into objects keyed by the header names
+export const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  const keys = header.map((name) => name.trim());
+
+  return rows.map((cells) =>
+    Object.fromEntries(keys.map((key, index) => [key, cells[index]?.trim() ?? ""]))
+  );
+};
+
+// Quote a value when needed. Values that spreadsheets would run as a
+// formula (=, +, -, @) are prefixed with a single quote.
+const formatCsvField = (value) => {
+  let field = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(field)) field = `'${field}`;
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+// Write rows of values, the first being the header, as CSV text
+export const toCsv = (rows) =>
+  rows.map((cells) => cells.map(formatCsvField).join(",")).join("\r\n") + "\r\n";
@@ -0,0 +1,178 @@
+// Due date reminders. Open tasks due within the next 24 hours, or overdue
+// by up to a week, remind whoever still has work on them of the step their
+// due date has reached: due within 24 hours, due today, then overdue. Each
+// step is sent once per user (see TaskReminder). A snoozed reminder is sent
+// again when its snooze ends, unless the task has been finished or has
+// reached the next step in the meantime.
+import { Company, Task, TaskReminder, Notification } from "../models/index.js";
+import { AWAITING_APPROVAL, statusesIn } from "../config/workflow.js";
+import { isValidTimeZone, localDate } from "./Recurrence.js";
+import { scheduleJob } from "./Scheduler.js";
+
+export const DUE_REMINDER_INTERVAL_MINUTES = parseInt(process.env.DUE_REMINDER_INTERVAL_MINUTES || "15", 10);
+
+// Time zone whose calendar days "due today" goes by
+const configuredTimeZone = process.env.DUE_REMINDER_TIME_ZONE || "UTC";
+if (!isValidTimeZone(configuredTimeZone)) {
+  console.warn(`Invalid DUE_REMINDER_TIME_ZONE "${configuredTimeZone}", using UTC`);
+}
+export const DUE_REMINDER_TIME_ZONE = isValidTimeZone(configuredTimeZone) ? configuredTimeZone : "UTC";
+
+const DAY = 24 * 60 * 60 * 1000;
+// How long after their due date overdue tasks are still looked at
+const OVERDUE_WINDOW = 7 * DAY;
+
+const TASK_FIELDS = "title status dueDate assignedTo completedBy createdBy department company";
+
+const MESSAGES = {
+  dueSoon: (title) => `"${title}" is due within 24 hours`,
+  dueToday: (title) => `"${title}" is due today`,
+  overdue: (title) => `"${title}" is overdue`
+};
+
+/**
+ * Step of REMINDER_KINDS a due date has reached
+ * @param {Date} dueDate
+ * @param {Date} now
+ * @returns {string|null} null while the due date is more than 24 hours away
+ */
+export const reminderKindFor = (dueDate, now = new Date()) => {
+  if (dueDate <= now) return "overdue";
+  if (localDate(DUE_REMINDER_TIME_ZONE, dueDate) === localDate(DUE_REMINDER_TIME_ZONE, now)) {
+    return "dueToday";
+  }
+  if (dueDate - now <= DAY) return "dueSoon";
+  return null;
+};
+
+// Who still has work on a task: the assignees who have not completed their
+// part, or the creator of tasks without assignees
+const recipientsOf = (task) => {
+  if (!task.assignedTo?.length) return [task.createdBy];
+
+  const completed = new Set((task.completedBy ?? []).map(({ user }) => String(user)));
+  return task.assignedTo.filter((user) => !completed.has(String(user)));
+};
+
+const sendReminder = async (task, reminder) => {
+  const notification = await Notification.create({
+    user: reminder.user,
+    message: MESSAGES[reminder.kind](task.title.slice(0, 60)),
+    type: "TaskReminder",
+    task: task._id,
+    department: task.department,
+    company: task.company,
+    linkedDocument: task._id,
+    linkedDocumentType: "Task"
+  });
+
+  await TaskReminder.updateOne(
+    { _id: reminder._id },
+    { $set: { notification: notification._id, sentAt: new Date() }, $unset: { snoozedUntil: "" } }
+  );
+};
+
+// Send the reminders of the step the task has reached to the recipients
+// who have not had it yet. Creating the TaskReminder first claims the
+// reminder, so it is not sent twice.
+const remindOfTask = async (task, now) => {
+  const kind = reminderKindFor(task.dueDate, now);
+  if (!kind) return 0;
+
+  let sent = 0;
+  for (const user of recipientsOf(task)) {
+    const { upsertedId } = await TaskReminder.updateOne(
+      { task: task._id, user, kind },
+      { $setOnInsert: { company: task.company } },
+      { upsert: true }
+    );
+    if (!upsertedId) continue;
+
+    try {
+      await sendReminder(task, { _id: upsertedId, user, kind });
+    } catch (error) {
+      // Tried again on the next run
+      await TaskReminder.deleteOne({ _id: upsertedId });
+      throw error;
+    }
+    sent++;
+  }
+  return sent;
+};
+
+// Send a snoozed reminder again, or drop the snooze when it no longer applies
+const resendSnoozed = async (reminder, closed, now) => {
+  const task = await Task.findById(reminder.task).select(TASK_FIELDS).lean();
+
+  const applies =
+    task &&
+    !closed.includes(task.status) &&
+    reminderKindFor(task.dueDate, now) === reminder.kind &&
+    recipientsOf(task).some((user) => String(user) === String(reminder.user));
+
+  if (!applies) {
+    await TaskReminder.updateOne({ _id: reminder._id }, { $unset: { snoozedUntil: "" } });
+    return 0;
+  }
+
+  await sendReminder(task, reminder);
+  return 1;
+};
+
+// Remind of the tasks of active companies. A failing task or reminder is
+// logged and does not stop the others.
+export const sendDueReminders = async () => {
+  const now = new Date();
+  const companies = await Company.distinct("_id", {
+    isActive: true,
+    "deletion.scheduledFor": { $exists: false }
+  });
+
+  // Statuses of each company's tasks that need no more reminders
+  const closedStatuses = new Map();
+  for (const company of companies) {
+    const workflow = await Company.workflowOf(company);
+    closedStatuses.set(String(company), [...statusesIn(workflow, "done"), AWAITING_APPROVAL]);
+  }
+
+  let sent = 0;
+
+  for (const company of companies) {
+    const cursor = Task.find({
+      company,
+      status: { $nin: closedStatuses.get(String(company)) },
+      dueDate: { $gt: new Date(now.getTime() - OVERDUE_WINDOW), $lte: new Date(now.getTime() + DAY) }
+    })
+      .select(TASK_FIELDS)
+      .lean()
+      .cursor();
+
+    for await (const task of cursor) {
+      try {
+        sent += await remindOfTask(task, now);
+      } catch (error) {
+        console.error(`Task ${task._id} reminder error:`, error);
+      }
+    }
+  }
+
+  const snoozed = TaskReminder.find({ snoozedUntil: { $lte: now }, company: { $in: companies } })
+    .lean()
+    .cursor();
+
+  for await (const reminder of snoozed) {
+    try {
+      sent += await resendSnoozed(reminder, closedStatuses.get(String(reminder.company)), now);
+    } catch (error) {
+      console.error(`Reminder ${reminder._id} error:`, error);
+    }
+  }
+
+  if (sent) {
+    console.log(`Sent ${sent} due date reminder(s)`);
+  }
+};
+
+// Remind every DUE_REMINDER_INTERVAL_MINUTES
+export const startDueReminderScheduler = () =>
+  scheduleJob("Due date reminders", sendDueReminders, DUE_REMINDER_INTERVAL_MINUTES * 60 * 1000);
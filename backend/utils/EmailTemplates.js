@@ -0,0 +1,117 @@
+// backend/utils/EmailTemplates.js
+
+const CLIENT_URL = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+// Escape a value for interpolation into an HTML body or attribute
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+// The title is plain text and is escaped here; the body is HTML, so the
+// templates escape the values they interpolate into it
+const layout = (title, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto;">
+    <h2 style="color: #0d47a1;">${escapeHtml(title)}</h2>
+    ${body}
+    <p style="color: #757575; font-size: 12px;">
+      This is an automated message from Taskmanager. Please do not reply.
+    </p>
+  </div>
+`;
+
+export const passwordResetEmail = ({ firstName, token }) => {
+  const resetUrl = `${CLIENT_URL()}/reset-password/${token}`;
+
+  return {
+    subject: "Reset your Taskmanager password",
+    text: `Hi ${firstName},\n\nWe received a request to reset your password. Open the link below within 15 minutes to choose a new one:\n\n${resetUrl}\n\nIf you did not request a password reset, you can safely ignore this email.`,
+    html: layout(
+      "Reset your password",
+      `<p>Hi ${escapeHtml(firstName)},</p>
+       <p>We received a request to reset your password. The link below is valid for 15 minutes and can only be used once.</p>
+       <p><a href="${escapeHtml(resetUrl)}">Reset password</a></p>
+       <p>If you did not request a password reset, you can safely ignore this email.</p>`
+    ),
+  };
+};
+
+export const passwordChangedEmail = ({ firstName }) => ({
+  subject: "Your Taskmanager password was changed",
+  text: `Hi ${firstName},\n\nYour password was just reset and all active sessions were signed out. If this was not you, contact your company administrator immediately.`,
+  html: layout(
+    "Password changed",
+    `<p>Hi ${escapeHtml(firstName)},</p>
+     <p>Your password was just reset and all active sessions were signed out.</p>
+     <p>If this was not you, contact your company administrator immediately.</p>`
+  ),
+});
+
+export const verificationCodeEmail = ({ firstName, code }) => {
+  const verifyUrl = `${CLIENT_URL()}/verify-email`;
+
+  return {
+    subject: "Verify your Taskmanager account",
+    text: `Hi ${firstName},\n\nYour verification code is: ${code}\n\nEnter it at ${verifyUrl} within 24 hours to activate your account.`,
+    html: layout(
+      "Verify your account",
+      `<p>Hi ${escapeHtml(firstName)},</p>
+       <p>Use the code below to verify your email address. It is valid for 24 hours.</p>
+       <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${escapeHtml(code)}</p>
+       <p>Enter it at <a href="${escapeHtml(verifyUrl)}">${escapeHtml(verifyUrl)}</a>.</p>`
+    ),
+  };
+};
+
+export const emailChangeConfirmationEmail = ({ firstName, token }) => {
+  const confirmUrl = `${CLIENT_URL()}/confirm-email/${token}`;
+
+  return {
+    subject: "Confirm your new Taskmanager email address",
+    text: `Hi ${firstName},\n\nOpen the link below within 1 hour to confirm this address as your new Taskmanager login email:\n\n${confirmUrl}\n\nIf you did not request this change, ignore this email and your address will stay the same.`,
+    html: layout(
+      "Confirm your new email",
+      `<p>Hi ${escapeHtml(firstName)},</p>
+       <p>Confirm this address as your new login email. The link is valid for 1 hour.</p>
+       <p><a href="${escapeHtml(confirmUrl)}">Confirm email address</a></p>
+       <p>If you did not request this change, ignore this email and your address will stay the same.</p>`
+    ),
+  };
+};
+
+export const invitationEmail = ({ inviterName, companyName, token }) => {
+  const acceptUrl = `${CLIENT_URL()}/accept-invite/${token}`;
+
+  return {
+    subject: `You're invited to join ${companyName} on Taskmanager`,
+    text: `Hi,\n\n${inviterName} invited you to join ${companyName} on Taskmanager. Open the link below within 7 days to set your password and activate your account:\n\n${acceptUrl}\n\nIf you were not expecting this invitation, you can safely ignore this email.`,
+    html: layout(
+      `Join ${companyName}`,
+      `<p>Hi,</p>
+       <p>${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(companyName)}</strong> on Taskmanager. The link below is valid for 7 days.</p>
+       <p><a href="${escapeHtml(acceptUrl)}">Accept invitation</a></p>
+       <p>If you were not expecting this invitation, you can safely ignore this email.</p>`
+    ),
+  };
+};
+
+export const accountLockedEmail = ({ firstName, lockedUntil, ip }) => ({
+  subject: "Your Taskmanager account was temporarily locked",
+  text: `Hi ${firstName},\n\nYour account was locked until ${lockedUntil.toUTCString()} after repeated failed login attempts (last from IP ${ip}).\n\nIf this was not you, reset your password once the lock expires or ask your company administrator to unlock your account.`,
+  html: layout(
+    "Account temporarily locked",
+    `<p>Hi ${escapeHtml(firstName)},</p>
+     <p>Your account was locked until <strong>${escapeHtml(lockedUntil.toUTCString())}</strong> after repeated failed login attempts (last from IP ${escapeHtml(ip)}).</p>
+     <p>If this was not you, reset your password once the lock expires or ask your company administrator to unlock your account.</p>`
+  ),
+});
+
+export const emailChangeAlertEmail = ({ firstName, newEmail }) => ({
+  subject: "Your Taskmanager email address is being changed",
+  text: `Hi ${firstName},\n\nA request was made to change your login email to ${newEmail}. The change only takes effect once it is confirmed from the new address.\n\nIf this was not you, log in and cancel the pending change, then reset your password.`,
+  html: layout(
+    "Email change requested",
+    `<p>Hi ${escapeHtml(firstName)},</p>
+     <p>A request was made to change your login email to <strong>${escapeHtml(newEmail)}</strong>. The change only takes effect once it is confirmed from the new address.</p>
+     <p>If this was not you, log in and cancel the pending change, then reset your password.</p>`
+  ),
+});
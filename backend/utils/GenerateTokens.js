@@ -1,19 +1,85 @@
 // backend/utils/GenerateTokens.js
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 
 // Token max ages
 const ACCESS_TOKEN_MAX_AGE = 15 * 60 * 1000; // 15 minute
-const REFRESH_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+const TWO_FACTOR_TOKEN_MAX_AGE = 5 * 60 * 1000; // 5 minutes
+const SSO_STATE_TOKEN_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+export const IMPERSONATION_TOKEN_MAX_AGE = 30 * 60 * 1000; // 30 minutes
+export const REFRESH_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
 
-export const generateAccessToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_ACCESS_SECRET, {
+// Every token signed with the access secret has its own audience, so a
+// two-factor, SSO state or impersonation token is never taken for an
+// access token
+export const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_ACCESS_SECRET, {
+    audience: "access",
     expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
   });
 };
 
-export const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "7d",
+export const verifyAccessToken = (token) => {
+  return jwt.verify(token, process.env.JWT_ACCESS_SECRET, {
+    audience: "access",
+  });
+};
+
+// jti keeps every rotated refresh token unique, even within the same second
+export const generateRefreshToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId, jti: crypto.randomUUID() },
+    process.env.JWT_REFRESH_SECRET,
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "7d",
+    }
+  );
+};
+
+// Short-lived proof that the password step of a two-factor login succeeded
+export const generateTwoFactorToken = (userId) => {
+  return jwt.sign({ userId }, process.env.JWT_ACCESS_SECRET, {
+    audience: "two_factor",
+    expiresIn: "5m",
+  });
+};
+
+export const verifyTwoFactorToken = (token) => {
+  return jwt.verify(token, process.env.JWT_ACCESS_SECRET, {
+    audience: "two_factor",
+  });
+};
+
+// Binds an SSO callback to the browser that started it (state, nonce, PKCE)
+export const generateSsoStateToken = (payload) => {
+  return jwt.sign(payload, process.env.JWT_ACCESS_SECRET, {
+    audience: "oidc",
+    expiresIn: "10m",
+  });
+};
+
+export const verifySsoStateToken = (token) => {
+  return jwt.verify(token, process.env.JWT_ACCESS_SECRET, {
+    audience: "oidc",
+  });
+};
+
+// Access token of a SuperAdmin acting as another user. Only honoured next to
+// the impersonator's own access token (see verifyJWT).
+export const generateImpersonationToken = (userId, sessionId, impersonatorId) => {
+  return jwt.sign(
+    { userId, sid: sessionId, impersonatorId },
+    process.env.JWT_ACCESS_SECRET,
+    {
+      audience: "impersonation",
+      expiresIn: "30m",
+    }
+  );
+};
+
+export const verifyImpersonationToken = (token) => {
+  return jwt.verify(token, process.env.JWT_ACCESS_SECRET, {
+    audience: "impersonation",
   });
 };
 
@@ -31,3 +97,26 @@ export const getRefreshTokenCookieOptions = () => ({
   sameSite: "strict",
   maxAge: REFRESH_TOKEN_MAX_AGE,
 });
+
+export const getTwoFactorTokenCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  maxAge: TWO_FACTOR_TOKEN_MAX_AGE,
+});
+
+export const getImpersonationCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  maxAge: IMPERSONATION_TOKEN_MAX_AGE,
+});
+
+// Lax: the cookie must survive the top-level redirect back from the provider
+export const getSsoStateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+  path: "/api/auth/sso",
+  maxAge: SSO_STATE_TOKEN_MAX_AGE,
+});
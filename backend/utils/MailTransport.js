@@ -0,0 +1,36 @@
+// backend/utils/MailTransport.js
+import nodemailer from "nodemailer";
+
+// Centralized mail transport management
+let transportInstance = null;
+
+const createDefaultTransport = () => {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || "587", 10),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  // No SMTP server configured: render messages as JSON instead of sending them
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+/**
+ * Replace the mail transport (e.g. with an SMTP stand-in during tests)
+ * @param {Object} transport - Any object exposing nodemailer's sendMail()
+ */
+export const setMailTransport = (transport) => {
+  transportInstance = transport;
+};
+
+export const getMailTransport = () => {
+  if (!transportInstance) {
+    transportInstance = createDefaultTransport();
+  }
+  return transportInstance;
+};
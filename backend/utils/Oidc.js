@@ -0,0 +1,153 @@
+// backend/utils/Oidc.js
+// Minimal OpenID Connect relying party: discovery, authorization code
+// flow with PKCE and ID token validation against the provider's JWKS
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256"];
+
+const discoveryCache = new Map(); // issuer -> { config, fetchedAt }
+const jwksCache = new Map(); // jwks_uri -> { keys, fetchedAt }
+
+const normalizeIssuer = (issuer) => issuer.replace(/\/+$/, "");
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, {
+    ...options,
+    signal: AbortSignal.timeout(10 * 1000),
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(
+      `OIDC request to ${url} failed with ${response.status}${
+        body.error ? `: ${body.error_description || body.error}` : ""
+      }`
+    );
+  }
+
+  return body;
+};
+
+export const getProviderConfig = async (issuer) => {
+  const key = normalizeIssuer(issuer);
+  const cached = discoveryCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL) return cached.config;
+
+  const config = await fetchJson(`${key}/.well-known/openid-configuration`);
+
+  if (normalizeIssuer(config.issuer || "") !== key) {
+    throw new Error("OIDC discovery issuer does not match the configured issuer");
+  }
+
+  discoveryCache.set(key, { config, fetchedAt: Date.now() });
+  return config;
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) =>
+    keys.find((key) => (kid ? key.kid === kid : key.use !== "enc"));
+
+  const cached = jwksCache.get(jwksUri);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL) {
+    const key = findKey(cached.keys);
+    if (key) return key;
+  }
+
+  // Unknown kid: the provider may have rotated its keys
+  const { keys = [] } = await fetchJson(jwksUri);
+  jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+
+  const key = findKey(keys);
+  if (!key) throw new Error("No matching signing key in the provider JWKS");
+  return key;
+};
+
+export const generateRandomToken = () =>
+  crypto.randomBytes(16).toString("base64url");
+
+export const generatePkce = () => {
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  const codeChallenge = crypto
+    .createHash("sha256")
+    .update(codeVerifier)
+    .digest("base64url");
+
+  return { codeVerifier, codeChallenge };
+};
+
+export const buildAuthorizationUrl = (
+  config,
+  { clientId, redirectUri, state, nonce, codeChallenge, loginHint }
+) => {
+  const url = new URL(config.authorization_endpoint);
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: "openid email profile",
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  });
+  if (loginHint) params.set("login_hint", loginHint);
+
+  url.search = params.toString();
+  return url.toString();
+};
+
+export const exchangeAuthorizationCode = async (
+  config,
+  { clientId, clientSecret, redirectUri, code, codeVerifier }
+) => {
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+  // client_secret_basic is the default; fall back to client_secret_post
+  const authMethods = config.token_endpoint_auth_methods_supported || [
+    "client_secret_basic",
+  ];
+
+  if (authMethods.includes("client_secret_basic")) {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(
+      clientSecret
+    )}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  } else {
+    body.set("client_id", clientId);
+    body.set("client_secret", clientSecret);
+  }
+
+  return fetchJson(config.token_endpoint, { method: "POST", headers, body });
+};
+
+export const verifyIdToken = async (config, idToken, { clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error("ID token is malformed");
+
+  const jwk = await getSigningKey(config.jwks_uri, decoded.header.kid);
+  const publicKey = crypto.createPublicKey({ key: jwk, format: "jwk" });
+
+  const claims = jwt.verify(idToken, publicKey, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: config.issuer,
+    audience: clientId,
+  });
+
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+
+  return claims;
+};
+
+// Read a claim by name; dotted names reach nested claims (e.g. realm_access.roles)
+export const getClaim = (claims, name) =>
+  name
+    ?.split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), claims);
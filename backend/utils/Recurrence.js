@@ -0,0 +1,147 @@
+// Calendar arithmetic for recurring task templates. Days are handled as
+// YYYY-MM-DD strings, so a series follows the template's wall clock and is
+// not shifted by daylight saving changes. A rule is a subset of iCalendar's
+// RRULE:
+//
+//   { frequency: "daily", interval: 2 }                         every other day
+//   { frequency: "weekly", weekdays: [1, 3] }                   Mondays and Wednesdays
+//   { frequency: "monthly", monthDay: 15 }                      the 15th (-1 for the last day)
+//   { frequency: "monthly", weekdays: [2], setPosition: 1 }     the first Tuesday (-1 for the last)
+//
+// Weekdays count from 0 for Sunday. Months without the requested day are
+// skipped, as in RRULE.
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+export const FREQUENCIES = ["daily", "weekly", "monthly"];
+export const DATE_FORMAT = "YYYY-MM-DD";
+
+const parse = (date) => dayjs.utc(date);
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat("en", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// A real calendar day written as YYYY-MM-DD
+export const isValidDate = (date) =>
+  typeof date === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+  parse(date).format(DATE_FORMAT) === date;
+
+/**
+ * Check a rule and the combinations of its fields. Returns an error
+ * message, or null when the rule is valid.
+ */
+export const validateRecurrence = (rule) => {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    return "Recurrence must be an object";
+  }
+  const { frequency, interval, weekdays, monthDay, setPosition, startDate, endDate } = rule;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return `Frequency must be one of: ${FREQUENCIES.join(", ")}`;
+  }
+  if (interval != null && !(Number.isInteger(interval) && interval >= 1 && interval <= 365)) {
+    return "Interval must be a whole number between 1 and 365";
+  }
+  if (!isValidDate(startDate)) return "Start date must be a valid YYYY-MM-DD date";
+  if (endDate != null) {
+    if (!isValidDate(endDate)) return "End date must be a valid YYYY-MM-DD date";
+    if (endDate < startDate) return "End date cannot be before the start date";
+  }
+  if (weekdays != null) {
+    if (!Array.isArray(weekdays) || !weekdays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return "Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)";
+    }
+    if (frequency === "daily" && weekdays.length) return "Weekdays do not apply to a daily recurrence";
+  }
+  if (frequency !== "monthly" && (monthDay != null || setPosition != null)) {
+    return "monthDay and setPosition only apply to a monthly recurrence";
+  }
+  if (frequency === "monthly") {
+    if (monthDay != null && setPosition != null) return "Use either monthDay or setPosition, not both";
+    if (monthDay != null && !(monthDay === -1 || (Number.isInteger(monthDay) && monthDay >= 1 && monthDay <= 31))) {
+      return "Month day must be between 1 and 31, or -1 for the last day";
+    }
+    if (setPosition != null) {
+      if (![1, 2, 3, 4, 5, -1].includes(setPosition)) return "setPosition must be 1 to 5, or -1 for the last";
+      if (!weekdays?.length) return "setPosition needs the weekdays it applies to";
+    } else if (weekdays?.length) {
+      return "Weekdays of a monthly recurrence need a setPosition";
+    }
+  }
+  return null;
+};
+
+// Calendar day in a time zone at the given instant
+export const localDate = (timeZone, at = new Date()) =>
+  dayjs(at).tz(timeZone).format(DATE_FORMAT);
+
+export const addDays = (date, days) => parse(date).add(days, "day").format(DATE_FORMAT);
+
+// Instant a wall clock time ("HH:mm") of a day happens in a time zone
+export const zonedTime = (date, time, timeZone) =>
+  dayjs.tz(`${date} ${time}`, timeZone).toDate();
+
+// Whether the nth (or, counting back, -nth) occurrence of its weekday in its month
+const isWeekdayInPosition = (day, position) =>
+  position > 0
+    ? Math.ceil(day.date() / 7) === position
+    : Math.ceil((day.daysInMonth() - day.date() + 1) / 7) === -position;
+
+const matches = (rule, day, start) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case "daily":
+      return day.diff(start, "day") % interval === 0;
+
+    case "weekly": {
+      const weekdays = rule.weekdays?.length ? rule.weekdays : [start.day()];
+      const weeks = day.startOf("week").diff(start.startOf("week"), "week");
+      return weeks % interval === 0 && weekdays.includes(day.day());
+    }
+
+    case "monthly": {
+      const months = (day.year() - start.year()) * 12 + day.month() - start.month();
+      if (months % interval !== 0) return false;
+
+      if (rule.setPosition) {
+        return rule.weekdays.includes(day.day()) && isWeekdayInPosition(day, rule.setPosition);
+      }
+      const monthDay = rule.monthDay ?? start.date();
+      return monthDay === -1 ? day.date() === day.daysInMonth() : day.date() === monthDay;
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Days of the series between two days, both included.
+ * @param {Object} rule - Recurrence with a startDate and optional endDate
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]}
+ */
+export const occurrencesBetween = (rule, from, to) => {
+  const first = from > rule.startDate ? from : rule.startDate;
+  const last = rule.endDate && rule.endDate < to ? rule.endDate : to;
+  const start = parse(rule.startDate);
+  const dates = [];
+
+  for (let day = parse(first); day.format(DATE_FORMAT) <= last; day = day.add(1, "day")) {
+    if (matches(rule, day, start)) dates.push(day.format(DATE_FORMAT));
+  }
+  return dates;
+};
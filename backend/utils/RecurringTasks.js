@@ -0,0 +1,225 @@
+// Generation of the tasks of recurring task templates. Every active
+// template gets its tasks created TASK_TEMPLATE_LOOKAHEAD_DAYS ahead, one per
+// day of its series. Tasks are keyed by template and day, so a repeated or
+// interrupted run (a restart, several server instances) never creates a day
+// twice, and a generated task that was trashed is not brought back.
+import mongoose from "mongoose";
+import {
+  Company,
+  User,
+  Task,
+  AssignedTask,
+  RoutineTask,
+  Notification,
+  TaskTemplate
+} from "../models/index.js";
+import { addDays, localDate, occurrencesBetween, zonedTime } from "./Recurrence.js";
+import { scheduleJob } from "./Scheduler.js";
+
+export const LOOKAHEAD_DAYS = parseInt(process.env.TASK_TEMPLATE_LOOKAHEAD_DAYS || "14", 10);
+
+const CHECK_INTERVAL = 60 * 60 * 1000;
+const DUPLICATE_KEY_ERROR = 11000;
+
+const modelFor = (template) =>
+  template.taskType === "RoutineTask" ? RoutineTask : AssignedTask;
+
+// Assignees or performer who can still be given work
+const activeUsersOf = async (template) => {
+  const ids = template.taskType === "RoutineTask" ? [template.performedBy] : template.assignedTo;
+  const users = await User.find({ _id: { $in: ids }, isActive: true }).select("_id").lean();
+  return users.map(({ _id }) => _id);
+};
+
+const buildTask = (template, date, users) => {
+  const fields = {
+    department: template.department,
+    company: template.company,
+    template: template._id,
+    occurrenceDate: date
+  };
+
+  if (template.taskType === "RoutineTask") {
+    return new RoutineTask({
+      ...fields,
+      performedBy: users[0],
+      date: zonedTime(date, "00:00", template.timeZone),
+      performedTasks: template.checklist.map(({ title }) => ({ description: title }))
+    });
+  }
+
+  return new AssignedTask({
+    ...fields,
+    title: template.title,
+    description: template.description,
+    location: template.location,
+    priority: template.priority,
+    dueDate: zonedTime(addDays(date, template.dueAfterDays), template.dueTime, template.timeZone),
+    createdBy: template.createdBy,
+    assignedTo: users,
+    checklist: template.checklist.map(({ title }) => ({ title })),
+    // The SLA clock starts on the task's day, not when it is generated
+    sla: { startedAt: zonedTime(date, "00:00", template.timeZone) }
+  });
+};
+
+// Create the task for one day of the series unless it exists, trashed or
+// not; returns whether it was created
+const createOccurrence = async (template, date, users) => {
+  const exists = await modelFor(template)
+    .exists({ template: template._id, occurrenceDate: date })
+    .setOptions({ withDeleted: true });
+  if (exists) return false;
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const task = buildTask(template, date, users);
+      await task.save({ session });
+
+      if (template.taskType === "AssignedTask") {
+        const notifications = users.map((userId) => ({
+          user: userId,
+          message: `You have been assigned a new task: ${task.title}`,
+          type: "TaskAssignment",
+          task: task._id,
+          department: task.department,
+          company: task.company,
+          linkedDocument: task._id,
+          linkedDocumentType: "Task"
+        }));
+
+        await Notification.insertMany(notifications, { session });
+      }
+    });
+    return true;
+  } catch (error) {
+    // Another run created it in the meantime
+    if (error.code === DUPLICATE_KEY_ERROR) return false;
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Create the template's tasks from the day after generatedThrough up to
+ * LOOKAHEAD_DAYS ahead. Days already in the past are not backfilled.
+ * @param {mongoose.Document} template
+ * @returns {Promise<number>} Number of tasks created
+ */
+export const generateTemplateTasks = async (template) => {
+  const today = localDate(template.timeZone);
+  const horizon = addDays(today, LOOKAHEAD_DAYS);
+  const next = template.generatedThrough ? addDays(template.generatedThrough, 1) : today;
+  const from = next > today ? next : today;
+  if (from > horizon) return 0;
+
+  let dates = occurrencesBetween(template.recurrence, from, horizon);
+
+  if (template.skipHolidays && dates.length) {
+    const company = await Company.findById(template.company).select("holidays").lean();
+    const holidays = new Set(company?.holidays?.map(({ date }) => date));
+    dates = dates.filter((date) => !holidays.has(date));
+  }
+
+  let created = 0;
+
+  if (dates.length) {
+    const users = await activeUsersOf(template);
+
+    if (users.length) {
+      for (const date of dates) {
+        if (await createOccurrence(template, date, users)) created += 1;
+      }
+    } else {
+      console.warn(`Task template ${template._id} has no active assignees; ${dates.length} day(s) skipped`);
+    }
+  }
+
+  await TaskTemplate.updateOne({ _id: template._id }, { generatedThrough: horizon });
+  template.generatedThrough = horizon;
+
+  return created;
+};
+
+/**
+ * Delete the template's generated tasks for days after the given one that
+ * nobody has touched yet: never saved since generation, and neither a
+ * parent nor a blocker of another task. Used when a series is edited,
+ * paused or deleted, so the old version does not linger ahead.
+ * @param {mongoose.Document} template
+ * @param {string} after - YYYY-MM-DD
+ * @returns {Promise<number>} Number of tasks deleted
+ */
+export const removeUntouchedTasks = async (template, after) => {
+  const Model = modelFor(template);
+  const ids = await Model.distinct("_id", {
+    template: template._id,
+    occurrenceDate: { $gt: after },
+    $expr: { $eq: ["$createdAt", "$updatedAt"] }
+  });
+  if (!ids.length) return 0;
+
+  const referenced =
+    template.taskType === "AssignedTask"
+      ? await Task.find({ $or: [{ parentTask: { $in: ids } }, { blockedBy: { $in: ids } }] })
+          .select("parentTask blockedBy")
+          .lean()
+      : [];
+  const kept = new Set(
+    referenced.flatMap(({ parentTask, blockedBy }) => [parentTask, ...blockedBy].map(String))
+  );
+  const removable = ids.filter((id) => !kept.has(String(id)));
+
+  await Notification.deleteMany({ task: { $in: removable } });
+  const { deletedCount } = await Model.deleteMany({ _id: { $in: removable } });
+
+  return deletedCount;
+};
+
+/**
+ * Start the series over from today: future tasks nobody has touched are
+ * replaced by ones generated from the template as it is now.
+ * @param {mongoose.Document} template
+ * @returns {Promise<{ removed: number, created: number }>}
+ */
+export const regenerateTemplateTasks = async (template) => {
+  const today = localDate(template.timeZone);
+  const removed = await removeUntouchedTasks(template, today);
+
+  template.generatedThrough = addDays(today, -1);
+  await TaskTemplate.updateOne({ _id: template._id }, { generatedThrough: template.generatedThrough });
+
+  const created = template.status === "active" ? await generateTemplateTasks(template) : 0;
+  return { removed, created };
+};
+
+// Generate the tasks of every active template of active companies.
+// A failing template is logged and does not stop the others.
+export const generateRecurringTasks = async () => {
+  const companies = await Company.distinct("_id", {
+    isActive: true,
+    "deletion.scheduledFor": { $exists: false }
+  });
+
+  const cursor = TaskTemplate.find({ status: "active", company: { $in: companies } }).cursor();
+  let created = 0;
+
+  for await (const template of cursor) {
+    try {
+      created += await generateTemplateTasks(template);
+    } catch (error) {
+      console.error(`Task template ${template._id} generation error:`, error);
+    }
+  }
+
+  if (created) {
+    console.log(`Generated ${created} task(s) from recurring templates`);
+  }
+};
+
+// Generate every hour
+export const startRecurringTaskScheduler = () =>
+  scheduleJob("Recurring task generation", generateRecurringTasks, CHECK_INTERVAL);
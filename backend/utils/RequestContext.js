@@ -0,0 +1,23 @@
+// Per-request context, reachable from code that has no access to req
+// (such as model middleware) for as long as the request is being handled
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "crypto";
+
+const storage = new AsyncLocalStorage();
+
+// Accept a caller-supplied X-Request-Id (from a proxy or gateway) so the id
+// can be followed across services, otherwise generate one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+export const requestContext = (req, res, next) => {
+  const requestId = req.get("x-request-id");
+  req.id = REQUEST_ID_PATTERN.test(requestId ?? "")
+    ? requestId
+    : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  storage.run({ req }, next);
+};
+
+// The request being handled, or undefined outside a request
+export const getRequest = () => storage.getStore()?.req;
@@ -0,0 +1,104 @@
+// Background jobs run in the API process. Every job has a Job document
+// holding the time of its next run, so a restart carries on with the
+// schedule instead of starting it over, and with several API processes each
+// run happens in one of them only: the process that claims a due job locks
+// it until the run ends. The lock of a process that died mid-run expires
+// after JOB_LOCK_TIMEOUT_MINUTES. Errors are logged and kept on the job so
+// a failed run does not stop the next one.
+import os from "os";
+import { Job } from "../models/index.js";
+
+export const JOB_POLL_INTERVAL_SECONDS = parseInt(process.env.JOB_POLL_INTERVAL_SECONDS || "30", 10);
+export const JOB_LOCK_TIMEOUT_MINUTES = parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES || "30", 10);
+
+// Identifies this process in job locks
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Jobs scheduled in this process, by name, and the ones it is running
+const jobs = new Map();
+const running = new Set();
+let poller = null;
+
+// Run a job when it is due and no other process holds it
+const runIfDue = async (name) => {
+  if (running.has(name)) return;
+  running.add(name);
+
+  try {
+    const { job, interval } = jobs.get(name);
+    const startedAt = new Date();
+
+    const claimed = await Job.findOneAndUpdate(
+      {
+        name,
+        nextRunAt: { $lte: startedAt },
+        $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: startedAt } }]
+      },
+      {
+        $set: {
+          lockedBy: WORKER_ID,
+          lockedUntil: new Date(startedAt.getTime() + JOB_LOCK_TIMEOUT_MINUTES * 60 * 1000)
+        }
+      }
+    );
+    if (!claimed) return;
+
+    let lastError = null;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`${name} error:`, error);
+      lastError = error.message;
+    }
+
+    // Left alone when the lock expired and another process took the job over
+    await Job.updateOne(
+      { name, lockedBy: WORKER_ID },
+      {
+        $set: {
+          nextRunAt: new Date(startedAt.getTime() + interval),
+          lastRunAt: startedAt,
+          lastDurationMs: Date.now() - startedAt.getTime(),
+          lastError
+        },
+        $unset: { lockedBy: "", lockedUntil: "" }
+      }
+    );
+  } catch (error) {
+    console.error(`${name} scheduling error:`, error);
+  } finally {
+    running.delete(name);
+  }
+};
+
+/**
+ * Run a job every interval. It first runs as soon as it is scheduled for the
+ * first time; after that, interval after its last run started, in whichever
+ * process. Every process polls its jobs every JOB_POLL_INTERVAL_SECONDS, so
+ * that is the shortest interval that is kept to.
+ * @param {string} name - Unique name, the job's key in the database
+ * @param {() => Promise<void>} job
+ * @param {number} interval - Milliseconds
+ */
+export const scheduleJob = async (name, job, interval) => {
+  jobs.set(name, { job, interval });
+
+  const now = Date.now();
+  await Job.updateOne(
+    { name },
+    { $set: { interval }, $setOnInsert: { nextRunAt: new Date(now) } },
+    { upsert: true }
+  );
+  // A shortened interval applies right away rather than after the next run
+  await Job.updateOne(
+    { name, nextRunAt: { $gt: new Date(now + interval) } },
+    { $set: { nextRunAt: new Date(now + interval) } }
+  );
+
+  poller ??= setInterval(
+    () => jobs.forEach((_, jobName) => runIfDue(jobName)),
+    JOB_POLL_INTERVAL_SECONDS * 1000
+  ).unref();
+
+  runIfDue(name);
+};
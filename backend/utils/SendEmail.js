@@ -0,0 +1,22 @@
+// backend/utils/SendEmail.js
+import { getMailTransport } from "./MailTransport.js";
+
+const DEFAULT_FROM = "Taskmanager <no-reply@taskmanager.local>";
+
+export const sendEmail = async ({ to, subject, text, html }) => {
+  const transport = getMailTransport();
+
+  const info = await transport.sendMail({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (process.env.NODE_ENV === "development") {
+    console.log(`📧 Email "${subject}" sent to ${to}`);
+  }
+
+  return info;
+};
@@ -0,0 +1,122 @@
+// Background check of the SLA targets of open tasks. Targets that pass
+// their warning point or their due time get their state updated, and the
+// task is escalated one step of ESCALATION_LEVELS after the other, each
+// step notified once. Meeting targets is tracked on save (see Task.trackSla).
+import { Company, Department, User, Task, Notification } from "../models/index.js";
+import { ESCALATION_LEVELS, escalationLevelFor, targetState } from "../config/sla.js";
+import { scheduleJob } from "./Scheduler.js";
+
+export const SLA_CHECK_INTERVAL_MINUTES = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES || "5", 10);
+
+const ESCALATION_MESSAGES = [
+  (title) => `SLA warning: "${title}" is nearing its target`,
+  (title) => `SLA breached: "${title}" is past its target`,
+  (title) => `SLA escalation: "${title}" is still unresolved`
+];
+
+// Unresolved tasks a target or escalation point of which has passed since
+// the last check
+const dueForCheck = (now) => ({
+  "sla.resolution.dueAt": { $exists: true },
+  "sla.resolution.at": { $exists: false },
+  $or: [
+    { "sla.response.at": { $exists: false }, "sla.response.state": "pending", "sla.response.warnAt": { $lte: now } },
+    { "sla.response.at": { $exists: false }, "sla.response.state": "warning", "sla.response.dueAt": { $lte: now } },
+    { "sla.resolution.state": "pending", "sla.resolution.warnAt": { $lte: now } },
+    { "sla.resolution.state": "warning", "sla.resolution.dueAt": { $lte: now } },
+    { "sla.escalationLevel": { $lt: 3 }, "sla.resolution.escalateAt": { $lte: now } }
+  ]
+});
+
+// Who an escalation step goes to: the assignees (the creator of tasks
+// without any), the department's managers (the creator when it has none),
+// then the company's SuperAdmins
+const recipientsFor = async (task, level) => {
+  const step = ESCALATION_LEVELS[level - 1];
+
+  if (step === "assignees") {
+    return task.assignedTo?.length ? task.assignedTo : [task.createdBy];
+  }
+  if (step === "managers") {
+    const managers = await Department.activeManagers(task.department);
+    return managers.length ? managers : [task.createdBy];
+  }
+  return User.find({ company: task.company, role: "SuperAdmin", isActive: true }).distinct("_id");
+};
+
+/**
+ * Update a task's SLA states and notify the escalation steps it has newly
+ * reached. SLA bookkeeping is not an edit, so updatedAt is left alone.
+ * @param {Object} task - Lean task
+ * @param {Date} now
+ * @returns {Promise<number>} Number of escalation steps notified
+ */
+export const checkTaskSla = async (task, now = new Date()) => {
+  const { response, resolution, escalationLevel = 0 } = task.sla;
+  const level = escalationLevelFor(task.sla, now);
+
+  const update = {
+    "sla.response.state": targetState(response, now),
+    "sla.resolution.state": targetState(resolution, now)
+  };
+  if (level > escalationLevel) update["sla.escalationLevel"] = level;
+
+  // Skipped when the task was resolved in the meantime
+  const { matchedCount } = await Task.updateOne(
+    { _id: task._id, "sla.resolution.at": { $exists: false } },
+    { $set: update },
+    { timestamps: false }
+  );
+  if (!matchedCount) return 0;
+
+  const notifications = [];
+  for (let step = escalationLevel + 1; step <= level; step++) {
+    const recipients = await recipientsFor(task, step);
+    for (const user of recipients) {
+      notifications.push({
+        user,
+        message: ESCALATION_MESSAGES[step - 1](task.title.slice(0, 50)),
+        type: "SlaAlert",
+        task: task._id,
+        department: task.department,
+        company: task.company,
+        linkedDocument: task._id,
+        linkedDocumentType: "Task"
+      });
+    }
+  }
+
+  if (notifications.length) {
+    await Notification.insertMany(notifications);
+  }
+  return Math.max(level - escalationLevel, 0);
+};
+
+// Check the tasks of active companies. A failing task is logged and does
+// not stop the others.
+export const checkSlaTargets = async () => {
+  const now = new Date();
+  const companies = await Company.distinct("_id", {
+    isActive: true,
+    "deletion.scheduledFor": { $exists: false }
+  });
+
+  const cursor = Task.find({ ...dueForCheck(now), company: { $in: companies } }).lean().cursor();
+  let escalated = 0;
+
+  for await (const task of cursor) {
+    try {
+      escalated += await checkTaskSla(task, now);
+    } catch (error) {
+      console.error(`Task ${task._id} SLA check error:`, error);
+    }
+  }
+
+  if (escalated) {
+    console.log(`Sent ${escalated} SLA escalation step(s)`);
+  }
+};
+
+// Check every SLA_CHECK_INTERVAL_MINUTES
+export const startSlaScheduler = () =>
+  scheduleJob("SLA check", checkSlaTargets, SLA_CHECK_INTERVAL_MINUTES * 60 * 1000);
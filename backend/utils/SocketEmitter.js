@@ -1,5 +1,6 @@
 // backend/utils/SocketEmitter.js
 import { getIO } from "./SocketInstance.js";
+import { DEPARTMENT_MANAGER_ROLES } from "../config/permissions.js";
 
 export const emitToUser = async (userId, event, data) => {
   try {
@@ -36,6 +37,28 @@ export const emitToDepartment = async (departmentId, event, data) => {
   }
 };
 
+export const disconnectUser = async (userId) => {
+  try {
+    const io = getIO();
+    io.in(userId.toString()).disconnectSockets(true);
+    return true;
+  } catch (err) {
+    console.error(`Disconnect user failed: ${err.message}`);
+    return false;
+  }
+};
+
+export const disconnectSession = async (sessionId) => {
+  try {
+    const io = getIO();
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+    return true;
+  } catch (err) {
+    console.error(`Disconnect session failed: ${err.message}`);
+    return false;
+  }
+};
+
 export const joinDepartmentRooms = async (socket) => {
   try {
     const user = socket.user;
@@ -47,10 +70,10 @@ export const joinDepartmentRooms = async (socket) => {
     const userIdStr = user._id.toString();
     socket.join(userIdStr); // Join user-specific room
 
-    const deptIdStr = user.department.toString();
+    const deptIdStr = (user.department._id || user.department).toString();
     socket.join(`department_${deptIdStr}`); // Join department-wide room
 
-    if (["Manager", "Admin", "SuperAdmin"].includes(user.role)) {
+    if (DEPARTMENT_MANAGER_ROLES.includes(user.role)) {
       socket.join(`dept_managers_${deptIdStr}`); // Join department manager room
     }
   } catch (error) {
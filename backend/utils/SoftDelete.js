@@ -0,0 +1,62 @@
+// Mongoose plugin for soft deletion. Documents get deletedAt/deletedBy and
+// are hidden from every find, count, update and aggregate until they are
+// restored or purged (see utils/TrashPurge.js). Deletes are left alone, so
+// hard deletion still works.
+//
+// A query whose filter names deletedAt decides for itself, such as the trash
+// listings with { deletedAt: { $ne: null } }. Other code that has to see
+// trashed documents opts in:
+//
+//   Model.find(filter).setOptions({ withDeleted: true })
+//   Model.aggregate(pipeline).option({ withDeleted: true })
+import mongoose from "mongoose";
+
+const QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+];
+
+// Filter of documents in the trash
+export const TRASHED = { deletedAt: { $ne: null } };
+
+export const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  });
+
+  schema.pre(QUERIES, { document: false, query: true }, function () {
+    if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) {
+      // Not an option the server knows
+      delete this.options.withDeleted;
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Move the document to the trash
+  schema.methods.softDelete = function (userId, session) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save({ session });
+  };
+
+  // Take the document out of the trash
+  schema.methods.restore = function (session) {
+    this.deletedAt = undefined;
+    this.deletedBy = undefined;
+    return this.save({ session });
+  };
+};
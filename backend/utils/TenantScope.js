@@ -0,0 +1,106 @@
+// Mongoose plugin confining every query, aggregate and write on a
+// tenant-owned model to the company of the signed-in user making the
+// request. Outside a signed-in request (registration, login, public links,
+// scripts, sockets) nothing is added.
+//
+// A query naming another company throws CROSS_TENANT_ACCESS. Code that has
+// to look across companies, such as global uniqueness checks, opts out:
+//
+//   User.exists({ email }).setOptions({ skipTenant: true })
+//   Model.aggregate(pipeline).option({ skipTenant: true })
+//   doc.save({ skipTenant: true })
+//   Model.insertMany(docs, { skipTenant: true })
+import CustomError from "../errorHandler/CustomError.js";
+import { getRequest } from "./RequestContext.js";
+
+const QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+];
+
+// Company of the signed-in user making the current request
+const currentTenant = () => getRequest()?.user?.company?._id;
+
+// Populated references and raw ids are both accepted
+const refId = (value) => value?._id ?? value;
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype &&
+  Object.keys(value).some((key) => key.startsWith("$"));
+
+const crossTenantError = (modelName) =>
+  new CustomError(
+    `${modelName} belongs to another company`,
+    403,
+    "CROSS_TENANT_ACCESS"
+  );
+
+/**
+ * @param {mongoose.Schema} schema
+ * @param {Object} [options]
+ * @param {string} [options.field="company"] - Path holding the owning company
+ */
+export const tenantScope = (schema, { field = "company" } = {}) => {
+  const belongsElsewhere = (value, tenant) =>
+    value != null && String(refId(value)) !== String(tenant);
+
+  schema.pre(QUERIES, { document: false, query: true }, function () {
+    const tenant = currentTenant();
+    if (!tenant || this.getOptions().skipTenant) return;
+
+    const condition = this.getFilter()[field];
+    if (condition === undefined) {
+      this.where({ [field]: tenant });
+    } else if (isOperatorObject(condition)) {
+      this.and([{ [field]: tenant }]);
+    } else if (belongsElsewhere(condition, tenant)) {
+      throw crossTenantError(this.model.modelName);
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const tenant = currentTenant();
+    if (this.options.skipTenant) {
+      // Not an option the server knows
+      delete this.options.skipTenant;
+      return;
+    }
+    if (!tenant) return;
+
+    this.pipeline().unshift({ $match: { [field]: tenant } });
+  });
+
+  schema.pre("save", function (next, options) {
+    const tenant = currentTenant();
+    if (!tenant || options?.skipTenant) return next();
+
+    const value = this.populated(field) ?? this.get(field);
+    if (belongsElsewhere(value, tenant)) {
+      return next(crossTenantError(this.constructor.modelName));
+    }
+    next();
+  });
+
+  schema.pre("insertMany", function (next, docs, options) {
+    const tenant = currentTenant();
+    if (!tenant || options?.skipTenant) return next();
+
+    const list = Array.isArray(docs) ? docs : [docs];
+    if (list.some((doc) => belongsElsewhere(doc?.[field], tenant))) {
+      return next(crossTenantError(this.modelName));
+    }
+    next();
+  });
+};
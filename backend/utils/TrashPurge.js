@@ -0,0 +1,39 @@
+// Permanent deletion of documents that have been in the trash for longer
+// than TRASH_RETENTION_DAYS
+import {
+  User,
+  Department,
+  Task,
+  RoutineTask,
+  TaskActivity,
+  Notification
+} from "../models/index.js";
+import { deleteInBatches } from "./BatchDelete.js";
+import { scheduleJob } from "./Scheduler.js";
+
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || "30", 10);
+
+const DAY = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Models using the softDelete plugin, children before their parents
+const TRASHABLE_MODELS = [TaskActivity, Notification, Task, RoutineTask, User, Department];
+
+// Date a document trashed at deletedAt is purged
+export const purgeDateFor = (deletedAt) =>
+  new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY);
+
+export const purgeTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY);
+
+  for (const Model of TRASHABLE_MODELS) {
+    const deleted = await deleteInBatches(Model, { deletedAt: { $lte: cutoff } });
+    if (deleted) {
+      console.log(`Purged ${deleted} ${Model.modelName} document(s) from the trash`);
+    }
+  }
+};
+
+// Purge every hour
+export const startTrashPurgeScheduler = () =>
+  scheduleJob("Trash purge", purgeTrash, CHECK_INTERVAL);
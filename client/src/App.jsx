@@ -10,10 +10,19 @@ import DashboardLayout from "./layouts/DashboardLayout";
 const Home = lazy(() => import("./pages/Home"));
 const Register = lazy(() => import("./pages/Register"));
 const Login = lazy(() => import("./pages/Login"));
+const TwoFactorLogin = lazy(() => import("./pages/TwoFactorLogin"));
+const SsoCallback = lazy(() => import("./pages/SsoCallback"));
+const AcceptInvite = lazy(() => import("./pages/AcceptInvite"));
+const ForgotPassword = lazy(() => import("./pages/ForgotPassword"));
+const ResetPassword = lazy(() => import("./pages/ResetPassword"));
+const VerifyEmail = lazy(() => import("./pages/VerifyEmail"));
+const ConfirmEmailChange = lazy(() => import("./pages/ConfirmEmailChange"));
 const Statistics = lazy(() => import("./pages/Statistics"));
 const Tasks = lazy(() => import("./pages/Tasks"));
 const Routines = lazy(() => import("./pages/Routines"));
 const Users = lazy(() => import("./pages/Users"));
+const Sessions = lazy(() => import("./pages/Sessions"));
+const Security = lazy(() => import("./pages/Security"));
 const NotFound = lazy(() => import("./pages/NotFound"));
 
 // Error
@@ -45,6 +54,34 @@ const router = createBrowserRouter([
             path: "login",
             element: <Login />,
           },
+          {
+            path: "two-factor",
+            element: <TwoFactorLogin />,
+          },
+          {
+            path: "sso/callback",
+            element: <SsoCallback />,
+          },
+          {
+            path: "accept-invite/:token",
+            element: <AcceptInvite />,
+          },
+          {
+            path: "forgot-password",
+            element: <ForgotPassword />,
+          },
+          {
+            path: "reset-password/:token",
+            element: <ResetPassword />,
+          },
+          {
+            path: "verify-email",
+            element: <VerifyEmail />,
+          },
+          {
+            path: "confirm-email/:token",
+            element: <ConfirmEmailChange />,
+          },
         ],
       },
       {
@@ -70,6 +107,14 @@ const router = createBrowserRouter([
             path: "users",
             element: <Users />,
           },
+          {
+            path: "sessions",
+            element: <Sessions />,
+          },
+          {
+            path: "security",
+            element: <Security />,
+          },
         ],
       },
     ],
@@ -0,0 +1,74 @@
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+
+import Alert from "@mui/material/Alert";
+import Button from "@mui/material/Button";
+
+import { apiSlice } from "../redux/features/api/apiSlice";
+import { useStopImpersonationMutation } from "../redux/features/impersonation/impersonationApiSlice";
+import { useLazyCheckAuthQuery } from "../redux/features/auth/authApiSlice";
+import {
+  selectCurrentUser,
+  setCredentials,
+} from "../redux/features/auth/authSlice";
+
+// Shown while a SuperAdmin acts as another user
+const ImpersonationBanner = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const currentUser = useSelector(selectCurrentUser);
+  const [stopImpersonation, { isLoading }] = useStopImpersonationMutation();
+  const [checkAuth] = useLazyCheckAuthQuery();
+
+  const impersonation = currentUser?.impersonation;
+  if (!impersonation) return null;
+
+  // Drop data cached for the impersonated user
+  const returnToOwnAccount = (user) => {
+    dispatch(apiSlice.util.resetApiState());
+    dispatch(setCredentials({ currentUser: user }));
+    navigate("/users", { replace: true });
+  };
+
+  const handleStop = async () => {
+    try {
+      const response = await stopImpersonation().unwrap();
+      toast.success(response.message || "Impersonation ended");
+      returnToOwnAccount(response.data);
+    } catch (error) {
+      // Already over (expired or revoked): load the own account instead
+      if (error?.data?.errorCode === "IMPERSONATION_ENDED_ERROR") {
+        const response = await checkAuth().unwrap();
+        returnToOwnAccount(response.data);
+        return;
+      }
+      toast.error(error?.data?.message || "Unable to stop impersonation");
+    }
+  };
+
+  return (
+    <Alert
+      severity="warning"
+      variant="filled"
+      sx={{ borderRadius: 0 }}
+      action={
+        <Button
+          color="inherit"
+          size="small"
+          disabled={isLoading}
+          onClick={handleStop}
+        >
+          Stop
+        </Button>
+      }
+    >
+      {impersonation.impersonator.firstName} {impersonation.impersonator.lastName}{" "}
+      acting as {currentUser.firstName} {currentUser.lastName} until{" "}
+      {new Date(impersonation.expiresAt).toLocaleTimeString()}. Reason:{" "}
+      {impersonation.reason}
+    </Alert>
+  );
+};
+
+export default ImpersonationBanner;
@@ -26,6 +26,8 @@ import DashboardRounded from "@mui/icons-material/DashboardRounded";
 import PeopleRounded from "@mui/icons-material/PeopleRounded";
 import AssignmentRounded from "@mui/icons-material/AssignmentRounded";
 import AssignmentInd from "@mui/icons-material/AssignmentInd";
+import DevicesRounded from "@mui/icons-material/DevicesRounded";
+import SecurityRounded from "@mui/icons-material/SecurityRounded";
 
 import { useDispatch } from "react-redux";
 import { useLogoutMutation } from "../redux/features/auth/authApiSlice";
@@ -34,6 +36,7 @@ import { setLogout } from "../redux/features/auth/authSlice";
 import MuiAppBar from "./MuiAppBar";
 import MuiDrawer from "./MuiDrawer";
 import LoadingFallback from "../components/LoadingFallback";
+import ImpersonationBanner from "../components/ImpersonationBanner";
 import MuiThemeDropDown from "../components/MuiThemeDropDown";
 
 const GENERAL_ROUTES = [
@@ -45,6 +48,8 @@ const GENERAL_ROUTES = [
   { text: "Tasks", icon: <AssignmentRounded />, path: "/tasks" },
   { text: "Routines", icon: <AssignmentInd />, path: "/routines" },
   { text: "Users", icon: <PeopleRounded />, path: "/users" },
+  { text: "Sessions", icon: <DevicesRounded />, path: "/sessions" },
+  { text: "Security", icon: <SecurityRounded />, path: "/security" },
 ];
 
 const MenuListItem = memo(({ item, currentPath }) => {
@@ -148,6 +153,8 @@ const DashboardLayout = () => {
           </Stack>
         </MuiAppBar>
 
+        <ImpersonationBanner />
+
         <Stack
           component="main"
           direction="column"
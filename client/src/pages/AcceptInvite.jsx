@@ -0,0 +1,247 @@
+import { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { useForm } from "react-hook-form";
+import { toast } from "react-toastify";
+
+import Card from "@mui/material/Card";
+import CardContent from "@mui/material/CardContent";
+import Button from "@mui/material/Button";
+import InputAdornment from "@mui/material/InputAdornment";
+import CircularProgress from "@mui/material/CircularProgress";
+import Typography from "@mui/material/Typography";
+import PersonIcon from "@mui/icons-material/Person";
+import LockIcon from "@mui/icons-material/Lock";
+import VisibilityIcon from "@mui/icons-material/Visibility";
+import VisibilityOffIcon from "@mui/icons-material/VisibilityOff";
+
+import {
+  useGetInvitationByTokenQuery,
+  useAcceptInvitationMutation,
+} from "../redux/features/invitation/invitationApiSlice";
+
+import MuiTextField from "../components/MuiTextField";
+
+const nameRules = (label) => ({
+  required: `${label} is required`,
+  minLength: { value: 2, message: `${label} must be at least 2 characters` },
+  maxLength: { value: 30, message: `${label} cannot exceed 30 characters` },
+});
+
+const personAdornment = {
+  input: {
+    startAdornment: (
+      <InputAdornment position="start">
+        <PersonIcon fontSize="small" color="primary" />
+      </InputAdornment>
+    ),
+  },
+};
+
+const AcceptInvite = () => {
+  console.log("AcceptInvite");
+  const navigate = useNavigate();
+  const { token } = useParams();
+
+  const {
+    data,
+    error: inviteError,
+    isLoading: isLoadingInvite,
+  } = useGetInvitationByTokenQuery(token);
+  const [acceptInvitation, { isLoading }] = useAcceptInvitationMutation();
+
+  const { handleSubmit, control, getValues, reset } = useForm({
+    defaultValues: {
+      firstName: "",
+      lastName: "",
+      password: "",
+      confirmPassword: "",
+    },
+  });
+
+  const [showPassword, setShowPassword] = useState(false);
+  const togglePassword = () => setShowPassword((prev) => !prev);
+
+  const invitation = data?.data;
+
+  // Prefill the names the inviter entered
+  useEffect(() => {
+    if (!invitation) return;
+    reset({
+      firstName: invitation.firstName || "",
+      lastName: invitation.lastName || "",
+      password: "",
+      confirmPassword: "",
+    });
+  }, [invitation, reset]);
+
+  const onSubmit = async (formData) => {
+    try {
+      const response = await acceptInvitation({
+        token,
+        firstName: formData.firstName.trim(),
+        lastName: formData.lastName.trim(),
+        password: formData.password,
+      }).unwrap();
+
+      toast.success(response.message || "Invitation accepted!");
+      navigate("/login", { replace: true });
+    } catch (error) {
+      const errMsg =
+        error?.data?.message || error?.message || "Unable to accept invitation";
+      toast.error(errMsg);
+    }
+  };
+
+  const passwordAdornments = {
+    input: {
+      startAdornment: (
+        <InputAdornment position="start">
+          <LockIcon fontSize="small" color="primary" />
+        </InputAdornment>
+      ),
+      endAdornment: (
+        <InputAdornment
+          position="end"
+          size="small"
+          sx={{ cursor: isLoading ? "default" : "pointer" }}
+          onClick={togglePassword}
+          disabled={isLoading}
+        >
+          {showPassword ? (
+            <VisibilityOffIcon fontSize="small" />
+          ) : (
+            <VisibilityIcon fontSize="small" />
+          )}
+        </InputAdornment>
+      ),
+    },
+  };
+
+  return (
+    <Card
+      variant="outlined"
+      sx={{
+        px: { xs: 2, md: 3 },
+        py: 8,
+        my: 4,
+        mx: "auto",
+        maxWidth: 450,
+        borderRadius: 2,
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.05)",
+      }}
+    >
+      <Typography variant="h4" textAlign="center" gutterBottom fontWeight={700}>
+        Accept Invitation
+      </Typography>
+
+      {isLoadingInvite && (
+        <CircularProgress size={32} sx={{ display: "block", mx: "auto" }} />
+      )}
+
+      {inviteError && (
+        <>
+          <Typography variant="body2" color="error" textAlign="center">
+            {inviteError?.data?.message || "Invitation is invalid or has expired"}
+          </Typography>
+          <Button
+            variant="contained"
+            color="secondary"
+            size="small"
+            fullWidth
+            onClick={() => navigate("/login", { replace: true })}
+            sx={{ mt: 2 }}
+          >
+            Go to Login
+          </Button>
+        </>
+      )}
+
+      {invitation && (
+        <>
+          <Typography variant="body2" color="text.secondary" textAlign="center">
+            Join {invitation.company} as {invitation.role} in the{" "}
+            {invitation.department} department. Your login email is{" "}
+            {invitation.email}.
+          </Typography>
+
+          <CardContent
+            component="form"
+            onSubmit={handleSubmit(onSubmit)}
+            noValidate
+            autoComplete="off"
+            sx={{ mt: 2 }}
+          >
+            <MuiTextField
+              name="firstName"
+              control={control}
+              rules={nameRules("First name")}
+              label="First Name"
+              autoComplete="given-name"
+              slotProps={personAdornment}
+            />
+
+            <MuiTextField
+              name="lastName"
+              control={control}
+              rules={nameRules("Last name")}
+              label="Last Name"
+              autoComplete="family-name"
+              slotProps={personAdornment}
+            />
+
+            <MuiTextField
+              name="password"
+              control={control}
+              rules={{
+                required: "Password is required",
+                minLength: {
+                  value: 6,
+                  message: "Password must be at least 6 characters",
+                },
+              }}
+              label="Password"
+              placeholder="••••••"
+              type={showPassword ? "text" : "password"}
+              autoComplete="new-password"
+              slotProps={passwordAdornments}
+            />
+
+            <MuiTextField
+              name="confirmPassword"
+              control={control}
+              rules={{
+                required: "Please confirm your password",
+                validate: (value) =>
+                  value === getValues("password") || "Passwords do not match",
+              }}
+              label="Confirm Password"
+              placeholder="••••••"
+              type={showPassword ? "text" : "password"}
+              autoComplete="new-password"
+              slotProps={passwordAdornments}
+            />
+
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              color="secondary"
+              size="small"
+              disabled={isLoading}
+              loading={isLoading}
+              loadingIndicator={
+                <CircularProgress size={20} sx={{ color: "white" }} />
+              }
+              loadingPosition="start"
+              sx={{ mt: 2 }}
+            >
+              {isLoading ? "Joining..." : "Accept Invitation"}
+            </Button>
+          </CardContent>
+        </>
+      )}
+    </Card>
+  );
+};
+
+export default AcceptInvite;
@@ -0,0 +1,76 @@
+import { useEffect, useRef } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+
+import Card from "@mui/material/Card";
+import Button from "@mui/material/Button";
+import CircularProgress from "@mui/material/CircularProgress";
+import Typography from "@mui/material/Typography";
+
+import { useConfirmEmailChangeMutation } from "../redux/features/auth/authApiSlice";
+
+const ConfirmEmailChange = () => {
+  console.log("ConfirmEmailChange");
+  const navigate = useNavigate();
+  const { token } = useParams();
+
+  const [confirmEmailChange, { data, error, isLoading, isUninitialized }] =
+    useConfirmEmailChangeMutation();
+
+  // The token is single use, so only submit it once (StrictMode mounts twice)
+  const submitted = useRef(false);
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+    confirmEmailChange(token);
+  }, [confirmEmailChange, token]);
+
+  const isPending = isLoading || isUninitialized;
+
+  return (
+    <Card
+      variant="outlined"
+      sx={{
+        px: { xs: 2, md: 3 },
+        py: 8,
+        my: 4,
+        mx: "auto",
+        maxWidth: 450,
+        borderRadius: 2,
+        textAlign: "center",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.05)",
+      }}
+    >
+      <Typography variant="h4" gutterBottom fontWeight={700}>
+        Confirm Email Change
+      </Typography>
+
+      {isPending && <CircularProgress size={32} sx={{ my: 2 }} />}
+
+      {!isPending && (
+        <Typography
+          variant="body2"
+          color={error ? "error" : "text.secondary"}
+          sx={{ mb: 2 }}
+        >
+          {error
+            ? error?.data?.message || "Email change confirmation failed"
+            : `Your login email is now ${data?.data?.email}.`}
+        </Typography>
+      )}
+
+      <Button
+        variant="contained"
+        color="secondary"
+        size="small"
+        fullWidth
+        disabled={isPending}
+        onClick={() => navigate("/login", { replace: true })}
+        sx={{ mt: 2 }}
+      >
+        Go to Login
+      </Button>
+    </Card>
+  );
+};
+
+export default ConfirmEmailChange;
@@ -0,0 +1,130 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useForm } from "react-hook-form";
+import { toast } from "react-toastify";
+
+import Card from "@mui/material/Card";
+import CardContent from "@mui/material/CardContent";
+import Button from "@mui/material/Button";
+import InputAdornment from "@mui/material/InputAdornment";
+import CircularProgress from "@mui/material/CircularProgress";
+import Typography from "@mui/material/Typography";
+import EmailIcon from "@mui/icons-material/Email";
+
+import { useForgotPasswordMutation } from "../redux/features/auth/authApiSlice";
+
+import MuiTextField from "../components/MuiTextField";
+
+const ForgotPassword = () => {
+  console.log("ForgotPassword");
+  const navigate = useNavigate();
+
+  const [forgotPassword, { isLoading }] = useForgotPasswordMutation();
+  const [isSent, setIsSent] = useState(false);
+
+  const { handleSubmit, control } = useForm({
+    defaultValues: { email: "" },
+  });
+
+  const onSubmit = async (formData) => {
+    try {
+      const response = await forgotPassword({
+        email: formData.email,
+      }).unwrap();
+
+      toast.success(response.message || "Password reset link sent!");
+      setIsSent(true);
+    } catch (error) {
+      const errMsg =
+        error?.data?.message || error?.message || "Failed to send reset link";
+      toast.error(errMsg);
+    }
+  };
+
+  return (
+    <Card
+      variant="outlined"
+      sx={{
+        px: { xs: 2, md: 3 },
+        py: 8,
+        my: 4,
+        mx: "auto",
+        maxWidth: 450,
+        borderRadius: 2,
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.05)",
+      }}
+    >
+      <Typography variant="h4" textAlign="center" gutterBottom fontWeight={700}>
+        Forgot Password
+      </Typography>
+
+      <Typography variant="body2" color="text.secondary" textAlign="center">
+        {isSent
+          ? "Check your inbox for a link to reset your password. The link expires in 15 minutes."
+          : "Enter your account email and we will send you a link to reset your password."}
+      </Typography>
+
+      <CardContent
+        component="form"
+        onSubmit={handleSubmit(onSubmit)}
+        noValidate
+        autoComplete="off"
+        sx={{ mt: 2 }}
+      >
+        <MuiTextField
+          name="email"
+          control={control}
+          rules={{
+            required: "Email is required",
+            pattern: {
+              value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+              message: "Invalid email address",
+            },
+          }}
+          label="Email"
+          placeholder="xyz@example.com"
+          autoComplete="email"
+          slotProps={{
+            input: {
+              startAdornment: (
+                <InputAdornment position="start">
+                  <EmailIcon fontSize="small" color="primary" />
+                </InputAdornment>
+              ),
+            },
+          }}
+        />
+
+        <Button
+          type="submit"
+          fullWidth
+          variant="contained"
+          color="secondary"
+          size="small"
+          disabled={isLoading}
+          loading={isLoading}
+          loadingIndicator={
+            <CircularProgress size={20} sx={{ color: "white" }} />
+          }
+          loadingPosition="start"
+          sx={{ mt: 2 }}
+        >
+          {isLoading ? "Sending..." : isSent ? "Resend Link" : "Send Link"}
+        </Button>
+      </CardContent>
+      <Button
+        variant="outlined"
+        color="secondary"
+        size="small"
+        fullWidth
+        disabled={isLoading}
+        onClick={() => navigate("/login")}
+        sx={{ mt: 2 }}
+      >
+        Back to Login
+      </Button>
+    </Card>
+  );
+};
+
+export default ForgotPassword;
@@ -20,7 +20,10 @@ import ConstructionRoundedIcon from "@mui/icons-material/ConstructionRounded";
 import SettingsSuggestRoundedIcon from "@mui/icons-material/SettingsSuggestRounded";
 import ThumbUpAltRoundedIcon from "@mui/icons-material/ThumbUpAltRounded";
 
-import { useLoginMutation } from "../redux/features/auth/authApiSlice";
+import {
+  useLoginMutation,
+  useSsoLoginMutation,
+} from "../redux/features/auth/authApiSlice";
 import { setCredentials } from "../redux/features/auth/authSlice";
 import { useDispatch } from "react-redux";
 
@@ -32,9 +35,10 @@ const Login = () => {
   const location = useLocation();
 
   const [login, { isLoading }] = useLoginMutation();
+  const [ssoLogin, { isLoading: isSsoLoading }] = useSsoLoginMutation();
   const dispatch = useDispatch();
 
-  const { handleSubmit, control, reset } = useForm({
+  const { handleSubmit, control, reset, getValues, trigger } = useForm({
     defaultValues: { email: "", password: "" },
   });
 
@@ -48,20 +52,49 @@ const Login = () => {
         password: formData.password,
       }).unwrap();
 
+      // Password accepted, but the account needs its second factor
+      if (response.data?.twoFactorRequired) {
+        toast.info(response.message || "Enter your authentication code");
+        reset();
+        navigate("/two-factor", { state: { from: location.state?.from } });
+        return;
+      }
+
       dispatch(setCredentials({ currentUser: response.data })); // Only set user info
       toast.success(response.message || "Login successful!");
       reset();
+
+      if (response.data?.twoFactorSetupRequired) {
+        toast.warning("Your company requires two-factor authentication");
+        navigate("/security", { replace: true });
+        return;
+      }
+
       navigate(location.state?.from || "/statistics", { replace: true });
     } catch (error) {
       const errMsg = error?.data?.message || error?.message || "Login failed";
       const errorType = error?.data?.errorCode || error?.errorCode || "UNKNOWN";
       toast.error(errMsg);
-      if (errorType === "AUTH_VERIFY") {
-        navigate("/verify-email");
+      if (errorType === "ACCOUNT_NOT_VERIFIED_ERROR") {
+        navigate("/verify-email", { state: { email: formData.email } });
       }
     }
   };
 
+  // Single sign-on only needs the email; its domain selects the company
+  const onSsoLogin = async () => {
+    if (!(await trigger("email"))) return;
+
+    try {
+      const response = await ssoLogin({ email: getValues("email") }).unwrap();
+      window.location.assign(response.data.authorizationUrl);
+    } catch (error) {
+      toast.error(
+        error?.data?.message || error?.message || "Single sign-on failed"
+      );
+    }
+  };
+
   const features = useMemo(
     () => [
       {
@@ -232,6 +265,17 @@ const Login = () => {
           >
             Forgot Password
           </Button>
+          <Button
+            variant="outlined"
+            color="primary"
+            size="small"
+            fullWidth
+            disabled={isLoading || isSsoLoading}
+            onClick={onSsoLogin}
+            sx={{ mt: 2 }}
+          >
+            {isSsoLoading ? "Redirecting..." : "Sign In with SSO"}
+          </Button>
         </Card>
       </Grid>
     </Grid>
@@ -0,0 +1,167 @@
+import { useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { useForm } from "react-hook-form";
+import { toast } from "react-toastify";
+
+import Card from "@mui/material/Card";
+import CardContent from "@mui/material/CardContent";
+import Button from "@mui/material/Button";
+import InputAdornment from "@mui/material/InputAdornment";
+import CircularProgress from "@mui/material/CircularProgress";
+import Typography from "@mui/material/Typography";
+import LockIcon from "@mui/icons-material/Lock";
+import VisibilityIcon from "@mui/icons-material/Visibility";
+import VisibilityOffIcon from "@mui/icons-material/VisibilityOff";
+
+import { useResetPasswordMutation } from "../redux/features/auth/authApiSlice";
+
+import MuiTextField from "../components/MuiTextField";
+
+const ResetPassword = () => {
+  console.log("ResetPassword");
+  const navigate = useNavigate();
+  const { token } = useParams();
+
+  const [resetPassword, { isLoading }] = useResetPasswordMutation();
+
+  const { handleSubmit, control, getValues } = useForm({
+    defaultValues: { password: "", confirmPassword: "" },
+  });
+
+  const [showPassword, setShowPassword] = useState(false);
+  const togglePassword = () => setShowPassword((prev) => !prev);
+
+  const onSubmit = async (formData) => {
+    try {
+      const response = await resetPassword({
+        token,
+        password: formData.password,
+      }).unwrap();
+
+      toast.success(response.message || "Password reset successful!");
+      navigate("/login", { replace: true });
+    } catch (error) {
+      const errMsg =
+        error?.data?.message || error?.message || "Password reset failed";
+      toast.error(errMsg);
+    }
+  };
+
+  const passwordAdornments = {
+    input: {
+      startAdornment: (
+        <InputAdornment position="start">
+          <LockIcon fontSize="small" color="primary" />
+        </InputAdornment>
+      ),
+      endAdornment: (
+        <InputAdornment
+          position="end"
+          size="small"
+          sx={{ cursor: isLoading ? "default" : "pointer" }}
+          onClick={togglePassword}
+          disabled={isLoading}
+        >
+          {showPassword ? (
+            <VisibilityOffIcon fontSize="small" />
+          ) : (
+            <VisibilityIcon fontSize="small" />
+          )}
+        </InputAdornment>
+      ),
+    },
+  };
+
+  return (
+    <Card
+      variant="outlined"
+      sx={{
+        px: { xs: 2, md: 3 },
+        py: 8,
+        my: 4,
+        mx: "auto",
+        maxWidth: 450,
+        borderRadius: 2,
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.05)",
+      }}
+    >
+      <Typography variant="h4" textAlign="center" gutterBottom fontWeight={700}>
+        Reset Password
+      </Typography>
+
+      <Typography variant="body2" color="text.secondary" textAlign="center">
+        Choose a new password. You will be signed out of all devices.
+      </Typography>
+
+      <CardContent
+        component="form"
+        onSubmit={handleSubmit(onSubmit)}
+        noValidate
+        autoComplete="off"
+        sx={{ mt: 2 }}
+      >
+        <MuiTextField
+          name="password"
+          control={control}
+          rules={{
+            required: "Password is required",
+            minLength: {
+              value: 6,
+              message: "Password must be at least 6 characters",
+            },
+          }}
+          label="New Password"
+          placeholder="••••••"
+          type={showPassword ? "text" : "password"}
+          autoComplete="new-password"
+          slotProps={passwordAdornments}
+        />
+
+        <MuiTextField
+          name="confirmPassword"
+          control={control}
+          rules={{
+            required: "Please confirm your password",
+            validate: (value) =>
+              value === getValues("password") || "Passwords do not match",
+          }}
+          label="Confirm Password"
+          placeholder="••••••"
+          type={showPassword ? "text" : "password"}
+          autoComplete="new-password"
+          slotProps={passwordAdornments}
+        />
+
+        <Button
+          type="submit"
+          fullWidth
+          variant="contained"
+          color="secondary"
+          size="small"
+          disabled={isLoading}
+          loading={isLoading}
+          loadingIndicator={
+            <CircularProgress size={20} sx={{ color: "white" }} />
+          }
+          loadingPosition="start"
+          sx={{ mt: 2 }}
+        >
+          {isLoading ? "Resetting..." : "Reset Password"}
+        </Button>
+      </CardContent>
+      <Button
+        variant="outlined"
+        color="secondary"
+        size="small"
+        fullWidth
+        disabled={isLoading}
+        onClick={() => navigate("/forgot-password")}
+        sx={{ mt: 2 }}
+      >
+        Request a New Link
+      </Button>
+    </Card>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,331 @@
+import { useState } from "react";
+import { useForm } from "react-hook-form";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+
+import Card from "@mui/material/Card";
+import Stack from "@mui/material/Stack";
+import Box from "@mui/material/Box";
+import Button from "@mui/material/Button";
+import Chip from "@mui/material/Chip";
+import Divider from "@mui/material/Divider";
+import Switch from "@mui/material/Switch";
+import FormControlLabel from "@mui/material/FormControlLabel";
+import Typography from "@mui/material/Typography";
+
+import {
+  useSetupTwoFactorMutation,
+  useEnableTwoFactorMutation,
+  useDisableTwoFactorMutation,
+  useRegenerateRecoveryCodesMutation,
+} from "../redux/features/auth/authApiSlice";
+import { useUpdateCompanySecurityMutation } from "../redux/features/company/companyApiSlice";
+import {
+  selectCurrentUser,
+  updateCurrentUser,
+} from "../redux/features/auth/authSlice";
+
+import MuiTextField from "../components/MuiTextField";
+
+const TWO_FACTOR_ROLES = ["SuperAdmin", "Manager"];
+
+const codeRules = {
+  required: "Authentication code is required",
+  pattern: { value: /^\d{6}$/, message: "Code must be 6 digits" },
+};
+
+const cardSx = {
+  px: { xs: 2, md: 3 },
+  py: 3,
+  my: 2,
+  borderRadius: 2,
+  boxShadow: "0 4px 12px rgba(0, 0, 0, 0.05)",
+};
+
+const Security = () => {
+  console.log("Security");
+  const dispatch = useDispatch();
+  const currentUser = useSelector(selectCurrentUser);
+
+  const [setupTwoFactor, { isLoading: isStarting }] =
+    useSetupTwoFactorMutation();
+  const [enableTwoFactor, { isLoading: isEnabling }] =
+    useEnableTwoFactorMutation();
+  const [disableTwoFactor, { isLoading: isDisabling }] =
+    useDisableTwoFactorMutation();
+  const [regenerateRecoveryCodes, { isLoading: isRegenerating }] =
+    useRegenerateRecoveryCodesMutation();
+  const [updateCompanySecurity, { isLoading: isUpdatingPolicy }] =
+    useUpdateCompanySecurityMutation();
+
+  const [setupData, setSetupData] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+
+  const { handleSubmit, control, reset } = useForm({
+    defaultValues: { code: "", password: "" },
+  });
+
+  const isEnabled = Boolean(currentUser?.twoFactorEnabled);
+  const isSuperAdmin = currentUser?.role === "SuperAdmin";
+  const isRequiredByPolicy =
+    Boolean(currentUser?.company?.security?.requireTwoFactor) &&
+    TWO_FACTOR_ROLES.includes(currentUser?.role);
+
+  const showError = (error, fallback) =>
+    toast.error(error?.data?.message || error?.message || fallback);
+
+  const handleStartSetup = async () => {
+    try {
+      const response = await setupTwoFactor().unwrap();
+      setSetupData(response.data);
+      setRecoveryCodes([]);
+      reset();
+    } catch (error) {
+      showError(error, "Unable to start two-factor setup");
+    }
+  };
+
+  const handleEnable = async (formData) => {
+    try {
+      const response = await enableTwoFactor({
+        code: formData.code.trim(),
+      }).unwrap();
+      setSetupData(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      dispatch(
+        updateCurrentUser({
+          twoFactorEnabled: true,
+          twoFactorSetupRequired: false,
+        })
+      );
+      toast.success(response.message || "Two-factor enabled!");
+      reset();
+    } catch (error) {
+      showError(error, "Unable to enable two-factor");
+    }
+  };
+
+  const handleRegenerate = async (formData) => {
+    try {
+      const response = await regenerateRecoveryCodes({
+        code: formData.code.trim(),
+      }).unwrap();
+      setRecoveryCodes(response.data.recoveryCodes);
+      toast.success(response.message || "Recovery codes regenerated!");
+      reset();
+    } catch (error) {
+      showError(error, "Unable to regenerate recovery codes");
+    }
+  };
+
+  const handleDisable = async (formData) => {
+    try {
+      const response = await disableTwoFactor({
+        password: formData.password,
+        code: formData.code.trim(),
+      }).unwrap();
+      setRecoveryCodes([]);
+      dispatch(updateCurrentUser({ twoFactorEnabled: false }));
+      toast.success(response.message || "Two-factor disabled!");
+      reset();
+    } catch (error) {
+      showError(error, "Unable to disable two-factor");
+    }
+  };
+
+  const handlePolicyChange = async (event) => {
+    try {
+      const response = await updateCompanySecurity({
+        companyId: currentUser.company._id,
+        requireTwoFactor: event.target.checked,
+      }).unwrap();
+      dispatch(
+        updateCurrentUser({
+          company: { ...currentUser.company, security: response.data.security },
+        })
+      );
+      toast.success(response.message || "Security policy updated!");
+    } catch (error) {
+      showError(error, "Unable to update security policy");
+    }
+  };
+
+  return (
+    <Stack direction="column">
+      <Card variant="outlined" sx={cardSx}>
+        <Stack
+          direction="row"
+          alignItems="center"
+          justifyContent="space-between"
+          spacing={2}
+        >
+          <Typography variant="h5" fontWeight={700}>
+            Two-Factor Authentication
+          </Typography>
+          <Chip
+            label={isEnabled ? "Enabled" : "Disabled"}
+            color={isEnabled ? "success" : "default"}
+            size="small"
+          />
+        </Stack>
+
+        {isRequiredByPolicy && !isEnabled && (
+          <Typography variant="body2" color="warning.main" sx={{ mt: 1 }}>
+            Your company requires two-factor authentication for your role.
+            Complete the setup to continue using the app.
+          </Typography>
+        )}
+
+        {!isEnabled && !setupData && (
+          <Button
+            variant="contained"
+            color="secondary"
+            size="small"
+            disabled={isStarting}
+            onClick={handleStartSetup}
+            sx={{ mt: 2 }}
+          >
+            {isStarting ? "Starting..." : "Set Up Two-Factor"}
+          </Button>
+        )}
+
+        {!isEnabled && setupData && (
+          <Stack
+            component="form"
+            onSubmit={handleSubmit(handleEnable)}
+            noValidate
+            autoComplete="off"
+            sx={{ mt: 2, maxWidth: 360 }}
+          >
+            <Typography variant="body2" color="text.secondary">
+              Scan the QR code with your authenticator app, or enter the key
+              manually, then type the 6-digit code it shows.
+            </Typography>
+            <Box
+              component="img"
+              src={setupData.qrCode}
+              alt="Two-factor QR code"
+              sx={{ width: 180, height: 180, my: 2 }}
+            />
+            <Typography variant="caption" sx={{ wordBreak: "break-all" }}>
+              Key: {setupData.secret}
+            </Typography>
+            <MuiTextField
+              name="code"
+              control={control}
+              rules={codeRules}
+              label="Authentication Code"
+              placeholder="123456"
+              autoComplete="one-time-code"
+              slotProps={{ htmlInput: { maxLength: 6, inputMode: "numeric" } }}
+            />
+            <Button
+              type="submit"
+              variant="contained"
+              color="secondary"
+              size="small"
+              disabled={isEnabling}
+              sx={{ mt: 1 }}
+            >
+              {isEnabling ? "Enabling..." : "Enable"}
+            </Button>
+          </Stack>
+        )}
+
+        {recoveryCodes.length > 0 && (
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="subtitle2">Recovery codes</Typography>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Store these somewhere safe. Each code signs you in once if you
+              lose your device, and they will not be shown again.
+            </Typography>
+            <Box
+              component="pre"
+              sx={{ p: 1, m: 0, bgcolor: "action.hover", borderRadius: 1 }}
+            >
+              {recoveryCodes.join("\n")}
+            </Box>
+          </Box>
+        )}
+
+        {isEnabled && (
+          <Stack
+            component="form"
+            noValidate
+            autoComplete="off"
+            sx={{ mt: 2, maxWidth: 360 }}
+          >
+            <MuiTextField
+              name="code"
+              control={control}
+              rules={codeRules}
+              label="Authentication Code"
+              placeholder="123456"
+              autoComplete="one-time-code"
+              slotProps={{ htmlInput: { maxLength: 6, inputMode: "numeric" } }}
+            />
+            <Button
+              variant="outlined"
+              color="secondary"
+              size="small"
+              disabled={isRegenerating}
+              onClick={handleSubmit(handleRegenerate)}
+              sx={{ mt: 1 }}
+            >
+              {isRegenerating ? "Generating..." : "Regenerate Recovery Codes"}
+            </Button>
+
+            {!isRequiredByPolicy && (
+              <>
+                <Divider sx={{ my: 2 }} />
+                <MuiTextField
+                  name="password"
+                  control={control}
+                  label="Current Password"
+                  placeholder="••••••"
+                  type="password"
+                  autoComplete="current-password"
+                />
+                <Button
+                  variant="outlined"
+                  color="error"
+                  size="small"
+                  disabled={isDisabling}
+                  onClick={handleSubmit((formData) =>
+                    formData.password
+                      ? handleDisable(formData)
+                      : toast.error("Current password is required")
+                  )}
+                  sx={{ mt: 1 }}
+                >
+                  {isDisabling ? "Disabling..." : "Disable Two-Factor"}
+                </Button>
+              </>
+            )}
+          </Stack>
+        )}
+      </Card>
+
+      {isSuperAdmin && (
+        <Card variant="outlined" sx={cardSx}>
+          <Typography variant="h5" fontWeight={700}>
+            Company Policy
+          </Typography>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={Boolean(currentUser?.company?.security?.requireTwoFactor)}
+                onChange={handlePolicyChange}
+                disabled={isUpdatingPolicy}
+              />
+            }
+            label="Require two-factor authentication for SuperAdmins and Managers"
+            sx={{ mt: 1 }}
+          />
+        </Card>
+      )}
+    </Stack>
+  );
+};
+
+export default Security;
@@ -0,0 +1,132 @@
+import { Fragment } from "react";
+import { toast } from "react-toastify";
+
+import Card from "@mui/material/Card";
+import Stack from "@mui/material/Stack";
+import List from "@mui/material/List";
+import ListItem from "@mui/material/ListItem";
+import ListItemIcon from "@mui/material/ListItemIcon";
+import ListItemText from "@mui/material/ListItemText";
+import Button from "@mui/material/Button";
+import Chip from "@mui/material/Chip";
+import Divider from "@mui/material/Divider";
+import CircularProgress from "@mui/material/CircularProgress";
+import Typography from "@mui/material/Typography";
+import DevicesRounded from "@mui/icons-material/DevicesRounded";
+
+import {
+  useGetSessionsQuery,
+  useRevokeSessionMutation,
+  useRevokeOtherSessionsMutation,
+} from "../redux/features/auth/authApiSlice";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "-");
+
+const Sessions = () => {
+  console.log("Sessions");
+
+  const { data, isLoading, error } = useGetSessionsQuery();
+  const [revokeSession, { isLoading: isRevoking }] =
+    useRevokeSessionMutation();
+  const [revokeOtherSessions, { isLoading: isRevokingOthers }] =
+    useRevokeOtherSessionsMutation();
+
+  const sessions = data?.data || [];
+  const hasOtherSessions = sessions.some((session) => !session.isCurrent);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      const response = await revokeSession(sessionId).unwrap();
+      toast.success(response.message || "Session revoked!");
+    } catch (error) {
+      toast.error(error?.data?.message || "Unable to revoke session");
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const response = await revokeOtherSessions().unwrap();
+      toast.success(response.message || "Other sessions revoked!");
+    } catch (error) {
+      toast.error(error?.data?.message || "Unable to revoke sessions");
+    }
+  };
+
+  return (
+    <Card
+      variant="outlined"
+      sx={{
+        px: { xs: 2, md: 3 },
+        py: 3,
+        my: 2,
+        borderRadius: 2,
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.05)",
+      }}
+    >
+      <Stack
+        direction="row"
+        alignItems="center"
+        justifyContent="space-between"
+        spacing={2}
+      >
+        <Typography variant="h5" fontWeight={700}>
+          Active Sessions
+        </Typography>
+        <Button
+          variant="outlined"
+          color="secondary"
+          size="small"
+          disabled={!hasOtherSessions || isRevokingOthers}
+          onClick={handleRevokeOthers}
+        >
+          {isRevokingOthers ? "Signing out..." : "Sign out other devices"}
+        </Button>
+      </Stack>
+
+      {isLoading && <CircularProgress size={32} sx={{ my: 2 }} />}
+
+      {error && (
+        <Typography variant="body2" color="error" sx={{ mt: 2 }}>
+          {error?.data?.message || "Failed to load sessions"}
+        </Typography>
+      )}
+
+      <List dense>
+        {sessions.map((session, index) => (
+          <Fragment key={session._id}>
+            {index > 0 && <Divider component="li" />}
+            <ListItem
+              secondaryAction={
+                session.isCurrent ? (
+                  <Chip label="This device" color="primary" size="small" />
+                ) : (
+                  <Button
+                    size="small"
+                    color="error"
+                    disabled={isRevoking}
+                    onClick={() => handleRevoke(session._id)}
+                  >
+                    Revoke
+                  </Button>
+                )
+              }
+            >
+              <ListItemIcon>
+                <DevicesRounded />
+              </ListItemIcon>
+              <ListItemText
+                primary={session.userAgent || "Unknown device"}
+                secondary={`IP: ${session.ip || "-"} · Last active: ${formatDate(
+                  session.lastUsedAt
+                )} · Signed in: ${formatDate(session.createdAt)}`}
+                slotProps={{ primary: { noWrap: true, sx: { pr: 12 } } }}
+              />
+            </ListItem>
+          </Fragment>
+        ))}
+      </List>
+    </Card>
+  );
+};
+
+export default Sessions;
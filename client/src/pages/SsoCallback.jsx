@@ -0,0 +1,105 @@
+import { useEffect } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { useDispatch } from "react-redux";
+import { toast } from "react-toastify";
+
+import Card from "@mui/material/Card";
+import Button from "@mui/material/Button";
+import CircularProgress from "@mui/material/CircularProgress";
+import Typography from "@mui/material/Typography";
+
+import { useCheckAuthQuery } from "../redux/features/auth/authApiSlice";
+import { setCredentials } from "../redux/features/auth/authSlice";
+
+// Error codes the server appends when it redirects back here
+const SSO_ERROR_MESSAGES = {
+  SSO_PROVIDER_ERROR: "The identity provider did not complete the sign-in.",
+  SSO_STATE_EXPIRED_ERROR: "The sign-in request expired. Please try again.",
+  SSO_STATE_MISMATCH_ERROR: "The sign-in request is invalid. Please try again.",
+  SSO_NOT_CONFIGURED_ERROR: "Single sign-on is not enabled for your company.",
+  SSO_TOKEN_ERROR: "The identity provider response could not be verified.",
+  SSO_EMAIL_NOT_VERIFIED_ERROR:
+    "Your identity provider did not return a verified email.",
+  SSO_DOMAIN_MISMATCH_ERROR:
+    "Your email domain is not allowed for this company's sign-on.",
+  SSO_ACCOUNT_CONFLICT_ERROR:
+    "This email already belongs to an account in another company.",
+  SSO_PROVISIONING_DISABLED_ERROR:
+    "No account exists for you yet. Ask an administrator to create one.",
+  SSO_DEPARTMENT_REQUIRED_ERROR:
+    "No department could be assigned to your account. Contact an administrator.",
+  SSO_PROVISIONING_ERROR: "Your account could not be created.",
+  USER_DEACTIVATED_ERROR: "Your account is deactivated.",
+  COMPANY_DEACTIVATED_ERROR: "Your company account is deactivated.",
+  SUBSCRIPTION_INACTIVE_ERROR: "Your company subscription is not active.",
+  DEPARTMENT_DEACTIVATED_ERROR: "Your department is deactivated.",
+};
+
+const SsoCallback = () => {
+  console.log("SsoCallback");
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const [searchParams] = useSearchParams();
+
+  const ssoError = searchParams.get("error");
+
+  // On success the server has already set the session cookies
+  const { data, error, isLoading } = useCheckAuthQuery(undefined, {
+    skip: Boolean(ssoError),
+  });
+
+  useEffect(() => {
+    if (!data?.data) return;
+    dispatch(setCredentials({ currentUser: data.data }));
+    toast.success("Login successful!");
+    navigate("/statistics", { replace: true });
+  }, [data, dispatch, navigate]);
+
+  const errorMessage = ssoError
+    ? SSO_ERROR_MESSAGES[ssoError] || "Single sign-on failed."
+    : error && (error?.data?.message || "Single sign-on failed.");
+
+  return (
+    <Card
+      variant="outlined"
+      sx={{
+        px: { xs: 2, md: 3 },
+        py: 8,
+        my: 4,
+        mx: "auto",
+        maxWidth: 450,
+        borderRadius: 2,
+        textAlign: "center",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.05)",
+      }}
+    >
+      <Typography variant="h4" gutterBottom fontWeight={700}>
+        Single Sign-On
+      </Typography>
+
+      {(isLoading || data) && !errorMessage && (
+        <CircularProgress size={32} sx={{ my: 2 }} />
+      )}
+
+      {errorMessage && (
+        <>
+          <Typography variant="body2" color="error" sx={{ mb: 2 }}>
+            {errorMessage}
+          </Typography>
+          <Button
+            variant="contained"
+            color="secondary"
+            size="small"
+            fullWidth
+            onClick={() => navigate("/login", { replace: true })}
+            sx={{ mt: 2 }}
+          >
+            Back to Login
+          </Button>
+        </>
+      )}
+    </Card>
+  );
+};
+
+export default SsoCallback;
@@ -0,0 +1,191 @@
+import { useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { useForm } from "react-hook-form";
+import { useDispatch } from "react-redux";
+import { toast } from "react-toastify";
+
+import Card from "@mui/material/Card";
+import CardContent from "@mui/material/CardContent";
+import Button from "@mui/material/Button";
+import InputAdornment from "@mui/material/InputAdornment";
+import CircularProgress from "@mui/material/CircularProgress";
+import Typography from "@mui/material/Typography";
+import PinIcon from "@mui/icons-material/Pin";
+import KeyIcon from "@mui/icons-material/Key";
+
+import { useVerifyTwoFactorLoginMutation } from "../redux/features/auth/authApiSlice";
+import { setCredentials } from "../redux/features/auth/authSlice";
+
+import MuiTextField from "../components/MuiTextField";
+
+const TwoFactorLogin = () => {
+  console.log("TwoFactorLogin");
+  const navigate = useNavigate();
+  const location = useLocation();
+  const dispatch = useDispatch();
+
+  const [verifyTwoFactorLogin, { isLoading }] =
+    useVerifyTwoFactorLoginMutation();
+
+  const [isRecoveryMode, setIsRecoveryMode] = useState(false);
+
+  const { handleSubmit, control, reset } = useForm({
+    defaultValues: { code: "", recoveryCode: "" },
+  });
+
+  const toggleMode = () => {
+    reset();
+    setIsRecoveryMode((prev) => !prev);
+  };
+
+  const onSubmit = async (formData) => {
+    try {
+      const response = await verifyTwoFactorLogin(
+        isRecoveryMode
+          ? { recoveryCode: formData.recoveryCode.trim().toUpperCase() }
+          : { code: formData.code.trim() }
+      ).unwrap();
+
+      dispatch(setCredentials({ currentUser: response.data }));
+      toast.success(response.message || "Login successful!");
+
+      if (response.data?.recoveryCodesRemaining !== undefined) {
+        toast.warning(
+          `${response.data.recoveryCodesRemaining} recovery codes remaining`
+        );
+      }
+
+      navigate(location.state?.from || "/statistics", { replace: true });
+    } catch (error) {
+      const errMsg =
+        error?.data?.message || error?.message || "Verification failed";
+      const errorType = error?.data?.errorCode || "UNKNOWN";
+      toast.error(errMsg);
+
+      // The two-factor session is gone, so the password step must be redone
+      if (
+        errorType === "MISSING_TWO_FACTOR_TOKEN_ERROR" ||
+        errorType === "INVALID_TWO_FACTOR_TOKEN_ERROR"
+      ) {
+        navigate("/login", { replace: true });
+      }
+    }
+  };
+
+  return (
+    <Card
+      variant="outlined"
+      sx={{
+        px: { xs: 2, md: 3 },
+        py: 8,
+        my: 4,
+        mx: "auto",
+        maxWidth: 450,
+        borderRadius: 2,
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.05)",
+      }}
+    >
+      <Typography variant="h4" textAlign="center" gutterBottom fontWeight={700}>
+        Two-Factor Authentication
+      </Typography>
+
+      <Typography variant="body2" color="text.secondary" textAlign="center">
+        {isRecoveryMode
+          ? "Enter one of your recovery codes. Each code works only once."
+          : "Enter the 6-digit code from your authenticator app."}
+      </Typography>
+
+      <CardContent
+        component="form"
+        onSubmit={handleSubmit(onSubmit)}
+        noValidate
+        autoComplete="off"
+        sx={{ mt: 2 }}
+      >
+        {isRecoveryMode ? (
+          <MuiTextField
+            name="recoveryCode"
+            control={control}
+            rules={{
+              required: "Recovery code is required",
+              pattern: {
+                value: /^[0-9A-F]{5}-[0-9A-F]{5}$/i,
+                message: "Recovery code format is XXXXX-XXXXX",
+              },
+            }}
+            label="Recovery Code"
+            placeholder="A1B2C-3D4E5"
+            slotProps={{
+              input: {
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <KeyIcon fontSize="small" color="primary" />
+                  </InputAdornment>
+                ),
+              },
+              htmlInput: {
+                maxLength: 11,
+                style: { textTransform: "uppercase" },
+              },
+            }}
+          />
+        ) : (
+          <MuiTextField
+            name="code"
+            control={control}
+            rules={{
+              required: "Authentication code is required",
+              pattern: {
+                value: /^\d{6}$/,
+                message: "Code must be 6 digits",
+              },
+            }}
+            label="Authentication Code"
+            placeholder="123456"
+            autoComplete="one-time-code"
+            slotProps={{
+              input: {
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <PinIcon fontSize="small" color="primary" />
+                  </InputAdornment>
+                ),
+              },
+              htmlInput: { maxLength: 6, inputMode: "numeric" },
+            }}
+          />
+        )}
+
+        <Button
+          type="submit"
+          fullWidth
+          variant="contained"
+          color="secondary"
+          size="small"
+          disabled={isLoading}
+          loading={isLoading}
+          loadingIndicator={
+            <CircularProgress size={20} sx={{ color: "white" }} />
+          }
+          loadingPosition="start"
+          sx={{ mt: 2 }}
+        >
+          {isLoading ? "Verifying..." : "Verify"}
+        </Button>
+      </CardContent>
+      <Button
+        variant="outlined"
+        color="secondary"
+        size="small"
+        fullWidth
+        disabled={isLoading}
+        onClick={toggleMode}
+        sx={{ mt: 2 }}
+      >
+        {isRecoveryMode ? "Use Authenticator App" : "Use a Recovery Code"}
+      </Button>
+    </Card>
+  );
+};
+
+export default TwoFactorLogin;
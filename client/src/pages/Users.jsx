@@ -1,6 +1,539 @@
+import { Fragment, useState } from "react";
+import { useForm } from "react-hook-form";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+
+import Card from "@mui/material/Card";
+import Stack from "@mui/material/Stack";
+import Box from "@mui/material/Box";
+import List from "@mui/material/List";
+import ListItem from "@mui/material/ListItem";
+import ListItemText from "@mui/material/ListItemText";
+import MenuItem from "@mui/material/MenuItem";
+import Button from "@mui/material/Button";
+import Chip from "@mui/material/Chip";
+import Divider from "@mui/material/Divider";
+import CircularProgress from "@mui/material/CircularProgress";
+import Typography from "@mui/material/Typography";
+import UploadFileRounded from "@mui/icons-material/UploadFileRounded";
+
+import {
+  useGetInvitationsQuery,
+  useCreateInvitationMutation,
+  useCreateBulkInvitationsMutation,
+  useResendInvitationMutation,
+  useRevokeInvitationMutation,
+} from "../redux/features/invitation/invitationApiSlice";
+import {
+  useGetRolesQuery,
+  useCreateRoleMutation,
+  useDeleteRoleMutation,
+} from "../redux/features/role/roleApiSlice";
+import { useGetDepartmentsQuery } from "../redux/features/department/departmentApiSlice";
+import { useGetUsersQuery } from "../redux/features/user/userApiSlice";
+import { useStartImpersonationMutation } from "../redux/features/impersonation/impersonationApiSlice";
+import { apiSlice } from "../redux/features/api/apiSlice";
+import {
+  selectCurrentUser,
+  setCredentials,
+} from "../redux/features/auth/authSlice";
+
+import MuiTextField from "../components/MuiTextField";
+
+const STATUS_COLORS = {
+  pending: "primary",
+  expired: "warning",
+  accepted: "success",
+  revoked: "default",
+};
+
+const cardSx = {
+  px: { xs: 2, md: 3 },
+  py: 3,
+  my: 2,
+  borderRadius: 2,
+  boxShadow: "0 4px 12px rgba(0, 0, 0, 0.05)",
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "-");
+
+const Invitations = () => {
+  const { data, isLoading, error } = useGetInvitationsQuery({ limit: 50 });
+  const { data: departmentData } = useGetDepartmentsQuery({ limit: 100 });
+  const { data: roleData } = useGetRolesQuery();
+  const [createInvitation, { isLoading: isInviting }] =
+    useCreateInvitationMutation();
+  const [createBulkInvitations, { isLoading: isImporting }] =
+    useCreateBulkInvitationsMutation();
+  const [resendInvitation, { isLoading: isResending }] =
+    useResendInvitationMutation();
+  const [revokeInvitation, { isLoading: isRevoking }] =
+    useRevokeInvitationMutation();
+
+  const [failedRows, setFailedRows] = useState([]);
+
+  const { handleSubmit, control, reset } = useForm({
+    defaultValues: { email: "", role: "User", department: "" },
+  });
+
+  const invitations = data?.data?.docs || [];
+  const departments = departmentData?.data?.docs || [];
+  const roles = roleData?.data || [];
+
+  const showError = (error, fallback) =>
+    toast.error(error?.data?.message || error?.message || fallback);
+
+  const onInvite = async (formData) => {
+    try {
+      const response = await createInvitation(formData).unwrap();
+      toast.success(response.message || "Invitation sent!");
+      reset();
+    } catch (error) {
+      showError(error, "Unable to send invitation");
+    }
+  };
+
+  const handleCsvUpload = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ""; // Allow re-selecting the same file
+    if (!file) return;
+
+    try {
+      const response = await createBulkInvitations(await file.text()).unwrap();
+      setFailedRows(response.data.failed);
+      toast.success(response.message);
+    } catch (error) {
+      setFailedRows(error?.data?.data?.failed || []);
+      showError(error, "Unable to import invitations");
+    }
+  };
+
+  const handleResend = async (invitationId) => {
+    try {
+      const response = await resendInvitation(invitationId).unwrap();
+      toast.success(response.message || "Invitation resent!");
+    } catch (error) {
+      showError(error, "Unable to resend invitation");
+    }
+  };
+
+  const handleRevoke = async (invitationId) => {
+    try {
+      const response = await revokeInvitation(invitationId).unwrap();
+      toast.success(response.message || "Invitation revoked!");
+    } catch (error) {
+      showError(error, "Unable to revoke invitation");
+    }
+  };
+
+  return (
+    <Card variant="outlined" sx={cardSx}>
+      <Stack
+        direction="row"
+        alignItems="center"
+        justifyContent="space-between"
+        spacing={2}
+      >
+        <Typography variant="h5" fontWeight={700}>
+          Invitations
+        </Typography>
+        <Button
+          component="label"
+          variant="outlined"
+          color="secondary"
+          size="small"
+          startIcon={<UploadFileRounded />}
+          disabled={isImporting}
+        >
+          {isImporting ? "Importing..." : "Import CSV"}
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            hidden
+            onChange={handleCsvUpload}
+          />
+        </Button>
+      </Stack>
+      <Typography variant="caption" color="text.secondary">
+        CSV columns: email, role, department (name or id), firstName, lastName,
+        position
+      </Typography>
+
+      <Stack
+        component="form"
+        direction={{ xs: "column", md: "row" }}
+        spacing={{ md: 2 }}
+        alignItems={{ md: "center" }}
+        onSubmit={handleSubmit(onInvite)}
+        noValidate
+        autoComplete="off"
+      >
+        <MuiTextField
+          name="email"
+          control={control}
+          rules={{
+            required: "Email is required",
+            pattern: {
+              value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+              message: "Invalid email address",
+            },
+          }}
+          label="Email"
+          placeholder="xyz@example.com"
+        />
+        <MuiTextField name="role" control={control} label="Role" select>
+          {roles.map((role) => (
+            <MenuItem key={role._id} value={role.name}>
+              {role.name}
+            </MenuItem>
+          ))}
+        </MuiTextField>
+        <MuiTextField
+          name="department"
+          control={control}
+          rules={{ required: "Department is required" }}
+          label="Department"
+          select
+        >
+          {departments.map((department) => (
+            <MenuItem key={department._id} value={department._id}>
+              {department.name}
+            </MenuItem>
+          ))}
+        </MuiTextField>
+        <Box>
+          <Button
+            type="submit"
+            variant="contained"
+            color="secondary"
+            size="small"
+            disabled={isInviting}
+            sx={{ mt: 1, whiteSpace: "nowrap" }}
+          >
+            {isInviting ? "Sending..." : "Send Invite"}
+          </Button>
+        </Box>
+      </Stack>
+
+      {failedRows.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" color="error">
+            Rows not imported
+          </Typography>
+          {failedRows.map((row) => (
+            <Typography key={row.row} variant="body2" color="text.secondary">
+              Row {row.row} ({row.email || "no email"}): {row.message}
+            </Typography>
+          ))}
+        </Box>
+      )}
+
+      {isLoading && <CircularProgress size={32} sx={{ my: 2 }} />}
+
+      {error && (
+        <Typography variant="body2" color="error" sx={{ mt: 2 }}>
+          {error?.data?.message || "Failed to load invitations"}
+        </Typography>
+      )}
+
+      <List dense>
+        {invitations.map((invitation, index) => {
+          const status = invitation.isExpired ? "expired" : invitation.status;
+
+          return (
+            <Fragment key={invitation._id}>
+              {index > 0 && <Divider component="li" />}
+              <ListItem
+                secondaryAction={
+                  invitation.status === "pending" && (
+                    <>
+                      <Button
+                        size="small"
+                        disabled={isResending}
+                        onClick={() => handleResend(invitation._id)}
+                      >
+                        Resend
+                      </Button>
+                      <Button
+                        size="small"
+                        color="error"
+                        disabled={isRevoking}
+                        onClick={() => handleRevoke(invitation._id)}
+                      >
+                        Revoke
+                      </Button>
+                    </>
+                  )
+                }
+              >
+                <ListItemText
+                  primary={
+                    <>
+                      {invitation.email}{" "}
+                      <Chip
+                        label={status}
+                        color={STATUS_COLORS[status]}
+                        size="small"
+                      />
+                    </>
+                  }
+                  secondary={`${invitation.role} · ${
+                    invitation.department?.name || "-"
+                  } · Sent: ${formatDate(invitation.sentAt)} · Expires: ${formatDate(
+                    invitation.expiresAt
+                  )}`}
+                  slotProps={{ primary: { noWrap: true, sx: { pr: 18 } } }}
+                />
+              </ListItem>
+            </Fragment>
+          );
+        })}
+      </List>
+    </Card>
+  );
+};
+
+const Roles = () => {
+  const { data, isLoading, error } = useGetRolesQuery();
+  const [createRole, { isLoading: isCreating }] = useCreateRoleMutation();
+  const [deleteRole, { isLoading: isDeleting }] = useDeleteRoleMutation();
+
+  const { handleSubmit, control, reset } = useForm({
+    defaultValues: { name: "", description: "", basedOn: "User" },
+  });
+
+  const roles = data?.data || [];
+
+  const showError = (error, fallback) =>
+    toast.error(error?.data?.message || error?.message || fallback);
+
+  const onCreate = async (formData) => {
+    try {
+      const response = await createRole(formData).unwrap();
+      toast.success(response.message || "Role created!");
+      reset();
+    } catch (error) {
+      showError(error, "Unable to create role");
+    }
+  };
+
+  const handleDelete = async (roleId) => {
+    try {
+      const response = await deleteRole(roleId).unwrap();
+      toast.success(response.message || "Role deleted!");
+    } catch (error) {
+      showError(error, "Unable to delete role");
+    }
+  };
+
+  return (
+    <Card variant="outlined" sx={cardSx}>
+      <Typography variant="h5" fontWeight={700}>
+        Roles
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        A new role starts with the permissions of the role it is based on
+      </Typography>
+
+      <Stack
+        component="form"
+        direction={{ xs: "column", md: "row" }}
+        spacing={{ md: 2 }}
+        alignItems={{ md: "center" }}
+        onSubmit={handleSubmit(onCreate)}
+        noValidate
+        autoComplete="off"
+      >
+        <MuiTextField
+          name="name"
+          control={control}
+          rules={{
+            required: "Role name is required",
+            minLength: { value: 2, message: "At least 2 characters" },
+            maxLength: { value: 30, message: "At most 30 characters" },
+          }}
+          label="Name"
+          placeholder="Shift Supervisor"
+        />
+        <MuiTextField
+          name="description"
+          control={control}
+          rules={{
+            maxLength: { value: 200, message: "At most 200 characters" },
+          }}
+          label="Description"
+        />
+        <MuiTextField name="basedOn" control={control} label="Based on" select>
+          {roles.map((role) => (
+            <MenuItem key={role._id} value={role.name}>
+              {role.name}
+            </MenuItem>
+          ))}
+        </MuiTextField>
+        <Box>
+          <Button
+            type="submit"
+            variant="contained"
+            color="secondary"
+            size="small"
+            disabled={isCreating}
+            sx={{ mt: 1, whiteSpace: "nowrap" }}
+          >
+            {isCreating ? "Creating..." : "Create Role"}
+          </Button>
+        </Box>
+      </Stack>
+
+      {isLoading && <CircularProgress size={32} sx={{ my: 2 }} />}
+
+      {error && (
+        <Typography variant="body2" color="error" sx={{ mt: 2 }}>
+          {error?.data?.message || "Failed to load roles"}
+        </Typography>
+      )}
+
+      <List dense>
+        {roles.map((role, index) => (
+          <Fragment key={role._id}>
+            {index > 0 && <Divider component="li" />}
+            <ListItem
+              secondaryAction={
+                !role.isSystem && (
+                  <Button
+                    size="small"
+                    color="error"
+                    disabled={isDeleting || role.userCount > 0}
+                    onClick={() => handleDelete(role._id)}
+                  >
+                    Delete
+                  </Button>
+                )
+              }
+            >
+              <ListItemText
+                primary={
+                  <>
+                    {role.name}{" "}
+                    {role.isSystem && <Chip label="built-in" size="small" />}
+                  </>
+                }
+                secondary={`${role.description || "-"} · Users: ${
+                  role.userCount
+                }`}
+                slotProps={{ primary: { noWrap: true, sx: { pr: 10 } } }}
+              />
+            </ListItem>
+          </Fragment>
+        ))}
+      </List>
+    </Card>
+  );
+};
+
+const ActAsUser = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { data } = useGetUsersQuery({ limit: 100, isActive: "true" });
+  const [startImpersonation, { isLoading }] = useStartImpersonationMutation();
+
+  const { handleSubmit, control } = useForm({
+    defaultValues: { userId: "", reason: "" },
+  });
+
+  // SuperAdmins cannot be impersonated
+  const users = (data?.data?.docs || []).filter(
+    (user) => user.role !== "SuperAdmin"
+  );
+
+  const onStart = async (formData) => {
+    try {
+      const response = await startImpersonation(formData).unwrap();
+      dispatch(apiSlice.util.resetApiState());
+      dispatch(setCredentials({ currentUser: response.data }));
+      toast.success(response.message);
+      navigate("/tasks", { replace: true });
+    } catch (error) {
+      toast.error(error?.data?.message || "Unable to act as user");
+    }
+  };
+
+  return (
+    <Card variant="outlined" sx={cardSx}>
+      <Typography variant="h5" fontWeight={700}>
+        Act as User
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        See the app as a user sees it for 30 minutes. Every request is recorded,
+        and passwords and the company cannot be changed meanwhile.
+      </Typography>
+
+      <Stack
+        component="form"
+        direction={{ xs: "column", md: "row" }}
+        spacing={{ md: 2 }}
+        alignItems={{ md: "center" }}
+        onSubmit={handleSubmit(onStart)}
+        noValidate
+        autoComplete="off"
+      >
+        <MuiTextField
+          name="userId"
+          control={control}
+          rules={{ required: "User is required" }}
+          label="User"
+          select
+        >
+          {users.map((user) => (
+            <MenuItem key={user._id} value={user._id}>
+              {user.firstName} {user.lastName} ({user.email})
+            </MenuItem>
+          ))}
+        </MuiTextField>
+        <MuiTextField
+          name="reason"
+          control={control}
+          rules={{
+            required: "Reason is required",
+            minLength: { value: 5, message: "At least 5 characters" },
+            maxLength: { value: 200, message: "At most 200 characters" },
+          }}
+          label="Reason"
+          placeholder="Ticket #123: task not visible"
+        />
+        <Box>
+          <Button
+            type="submit"
+            variant="contained"
+            color="secondary"
+            size="small"
+            disabled={isLoading}
+            sx={{ mt: 1, whiteSpace: "nowrap" }}
+          >
+            {isLoading ? "Starting..." : "Act as User"}
+          </Button>
+        </Box>
+      </Stack>
+    </Card>
+  );
+};
+
 const Users = () => {
   console.log("Users");
-  return <div>Users</div>;
+  const currentUser = useSelector(selectCurrentUser);
+
+  return (
+    <Stack direction="column">
+      <div>Users</div>
+      {currentUser?.role === "SuperAdmin" && (
+        <>
+          <ActAsUser />
+          <Roles />
+          <Invitations />
+        </>
+      )}
+    </Stack>
+  );
 };
 
 export default Users;
@@ -0,0 +1,174 @@
+import { useLocation, useNavigate } from "react-router-dom";
+import { useForm } from "react-hook-form";
+import { toast } from "react-toastify";
+
+import Card from "@mui/material/Card";
+import CardContent from "@mui/material/CardContent";
+import Button from "@mui/material/Button";
+import InputAdornment from "@mui/material/InputAdornment";
+import CircularProgress from "@mui/material/CircularProgress";
+import Typography from "@mui/material/Typography";
+import EmailIcon from "@mui/icons-material/Email";
+import PinIcon from "@mui/icons-material/Pin";
+
+import {
+  useVerifyEmailMutation,
+  useResendVerificationMutation,
+} from "../redux/features/auth/authApiSlice";
+
+import MuiTextField from "../components/MuiTextField";
+
+const VerifyEmail = () => {
+  console.log("VerifyEmail");
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [verifyEmail, { isLoading }] = useVerifyEmailMutation();
+  const [resendVerification, { isLoading: isResending }] =
+    useResendVerificationMutation();
+
+  const { handleSubmit, control, getValues, trigger } = useForm({
+    defaultValues: { email: location.state?.email || "", code: "" },
+  });
+
+  const onSubmit = async (formData) => {
+    try {
+      const response = await verifyEmail({
+        email: formData.email,
+        code: formData.code.trim().toUpperCase(),
+      }).unwrap();
+
+      toast.success(response.message || "Email verified!");
+      navigate("/login", { replace: true });
+    } catch (error) {
+      const errMsg =
+        error?.data?.message || error?.message || "Verification failed";
+      toast.error(errMsg);
+    }
+  };
+
+  const handleResend = async () => {
+    if (!(await trigger("email"))) return;
+
+    try {
+      const response = await resendVerification({
+        email: getValues("email"),
+      }).unwrap();
+
+      toast.success(response.message || "Verification code sent!");
+    } catch (error) {
+      const errMsg =
+        error?.data?.message || error?.message || "Failed to resend code";
+      toast.error(errMsg);
+    }
+  };
+
+  return (
+    <Card
+      variant="outlined"
+      sx={{
+        px: { xs: 2, md: 3 },
+        py: 8,
+        my: 4,
+        mx: "auto",
+        maxWidth: 450,
+        borderRadius: 2,
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.05)",
+      }}
+    >
+      <Typography variant="h4" textAlign="center" gutterBottom fontWeight={700}>
+        Verify Your Email
+      </Typography>
+
+      <Typography variant="body2" color="text.secondary" textAlign="center">
+        Enter the 6-character code we sent to your email address.
+      </Typography>
+
+      <CardContent
+        component="form"
+        onSubmit={handleSubmit(onSubmit)}
+        noValidate
+        autoComplete="off"
+        sx={{ mt: 2 }}
+      >
+        <MuiTextField
+          name="email"
+          control={control}
+          rules={{
+            required: "Email is required",
+            pattern: {
+              value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+              message: "Invalid email address",
+            },
+          }}
+          label="Email"
+          placeholder="xyz@example.com"
+          autoComplete="email"
+          slotProps={{
+            input: {
+              startAdornment: (
+                <InputAdornment position="start">
+                  <EmailIcon fontSize="small" color="primary" />
+                </InputAdornment>
+              ),
+            },
+          }}
+        />
+
+        <MuiTextField
+          name="code"
+          control={control}
+          rules={{
+            required: "Verification code is required",
+            pattern: {
+              value: /^[0-9A-F]{6}$/i,
+              message: "Code must be 6 characters",
+            },
+          }}
+          label="Verification Code"
+          placeholder="A1B2C3"
+          slotProps={{
+            input: {
+              startAdornment: (
+                <InputAdornment position="start">
+                  <PinIcon fontSize="small" color="primary" />
+                </InputAdornment>
+              ),
+            },
+            htmlInput: { maxLength: 6, style: { textTransform: "uppercase" } },
+          }}
+        />
+
+        <Button
+          type="submit"
+          fullWidth
+          variant="contained"
+          color="secondary"
+          size="small"
+          disabled={isLoading}
+          loading={isLoading}
+          loadingIndicator={
+            <CircularProgress size={20} sx={{ color: "white" }} />
+          }
+          loadingPosition="start"
+          sx={{ mt: 2 }}
+        >
+          {isLoading ? "Verifying..." : "Verify"}
+        </Button>
+      </CardContent>
+      <Button
+        variant="outlined"
+        color="secondary"
+        size="small"
+        fullWidth
+        disabled={isResending}
+        onClick={handleResend}
+        sx={{ mt: 2 }}
+      >
+        {isResending ? "Sending..." : "Resend Code"}
+      </Button>
+    </Card>
+  );
+};
+
+export default VerifyEmail;
@@ -8,6 +8,6 @@ export const apiSlice = createApi({
     baseUrl: `${SERVER_URL}/api`,
     credentials: "include",
   }),
-  tagTypes: [],
+  tagTypes: ["Session", "Invitation", "Role"],
   endpoints: () => ({}),
 });
@@ -9,6 +9,13 @@ export const authApiSlice = apiSlice.injectEndpoints({
         body: credentials,
       }),
     }),
+    ssoLogin: builder.mutation({
+      query: (data) => ({
+        url: "/auth/sso/login",
+        method: "POST",
+        body: data,
+      }),
+    }),
     logout: builder.mutation({
       query: () => ({
         url: "/auth/logout",
@@ -18,8 +25,112 @@ export const authApiSlice = apiSlice.injectEndpoints({
     checkAuth: builder.query({
       query: () => "/auth/me",
     }),
+    forgotPassword: builder.mutation({
+      query: (data) => ({
+        url: "/auth/forgot-password",
+        method: "POST",
+        body: data,
+      }),
+    }),
+    resetPassword: builder.mutation({
+      query: ({ token, password }) => ({
+        url: `/auth/reset-password/${token}`,
+        method: "POST",
+        body: { password },
+      }),
+    }),
+    verifyEmail: builder.mutation({
+      query: (data) => ({
+        url: "/auth/verify-email",
+        method: "POST",
+        body: data,
+      }),
+    }),
+    resendVerification: builder.mutation({
+      query: (data) => ({
+        url: "/auth/resend-verification",
+        method: "POST",
+        body: data,
+      }),
+    }),
+    confirmEmailChange: builder.mutation({
+      query: (token) => ({
+        url: `/auth/confirm-email-change/${token}`,
+        method: "POST",
+      }),
+    }),
+    verifyTwoFactorLogin: builder.mutation({
+      query: (data) => ({
+        url: "/auth/2fa/verify",
+        method: "POST",
+        body: data,
+      }),
+    }),
+    setupTwoFactor: builder.mutation({
+      query: () => ({
+        url: "/auth/2fa/setup",
+        method: "POST",
+      }),
+    }),
+    enableTwoFactor: builder.mutation({
+      query: (data) => ({
+        url: "/auth/2fa/enable",
+        method: "POST",
+        body: data,
+      }),
+    }),
+    disableTwoFactor: builder.mutation({
+      query: (data) => ({
+        url: "/auth/2fa/disable",
+        method: "POST",
+        body: data,
+      }),
+    }),
+    regenerateRecoveryCodes: builder.mutation({
+      query: (data) => ({
+        url: "/auth/2fa/recovery-codes",
+        method: "POST",
+        body: data,
+      }),
+    }),
+    getSessions: builder.query({
+      query: () => "/auth/sessions",
+      providesTags: ["Session"],
+    }),
+    revokeSession: builder.mutation({
+      query: (sessionId) => ({
+        url: `/auth/sessions/${sessionId}`,
+        method: "DELETE",
+      }),
+      invalidatesTags: ["Session"],
+    }),
+    revokeOtherSessions: builder.mutation({
+      query: () => ({
+        url: "/auth/sessions",
+        method: "DELETE",
+      }),
+      invalidatesTags: ["Session"],
+    }),
   }),
 });
 
-export const { useLoginMutation, useLogoutMutation, useCheckAuthQuery } =
-  authApiSlice;
+export const {
+  useLoginMutation,
+  useSsoLoginMutation,
+  useLogoutMutation,
+  useCheckAuthQuery,
+  useLazyCheckAuthQuery,
+  useForgotPasswordMutation,
+  useResetPasswordMutation,
+  useVerifyEmailMutation,
+  useResendVerificationMutation,
+  useConfirmEmailChangeMutation,
+  useVerifyTwoFactorLoginMutation,
+  useSetupTwoFactorMutation,
+  useEnableTwoFactorMutation,
+  useDisableTwoFactorMutation,
+  useRegenerateRecoveryCodesMutation,
+  useGetSessionsQuery,
+  useRevokeSessionMutation,
+  useRevokeOtherSessionsMutation,
+} = authApiSlice;
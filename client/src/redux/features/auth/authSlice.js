@@ -13,6 +13,9 @@ const authSlice = createSlice({
       state.currentUser = action.payload.currentUser;
       state.isAuthenticated = true;
     },
+    updateCurrentUser: (state, action) => {
+      state.currentUser = { ...state.currentUser, ...action.payload };
+    },
     setLogout: (state) => {
       state.currentUser = null;
       state.isAuthenticated = false;
@@ -23,5 +26,6 @@ const authSlice = createSlice({
 export const selectCurrentUser = (state) => state.auth.currentUser;
 export const selectIsAuthenticated = (state) => state.auth.isAuthenticated;
 
-export const { setCredentials, setLogout } = authSlice.actions;
+export const { setCredentials, updateCurrentUser, setLogout } =
+  authSlice.actions;
 export default authSlice.reducer;
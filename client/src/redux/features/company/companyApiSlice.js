@@ -0,0 +1,15 @@
+import { apiSlice } from "../api/apiSlice";
+
+export const companyApiSlice = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    updateCompanySecurity: builder.mutation({
+      query: ({ companyId, ...data }) => ({
+        url: `/companies/${companyId}/security`,
+        method: "PUT",
+        body: data,
+      }),
+    }),
+  }),
+});
+
+export const { useUpdateCompanySecurityMutation } = companyApiSlice;
@@ -0,0 +1,11 @@
+import { apiSlice } from "../api/apiSlice";
+
+export const departmentApiSlice = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    getDepartments: builder.query({
+      query: (params) => ({ url: "/departments", params }),
+    }),
+  }),
+});
+
+export const { useGetDepartmentsQuery } = departmentApiSlice;
@@ -0,0 +1,28 @@
+import { apiSlice } from "../api/apiSlice";
+
+export const impersonationApiSlice = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    startImpersonation: builder.mutation({
+      query: (data) => ({
+        url: "/impersonations",
+        method: "POST",
+        body: data,
+      }),
+    }),
+    stopImpersonation: builder.mutation({
+      query: () => ({
+        url: "/impersonations/current",
+        method: "DELETE",
+      }),
+    }),
+    getImpersonationLogs: builder.query({
+      query: (params) => ({ url: "/impersonations", params }),
+    }),
+  }),
+});
+
+export const {
+  useStartImpersonationMutation,
+  useStopImpersonationMutation,
+  useGetImpersonationLogsQuery,
+} = impersonationApiSlice;
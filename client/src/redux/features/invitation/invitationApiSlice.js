@@ -0,0 +1,60 @@
+import { apiSlice } from "../api/apiSlice";
+
+export const invitationApiSlice = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    getInvitations: builder.query({
+      query: (params) => ({ url: "/invitations", params }),
+      providesTags: ["Invitation"],
+    }),
+    createInvitation: builder.mutation({
+      query: (data) => ({
+        url: "/invitations",
+        method: "POST",
+        body: data,
+      }),
+      invalidatesTags: ["Invitation"],
+    }),
+    createBulkInvitations: builder.mutation({
+      query: (csv) => ({
+        url: "/invitations/bulk",
+        method: "POST",
+        body: { csv },
+      }),
+      invalidatesTags: ["Invitation"],
+    }),
+    resendInvitation: builder.mutation({
+      query: (invitationId) => ({
+        url: `/invitations/${invitationId}/resend`,
+        method: "POST",
+      }),
+      invalidatesTags: ["Invitation"],
+    }),
+    revokeInvitation: builder.mutation({
+      query: (invitationId) => ({
+        url: `/invitations/${invitationId}`,
+        method: "DELETE",
+      }),
+      invalidatesTags: ["Invitation"],
+    }),
+    getInvitationByToken: builder.query({
+      query: (token) => `/invitations/accept/${token}`,
+    }),
+    acceptInvitation: builder.mutation({
+      query: ({ token, ...data }) => ({
+        url: `/invitations/accept/${token}`,
+        method: "POST",
+        body: data,
+      }),
+    }),
+  }),
+});
+
+export const {
+  useGetInvitationsQuery,
+  useCreateInvitationMutation,
+  useCreateBulkInvitationsMutation,
+  useResendInvitationMutation,
+  useRevokeInvitationMutation,
+  useGetInvitationByTokenQuery,
+  useAcceptInvitationMutation,
+} = invitationApiSlice;
@@ -0,0 +1,40 @@
+import { apiSlice } from "../api/apiSlice";
+
+export const roleApiSlice = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    getRoles: builder.query({
+      query: () => "/roles",
+      providesTags: ["Role"],
+    }),
+    createRole: builder.mutation({
+      query: (data) => ({
+        url: "/roles",
+        method: "POST",
+        body: data,
+      }),
+      invalidatesTags: ["Role"],
+    }),
+    updateRole: builder.mutation({
+      query: ({ roleId, ...data }) => ({
+        url: `/roles/${roleId}`,
+        method: "PUT",
+        body: data,
+      }),
+      invalidatesTags: ["Role", "Invitation"],
+    }),
+    deleteRole: builder.mutation({
+      query: (roleId) => ({
+        url: `/roles/${roleId}`,
+        method: "DELETE",
+      }),
+      invalidatesTags: ["Role"],
+    }),
+  }),
+});
+
+export const {
+  useGetRolesQuery,
+  useCreateRoleMutation,
+  useUpdateRoleMutation,
+  useDeleteRoleMutation,
+} = roleApiSlice;
@@ -0,0 +1,11 @@
+import { apiSlice } from "../api/apiSlice";
+
+export const userApiSlice = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    getUsers: builder.query({
+      query: (params) => ({ url: "/users", params }),
+    }),
+  }),
+});
+
+export const { useGetUsersQuery } = userApiSlice;
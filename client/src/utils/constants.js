@@ -26,7 +26,7 @@ import ProjectTasksIcon from "@mui/icons-material/AccountTree";
 // mui user roles icon
 import UserIcon from "@mui/icons-material/Person";
 import ManagerIcon from "@mui/icons-material/SupervisorAccount";
-import AdminIcon from "@mui/icons-material/AdminPanelSettings";
+import AuditorIcon from "@mui/icons-material/FactCheck";
 import SuperAdminIcon from "@mui/icons-material/Security";
 
 // mui active, verified icons
@@ -93,7 +93,7 @@ export const taskCategoryTypes = [
 export const userRoleTypes = [
   { id: 1, label: "User", icon: UserIcon },
   { id: 2, label: "Manager", icon: ManagerIcon },
-  { id: 3, label: "Admin", icon: AdminIcon },
+  { id: 3, label: "Auditor", icon: AuditorIcon },
   { id: 4, label: "SuperAdmin", icon: SuperAdminIcon },
 ];
 